@@ -0,0 +1,294 @@
+/**
+ * Activity file parser for GPX and TCX uploads
+ * Derives type, distance, moving time, start time and route from watch/app exports
+ */
+
+// A segment counts toward moving time when speed is at least this (m/s, ~1.8 km/h)
+const MOVING_SPEED_THRESHOLD = 0.5;
+
+// Maximum number of route points kept in the encoded polyline
+const MAX_ROUTE_POINTS = 1000;
+
+// File sport/type names -> our activity types (see activity-types.js)
+const SPORT_TYPE_MAP = {
+  running: 'run',
+  run: 'run',
+  trail_running: 'run',
+  treadmill_running: 'run',
+  walking: 'walk',
+  walk: 'walk',
+  hiking: 'hike',
+  hike: 'hike',
+  biking: 'bike',
+  cycling: 'bike',
+  ride: 'bike',
+  road_biking: 'bike',
+  mountain_biking: 'bike',
+  swimming: 'swim',
+  swim: 'swim',
+  open_water_swimming: 'swim',
+  yoga: 'yoga',
+  other: 'other',
+};
+
+function readTag(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`));
+  return match ? match[1].trim() : null;
+}
+
+function readAttr(attrs, name) {
+  const match = attrs.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+  return match ? match[1] : null;
+}
+
+// Great-circle distance between two points in meters
+function haversineMeters(a, b) {
+  const R = 6371000;
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Encode coordinates with the Google polyline algorithm (same format as Strava's summary_polyline)
+ * @param {Array<{lat: number, lng: number}>} points
+ * @returns {string}
+ */
+function encodePolyline(points) {
+  let lastLat = 0;
+  let lastLng = 0;
+  let result = '';
+
+  const encodeValue = (value) => {
+    let v = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = '';
+    while (v >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    return chunk + String.fromCharCode(v + 63);
+  };
+
+  points.forEach(({ lat, lng }) => {
+    const latE5 = Math.round(lat * 1e5);
+    const lngE5 = Math.round(lng * 1e5);
+    result += encodeValue(latE5 - lastLat) + encodeValue(lngE5 - lastLng);
+    lastLat = latE5;
+    lastLng = lngE5;
+  });
+  return result;
+}
+
+/**
+ * Decode a Google polyline (Strava summary_polyline or our route_polyline)
+ * @param {string} encoded
+ * @param {number} [maxPoints] - Stop after this many points (e.g. 1 for just the start)
+ * @returns {Array<{lat: number, lng: number}>} - Empty for a missing or malformed polyline
+ */
+function decodePolyline(encoded, maxPoints = Infinity) {
+  const points = [];
+  if (!encoded || typeof encoded !== 'string') return points;
+
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+  const decodeValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (index >= encoded.length) return null;
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length && points.length < maxPoints) {
+    const dLat = decodeValue();
+    const dLng = decodeValue();
+    if (dLat === null || dLng === null) return [];
+    lat += dLat;
+    lng += dLng;
+    points.push({ lat: lat / 1e5, lng: lng / 1e5 });
+  }
+  return points;
+}
+
+function downsample(points, max) {
+  if (points.length <= max) return points;
+  const step = (points.length - 1) / (max - 1);
+  return Array.from({ length: max }, (_, i) => points[Math.round(i * step)]);
+}
+
+function parseGpxPoints(xml) {
+  const points = [];
+  const trkptRegex = /<trkpt\b([^>]*?)(?:\/>|>([\s\S]*?)<\/trkpt>)/g;
+  let match;
+  while ((match = trkptRegex.exec(xml)) !== null) {
+    const lat = parseFloat(readAttr(match[1], 'lat'));
+    const lng = parseFloat(readAttr(match[1], 'lon'));
+    if (isNaN(lat) || isNaN(lng)) continue;
+    const time = match[2] ? readTag(match[2], 'time') : null;
+    // Heart rate lives in Garmin's TrackPointExtension (gpxtpx:hr, sometimes another prefix)
+    const hrMatch = match[2] ? match[2].match(/<(?:\w+:)?hr>\s*(\d+(?:\.\d+)?)\s*<\/(?:\w+:)?hr>/) : null;
+    points.push({ lat, lng, time: time ? new Date(time).getTime() : null, heartRate: hrMatch ? parseFloat(hrMatch[1]) : null });
+  }
+  return points;
+}
+
+function parseTcxPoints(xml) {
+  const points = [];
+  const trackpointRegex = /<Trackpoint\b[^>]*>([\s\S]*?)<\/Trackpoint>/g;
+  let match;
+  while ((match = trackpointRegex.exec(xml)) !== null) {
+    const body = match[1];
+    const lat = parseFloat(readTag(body, 'LatitudeDegrees'));
+    const lng = parseFloat(readTag(body, 'LongitudeDegrees'));
+    const time = readTag(body, 'Time');
+    const distance = parseFloat(readTag(body, 'DistanceMeters'));
+    const heartRate = parseFloat(readTag(readTag(body, 'HeartRateBpm') || '', 'Value'));
+    points.push({
+      lat: isNaN(lat) ? null : lat,
+      lng: isNaN(lng) ? null : lng,
+      time: time ? new Date(time).getTime() : null,
+      distance: isNaN(distance) ? null : distance,
+      heartRate: isNaN(heartRate) ? null : heartRate,
+    });
+  }
+  return points;
+}
+
+// Sum lap totals from a TCX file (Garmin records timer time and distance per lap)
+function parseTcxLaps(xml) {
+  let totalSeconds = 0;
+  let totalMeters = 0;
+  let lapCount = 0;
+  const lapRegex = /<Lap\b[^>]*>([\s\S]*?)<\/Lap>/g;
+  let match;
+  while ((match = lapRegex.exec(xml)) !== null) {
+    const summary = match[1].replace(/<Track\b[\s\S]*?<\/Track>/g, '');
+    totalSeconds += parseFloat(readTag(summary, 'TotalTimeSeconds')) || 0;
+    totalMeters += parseFloat(readTag(summary, 'DistanceMeters')) || 0;
+    lapCount++;
+  }
+  return lapCount > 0 ? { totalSeconds, totalMeters } : null;
+}
+
+function inferTypeFromSpeed(distanceKm, durationMinutes) {
+  if (!distanceKm || !durationMinutes) return 'workout';
+  const speedKmh = (distanceKm / durationMinutes) * 60;
+  if (speedKmh <= 7) return 'walk';
+  if (speedKmh <= 20) return 'run';
+  return 'bike';
+}
+
+/**
+ * Detect whether file content is GPX or TCX
+ * @param {string} content - Raw XML
+ * @returns {string|null} - 'gpx', 'tcx', or null if unrecognized
+ */
+function detectFormat(content) {
+  if (/<TrainingCenterDatabase\b/.test(content)) return 'tcx';
+  if (/<gpx\b/.test(content)) return 'gpx';
+  return null;
+}
+
+/**
+ * Parse a GPX or TCX activity file
+ * @param {string} content - Raw file content
+ * @param {string} [format] - 'gpx' or 'tcx' (detected from content when omitted)
+ * @returns {Object} - { format, type, distanceKm, durationMinutes, elapsedMinutes, startTime, startLat, startLng, averageHeartRate, routePolyline, pointCount }
+ */
+function parseActivityFile(content, format) {
+  if (!content || typeof content !== 'string') {
+    throw new Error('File content is empty');
+  }
+
+  const fileFormat = (format || detectFormat(content) || '').toLowerCase();
+  if (!['gpx', 'tcx'].includes(fileFormat)) {
+    throw new Error('Unsupported file format. Upload a GPX or TCX file.');
+  }
+
+  let points;
+  let sport;
+  let laps = null;
+  if (fileFormat === 'gpx') {
+    points = parseGpxPoints(content);
+    const track = readTag(content, 'trk') || '';
+    sport = readTag(track, 'type');
+  } else {
+    points = parseTcxPoints(content);
+    const activityTag = content.match(/<Activity\b([^>]*)>/);
+    sport = activityTag ? readAttr(activityTag[1], 'Sport') : null;
+    laps = parseTcxLaps(content);
+  }
+
+  const timed = points.filter((p) => p.time !== null && !isNaN(p.time));
+  if (timed.length === 0) {
+    throw new Error('File has no timestamped track points');
+  }
+
+  // Walk the track once for distance and moving time
+  let distanceMeters = 0;
+  let movingSeconds = 0;
+  for (let i = 1; i < timed.length; i++) {
+    const prev = timed[i - 1];
+    const curr = timed[i];
+    let segmentMeters = 0;
+    if (prev.distance != null && curr.distance != null) {
+      segmentMeters = Math.max(0, curr.distance - prev.distance);
+    } else if (prev.lat != null && curr.lat != null) {
+      segmentMeters = haversineMeters(prev, curr);
+    }
+    const segmentSeconds = (curr.time - prev.time) / 1000;
+    distanceMeters += segmentMeters;
+    if (segmentSeconds > 0 && segmentMeters / segmentSeconds >= MOVING_SPEED_THRESHOLD) {
+      movingSeconds += segmentSeconds;
+    }
+  }
+
+  const elapsedSeconds = (timed[timed.length - 1].time - timed[0].time) / 1000;
+  if (laps) {
+    if (laps.totalMeters > 0) distanceMeters = laps.totalMeters;
+    if (laps.totalSeconds > 0) movingSeconds = laps.totalSeconds;
+  }
+  // Stationary sessions (e.g. strength workouts) have no moving segments; use elapsed time
+  if (movingSeconds < 60) movingSeconds = elapsedSeconds;
+
+  const distanceKm = Math.round(distanceMeters) / 1000;
+  const durationMinutes = Math.round(movingSeconds / 60);
+  const mappedType = sport ? SPORT_TYPE_MAP[sport.toLowerCase().replace(/\s+/g, '_')] : null;
+
+  const route = points.filter((p) => p.lat != null && p.lng != null);
+  const heartRates = points.map((p) => p.heartRate).filter((hr) => hr > 0);
+
+  return {
+    format: fileFormat,
+    type: mappedType || inferTypeFromSpeed(distanceKm, durationMinutes),
+    distanceKm,
+    durationMinutes,
+    elapsedMinutes: Math.round(elapsedSeconds / 60),
+    startTime: new Date(timed[0].time).toISOString(),
+    startLat: route.length > 0 ? route[0].lat : null,
+    startLng: route.length > 0 ? route[0].lng : null,
+    averageHeartRate: heartRates.length > 0
+      ? Math.round(heartRates.reduce((sum, hr) => sum + hr, 0) / heartRates.length)
+      : null,
+    routePolyline: route.length > 1 ? encodePolyline(downsample(route, MAX_ROUTE_POINTS)) : null,
+    pointCount: points.length,
+  };
+}
+
+module.exports = {
+  parseActivityFile,
+  detectFormat,
+  encodePolyline,
+  decodePolyline,
+  haversineMeters,
+  SPORT_TYPE_MAP
+};
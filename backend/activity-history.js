@@ -0,0 +1,198 @@
+/**
+ * Activity history queries
+ * Filter/sort parsing and keyset cursors for GET /api/activities/:identifier, and the feed's cursor (GET /api/feed).
+ * Cursors encode the last row's sort value and id, so pages stay stable while new activities are logged.
+ */
+
+const { isValidActivityType } = require('./activity-types');
+
+const ACTIVITY_SOURCES = ['manual', 'strava', 'file'];
+const QC_STATUSES = ['accepted', 'rejected'];
+
+// Sort options: column plus direction; ties are broken by id in the same direction
+const ACTIVITY_SORTS = {
+  date_desc: { column: 'date', ascending: false },
+  date_asc: { column: 'date', ascending: true },
+  distance_desc: { column: 'distance_km', ascending: false },
+  duration_desc: { column: 'duration_minutes', ascending: false },
+  points_desc: { column: 'points_earned', ascending: false }
+};
+
+// The feed pages newest first by creation time
+const FEED_SORT = 'created_desc';
+const FEED_ORDER = { column: 'created_at', ascending: false };
+// Storage order for feed queries, matching the cursor's tie-break on id
+const FEED_QUERY_ORDER = [FEED_ORDER, { column: 'id', ascending: false }];
+
+const HISTORY_DEFAULT_LIMIT = 25;
+const HISTORY_MAX_LIMIT = 100;
+
+const isUuid = (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+const isDateString = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value).getTime());
+
+// Accept a single value, a comma-separated list, or a repeated query parameter
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map((v) => v.trim())
+  .filter(Boolean);
+
+function encodeCursor(row, sort, { column } = ACTIVITY_SORTS[sort]) {
+  return Buffer.from(JSON.stringify({ s: sort, v: row[column], id: row.id })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!parsed || parsed.s !== sort || parsed.id === undefined || parsed.v === undefined) return null;
+    return parsed;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse and validate history query parameters
+ * @param {Object} query - req.query ({ type, source, qcStatus, from, to, sort, limit, cursor })
+ * @returns {Object} - { options } or { error }
+ */
+function parseHistoryQuery(query = {}) {
+  const options = {
+    types: null,
+    sources: null,
+    qcStatuses: null,
+    from: null,
+    to: null,
+    sort: 'date_desc',
+    limit: HISTORY_DEFAULT_LIMIT,
+    cursor: null
+  };
+
+  if (query.type) {
+    options.types = toList(query.type).map((t) => t.toLowerCase());
+    const invalid = options.types.filter((t) => !isValidActivityType(t));
+    if (invalid.length > 0) return { error: `Invalid activity type: ${invalid.join(', ')}` };
+  }
+  if (query.source) {
+    options.sources = toList(query.source);
+    const invalid = options.sources.filter((s) => !ACTIVITY_SOURCES.includes(s));
+    if (invalid.length > 0) return { error: `source must be one of: ${ACTIVITY_SOURCES.join(', ')}` };
+  }
+  if (query.qcStatus) {
+    options.qcStatuses = toList(query.qcStatus);
+    const invalid = options.qcStatuses.filter((s) => !QC_STATUSES.includes(s));
+    if (invalid.length > 0) return { error: `qcStatus must be one of: ${QC_STATUSES.join(', ')}` };
+  }
+
+  if (query.from) {
+    if (!isDateString(query.from)) return { error: 'from must be a date (YYYY-MM-DD)' };
+    options.from = query.from;
+  }
+  if (query.to) {
+    if (!isDateString(query.to)) return { error: 'to must be a date (YYYY-MM-DD)' };
+    options.to = query.to;
+  }
+  if (options.from && options.to && options.from > options.to) {
+    return { error: 'from must be on or before to' };
+  }
+
+  if (query.sort) {
+    if (!ACTIVITY_SORTS[query.sort]) return { error: `sort must be one of: ${Object.keys(ACTIVITY_SORTS).join(', ')}` };
+    options.sort = query.sort;
+  }
+
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10);
+    if (!limit || limit < 1) return { error: 'limit must be a positive integer' };
+    options.limit = Math.min(limit, HISTORY_MAX_LIMIT);
+  }
+
+  if (query.cursor) {
+    options.cursor = decodeCursor(query.cursor, options.sort);
+    if (!options.cursor) return { error: 'Invalid cursor (it must come from a request with the same sort)' };
+  }
+
+  return { options };
+}
+
+/**
+ * Turn parsed filters, sort, cursor and page size into a storage query on activities
+ * Fetches one extra row so the caller can tell whether another page exists
+ * @param {Object} options - From parseHistoryQuery
+ * @returns {Object} - { filter, order, limit } (scope the filter to the user before running it)
+ */
+function buildHistoryQuery(options) {
+  const { column, ascending } = ACTIVITY_SORTS[options.sort];
+  const filter = {};
+
+  if (options.types) filter.type = { in: options.types };
+  if (options.sources) filter.source = { in: options.sources };
+  if (options.qcStatuses) filter.qc_status = { in: options.qcStatuses };
+  if (options.from || options.to) {
+    filter.date = {};
+    if (options.from) filter.date.gte = options.from;
+    if (options.to) filter.date.lte = options.to;
+  }
+
+  if (options.cursor) filter.or = afterCursor(options.cursor, { column, ascending });
+
+  return {
+    filter,
+    order: [{ column, ascending }, { column: 'id', ascending }],
+    limit: options.limit + 1
+  };
+}
+
+// Rows after the cursor in the given order, with ties on the column broken by id
+function afterCursor(cursor, { column, ascending }) {
+  const op = ascending ? 'gt' : 'lt';
+  const { v, id } = cursor;
+  return [{ [column]: { [op]: v } }, { [column]: v, id: { [op]: id } }];
+}
+
+/**
+ * Split a fetched page (limit + 1 rows) into the rows to return and the next cursor
+ * @returns {Object} - { rows, nextCursor }
+ */
+function paginateHistory(rows, options) {
+  const page = (rows || []).slice(0, options.limit);
+  const hasMore = (rows || []).length > options.limit;
+  return {
+    rows: page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], options.sort) : null
+  };
+}
+
+/**
+ * Parse the feed's cursor (the nextCursor of the previous page)
+ * @param {string} [cursor]
+ * @returns {Object} - { filter } to add to the feed query ({} without a cursor) or { error }
+ */
+function parseFeedCursor(cursor) {
+  if (!cursor) return { filter: {} };
+  const parsed = decodeCursor(cursor, FEED_SORT);
+  // Both values go into the query as-is, and Postgres rejects a malformed timestamp or uuid
+  if (!parsed || typeof parsed.v !== 'string' || isNaN(new Date(parsed.v).getTime()) || !isUuid(parsed.id)) {
+    return { error: 'Invalid cursor' };
+  }
+  return { filter: { or: afterCursor(parsed, FEED_ORDER) } };
+}
+
+/**
+ * Cursor for the feed page after this row (the last one returned)
+ */
+function encodeFeedCursor(row) {
+  return encodeCursor(row, FEED_SORT, FEED_ORDER);
+}
+
+module.exports = {
+  ACTIVITY_SOURCES,
+  QC_STATUSES,
+  ACTIVITY_SORTS,
+  HISTORY_DEFAULT_LIMIT,
+  HISTORY_MAX_LIMIT,
+  FEED_QUERY_ORDER,
+  parseHistoryQuery,
+  buildHistoryQuery,
+  paginateHistory,
+  parseFeedCursor,
+  encodeFeedCursor
+};
@@ -0,0 +1,154 @@
+/**
+ * Activity map queries
+ * Filter parsing for GET /activity-map and locating activities on the map.
+ * An activity is placed at its recorded start (Strava start_latlng or the first GPX/TCX track point),
+ * or the start of its route; activities logged by hand have neither and fall back to the owner's location.
+ */
+
+const { isValidActivityType } = require('./activity-types');
+const { decodePolyline } = require('./activity-file-parser');
+
+const MAP_DEFAULT_LIMIT = 500;
+const MAP_MAX_LIMIT = 2000;
+
+const isDateString = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value).getTime());
+
+// Accept a single value, a comma-separated list, or a repeated query parameter
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map((v) => v.trim())
+  .filter(Boolean);
+
+const isLatitude = (value) => Number.isFinite(value) && value >= -90 && value <= 90;
+const isLongitude = (value) => Number.isFinite(value) && value >= -180 && value <= 180;
+
+/**
+ * Parse a bounding box in the order Leaflet's LatLngBounds.toBBoxString() produces
+ * @param {string} value - "west,south,east,north" (min lng, min lat, max lng, max lat)
+ * @returns {Object|null} - { west, south, east, north }, or null when malformed
+ */
+function parseBbox(value) {
+  const parts = String(value).split(',').map((v) => Number(v.trim()));
+  if (parts.length !== 4) return null;
+  const [west, south, east, north] = parts;
+  if (![west, east].every(isLongitude) || ![south, north].every(isLatitude) || south > north) return null;
+  return { west, south, east, north };
+}
+
+/**
+ * Parse and validate map query parameters
+ * @param {Object} query - req.query ({ type, from, to, bbox, limit, routes })
+ * @returns {Object} - { options } or { error }
+ */
+function parseMapQuery(query = {}) {
+  const options = {
+    types: null,
+    from: null,
+    to: null,
+    bbox: null,
+    limit: MAP_DEFAULT_LIMIT,
+    routes: true
+  };
+
+  if (query.type) {
+    options.types = toList(query.type).map((t) => t.toLowerCase());
+    const invalid = options.types.filter((t) => !isValidActivityType(t));
+    if (invalid.length > 0) return { error: `Invalid activity type: ${invalid.join(', ')}` };
+  }
+
+  if (query.from) {
+    if (!isDateString(query.from)) return { error: 'from must be a date (YYYY-MM-DD)' };
+    options.from = query.from;
+  }
+  if (query.to) {
+    if (!isDateString(query.to)) return { error: 'to must be a date (YYYY-MM-DD)' };
+    options.to = query.to;
+  }
+  if (options.from && options.to && options.from > options.to) {
+    return { error: 'from must be on or before to' };
+  }
+
+  if (query.bbox) {
+    options.bbox = parseBbox(query.bbox);
+    if (!options.bbox) return { error: 'bbox must be west,south,east,north in degrees' };
+  }
+
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10);
+    if (!limit || limit < 1) return { error: 'limit must be a positive integer' };
+    options.limit = Math.min(limit, MAP_MAX_LIMIT);
+  }
+
+  // routes=false leaves polylines out for a lighter heatmap-only payload
+  if (query.routes !== undefined) options.routes = !['false', '0'].includes(String(query.routes));
+
+  return { options };
+}
+
+/**
+ * Turn parsed filters into a storage query on activities, newest first
+ * With a bbox only activities with a recorded start inside it match
+ * @param {Object} options - From parseMapQuery
+ * @returns {Object} - { filter, order, limit }
+ */
+function buildMapQuery(options) {
+  const filter = { qc_status: 'accepted' };
+
+  if (options.types) filter.type = { in: options.types };
+  if (options.from || options.to) {
+    filter.date = {};
+    if (options.from) filter.date.gte = options.from;
+    if (options.to) filter.date.lte = options.to;
+  }
+
+  if (options.bbox) {
+    const { west, south, east, north } = options.bbox;
+    filter.start_lat = { gte: south, lte: north };
+    if (west <= east) {
+      filter.start_lng = { gte: west, lte: east };
+    } else {
+      // The box crosses the antimeridian (e.g. west=170, east=-170)
+      filter.or = [{ start_lng: { gte: west } }, { start_lng: { lte: east } }];
+    }
+  }
+
+  return {
+    filter,
+    order: [{ column: 'date', ascending: false }, { column: 'id', ascending: false }],
+    limit: options.limit
+  };
+}
+
+/**
+ * Whether a point lies in a bounding box from parseBbox
+ * @param {Object} point - { lat, lng }
+ * @param {Object} bbox - { west, south, east, north }
+ * @returns {boolean}
+ */
+function isInBbox(point, { west, south, east, north }) {
+  if (point.lat < south || point.lat > north) return false;
+  return west <= east ? point.lng >= west && point.lng <= east : point.lng >= west || point.lng <= east;
+}
+
+/**
+ * Where an activity actually started, if known
+ * @param {Object} activity - activities row
+ * @returns {Object|null} - { lat, lng }
+ */
+function getActivityStart(activity) {
+  if (isLatitude(activity.start_lat) && isLongitude(activity.start_lng)) {
+    return { lat: activity.start_lat, lng: activity.start_lng };
+  }
+  // Uploads from before start coordinates were stored still have their route
+  const [first] = decodePolyline(activity.route_polyline, 1);
+  return first || null;
+}
+
+module.exports = {
+  MAP_DEFAULT_LIMIT,
+  MAP_MAX_LIMIT,
+  parseBbox,
+  parseMapQuery,
+  buildMapQuery,
+  isInBbox,
+  getActivityStart
+};
@@ -0,0 +1,145 @@
+/**
+ * Activity type catalog
+ * Single source for supported activity types, their MET values and how Strava sport types map onto them
+ */
+
+/**
+ * MET (Metabolic Equivalent of Task) values follow the Compendium of Physical Activities.
+ * metBySpeed tiers are [minimum speed in km/h, MET], ascending; the highest tier reached applies.
+ * typicalSpeedKmh estimates duration when only a distance was logged.
+ */
+const ACTIVITY_TYPES = {
+  run: {
+    label: 'Run',
+    usesDistance: true,
+    met: 9.8,
+    typicalSpeedKmh: 10,
+    metBySpeed: [[0, 6.0], [8, 8.3], [9.7, 9.8], [10.8, 10.5], [11.3, 11.0], [12.9, 11.8], [14.5, 12.8], [16.1, 14.5], [17.7, 16.0], [19.3, 19.0], [20.9, 19.8], [22.5, 23.0]]
+  },
+  walk: {
+    label: 'Walk',
+    usesDistance: true,
+    met: 3.5,
+    typicalSpeedKmh: 5,
+    metBySpeed: [[0, 2.0], [3.2, 2.8], [4.8, 3.5], [5.6, 4.3], [6.4, 5.0], [7.2, 7.0]]
+  },
+  hike: {
+    label: 'Hike',
+    usesDistance: true,
+    met: 6.0,
+    typicalSpeedKmh: 4
+  },
+  bike: {
+    label: 'Bike',
+    usesDistance: true,
+    met: 6.8,
+    typicalSpeedKmh: 18,
+    metBySpeed: [[0, 4.0], [16, 6.8], [19.3, 8.0], [22.5, 10.0], [25.7, 12.0], [30.6, 15.8]]
+  },
+  swim: {
+    label: 'Swim',
+    usesDistance: true,
+    met: 6.0,
+    typicalSpeedKmh: 2,
+    metBySpeed: [[0, 5.8], [2, 8.3], [3, 9.8]]
+  },
+  yoga: {
+    label: 'Yoga',
+    usesDistance: false,
+    met: 2.5
+  },
+  workout: {
+    label: 'Workout',
+    usesDistance: false,
+    met: 6.0
+  },
+  other: {
+    label: 'Other',
+    usesDistance: false,
+    met: 5.0
+  }
+};
+
+const ACTIVITY_TYPE_KEYS = Object.keys(ACTIVITY_TYPES);
+
+// Strava sport_type (falls back to legacy type) -> our activity types; unmapped sports become 'other'
+const STRAVA_SPORT_TYPE_MAP = {
+  Run: 'run',
+  TrailRun: 'run',
+  VirtualRun: 'run',
+  Walk: 'walk',
+  Hike: 'hike',
+  Ride: 'bike',
+  MountainBikeRide: 'bike',
+  GravelRide: 'bike',
+  VirtualRide: 'bike',
+  Velomobile: 'bike',
+  Handcycle: 'bike',
+  Swim: 'swim',
+  Yoga: 'yoga',
+  Workout: 'workout',
+  WeightTraining: 'workout',
+  Crossfit: 'workout',
+  HighIntensityIntervalTraining: 'workout',
+  Pilates: 'workout',
+  Elliptical: 'workout',
+  StairStepper: 'workout',
+  Rowing: 'workout',
+  VirtualRow: 'workout'
+};
+
+function isValidActivityType(type) {
+  return typeof type === 'string' && ACTIVITY_TYPE_KEYS.includes(type.toLowerCase());
+}
+
+/**
+ * Map a Strava activity to one of our activity types
+ * @param {Object} stravaActivity - Strava activity (sport_type and/or type)
+ * @returns {string}
+ */
+function mapStravaSportType(stravaActivity) {
+  return STRAVA_SPORT_TYPE_MAP[stravaActivity.sport_type] || STRAVA_SPORT_TYPE_MAP[stravaActivity.type] || 'other';
+}
+
+/**
+ * Get the MET value for an activity, using speed tiers when distance and duration are known
+ * @param {string} type - Activity type
+ * @param {number|null} speedKmh - Average speed, if known
+ * @returns {number}
+ */
+function getMetValue(type, speedKmh = null) {
+  const definition = ACTIVITY_TYPES[type] || ACTIVITY_TYPES.other;
+  if (!definition.metBySpeed || !speedKmh) return definition.met;
+
+  let met = definition.metBySpeed[0][1];
+  for (const [minSpeed, tierMet] of definition.metBySpeed) {
+    if (speedKmh >= minSpeed) met = tierMet;
+  }
+  return met;
+}
+
+/**
+ * Resolve duration in minutes, estimating from distance at a typical speed when missing
+ * @param {string} type - Activity type
+ * @param {number} distanceKm
+ * @param {number} durationMinutes
+ * @returns {number}
+ */
+function resolveDurationMinutes(type, distanceKm, durationMinutes) {
+  if (durationMinutes > 0) return durationMinutes;
+  const definition = ACTIVITY_TYPES[type];
+  if (definition && definition.typicalSpeedKmh && distanceKm > 0) {
+    return (distanceKm / definition.typicalSpeedKmh) * 60;
+  }
+  return 0;
+}
+
+module.exports = {
+  ACTIVITY_TYPES,
+  ACTIVITY_TYPE_KEYS,
+  STRAVA_SPORT_TYPE_MAP,
+  isValidActivityType,
+  mapStravaSportType,
+  getMetValue,
+  resolveDurationMinutes
+};
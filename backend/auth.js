@@ -0,0 +1,86 @@
+/**
+ * Authentication middleware
+ * Every route declares its access level as its first middleware:
+ * - requireAuth: a valid access token (Authorization: Bearer <token>) is required; the verified user is req.user
+ * - optionalAuth: req.user is the verified user when a valid token is sent, otherwise null
+ * - publicRoute: no authentication (signup, OAuth callback, webhooks, cron jobs with their own secret, public boards)
+ * requireSelf adds the ownership check for routes that name a user in the URL, query or body.
+ * Tokens are verified by the storage layer's auth provider (Supabase Auth, or local tokens; see storage.js).
+ */
+
+/**
+ * Read the access token from an Authorization: Bearer <token> header
+ * @returns {string|null}
+ */
+function getBearerToken(req) {
+  const authHeader = req.headers.authorization || '';
+  return authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] || null : null;
+}
+
+/**
+ * Build the auth middleware for an auth provider
+ * @param {Object} auth - storage.auth ({ getUser(token) -> user or null })
+ * @returns {Object} - { requireAuth, optionalAuth }
+ */
+function createAuthMiddleware(auth) {
+  async function requireAuth(req, res, next) {
+    const token = getBearerToken(req);
+    if (!token) return res.status(401).json({ error: 'Missing Bearer token' });
+
+    try {
+      const user = await auth.getUser(token);
+      if (!user) return res.status(401).json({ error: 'Invalid token' });
+      req.user = user;
+      next();
+    } catch (err) {
+      console.error('[AUTH] Error verifying token:', err);
+      res.status(500).json({ error: err.message || String(err) });
+    }
+  }
+
+  async function optionalAuth(req, res, next) {
+    req.user = null;
+    const token = getBearerToken(req);
+    if (token) {
+      try {
+        req.user = await auth.getUser(token);
+      } catch (err) {
+        // An unverifiable token is treated like no token
+        console.error('[AUTH] Error verifying optional token:', err);
+      }
+    }
+    next();
+  }
+
+  return { requireAuth, optionalAuth };
+}
+
+/**
+ * Declares a route as intentionally unauthenticated
+ */
+function publicRoute(req, res, next) {
+  req.user = null;
+  next();
+}
+
+/**
+ * Ownership check: reject requests that name a user other than the authenticated one
+ * Runs after requireAuth; a missing claimed ID passes (the route then acts on req.user)
+ * @param {Function} getClaimedUserId - (req) => user ID named by the request
+ */
+function requireSelf(getClaimedUserId) {
+  return function requireSelfMiddleware(req, res, next) {
+    const claimed = getClaimedUserId(req);
+    if (claimed && String(claimed) !== String(req.user.id)) {
+      return res.status(403).json({ error: 'You can only access your own data' });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  getBearerToken,
+  createAuthMiddleware,
+  publicRoute,
+  requireSelf
+};
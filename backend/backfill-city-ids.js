@@ -0,0 +1,64 @@
+// Fill in canonical city IDs (migration 024) for profiles and teams saved before them
+// Usage: node backfill-city-ids.js [--dry-run]
+//   --dry-run   report what would change without writing
+// Known cities get their ID, canonical name and (for profiles) coordinates. Profiles with an unknown city lose
+// the Philadelphia coordinates they were given by default, so they stop showing up there on the map.
+
+require('dotenv').config();
+const { createStorage } = require('./storage');
+const { resolveCityFields } = require('./cities');
+
+// Where profiles with an unrecognised city used to be placed
+const OLD_DEFAULT_LOCATION = { lat: 39.9526, lng: -75.1652 };
+
+const isOldDefault = (row) => row.lat === OLD_DEFAULT_LOCATION.lat && row.lng === OLD_DEFAULT_LOCATION.lng;
+
+// Updates for one row, or null when nothing changes
+function planCityUpdate(row, { withLocation }) {
+  const { fields, location } = resolveCityFields({ city: row.city });
+  const updates = {};
+  if (fields.city_id) {
+    updates.city = fields.city;
+    updates.city_id = fields.city_id;
+    if (withLocation && (row.lat == null || row.lng == null || isOldDefault(row))) {
+      updates.lat = location.lat;
+      updates.lng = location.lng;
+    }
+  } else if (withLocation && isOldDefault(row) && row.city !== 'Philadelphia') {
+    updates.lat = null;
+    updates.lng = null;
+  }
+  return Object.keys(updates).length > 0 ? updates : null;
+}
+
+async function backfill(storage, repo, { columns, withLocation, dryRun }) {
+  const rows = await storage[repo].find({ city_id: null }, { columns });
+  let updated = 0;
+  for (const row of rows) {
+    const updates = planCityUpdate(row, { withLocation });
+    if (!updates) continue;
+    console.log(`[CITIES] ${repo} ${row.id}: "${row.city || ''}" -> ${updates.city_id || 'no location'}`);
+    if (!dryRun) await storage[repo].update({ id: row.id }, updates);
+    updated++;
+  }
+  return { checked: rows.length, updated };
+}
+
+async function main() {
+  const storage = createStorage();
+  if (storage.driver === 'memory') {
+    console.error('Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY, or DATABASE_URL, to run against a database');
+    process.exit(1);
+  }
+  const dryRun = process.argv.includes('--dry-run');
+
+  const profiles = await backfill(storage, 'profiles', { columns: 'id, city, lat, lng', withLocation: true, dryRun });
+  const teams = await backfill(storage, 'teams', { columns: 'id, city', withLocation: false, dryRun });
+  console.log(`[CITIES] ${profiles.updated} of ${profiles.checked} profile(s) and ${teams.updated} of ${teams.checked} team(s) ${dryRun ? 'would be' : 'were'} updated`);
+  await storage.close();
+}
+
+main().catch((err) => {
+  console.error('[CITIES] Failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,160 @@
+/**
+ * Badge engine
+ * Declarative badge definitions evaluated against a user's stats; awards are stored in profiles.badges
+ * as [{ id, awarded_at }] and are never revoked (editing or deleting activities later keeps earned badges)
+ */
+
+const { ACTIVITY_TYPES } = require('./activity-types');
+
+/**
+ * Each definition names a stat and a threshold; a badge is earned when stats[stat] >= threshold.
+ * first_of_type badges use the per-type activity counts instead (stats.activityCounts[activityType] >= 1).
+ */
+const BADGE_DEFINITIONS = [
+  // Streaks
+  { id: 'streak_3', category: 'streak', name: 'Getting Started', icon: '🔥', stat: 'streak', threshold: 3, requirement: '3 days' },
+  { id: 'streak_7', category: 'streak', name: 'Week Warrior', icon: '💪', stat: 'streak', threshold: 7, requirement: '7 days' },
+  { id: 'streak_14', category: 'streak', name: 'Two Week Champion', icon: '⭐', stat: 'streak', threshold: 14, requirement: '14 days' },
+  { id: 'streak_30', category: 'streak', name: 'Monthly Master', icon: '🏆', stat: 'streak', threshold: 30, requirement: '30 days' },
+  { id: 'streak_60', category: 'streak', name: 'Dedication Deity', icon: '👑', stat: 'streak', threshold: 60, requirement: '60 days' },
+  { id: 'streak_100', category: 'streak', name: 'Century Streak', icon: '💯', stat: 'streak', threshold: 100, requirement: '100 days' },
+
+  // Points
+  { id: 'points_100', category: 'points', name: 'First Hundred', icon: '🎯', stat: 'points', threshold: 100, requirement: '100 pts' },
+  { id: 'points_500', category: 'points', name: 'Point Collector', icon: '📊', stat: 'points', threshold: 500, requirement: '500 pts' },
+  { id: 'points_1000', category: 'points', name: 'Grand Master', icon: '🌟', stat: 'points', threshold: 1000, requirement: '1000 pts' },
+  { id: 'points_2500', category: 'points', name: 'Elite Achiever', icon: '💎', stat: 'points', threshold: 2500, requirement: '2500 pts' },
+  { id: 'points_5000', category: 'points', name: 'Legendary', icon: '⚡', stat: 'points', threshold: 5000, requirement: '5000 pts' },
+
+  // Total distance
+  { id: 'distance_10', category: 'distance', name: 'First Ten', icon: '👟', stat: 'distanceKm', threshold: 10, requirement: '10 km' },
+  { id: 'distance_42', category: 'distance', name: 'Marathon Total', icon: '🏅', stat: 'distanceKm', threshold: 42.2, requirement: '42.2 km' },
+  { id: 'distance_100', category: 'distance', name: 'Century', icon: '🛣️', stat: 'distanceKm', threshold: 100, requirement: '100 km' },
+  { id: 'distance_500', category: 'distance', name: 'Road Warrior', icon: '🗺️', stat: 'distanceKm', threshold: 500, requirement: '500 km' },
+  { id: 'distance_1000', category: 'distance', name: 'Thousand Club', icon: '🌍', stat: 'distanceKm', threshold: 1000, requirement: '1000 km' },
+
+  // First activity of each type
+  ...Object.entries(ACTIVITY_TYPES).map(([type, definition]) => ({
+    id: `first_${type}`,
+    category: 'first_of_type',
+    name: `First ${definition.label}`,
+    icon: '🎉',
+    activityType: type,
+    requirement: `Log a ${definition.label.toLowerCase()}`
+  })),
+
+  // Challenge completion
+  { id: 'challenge_1', category: 'challenge', name: 'Challenger', icon: '🚩', stat: 'challengesCompleted', threshold: 1, requirement: '1 challenge' },
+  { id: 'challenge_5', category: 'challenge', name: 'Challenge Hunter', icon: '🎖️', stat: 'challengesCompleted', threshold: 5, requirement: '5 challenges' },
+  { id: 'challenge_10', category: 'challenge', name: 'Challenge Legend', icon: '🏵️', stat: 'challengesCompleted', threshold: 10, requirement: '10 challenges' }
+];
+
+const BADGE_CATEGORIES = ['streak', 'points', 'distance', 'first_of_type', 'challenge'];
+
+/**
+ * Normalize stored badges; legacy rows may hold plain badge IDs without an award date
+ * @param {Array} badges - profiles.badges value
+ * @returns {Object[]} - [{ id, awarded_at }]
+ */
+function normalizeBadges(badges) {
+  if (!Array.isArray(badges)) return [];
+  return badges
+    .map((badge) => (typeof badge === 'string' ? { id: badge, awarded_at: null } : badge))
+    .filter((badge) => badge && badge.id);
+}
+
+/**
+ * Build the stats badges are evaluated against
+ * @param {Object} params
+ * @param {Object} params.profile - Profile row (streak, longest_streak, points)
+ * @param {Object[]} params.activities - The user's activity rows (type, distance_km)
+ * @param {number} [params.challengesCompleted] - Challenges the user (or their team) completed
+ * @returns {Object}
+ */
+function buildBadgeStats({ profile = {}, activities = [], challengesCompleted = 0 }) {
+  const activityCounts = {};
+  let distanceKm = 0;
+  activities.forEach((activity) => {
+    activityCounts[activity.type] = (activityCounts[activity.type] || 0) + 1;
+    distanceKm += activity.distance_km || 0;
+  });
+
+  return {
+    // Longest streak so badges reflect past runs rebuilt from imported history, not just the current one
+    streak: Math.max(profile.streak || 0, profile.longest_streak || 0),
+    points: profile.points || 0,
+    distanceKm: Math.round(distanceKm * 100) / 100,
+    activityCounts,
+    challengesCompleted
+  };
+}
+
+/**
+ * Progress toward a badge as { current, target }
+ */
+function getBadgeProgress(definition, stats) {
+  if (definition.category === 'first_of_type') {
+    return { current: Math.min(1, stats.activityCounts[definition.activityType] || 0), target: 1 };
+  }
+  return { current: stats[definition.stat] || 0, target: definition.threshold };
+}
+
+function isBadgeEarned(definition, stats) {
+  const { current, target } = getBadgeProgress(definition, stats);
+  return current >= target;
+}
+
+/**
+ * Evaluate every badge definition and merge new awards into the stored list
+ * @param {Object} stats - From buildBadgeStats
+ * @param {Array} storedBadges - Current profiles.badges value
+ * @param {string} [awardedAt] - ISO timestamp for new awards
+ * @returns {Object} - { badges: merged list to store, newlyAwarded: definitions awarded now }
+ */
+function evaluateBadges(stats, storedBadges, awardedAt = new Date().toISOString()) {
+  const badges = normalizeBadges(storedBadges);
+  const earnedIds = new Set(badges.map((badge) => badge.id));
+
+  const newlyAwarded = BADGE_DEFINITIONS.filter((definition) => !earnedIds.has(definition.id) && isBadgeEarned(definition, stats));
+  newlyAwarded.forEach((definition) => {
+    badges.push({ id: definition.id, awarded_at: awardedAt });
+  });
+
+  return { badges, newlyAwarded };
+}
+
+/**
+ * Full badge catalog for display, with earned state and progress
+ * @param {Object} stats - From buildBadgeStats
+ * @param {Array} storedBadges - Current profiles.badges value
+ * @returns {Object[]}
+ */
+function describeBadges(stats, storedBadges) {
+  const awardedById = {};
+  normalizeBadges(storedBadges).forEach((badge) => {
+    awardedById[badge.id] = badge;
+  });
+
+  return BADGE_DEFINITIONS.map((definition) => {
+    const award = awardedById[definition.id];
+    return {
+      id: definition.id,
+      category: definition.category,
+      name: definition.name,
+      icon: definition.icon,
+      requirement: definition.requirement,
+      earned: Boolean(award),
+      awarded_at: award ? award.awarded_at : null,
+      progress: getBadgeProgress(definition, stats)
+    };
+  });
+}
+
+module.exports = {
+  BADGE_DEFINITIONS,
+  BADGE_CATEGORIES,
+  normalizeBadges,
+  buildBadgeStats,
+  evaluateBadges,
+  describeBadges
+};
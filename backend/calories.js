@@ -0,0 +1,112 @@
+/**
+ * Calorie estimation module
+ * Personal estimates use the user's body metrics and heart rate when available;
+ * points always use the reference weight so scoring stays fair between users
+ */
+
+const { getMetValue, resolveDurationMinutes } = require('./activity-types');
+
+// Reference body weight for weight-neutral scoring (kg)
+const REFERENCE_WEIGHT_KG = 70;
+
+const BODY_METRIC_LIMITS = {
+  weight_kg: { min: 20, max: 350 },
+  age: { min: 10, max: 120 },
+  resting_heart_rate: { min: 25, max: 120 }
+};
+
+const SEX_VALUES = ['male', 'female'];
+
+/**
+ * MET-based estimate: Calories = METs × weight(kg) × hours
+ * @param {Object} activity - { type, distanceKm, durationMinutes }
+ * @param {number} [weightKg]
+ * @returns {number}
+ */
+function estimateMetCalories(activity, weightKg = REFERENCE_WEIGHT_KG) {
+  const { type, distanceKm = 0, durationMinutes = 0 } = activity;
+  // Distance-only entries get a duration estimated at a typical pace for the type
+  const minutes = resolveDurationMinutes(type, distanceKm, durationMinutes);
+  const speedKmh = distanceKm > 0 && minutes > 0 ? (distanceKm / minutes) * 60 : null;
+
+  return Math.round(getMetValue(type, speedKmh) * weightKg * (minutes / 60));
+}
+
+/**
+ * Heart-rate estimate (Keytel et al., 2005); needs weight, age, sex and an average heart rate
+ * @returns {number|null} - null when the inputs don't support a heart-rate estimate
+ */
+function estimateHeartRateCalories({ durationMinutes = 0, averageHeartRate }, { weight_kg, age, sex, resting_heart_rate }) {
+  if (!averageHeartRate || !weight_kg || !age || !SEX_VALUES.includes(sex) || durationMinutes <= 0) {
+    return null;
+  }
+  // At or below resting heart rate the formula overestimates; fall back to METs
+  if (averageHeartRate <= (resting_heart_rate || 0)) return null;
+
+  const kjPerMinute = sex === 'male'
+    ? -55.0969 + 0.6309 * averageHeartRate + 0.1988 * weight_kg + 0.2017 * age
+    : -20.4022 + 0.4472 * averageHeartRate - 0.1263 * weight_kg + 0.074 * age;
+  const kcal = (kjPerMinute / 4.184) * durationMinutes;
+  return kcal > 0 ? Math.round(kcal) : null;
+}
+
+/**
+ * Personal calorie estimate for an activity
+ * @param {Object} activity - { type, distanceKm, durationMinutes, averageHeartRate }
+ * @param {Object} [metrics] - Profile body metrics { weight_kg, age, sex, resting_heart_rate }
+ * @returns {Object} - { calories, method: 'heart_rate' | 'met' }
+ */
+function estimateCalories(activity, metrics = {}) {
+  const heartRateCalories = estimateHeartRateCalories(activity, metrics || {});
+  if (heartRateCalories !== null) {
+    return { calories: heartRateCalories, method: 'heart_rate' };
+  }
+  return { calories: estimateMetCalories(activity, (metrics && metrics.weight_kg) || REFERENCE_WEIGHT_KG), method: 'met' };
+}
+
+/**
+ * Validate body metrics from a request body
+ * Omitted fields are left unchanged; null clears a field
+ * @param {Object} body
+ * @returns {Object} - { errors: string[], updates: Object }
+ */
+function validateBodyMetrics(body = {}) {
+  const errors = [];
+  const updates = {};
+
+  Object.entries(BODY_METRIC_LIMITS).forEach(([field, { min, max }]) => {
+    if (body[field] === undefined) return;
+    if (body[field] === null || body[field] === '') {
+      updates[field] = null;
+      return;
+    }
+    const value = Number(body[field]);
+    if (isNaN(value) || value < min || value > max) {
+      errors.push(`${field} must be between ${min} and ${max}`);
+      return;
+    }
+    updates[field] = field === 'weight_kg' ? Math.round(value * 10) / 10 : Math.round(value);
+  });
+
+  if (body.sex !== undefined) {
+    if (body.sex === null || body.sex === '') {
+      updates.sex = null;
+    } else if (!SEX_VALUES.includes(body.sex)) {
+      errors.push(`sex must be one of: ${SEX_VALUES.join(', ')}`);
+    } else {
+      updates.sex = body.sex;
+    }
+  }
+
+  return { errors, updates };
+}
+
+module.exports = {
+  REFERENCE_WEIGHT_KG,
+  BODY_METRIC_LIMITS,
+  SEX_VALUES,
+  estimateMetCalories,
+  estimateHeartRateCalories,
+  estimateCalories,
+  validateBodyMetrics
+};
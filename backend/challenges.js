@@ -0,0 +1,174 @@
+/**
+ * Challenges module
+ * Validation and progress calculation for time-boxed goals (e.g. "run 50 km in November", "30 active days")
+ * Progress is always derived from the activities table, never stored
+ */
+
+const { ACTIVITY_TYPE_KEYS } = require('./activity-types');
+
+// Goal metrics and how a single activity contributes to them
+const CHALLENGE_METRICS = {
+  distance_km: { label: 'Distance (km)', value: (activity) => activity.distance_km || 0 },
+  duration_minutes: { label: 'Active minutes', value: (activity) => activity.duration_minutes || 0 },
+  activity_count: { label: 'Activities', value: () => 1 },
+  active_days: { label: 'Active days', value: null }, // Counted as distinct dates
+  points: { label: 'Points', value: (activity) => activity.points_earned || 0 }
+};
+
+const CHALLENGE_SCOPES = ['individual', 'team'];
+
+const isDateString = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value).getTime());
+
+/**
+ * Validate a challenge definition from a request body
+ * @param {Object} body - { name, description, metric, target, startDate, endDate, activityTypes, scope }
+ * @returns {Object} - { errors: string[], challenge: Object } (challenge uses column names)
+ */
+function validateChallenge(body = {}) {
+  const { name, description, metric, target, startDate, endDate, activityTypes, scope = 'individual' } = body;
+  const errors = [];
+
+  if (!name || !String(name).trim()) errors.push('name required');
+  if (!CHALLENGE_METRICS[metric]) {
+    errors.push(`Invalid metric: ${metric}. Valid metrics: ${Object.keys(CHALLENGE_METRICS).join(', ')}`);
+  }
+  if (!(Number(target) > 0)) errors.push('target must be a positive number');
+  if (!isDateString(startDate) || !isDateString(endDate)) {
+    errors.push('startDate and endDate (YYYY-MM-DD) required');
+  } else if (startDate > endDate) {
+    errors.push('startDate must be on or before endDate');
+  }
+  if (!CHALLENGE_SCOPES.includes(scope)) {
+    errors.push(`Invalid scope: ${scope}. Valid scopes: ${CHALLENGE_SCOPES.join(', ')}`);
+  }
+
+  let types = null;
+  if (activityTypes !== undefined && activityTypes !== null) {
+    if (!Array.isArray(activityTypes)) {
+      errors.push('activityTypes must be an array');
+    } else if (activityTypes.length > 0) {
+      const invalid = activityTypes.filter((type) => !ACTIVITY_TYPE_KEYS.includes(type));
+      if (invalid.length > 0) {
+        errors.push(`Invalid activity types: ${invalid.join(', ')}`);
+      }
+      types = [...new Set(activityTypes)];
+    }
+  }
+
+  return {
+    errors,
+    challenge: {
+      name: name ? String(name).trim() : null,
+      description: description || null,
+      metric,
+      target: Number(target),
+      start_date: startDate,
+      end_date: endDate,
+      activity_types: types, // null means every activity type counts
+      scope
+    }
+  };
+}
+
+/**
+ * Whether a challenge is upcoming, active or ended on a given day
+ * @param {Object} challenge - Row with start_date and end_date
+ * @param {string} today - YYYY-MM-DD
+ * @returns {string}
+ */
+function getChallengeStatus(challenge, today) {
+  if (today < challenge.start_date) return 'upcoming';
+  if (today > challenge.end_date) return 'ended';
+  return 'active';
+}
+
+/**
+ * Whether an activity counts toward a challenge (inside the window and of an allowed type)
+ */
+function activityCountsToward(challenge, activity) {
+  if (activity.date < challenge.start_date || activity.date > challenge.end_date) return false;
+  const types = challenge.activity_types;
+  return !types || types.length === 0 || types.includes(activity.type);
+}
+
+/**
+ * Compute each user's progress toward a challenge metric
+ * @param {Object} challenge - Challenge row
+ * @param {Object[]} activities - Activity rows (user_id, type, date, distance_km, duration_minutes, points_earned)
+ * @returns {Object} - Map of user_id -> progress value
+ */
+function computeUserProgress(challenge, activities) {
+  const progress = {};
+  const activeDates = {};
+  const metric = CHALLENGE_METRICS[challenge.metric];
+
+  (activities || []).forEach((activity) => {
+    if (!activityCountsToward(challenge, activity)) return;
+    if (challenge.metric === 'active_days') {
+      if (!activeDates[activity.user_id]) activeDates[activity.user_id] = new Set();
+      activeDates[activity.user_id].add(activity.date);
+      return;
+    }
+    progress[activity.user_id] = (progress[activity.user_id] || 0) + metric.value(activity);
+  });
+
+  Object.entries(activeDates).forEach(([userId, dates]) => {
+    progress[userId] = dates.size;
+  });
+  Object.keys(progress).forEach((userId) => {
+    progress[userId] = Math.round(progress[userId] * 100) / 100;
+  });
+  return progress;
+}
+
+/**
+ * Build standings for a challenge
+ * Individual challenges rank participants; team challenges rank teams by their members' combined progress
+ * (active days for a team count distinct dates on which any member was active)
+ * @param {Object} challenge - Challenge row
+ * @param {Object[]} participants - challenge_participants rows (user_id, team_id)
+ * @param {Object[]} activities - Activity rows for the participants
+ * @returns {Object[]} - Sorted standings: { rank, id, progress, percent, completed }
+ */
+function buildStandings(challenge, participants, activities) {
+  const target = Number(challenge.target);
+  const withRank = (entries) => entries
+    .sort((a, b) => b.progress - a.progress)
+    .map((entry, idx) => ({
+      rank: idx + 1,
+      ...entry,
+      percent: Math.min(100, Math.round((entry.progress / target) * 100)),
+      completed: entry.progress >= target
+    }));
+
+  if (challenge.scope !== 'team') {
+    const progress = computeUserProgress(challenge, activities);
+    return withRank((participants || []).map((p) => ({ id: p.user_id, progress: progress[p.user_id] || 0 })));
+  }
+
+  // Team scope: attribute each member's activities to the team they joined the challenge with
+  const teamByUser = {};
+  (participants || []).forEach((p) => {
+    if (p.team_id) teamByUser[p.user_id] = p.team_id;
+  });
+  const teamActivities = (activities || [])
+    .filter((activity) => teamByUser[activity.user_id])
+    .map((activity) => ({ ...activity, user_id: teamByUser[activity.user_id] }));
+  const progress = computeUserProgress(challenge, teamActivities);
+  const teamIds = [...new Set(Object.values(teamByUser))];
+  return withRank(teamIds.map((teamId) => ({
+    id: teamId,
+    progress: progress[teamId] || 0,
+    members: Object.keys(teamByUser).filter((userId) => teamByUser[userId] === teamId).length
+  })));
+}
+
+module.exports = {
+  CHALLENGE_METRICS,
+  CHALLENGE_SCOPES,
+  validateChallenge,
+  getChallengeStatus,
+  activityCountsToward,
+  computeUserProgress,
+  buildStandings
+};
@@ -0,0 +1,300 @@
+/**
+ * Cities module
+ * Offline gazetteer over the bundled data/cities.json (major US and world cities)
+ * - Profiles and teams store a canonical city ID ("us-ny-new-york") alongside the display name
+ * - Free text is normalized before matching: case, accents and punctuation are ignored, "St."/"Ft."/"Mt."
+ *   are expanded, and a trailing state, province or country ("Austin, TX", "London, UK") narrows the match
+ * - Known aliases ("NYC", "Philly") match exactly; small typos match fuzzily
+ */
+
+const CITIES = require('./data/cities.json');
+
+const CITY_SEARCH_DEFAULT_LIMIT = 8;
+const CITY_SEARCH_MAX_LIMIT = 20;
+
+// Regions are only shown and matched for these countries; elsewhere labels use the country name
+const REGION_COUNTRIES = ['US', 'CA', 'AU'];
+
+const REGION_NAMES = {
+  US: {
+    AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+    CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia', HI: 'Hawaii',
+    ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana',
+    ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi',
+    MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire', NJ: 'New Jersey',
+    NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma',
+    OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota',
+    TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia', WA: 'Washington',
+    WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+  },
+  CA: {
+    AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick', NL: 'Newfoundland and Labrador',
+    NS: 'Nova Scotia', ON: 'Ontario', PE: 'Prince Edward Island', QC: 'Quebec', SK: 'Saskatchewan'
+  },
+  AU: {
+    ACT: 'Australian Capital Territory', NSW: 'New South Wales', QLD: 'Queensland', SA: 'South Australia',
+    TAS: 'Tasmania', VIC: 'Victoria', WA: 'Western Australia'
+  }
+};
+
+// Display name first, then other names people write
+const COUNTRY_NAMES = {
+  AE: ['United Arab Emirates', 'UAE'], AR: ['Argentina'], AT: ['Austria'], AU: ['Australia'], BD: ['Bangladesh'],
+  BE: ['Belgium'], BR: ['Brazil', 'Brasil'], CA: ['Canada'], CH: ['Switzerland'], CL: ['Chile'], CN: ['China'],
+  CO: ['Colombia'], CU: ['Cuba'], CZ: ['Czechia', 'Czech Republic'], DE: ['Germany', 'Deutschland'],
+  DK: ['Denmark'], EC: ['Ecuador'], EG: ['Egypt'], ES: ['Spain', 'España'], ET: ['Ethiopia'], FI: ['Finland'],
+  FR: ['France'], GB: ['United Kingdom', 'UK', 'Great Britain', 'Britain', 'England', 'Scotland', 'Wales', 'Northern Ireland'],
+  GH: ['Ghana'], GR: ['Greece'], HK: ['Hong Kong'], HU: ['Hungary'], ID: ['Indonesia'], IE: ['Ireland'],
+  IL: ['Israel'], IN: ['India'], IS: ['Iceland'], IT: ['Italy', 'Italia'], JP: ['Japan'], KE: ['Kenya'],
+  KR: ['South Korea', 'Korea'], MA: ['Morocco'], MX: ['Mexico', 'México'], MY: ['Malaysia'], NG: ['Nigeria'],
+  NL: ['Netherlands', 'Holland', 'The Netherlands'], NO: ['Norway'], NZ: ['New Zealand'], PE: ['Peru'],
+  PH: ['Philippines'], PK: ['Pakistan'], PL: ['Poland'], PR: ['Puerto Rico'], PT: ['Portugal'], QA: ['Qatar'],
+  RO: ['Romania'], RU: ['Russia'], SA: ['Saudi Arabia'], SE: ['Sweden'], SG: ['Singapore'], TH: ['Thailand'],
+  TR: ['Turkey', 'Türkiye'], TW: ['Taiwan'], UA: ['Ukraine'], US: ['United States', 'USA', 'America', 'United States of America'],
+  UY: ['Uruguay'], VE: ['Venezuela'], VN: ['Vietnam', 'Viet Nam'], ZA: ['South Africa']
+};
+
+const ABBREVIATIONS = { st: 'saint', ste: 'sainte', ft: 'fort', mt: 'mount' };
+
+/**
+ * Normalize a city name for matching
+ * "St. Louis" => "saint louis", "Montréal" => "montreal", "Winston-Salem" => "winston salem"
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeCityQuery(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\./g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .map((word) => ABBREVIATIONS[word] || word)
+    .join(' ');
+}
+
+// Normalized qualifier => list of { country, region? } it can mean ("ca" is both California and Canada)
+const QUALIFIERS = {};
+const addQualifier = (name, place) => {
+  const key = normalizeCityQuery(name);
+  (QUALIFIERS[key] = QUALIFIERS[key] || []).push(place);
+};
+Object.entries(COUNTRY_NAMES).forEach(([country, names]) => {
+  addQualifier(country, { country });
+  names.forEach((name) => addQualifier(name, { country }));
+});
+Object.entries(REGION_NAMES).forEach(([country, regions]) => {
+  Object.entries(regions).forEach(([region, name]) => {
+    addQualifier(region, { country, region });
+    addQualifier(name, { country, region });
+  });
+});
+
+const CITY_BY_ID = {};
+// Each city's normalized name and aliases, for matching
+const CITY_KEYS = CITIES.map((city) => {
+  CITY_BY_ID[city.id] = city;
+  return { city, keys: [city.name, ...(city.aliases || [])].map(normalizeCityQuery) };
+});
+
+/**
+ * Split free text into the city part and the places qualifying it
+ * "Portland, OR" and "Portland OR" => { name: 'portland', places: [[{ country: 'US', region: 'OR' }]] }
+ * Qualifiers that aren't a known region or country are ignored
+ * @param {string} text
+ * @returns {Object} - { name, places: Array<Array<{ country, region? }>> }
+ */
+function parseCityQuery(text) {
+  const [first, ...rest] = String(text || '').split(',');
+  let name = normalizeCityQuery(first);
+  const places = rest.map((part) => QUALIFIERS[normalizeCityQuery(part)]).filter(Boolean);
+
+  // Without a comma, a trailing region code still qualifies ("Austin TX"), as long as a name is left
+  if (rest.length === 0) {
+    const words = name.split(' ');
+    const trailing = words.length > 1 && QUALIFIERS[words[words.length - 1]];
+    if (trailing && trailing.some((place) => place.region)) {
+      name = words.slice(0, -1).join(' ');
+      places.push(trailing.filter((place) => place.region));
+    }
+  }
+  return { name, places };
+}
+
+const matchesPlaces = (city, places) => places.every((options) => options.some(
+  (place) => place.country === city.country && (!place.region || place.region === city.region)
+));
+
+// Edit distance, giving up (returning max + 1) once it's over max
+function levenshtein(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Typos allowed for a query of this length; short names must match exactly
+const allowedTypos = (query) => (query.length >= 8 ? 2 : query.length >= 4 ? 1 : 0);
+
+/**
+ * How well a normalized query matches a city (higher is better), or 0 for no match
+ * exact name or alias > name prefix > word prefix > typo
+ */
+function scoreCity({ keys }, query, { prefix = true } = {}) {
+  let best = 0;
+  const maxTypos = allowedTypos(query);
+  keys.forEach((key) => {
+    let score = 0;
+    if (key === query) {
+      score = 100;
+    } else if (prefix && key.startsWith(query)) {
+      score = 80;
+    } else if (prefix && key.split(' ').some((word) => word.startsWith(query))) {
+      score = 60;
+    } else if (maxTypos > 0) {
+      const distance = levenshtein(key, query, maxTypos);
+      if (distance <= maxTypos) score = 50 - distance * 10;
+    }
+    best = Math.max(best, score);
+  });
+  return best;
+}
+
+function rankCities(text, options) {
+  const { name, places } = parseCityQuery(text);
+  if (!name) return [];
+  return CITY_KEYS
+    .filter(({ city }) => matchesPlaces(city, places))
+    .map((entry) => ({ city: entry.city, score: scoreCity(entry, name, options) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || b.city.population - a.city.population);
+}
+
+/**
+ * Cities matching what someone has typed so far, best first (for autocomplete)
+ * @param {string} text - e.g. "san f", "Portland, ME", "NYC"
+ * @param {Object} options - { limit }
+ * @returns {Object[]} - Cities from data/cities.json
+ */
+function searchCities(text, { limit = CITY_SEARCH_DEFAULT_LIMIT } = {}) {
+  return rankCities(text).slice(0, limit).map(({ city }) => city);
+}
+
+// Profiles saved before city IDs (and cities outside the gazetteer) are resolved on every leaderboard build
+const RESOLVED_CACHE_SIZE = 1000;
+const resolvedCities = new Map();
+
+/**
+ * The city free text most likely means, when it's a known city
+ * Exact names and aliases win (the most populous when several share a name); otherwise a close typo.
+ * A partial name ("San") doesn't resolve.
+ * @param {string} text - e.g. "New York, NY", "philly", "Pittsburg"
+ * @returns {Object|null} - City from data/cities.json, or null when unknown
+ */
+function resolveCity(text) {
+  const key = String(text || '');
+  if (resolvedCities.has(key)) return resolvedCities.get(key);
+  const [best] = rankCities(key, { prefix: false });
+  if (resolvedCities.size >= RESOLVED_CACHE_SIZE) resolvedCities.clear();
+  resolvedCities.set(key, best ? best.city : null);
+  return resolvedCities.get(key);
+}
+
+/**
+ * @param {string} id - Canonical city ID
+ * @returns {Object|null}
+ */
+function getCityById(id) {
+  return (id && CITY_BY_ID[id]) || null;
+}
+
+/**
+ * Display label: "Austin, TX" in countries with regions, "Paris, France" elsewhere
+ * @param {Object} city
+ * @returns {string}
+ */
+function formatCityLabel(city) {
+  if (city.region && REGION_COUNTRIES.includes(city.country)) return `${city.name}, ${city.region}`;
+  const [countryName] = COUNTRY_NAMES[city.country] || [city.country];
+  return countryName === city.name ? city.name : `${city.name}, ${countryName}`;
+}
+
+/**
+ * City as returned by the API
+ * @param {Object} city
+ * @returns {Object} - { id, name, region, country, label, lat, lng }
+ */
+function toCitySummary(city) {
+  return {
+    id: city.id,
+    name: city.name,
+    region: city.region,
+    country: city.country,
+    label: formatCityLabel(city),
+    lat: city.lat,
+    lng: city.lng
+  };
+}
+
+/**
+ * Resolve the city a profile or team is saved with, from a request body
+ * A city_id (picked from GET /api/cities) must be known; free text is resolved when it's a known city
+ * and otherwise kept as typed, without an ID or location
+ * @param {Object} body - { city_id, city }
+ * @returns {Object} - { fields: { city, city_id }, location: { lat, lng } or null } or { error }
+ */
+function resolveCityFields({ city_id: cityId, city: text } = {}) {
+  let city = null;
+  if (cityId) {
+    city = getCityById(cityId);
+    if (!city) return { error: `Unknown city_id: ${cityId}` };
+  } else if (typeof text === 'string' && text.trim()) {
+    city = resolveCity(text);
+    if (!city) return { fields: { city: text.trim(), city_id: null }, location: null };
+  }
+
+  if (!city) return { fields: { city: null, city_id: null }, location: null };
+  return {
+    fields: { city: formatCityLabel(city), city_id: city.id },
+    location: { lat: city.lat, lng: city.lng }
+  };
+}
+
+/**
+ * The known city a profile or team is in: its city_id, or its city text for rows saved before IDs
+ * @param {Object} row - { city_id, city }
+ * @returns {Object|null}
+ */
+function getRowCity(row) {
+  if (!row) return null;
+  return getCityById(row.city_id) || (row.city ? resolveCity(row.city) : null);
+}
+
+module.exports = {
+  CITY_SEARCH_DEFAULT_LIMIT,
+  CITY_SEARCH_MAX_LIMIT,
+  normalizeCityQuery,
+  parseCityQuery,
+  searchCities,
+  resolveCity,
+  getCityById,
+  formatCityLabel,
+  toCitySummary,
+  resolveCityFields,
+  getRowCity
+};
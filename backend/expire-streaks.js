@@ -0,0 +1,33 @@
+// Reset streaks that lapsed (no activity today or yesterday in the user's time zone), spending streak freezes first
+// Usage: node expire-streaks.js [--dry-run]
+//   --dry-run   report lapsed streaks without writing
+// Run nightly (or hourly, so each time zone is handled soon after its midnight); deployments on Vercel
+// use the /api/cron/expire-streaks endpoint instead.
+
+require('dotenv').config();
+const { createStorage } = require('./storage');
+const { expireStaleStreaks } = require('./streaks');
+
+async function main() {
+  const storage = createStorage();
+  if (storage.driver === 'memory') {
+    console.error('Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY, or DATABASE_URL, to run against a database');
+    process.exit(1);
+  }
+  const dryRun = process.argv.includes('--dry-run');
+
+  const { expired, frozen } = await expireStaleStreaks(storage, { dryRun });
+  frozen.forEach(({ userId, dates }) => {
+    console.log(`[STREAKS] ${userId}: freeze${dates.length !== 1 ? 's' : ''} used for ${dates.join(', ')}`);
+  });
+  expired.forEach(({ userId, before, lastActivityDate, today }) => {
+    console.log(`[STREAKS] ${userId}: ${before} -> 0 (last activity ${lastActivityDate}, local today ${today})`);
+  });
+  console.log(`[STREAKS] ${expired.length} streak(s) ${dryRun ? 'would be' : 'were'} reset, ${frozen.length} ${dryRun ? 'would be' : 'were'} kept by freezes`);
+  await storage.close();
+}
+
+main().catch((err) => {
+  console.error('[STREAKS] Failed:', err);
+  process.exit(1);
+});
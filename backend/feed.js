@@ -0,0 +1,70 @@
+/**
+ * Activity feed module
+ * Comment validation and threading for the friends/teammates feed; kudos and comments live in their own tables
+ */
+
+const COMMENT_MAX_LENGTH = 1000;
+const FEED_DEFAULT_LIMIT = 20;
+const FEED_MAX_LIMIT = 50;
+
+/**
+ * Validate a comment body
+ * @param {string} body
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateCommentBody(body) {
+  if (typeof body !== 'string' || !body.trim()) return 'Comment body required';
+  if (body.trim().length > COMMENT_MAX_LENGTH) return `Comments are limited to ${COMMENT_MAX_LENGTH} characters`;
+  return null;
+}
+
+/**
+ * Clamp a requested page size to the feed limits
+ */
+function resolveFeedLimit(limit) {
+  const value = parseInt(limit, 10);
+  if (!value || value < 1) return FEED_DEFAULT_LIMIT;
+  return Math.min(value, FEED_MAX_LIMIT);
+}
+
+/**
+ * Nest flat comment rows into threads (replies under their parent, oldest first)
+ * Replies whose parent was deleted are dropped along with it
+ * @param {Object[]} comments - Rows with id, parent_id, created_at
+ * @returns {Object[]} - Top-level comments, each with a replies array
+ */
+function buildCommentThreads(comments) {
+  const byId = {};
+  (comments || []).forEach((comment) => {
+    byId[comment.id] = { ...comment, replies: [] };
+  });
+
+  const roots = [];
+  Object.values(byId)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .forEach((comment) => {
+      if (!comment.parent_id) {
+        roots.push(comment);
+      } else if (byId[comment.parent_id]) {
+        byId[comment.parent_id].replies.push(comment);
+      }
+    });
+  return roots;
+}
+
+/**
+ * Total comments in a set of threads, replies included
+ */
+function countComments(threads) {
+  return (threads || []).reduce((sum, comment) => sum + 1 + countComments(comment.replies), 0);
+}
+
+module.exports = {
+  COMMENT_MAX_LENGTH,
+  FEED_DEFAULT_LIMIT,
+  FEED_MAX_LIMIT,
+  validateCommentBody,
+  resolveFeedLimit,
+  buildCommentThreads,
+  countComments
+};
@@ -0,0 +1,107 @@
+/**
+ * Local token auth
+ * Stands in for Supabase Auth on the postgres and memory storage drivers: passwords are scrypt-hashed
+ * and access tokens are HMAC-signed { sub, exp } payloads, shaped like Supabase users/sessions
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Create a local auth provider over a user store
+ * @param {Object} options
+ * @param {string} [options.secret] - Token signing secret (LOCAL_AUTH_SECRET); a random one means tokens die with the process
+ * @param {Object} options.users - { findById(id), findByEmail(email), insert({ email, encrypted_password, user_metadata }) }
+ * @returns {Object} - { getUser(token), createUser({ email, password, user_metadata }), signIn(email, password) }
+ */
+function createLocalAuth({ secret, users }) {
+  if (!secret) {
+    console.warn('[AUTH] LOCAL_AUTH_SECRET not set; local access tokens will stop working when the server restarts');
+  }
+  const signingSecret = secret || crypto.randomBytes(32).toString('hex');
+
+  const toUser = (row) => ({
+    id: row.id,
+    email: row.email,
+    user_metadata: row.user_metadata || {},
+    created_at: row.created_at
+  });
+
+  const issueToken = (userId) => {
+    const payload = Buffer.from(JSON.stringify({
+      sub: userId,
+      exp: Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS
+    })).toString('base64url');
+    return `${payload}.${sign(payload, signingSecret)}`;
+  };
+
+  async function getUser(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) return null;
+    const expected = sign(payload, signingSecret);
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return null;
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+      return null;
+    }
+    if (!claims.sub || !claims.exp || claims.exp * 1000 < Date.now()) return null;
+
+    const row = await users.findById(claims.sub);
+    return row ? toUser(row) : null;
+  }
+
+  async function createUser({ email, password, user_metadata = {} }) {
+    if (!email || !password) throw new Error('email and password required');
+    const normalizedEmail = String(email).trim().toLowerCase();
+    if (await users.findByEmail(normalizedEmail)) {
+      throw new Error('A user with this email address has already been registered');
+    }
+    const row = await users.insert({
+      email: normalizedEmail,
+      encrypted_password: hashPassword(password),
+      user_metadata
+    });
+    return toUser(row);
+  }
+
+  async function signIn(email, password) {
+    const row = await users.findByEmail(String(email || '').trim().toLowerCase());
+    if (!row || !verifyPassword(password, row.encrypted_password)) return null;
+    return {
+      user: toUser(row),
+      session: { access_token: issueToken(row.id), token_type: 'bearer', expires_in: TOKEN_TTL_SECONDS }
+    };
+  }
+
+  return { getUser, createUser, signIn };
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  createLocalAuth
+};
@@ -0,0 +1,94 @@
+// Apply, roll back and inspect database migrations (see migration-runner.js)
+// Usage: node migrate.js <command> [options]
+//   status               list applied and pending migrations (default)
+//   up [--to N]          apply pending migrations, optionally only up to version N
+//   down [--steps N]     roll back the newest N applied migrations (default 1)
+//   down --to N          roll back every migration above version N
+//   baseline N           record migrations up to N as applied without running them (databases migrated by hand)
+//   check                apply every migration to an empty scratch database, roll back and re-apply the reversible ones
+//   create <description> add empty up/down files for the next version
+// Connects to DATABASE_URL, or --database-url <url>. On Supabase use the project's Postgres connection string.
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const { createMigrationRunner, createMigrationFiles } = require('./migration-runner');
+
+function readOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return undefined;
+  const value = args[index + 1];
+  if (value === undefined || value.startsWith('--')) throw new Error(`--${name} needs a value`);
+  return value;
+}
+
+function readVersion(value, label) {
+  if (value === undefined) return undefined;
+  if (!/^\d+$/.test(value)) throw new Error(`${label} must be a migration number, got "${value}"`);
+  return Number(value);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0] && !args[0].startsWith('--') ? args[0] : 'status';
+
+  if (command === 'create') {
+    const files = createMigrationFiles(args.slice(1).filter((a) => !a.startsWith('--')).join(' '));
+    files.forEach((file) => console.log(`[MIGRATE] Created ${file}`));
+    return;
+  }
+
+  const connectionString = readOption(args, 'database-url') || process.env.DATABASE_URL;
+  if (!connectionString) {
+    throw new Error('Set DATABASE_URL or pass --database-url to run migrations');
+  }
+
+  const pool = new Pool({ connectionString });
+  const runner = createMigrationRunner(pool, { log: (message) => console.log(`[MIGRATE] ${message}`) });
+  try {
+    switch (command) {
+      case 'status': {
+        const { applied, pending, errors } = await runner.status();
+        applied.forEach((m) => console.log(`[MIGRATE] applied  ${m.file} (${new Date(m.applied_at).toISOString()})`));
+        pending.forEach((m) => console.log(`[MIGRATE] pending  ${m.file}`));
+        console.log(`[MIGRATE] ${applied.length} applied, ${pending.length} pending`);
+        if (errors.length > 0) {
+          throw new Error(`Migrations are out of sync with the database:\n  ${errors.join('\n  ')}`);
+        }
+        break;
+      }
+      case 'up': {
+        const applied = await runner.up({ to: readVersion(readOption(args, 'to'), '--to') });
+        console.log(`[MIGRATE] ${applied.length === 0 ? 'Already up to date' : `Applied ${applied.length} migration(s)`}`);
+        break;
+      }
+      case 'down': {
+        const to = readVersion(readOption(args, 'to'), '--to');
+        const steps = readVersion(readOption(args, 'steps'), '--steps');
+        const rolledBack = await runner.down(to !== undefined ? { to } : { steps: steps === undefined ? 1 : steps });
+        console.log(`[MIGRATE] Rolled back ${rolledBack.length} migration(s)`);
+        break;
+      }
+      case 'baseline': {
+        const to = readVersion(args[1], 'baseline');
+        if (to === undefined) throw new Error('Usage: node migrate.js baseline <version>');
+        const recorded = await runner.baseline(to);
+        console.log(`[MIGRATE] Recorded ${recorded.length} migration(s) as applied`);
+        break;
+      }
+      case 'check': {
+        const { applied, rolledBack } = await runner.check();
+        console.log(`[MIGRATE] Applied ${applied.length} migration(s), rolled back and re-applied ${rolledBack.length}`);
+        break;
+      }
+      default:
+        throw new Error(`Unknown command: ${command}. Commands: status, up, down, baseline, check, create`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(`[MIGRATE] ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,314 @@
+/**
+ * Migration runner
+ * Applies the SQL files in migrations/ to a Postgres database and records them in schema_migrations.
+ *
+ * Files are named NNN_description.sql, with an optional NNN_description.down.sql that reverses them.
+ * Each migration runs in its own transaction together with its schema_migrations row, so a failing
+ * migration leaves nothing behind. A checksum of every applied file is stored; editing an applied
+ * migration, deleting one, reusing a number or adding one below the latest applied version is an error.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+?)(\.down)?\.sql$/i;
+
+// Arbitrary key for pg_advisory_lock, so two runners never migrate the same database at once
+const LOCK_KEY = 724100317;
+
+// Line endings are normalized so a checkout with CRLF doesn't look like an edit
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Read the migration files in a directory
+ * @param {string} [dir] - Defaults to backend/migrations
+ * @returns {Object[]} - [{ version, name, file, sql, checksum, down: { file, sql } | null }] ordered by version
+ * @throws {Error} When two migrations share a version or a down script has no migration
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const ups = new Map();
+  const downs = new Map();
+  const errors = [];
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    if (!file.endsWith('.sql')) continue;
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) {
+      errors.push(`${file}: expected NNN_description.sql or NNN_description.down.sql`);
+      continue;
+    }
+    const version = Number(match[1]);
+    const target = match[3] ? downs : ups;
+    if (target.has(version)) {
+      errors.push(`Version ${version} is used by both ${target.get(version).file} and ${file}`);
+      continue;
+    }
+    target.set(version, { version, name: match[2], file, sql: fs.readFileSync(path.join(dir, file), 'utf8') });
+  }
+
+  for (const [version, down] of downs) {
+    const up = ups.get(version);
+    if (!up) errors.push(`${down.file} has no matching migration`);
+    else if (up.name !== down.name) errors.push(`${down.file} does not match ${up.file}`);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid migrations in ${dir}:\n  ${errors.join('\n  ')}`);
+  }
+
+  return [...ups.values()]
+    .sort((a, b) => a.version - b.version)
+    .map((migration) => {
+      const down = downs.get(migration.version);
+      return {
+        ...migration,
+        checksum: checksum(migration.sql),
+        down: down ? { file: down.file, sql: down.sql } : null
+      };
+    });
+}
+
+/**
+ * Compare the migration files with the applied ones
+ * @param {Object[]} migrations - From loadMigrations
+ * @param {Object[]} applied - schema_migrations rows: [{ version, name, checksum, applied_at }]
+ * @returns {Object} - { applied, pending, errors }; applied and pending are migrations, applied ones carry applied_at
+ */
+function planMigrations(migrations, applied) {
+  const byVersion = new Map(migrations.map((m) => [m.version, m]));
+  const appliedVersions = new Set(applied.map((row) => row.version));
+  const latestApplied = applied.reduce((max, row) => Math.max(max, row.version), -1);
+  const errors = [];
+
+  for (const row of applied) {
+    const migration = byVersion.get(row.version);
+    if (!migration) {
+      errors.push(`Applied migration ${row.version} (${row.name}) is missing from the migrations directory`);
+    } else if (migration.checksum !== row.checksum) {
+      errors.push(`${migration.file} was changed after it was applied; add a new migration instead`);
+    }
+  }
+
+  const pending = migrations.filter((m) => !appliedVersions.has(m.version));
+  pending
+    .filter((m) => m.version < latestApplied)
+    .forEach((m) => errors.push(`${m.file} is numbered below the latest applied migration (${latestApplied}); renumber it`));
+
+  return {
+    applied: applied
+      .filter((row) => byVersion.has(row.version))
+      .map((row) => ({ ...byVersion.get(row.version), applied_at: row.applied_at }))
+      .sort((a, b) => a.version - b.version),
+    pending,
+    errors
+  };
+}
+
+/**
+ * Create a migration runner for a database
+ * @param {Object} pool - pg Pool (or anything with connect() returning a client)
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Migrations directory
+ * @param {Function} [options.log] - Progress logger
+ * @returns {Object} - { status, up, down, baseline, check }
+ */
+function createMigrationRunner(pool, { dir = MIGRATIONS_DIR, log = console.log } = {}) {
+  // Runs fn with a client holding the migration lock, after making sure schema_migrations exists
+  async function withLock(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          checksum TEXT NOT NULL,
+          applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        )
+      `);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+      client.release();
+    }
+  }
+
+  async function getPlan(client) {
+    const migrations = loadMigrations(dir);
+    const { rows } = await client.query(`SELECT version, name, checksum, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY version`);
+    return planMigrations(migrations, rows);
+  }
+
+  // Checksum and ordering problems stop every command except status
+  function assertValid(plan) {
+    if (plan.errors.length > 0) {
+      throw new Error(`Migrations are out of sync with the database:\n  ${plan.errors.join('\n  ')}`);
+    }
+  }
+
+  async function runInTransaction(client, sql, record) {
+    await client.query('BEGIN');
+    try {
+      await client.query(sql);
+      await record();
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    }
+  }
+
+  /**
+   * @returns {Object} - { applied, pending, errors } (see planMigrations)
+   */
+  function status() {
+    return withLock(getPlan);
+  }
+
+  /**
+   * Apply pending migrations in order
+   * @param {Object} [options] - { to: highest version to apply }
+   * @returns {Object[]} - The migrations applied
+   */
+  function up({ to = Infinity } = {}) {
+    return withLock(async (client) => {
+      const plan = await getPlan(client);
+      assertValid(plan);
+
+      const applied = [];
+      for (const migration of plan.pending.filter((m) => m.version <= to)) {
+        log(`Applying ${migration.file}`);
+        try {
+          await runInTransaction(client, migration.sql, () => client.query(
+            `INSERT INTO ${MIGRATIONS_TABLE} (version, name, checksum) VALUES ($1, $2, $3)`,
+            [migration.version, migration.name, migration.checksum]
+          ));
+        } catch (err) {
+          throw new Error(`${migration.file} failed: ${err.message}`);
+        }
+        applied.push(migration);
+      }
+      return applied;
+    });
+  }
+
+  /**
+   * Roll back applied migrations, newest first, with their down scripts
+   * @param {Object} [options] - { steps: how many to roll back (default 1), to: roll back everything above this version }
+   * @returns {Object[]} - The migrations rolled back
+   */
+  function down({ steps = 1, to } = {}) {
+    return withLock(async (client) => {
+      const plan = await getPlan(client);
+      assertValid(plan);
+
+      const newestFirst = [...plan.applied].reverse();
+      const targets = to !== undefined ? newestFirst.filter((m) => m.version > to) : newestFirst.slice(0, steps);
+      const irreversible = targets.filter((m) => !m.down);
+      if (irreversible.length > 0) {
+        throw new Error(`Cannot roll back ${irreversible.map((m) => m.file).join(', ')}: no down script`);
+      }
+
+      for (const migration of targets) {
+        log(`Rolling back ${migration.file}`);
+        try {
+          await runInTransaction(client, migration.down.sql, () => client.query(
+            `DELETE FROM ${MIGRATIONS_TABLE} WHERE version = $1`,
+            [migration.version]
+          ));
+        } catch (err) {
+          throw new Error(`${migration.down.file} failed: ${err.message}`);
+        }
+      }
+      return targets;
+    });
+  }
+
+  /**
+   * Record migrations up to a version as applied without running them
+   * For databases migrated by hand before the runner existed (e.g. in the Supabase SQL editor)
+   * @param {number} to - Highest version already in the database
+   * @returns {Object[]} - The migrations recorded
+   */
+  function baseline(to) {
+    return withLock(async (client) => {
+      const plan = await getPlan(client);
+      assertValid(plan);
+
+      const recorded = plan.pending.filter((m) => m.version <= to);
+      for (const migration of recorded) {
+        await client.query(
+          `INSERT INTO ${MIGRATIONS_TABLE} (version, name, checksum) VALUES ($1, $2, $3)`,
+          [migration.version, migration.name, migration.checksum]
+        );
+        log(`Recorded ${migration.file} as applied`);
+      }
+      return recorded;
+    });
+  }
+
+  /**
+   * Apply every migration to an empty database, roll back the reversible ones and apply them again
+   * Catches migrations that fail on a fresh install and down scripts that don't undo their migration.
+   * Only for a scratch database: it refuses to run once anything has been created in the public schema.
+   * @returns {Object} - { applied, rolledBack } migrations
+   */
+  async function check() {
+    const tables = await withLock(async (client) => {
+      const { rows } = await client.query(
+        `SELECT table_name FROM information_schema.tables WHERE table_schema = 'public' AND table_name <> $1`,
+        [MIGRATIONS_TABLE]
+      );
+      const { rows: applied } = await client.query(`SELECT version FROM ${MIGRATIONS_TABLE}`);
+      return rows.map((row) => row.table_name).concat(applied.length > 0 ? [MIGRATIONS_TABLE] : []);
+    });
+    if (tables.length > 0) {
+      throw new Error(`check needs an empty database, this one has ${tables.join(', ')}`);
+    }
+
+    const applied = await up();
+    // Roll back down to the newest migration that has no down script
+    const irreversible = applied.filter((m) => !m.down);
+    const to = irreversible.length > 0 ? irreversible[irreversible.length - 1].version : -1;
+    const rolledBack = await down({ to });
+    const reapplied = await up();
+    if (reapplied.length !== rolledBack.length) {
+      throw new Error(`Rolled back ${rolledBack.length} migration(s) but re-applied ${reapplied.length}`);
+    }
+    return { applied, rolledBack };
+  }
+
+  return { status, up, down, baseline, check };
+}
+
+/**
+ * Create empty up and down files for the next migration version
+ * @returns {string[]} - The created file paths
+ */
+function createMigrationFiles(description, dir = MIGRATIONS_DIR) {
+  const name = String(description || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!name) throw new Error('A description is required, e.g. create_widgets');
+
+  const migrations = loadMigrations(dir);
+  const next = migrations.length > 0 ? migrations[migrations.length - 1].version + 1 : 0;
+  const prefix = `${String(next).padStart(3, '0')}_${name}`;
+  const upFile = path.join(dir, `${prefix}.sql`);
+  const downFile = path.join(dir, `${prefix}.down.sql`);
+  fs.writeFileSync(upFile, `-- Migration: ${description}\n-- Apply with \`npm run migrate up\` (see ENV_SETUP.md)\n\n`);
+  fs.writeFileSync(downFile, `-- Rollback: ${description}\n\n`);
+  return [upFile, downFile];
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  MIGRATIONS_TABLE,
+  checksum,
+  loadMigrations,
+  planMigrations,
+  createMigrationRunner,
+  createMigrationFiles
+};
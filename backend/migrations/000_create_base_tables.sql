@@ -0,0 +1,50 @@
+-- Migration: Create the base tables Supabase provides, for plain Postgres (STORAGE_DRIVER=postgres)
+-- On Supabase these already exist and every statement below is a no-op; run it first on any other database
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- Auth users (the postgres storage driver signs users in against this table, see local-auth.js)
+CREATE SCHEMA IF NOT EXISTS auth;
+
+CREATE TABLE IF NOT EXISTS auth.users (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    email TEXT UNIQUE,
+    encrypted_password TEXT,
+    raw_user_meta_data JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Row level security policies in later migrations call auth.uid(); outside Supabase nothing sets the JWT claim,
+-- so it returns NULL (the API connects as the table owner and bypasses RLS anyway)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_proc p JOIN pg_namespace n ON n.oid = p.pronamespace
+    WHERE n.nspname = 'auth' AND p.proname = 'uid'
+  ) THEN
+    CREATE FUNCTION auth.uid() RETURNS UUID
+    LANGUAGE sql STABLE
+    AS $fn$ SELECT NULLIF(current_setting('request.jwt.claim.sub', true), '')::uuid $fn$;
+  END IF;
+END $$;
+
+-- Profiles (one per auth user; later migrations add location, points, streak and body metric columns)
+CREATE TABLE IF NOT EXISTS profiles (
+    id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    display_name TEXT,
+    avatar_url TEXT,
+    city TEXT,
+    units TEXT DEFAULT 'km',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Strava OAuth tokens, encrypted as { access, refresh } (see strava-utils.js)
+CREATE TABLE IF NOT EXISTS strava_tokens (
+    user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    encrypted JSONB NOT NULL,
+    scope TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
@@ -10,7 +10,7 @@ CREATE TABLE IF NOT EXISTS strava_connections (
     expires_at BIGINT NOT NULL, -- Unix timestamp in milliseconds
     scope TEXT, -- OAuth scopes granted
     created_at TIMESTAMP DEFAULT NOW(),
-    updated_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
     
     -- Foreign key constraint (adjust based on your users table structure)
     -- CONSTRAINT fk_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
@@ -1,5 +1,5 @@
 -- Migration: Update profiles table to include location, streak, badges, and points
--- Run this in your Supabase SQL Editor
+-- Apply with `npm run migrate up` (see ENV_SETUP.md)
 
 -- Add new columns to profiles table
 ALTER TABLE profiles 
@@ -1,5 +1,5 @@
 -- Migration: Create activities table
--- Run this in your Supabase SQL Editor
+-- Apply with `npm run migrate up` (see ENV_SETUP.md)
 
 -- Drop constraint if it exists (in case of partial migration)
 ALTER TABLE IF EXISTS activities DROP CONSTRAINT IF EXISTS activities_user_id_fkey;
@@ -1,5 +1,5 @@
 -- Migration: Add strava_activity_id column to activities table
--- Run this in your Supabase SQL Editor
+-- Apply with `npm run migrate up` (see ENV_SETUP.md)
 
 ALTER TABLE activities
 ADD COLUMN IF NOT EXISTS strava_activity_id BIGINT;
@@ -1,5 +1,5 @@
 -- Migration: Add team_id column to profiles table
--- Run this in your Supabase SQL Editor
+-- Apply with `npm run migrate up` (see ENV_SETUP.md)
 
 -- Add team_id column to profiles table (references teams table)
 ALTER TABLE profiles 
@@ -1,5 +1,5 @@
 -- Migration: Add QC (Quality Control) columns to activities table
--- Run this in your Supabase SQL Editor
+-- Apply with `npm run migrate up` (see ENV_SETUP.md)
 
 -- Add QC columns to activities table
 ALTER TABLE activities 
@@ -0,0 +1,55 @@
+-- Migration: Create points_ledger table
+-- Apply with `npm run migrate up` (see ENV_SETUP.md)
+-- Every scoring path appends a row here; profiles.points is a cached total derived from it
+
+CREATE TABLE IF NOT EXISTS points_ledger (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  source TEXT NOT NULL CHECK (source IN ('activity', 'challenge', 'bonus')),
+  source_id TEXT, -- ID of the activity/challenge that produced this entry (if any)
+  delta INTEGER NOT NULL,
+  reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_points_ledger_user_id ON points_ledger(user_id);
+CREATE INDEX IF NOT EXISTS idx_points_ledger_source ON points_ledger(source, source_id);
+CREATE INDEX IF NOT EXISTS idx_points_ledger_created_at ON points_ledger(created_at DESC);
+
+-- The ledger is append-only: corrections are made with compensating entries, never edits
+CREATE OR REPLACE FUNCTION prevent_points_ledger_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'points_ledger is append-only; insert a compensating entry instead';
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS points_ledger_no_update ON points_ledger;
+CREATE TRIGGER points_ledger_no_update
+    BEFORE UPDATE ON points_ledger
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_points_ledger_update();
+
+-- Per-user totals used by the leaderboard and profile reconciliation
+CREATE OR REPLACE VIEW points_ledger_totals AS
+SELECT user_id, COALESCE(SUM(delta), 0)::INTEGER AS total_points
+FROM points_ledger
+GROUP BY user_id;
+
+-- Enable Row Level Security
+ALTER TABLE points_ledger ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can read their own ledger entries
+DROP POLICY IF EXISTS "Users can read own points ledger" ON points_ledger;
+CREATE POLICY "Users can read own points ledger"
+  ON points_ledger FOR SELECT
+  USING (auth.uid() = user_id);
+
+-- Note: Only the backend (service role) writes ledger entries
+
+-- Add comments for documentation
+COMMENT ON TABLE points_ledger IS 'Append-only record of every points change; source of truth for scoring';
+COMMENT ON COLUMN points_ledger.source IS 'What produced the entry: activity, challenge, or bonus';
+COMMENT ON COLUMN points_ledger.delta IS 'Signed points change (negative entries reverse earlier awards)';
+COMMENT ON COLUMN profiles.points IS 'Cached total of points_ledger.delta for this user (rebuild with npm run reconcile-points)';
@@ -0,0 +1,19 @@
+-- Migration: Add source, start time and route columns to activities table
+-- Apply with `npm run migrate up` (see ENV_SETUP.md)
+
+-- Add columns for file uploads (GPX/TCX) and imported routes
+ALTER TABLE activities
+ADD COLUMN IF NOT EXISTS source TEXT DEFAULT 'manual' CHECK (source IN ('manual', 'strava', 'file')),
+ADD COLUMN IF NOT EXISTS start_time TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS route_polyline TEXT;
+
+-- Existing Strava imports are identified by their Strava activity ID
+UPDATE activities SET source = 'strava' WHERE strava_activity_id IS NOT NULL AND source = 'manual';
+
+-- Create index for filtering by source
+CREATE INDEX IF NOT EXISTS idx_activities_source ON activities(source);
+
+-- Add comments for documentation
+COMMENT ON COLUMN activities.source IS 'Where the activity came from: manual, strava, or file (GPX/TCX upload)';
+COMMENT ON COLUMN activities.start_time IS 'Exact start time when known (Strava imports and file uploads)';
+COMMENT ON COLUMN activities.route_polyline IS 'Route encoded with the Google polyline algorithm (same format as Strava summary_polyline)';
@@ -0,0 +1,11 @@
+-- Migration: Add athlete_id to strava_tokens for webhook event routing
+-- Apply with `npm run migrate up` (see ENV_SETUP.md)
+
+ALTER TABLE strava_tokens
+ADD COLUMN IF NOT EXISTS athlete_id BIGINT;
+
+-- Webhook events identify the athlete (owner_id), not our user
+CREATE INDEX IF NOT EXISTS idx_strava_tokens_athlete_id ON strava_tokens(athlete_id);
+
+-- Add comment
+COMMENT ON COLUMN strava_tokens.athlete_id IS 'Strava athlete ID, used to match webhook events to the connected user';
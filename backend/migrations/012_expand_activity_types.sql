@@ -0,0 +1,11 @@
+-- Migration: Expand activity types beyond run/walk/workout
+-- Apply with `npm run migrate up` (see ENV_SETUP.md)
+
+-- Replace the type constraint from migration 005 with the full activity type catalog (see activity-types.js)
+ALTER TABLE activities DROP CONSTRAINT IF EXISTS activities_type_check;
+ALTER TABLE activities
+ADD CONSTRAINT activities_type_check
+CHECK (type IN ('run', 'walk', 'hike', 'bike', 'swim', 'yoga', 'workout', 'other'));
+
+-- Add comment
+COMMENT ON COLUMN activities.type IS 'Activity type: run, walk, hike, bike, swim, yoga, workout, or other';
@@ -0,0 +1,24 @@
+-- Migration: Add body metrics to profiles and personal calorie estimates to activities
+-- Apply with `npm run migrate up` (see ENV_SETUP.md)
+
+-- Optional body metrics used for personal calorie estimates (never for points)
+ALTER TABLE profiles
+ADD COLUMN IF NOT EXISTS weight_kg DOUBLE PRECISION CHECK (weight_kg IS NULL OR weight_kg BETWEEN 20 AND 350),
+ADD COLUMN IF NOT EXISTS age INTEGER CHECK (age IS NULL OR age BETWEEN 10 AND 120),
+ADD COLUMN IF NOT EXISTS sex TEXT CHECK (sex IS NULL OR sex IN ('male', 'female')),
+ADD COLUMN IF NOT EXISTS resting_heart_rate INTEGER CHECK (resting_heart_rate IS NULL OR resting_heart_rate BETWEEN 25 AND 120);
+
+-- Heart rate and personal calorie estimate per activity
+ALTER TABLE activities
+ADD COLUMN IF NOT EXISTS average_heartrate DOUBLE PRECISION,
+ADD COLUMN IF NOT EXISTS calories INTEGER,
+ADD COLUMN IF NOT EXISTS calorie_method TEXT CHECK (calorie_method IS NULL OR calorie_method IN ('met', 'heart_rate'));
+
+-- Add comments for documentation
+COMMENT ON COLUMN profiles.weight_kg IS 'Body weight in kg for personal calorie estimates (points use a fixed reference weight)';
+COMMENT ON COLUMN profiles.age IS 'Age in years for heart-rate calorie estimates';
+COMMENT ON COLUMN profiles.sex IS 'male or female, for heart-rate calorie estimates';
+COMMENT ON COLUMN profiles.resting_heart_rate IS 'Resting heart rate in bpm';
+COMMENT ON COLUMN activities.average_heartrate IS 'Average heart rate in bpm (Strava imports, file uploads, or entered manually)';
+COMMENT ON COLUMN activities.calories IS 'Personal calorie estimate from the user''s body metrics at the time of logging';
+COMMENT ON COLUMN activities.calorie_method IS 'How calories were estimated: met (activity type and weight) or heart_rate';
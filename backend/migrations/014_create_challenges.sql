@@ -0,0 +1,63 @@
+-- Migration: Create challenges and challenge_participants tables
+-- Apply with `npm run migrate up` (see ENV_SETUP.md)
+
+CREATE TABLE IF NOT EXISTS challenges (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    created_by UUID, -- User who created the challenge
+    metric TEXT NOT NULL CHECK (metric IN ('distance_km', 'duration_minutes', 'activity_count', 'active_days', 'points')),
+    target DOUBLE PRECISION NOT NULL CHECK (target > 0),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    activity_types TEXT[], -- NULL means every activity type counts
+    scope TEXT NOT NULL DEFAULT 'individual' CHECK (scope IN ('individual', 'team')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT challenges_dates_check CHECK (start_date <= end_date),
+    CONSTRAINT fk_challenge_creator FOREIGN KEY (created_by) REFERENCES auth.users(id) ON DELETE SET NULL
+);
+
+-- Enrollment (team_id is the team a member competes for in team-scope challenges)
+CREATE TABLE IF NOT EXISTS challenge_participants (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    challenge_id UUID NOT NULL,
+    user_id UUID NOT NULL,
+    team_id UUID,
+    joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- Ensure a user can only join a challenge once
+    UNIQUE(challenge_id, user_id),
+
+    CONSTRAINT fk_challenge FOREIGN KEY (challenge_id) REFERENCES challenges(id) ON DELETE CASCADE,
+    CONSTRAINT fk_participant_user FOREIGN KEY (user_id) REFERENCES auth.users(id) ON DELETE CASCADE,
+    CONSTRAINT fk_participant_team FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE
+);
+
+-- Indexes for faster lookups
+CREATE INDEX IF NOT EXISTS idx_challenges_dates ON challenges(start_date, end_date);
+CREATE INDEX IF NOT EXISTS idx_challenges_created_by ON challenges(created_by);
+CREATE INDEX IF NOT EXISTS idx_challenge_participants_challenge_id ON challenge_participants(challenge_id);
+CREATE INDEX IF NOT EXISTS idx_challenge_participants_user_id ON challenge_participants(user_id);
+
+-- Trigger to automatically update updated_at
+CREATE OR REPLACE FUNCTION update_challenges_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_challenges_updated_at ON challenges;
+CREATE TRIGGER update_challenges_updated_at
+    BEFORE UPDATE ON challenges
+    FOR EACH ROW
+    EXECUTE FUNCTION update_challenges_updated_at();
+
+-- Add comments for documentation
+COMMENT ON TABLE challenges IS 'Time-boxed goals; progress is computed from activities inside start_date..end_date';
+COMMENT ON COLUMN challenges.metric IS 'Goal metric: distance_km, duration_minutes, activity_count, active_days, or points';
+COMMENT ON COLUMN challenges.activity_types IS 'Activity types that count toward the goal (NULL = all)';
+COMMENT ON COLUMN challenge_participants.team_id IS 'Team the member competes for in team-scope challenges';
@@ -0,0 +1,22 @@
+-- Migration: Store badge awards with their award date
+-- Apply with `npm run migrate up` (see ENV_SETUP.md)
+
+-- Badges are now awarded by the backend badge engine as [{ "id": "streak_7", "awarded_at": "..." }]
+-- Convert any legacy plain badge IDs to the new shape (award date unknown)
+UPDATE profiles
+SET badges = (
+  SELECT COALESCE(jsonb_agg(
+    CASE WHEN jsonb_typeof(badge) = 'string'
+      THEN jsonb_build_object('id', badge #>> '{}', 'awarded_at', NULL)
+      ELSE badge
+    END
+  ), '[]'::jsonb)
+  FROM jsonb_array_elements(profiles.badges) AS badge
+)
+WHERE jsonb_typeof(badges) = 'array'
+  AND EXISTS (SELECT 1 FROM jsonb_array_elements(profiles.badges) AS badge WHERE jsonb_typeof(badge) = 'string');
+
+UPDATE profiles SET badges = '[]'::jsonb WHERE badges IS NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN profiles.badges IS 'Badges awarded by the server badge engine: JSON array of { id, awarded_at }';
@@ -0,0 +1,15 @@
+-- Migration: Add time zone and longest streak to profiles
+-- Apply with `npm run migrate up` (see ENV_SETUP.md)
+
+-- Streaks are evaluated in the user's local time zone (IANA name, e.g. 'America/New_York'; NULL means UTC)
+ALTER TABLE profiles
+ADD COLUMN IF NOT EXISTS time_zone TEXT,
+ADD COLUMN IF NOT EXISTS longest_streak INTEGER DEFAULT 0;
+
+-- Index for the streak expiry job, which only looks at active streaks
+CREATE INDEX IF NOT EXISTS idx_profiles_active_streak ON profiles(streak) WHERE streak > 0;
+
+-- Add comments for documentation
+COMMENT ON COLUMN profiles.time_zone IS 'IANA time zone streaks are evaluated in (NULL = UTC)';
+COMMENT ON COLUMN profiles.longest_streak IS 'Longest run of consecutive active days, rebuilt from activity history';
+COMMENT ON COLUMN profiles.streak IS 'Current run of consecutive active days ending today or yesterday in the user''s time zone';
@@ -0,0 +1,33 @@
+-- Migration: Add streak freezes and planned rest days
+-- Apply with `npm run migrate up` (see ENV_SETUP.md)
+
+-- Streak freeze tokens held (earned every 7 streak days or bought with points; the backend caps this at 2)
+ALTER TABLE profiles
+ADD COLUMN IF NOT EXISTS streak_freezes INTEGER DEFAULT 0 CHECK (streak_freezes >= 0);
+
+-- Days that keep a streak alive without counting toward it
+-- rest: planned ahead by the user; freeze: a missed day covered by spending a streak freeze
+CREATE TABLE IF NOT EXISTS streak_days_off (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL,
+    date DATE NOT NULL,
+    kind TEXT NOT NULL CHECK (kind IN ('rest', 'freeze')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- At most one day off per user per date
+    UNIQUE(user_id, date),
+
+    CONSTRAINT fk_streak_day_off_user FOREIGN KEY (user_id) REFERENCES auth.users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_streak_days_off_user_date ON streak_days_off(user_id, date);
+
+-- Buying a freeze spends points through the ledger
+ALTER TABLE points_ledger DROP CONSTRAINT IF EXISTS points_ledger_source_check;
+ALTER TABLE points_ledger ADD CONSTRAINT points_ledger_source_check
+    CHECK (source IN ('activity', 'challenge', 'bonus', 'streak_freeze'));
+
+-- Add comments for documentation
+COMMENT ON COLUMN profiles.streak_freezes IS 'Streak freeze tokens held; spent automatically to cover missed days';
+COMMENT ON TABLE streak_days_off IS 'Rest days and frozen days that bridge gaps in a streak without adding to it';
+COMMENT ON COLUMN points_ledger.source IS 'What produced the entry: activity, challenge, bonus, or streak_freeze (purchase)';
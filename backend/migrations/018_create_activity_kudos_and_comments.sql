@@ -0,0 +1,39 @@
+-- Migration: Create activity_kudos and activity_comments tables
+-- Apply with `npm run migrate up` (see ENV_SETUP.md)
+
+-- Kudos: one per user per activity
+CREATE TABLE IF NOT EXISTS activity_kudos (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    activity_id UUID NOT NULL,
+    user_id UUID NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- Ensure a user can only give kudos to an activity once
+    UNIQUE(activity_id, user_id),
+
+    CONSTRAINT fk_kudos_activity FOREIGN KEY (activity_id) REFERENCES activities(id) ON DELETE CASCADE,
+    CONSTRAINT fk_kudos_user FOREIGN KEY (user_id) REFERENCES auth.users(id) ON DELETE CASCADE
+);
+
+-- Comments: parent_id makes a reply; deleting a comment deletes its replies
+CREATE TABLE IF NOT EXISTS activity_comments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    activity_id UUID NOT NULL,
+    user_id UUID NOT NULL,
+    parent_id UUID,
+    body TEXT NOT NULL CHECK (char_length(body) BETWEEN 1 AND 1000),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT fk_comment_activity FOREIGN KEY (activity_id) REFERENCES activities(id) ON DELETE CASCADE,
+    CONSTRAINT fk_comment_user FOREIGN KEY (user_id) REFERENCES auth.users(id) ON DELETE CASCADE,
+    CONSTRAINT fk_comment_parent FOREIGN KEY (parent_id) REFERENCES activity_comments(id) ON DELETE CASCADE
+);
+
+-- Indexes for faster lookups
+CREATE INDEX IF NOT EXISTS idx_activity_kudos_activity_id ON activity_kudos(activity_id);
+CREATE INDEX IF NOT EXISTS idx_activity_comments_activity_id ON activity_comments(activity_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_activities_user_created_at ON activities(user_id, created_at DESC);
+
+-- Add comments for documentation
+COMMENT ON TABLE activity_kudos IS 'Kudos given to activities by friends and teammates';
+COMMENT ON TABLE activity_comments IS 'Threaded comments on activities (parent_id is the comment being replied to)';
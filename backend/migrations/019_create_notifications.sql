@@ -0,0 +1,32 @@
+-- Migration: Create notifications table
+-- Apply with `npm run migrate up` (see ENV_SETUP.md)
+
+CREATE TABLE IF NOT EXISTS notifications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL, -- Recipient
+    actor_id UUID, -- User who caused the notification (NULL for badges and challenge results)
+    type TEXT NOT NULL CHECK (type IN (
+        'friend_request', 'friend_accepted', 'team_join', 'team_leave',
+        'kudos', 'comment', 'badge', 'challenge_completed'
+    )),
+    message TEXT NOT NULL,
+    link TEXT,
+    entity_id TEXT,
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT fk_notification_user FOREIGN KEY (user_id) REFERENCES auth.users(id) ON DELETE CASCADE,
+    CONSTRAINT fk_notification_actor FOREIGN KEY (actor_id) REFERENCES auth.users(id) ON DELETE CASCADE
+);
+
+-- Indexes for the list and unread count queries
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created_at ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_user_unread ON notifications(user_id) WHERE read_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_notifications_entity ON notifications(user_id, type, entity_id);
+
+-- Add comments for documentation
+COMMENT ON TABLE notifications IS 'In-app notifications (friend requests, team joins, kudos, comments, badges, challenge results)';
+COMMENT ON COLUMN notifications.message IS 'Text shown after the actor display name, or on its own when actor_id is NULL';
+COMMENT ON COLUMN notifications.link IS 'Frontend route opened when the notification is clicked';
+COMMENT ON COLUMN notifications.entity_id IS 'ID of the friend request, team, activity, badge or challenge behind the notification';
+COMMENT ON COLUMN notifications.read_at IS 'When the recipient read it (NULL = unread)';
@@ -0,0 +1,13 @@
+-- Rollback: Add team visibility, invite codes and join requests
+
+DELETE FROM notifications WHERE type IN ('team_join_request', 'team_request_approved', 'team_request_denied');
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check CHECK (type IN (
+    'friend_request', 'friend_accepted', 'team_join', 'team_leave',
+    'kudos', 'comment', 'badge', 'challenge_completed'
+));
+
+DROP TABLE IF EXISTS team_join_requests;
+DROP FUNCTION IF EXISTS update_team_join_requests_updated_at();
+DROP TABLE IF EXISTS team_invites;
+ALTER TABLE teams DROP COLUMN IF EXISTS visibility;
@@ -0,0 +1,73 @@
+-- Migration: Add team visibility, invite codes and join requests
+-- Apply with `npm run migrate up` (see ENV_SETUP.md)
+
+-- Who can join: anyone (open), members approve a request (request), or only with an invite (invite)
+ALTER TABLE teams
+ADD COLUMN IF NOT EXISTS visibility TEXT NOT NULL DEFAULT 'open' CHECK (visibility IN ('open', 'request', 'invite'));
+
+-- Invite codes, shared as links; any of them lets its holder join regardless of visibility
+CREATE TABLE IF NOT EXISTS team_invites (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    team_id UUID NOT NULL,
+    code TEXT NOT NULL UNIQUE,
+    created_by UUID,
+    expires_at TIMESTAMP WITH TIME ZONE, -- NULL means it never expires
+    max_uses INTEGER CHECK (max_uses IS NULL OR max_uses > 0), -- NULL means unlimited
+    use_count INTEGER NOT NULL DEFAULT 0,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT fk_invite_team FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+    CONSTRAINT fk_invite_creator FOREIGN KEY (created_by) REFERENCES auth.users(id) ON DELETE SET NULL
+);
+
+-- Requests to join 'request' teams, approved or denied by the team's owner and admins
+CREATE TABLE IF NOT EXISTS team_join_requests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    team_id UUID NOT NULL,
+    user_id UUID NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'denied')),
+    message TEXT,
+    reviewed_by UUID,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- One request per user and team; asking again after a denial reopens it
+    UNIQUE(team_id, user_id),
+
+    CONSTRAINT fk_join_request_team FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+    CONSTRAINT fk_join_request_user FOREIGN KEY (user_id) REFERENCES auth.users(id) ON DELETE CASCADE,
+    CONSTRAINT fk_join_request_reviewer FOREIGN KEY (reviewed_by) REFERENCES auth.users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_invites_team_id ON team_invites(team_id);
+CREATE INDEX IF NOT EXISTS idx_team_join_requests_pending ON team_join_requests(team_id) WHERE status = 'pending';
+
+-- Trigger to automatically update updated_at
+CREATE OR REPLACE FUNCTION update_team_join_requests_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_team_join_requests_updated_at ON team_join_requests;
+CREATE TRIGGER update_team_join_requests_updated_at
+    BEFORE UPDATE ON team_join_requests
+    FOR EACH ROW
+    EXECUTE FUNCTION update_team_join_requests_updated_at();
+
+-- Notify owners/admins of requests and requesters of the decision
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check CHECK (type IN (
+    'friend_request', 'friend_accepted', 'team_join', 'team_leave',
+    'team_join_request', 'team_request_approved', 'team_request_denied',
+    'kudos', 'comment', 'badge', 'challenge_completed'
+));
+
+-- Add comments for documentation
+COMMENT ON COLUMN teams.visibility IS 'open: anyone joins; request: owner/admin approves join requests; invite: invite code only, hidden from non-members';
+COMMENT ON TABLE team_invites IS 'Invite codes for joining a team; usable until expired, used up or revoked';
+COMMENT ON TABLE team_join_requests IS 'Requests to join request-visibility teams';
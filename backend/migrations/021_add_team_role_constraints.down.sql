@@ -0,0 +1,13 @@
+-- Rollback: Enforce team roles and a single owner per team
+
+DELETE FROM notifications WHERE type IN ('team_role_changed', 'team_member_removed', 'team_ownership_transferred');
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check CHECK (type IN (
+    'friend_request', 'friend_accepted', 'team_join', 'team_leave',
+    'team_join_request', 'team_request_approved', 'team_request_denied',
+    'kudos', 'comment', 'badge', 'challenge_completed'
+));
+
+DROP INDEX IF EXISTS idx_team_members_one_owner;
+ALTER TABLE team_members DROP CONSTRAINT IF EXISTS team_members_role_check;
+ALTER TABLE team_members ALTER COLUMN role DROP NOT NULL;
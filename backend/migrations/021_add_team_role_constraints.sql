@@ -0,0 +1,21 @@
+-- Migration: Enforce team roles and a single owner per team
+-- Apply with `npm run migrate up` (see ENV_SETUP.md)
+
+-- Roles were free text; anything unexpected becomes a plain member
+UPDATE team_members SET role = 'member' WHERE role IS NULL OR role NOT IN ('owner', 'admin', 'member');
+
+ALTER TABLE team_members ALTER COLUMN role SET NOT NULL;
+ALTER TABLE team_members DROP CONSTRAINT IF EXISTS team_members_role_check;
+ALTER TABLE team_members ADD CONSTRAINT team_members_role_check CHECK (role IN ('owner', 'admin', 'member'));
+
+-- Exactly one owner per team; ownership transfers demote the old owner before promoting the new one
+CREATE UNIQUE INDEX IF NOT EXISTS idx_team_members_one_owner ON team_members(team_id) WHERE role = 'owner';
+
+-- Notify members of role changes, removals and ownership transfers
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check CHECK (type IN (
+    'friend_request', 'friend_accepted', 'team_join', 'team_leave',
+    'team_join_request', 'team_request_approved', 'team_request_denied',
+    'team_role_changed', 'team_member_removed', 'team_ownership_transferred',
+    'kudos', 'comment', 'badge', 'challenge_completed'
+));
@@ -0,0 +1,4 @@
+-- Rollback: Add start coordinates to activities for the activity map
+
+DROP INDEX IF EXISTS idx_activities_start_location;
+ALTER TABLE activities DROP COLUMN IF EXISTS start_lat, DROP COLUMN IF EXISTS start_lng;
@@ -0,0 +1,15 @@
+-- Migration: Add start coordinates to activities for the activity map
+-- Apply with `npm run migrate up` (see ENV_SETUP.md)
+
+-- Where the activity started: Strava start_latlng, or the first track point of a GPX/TCX upload
+-- Manually logged activities leave these NULL and are placed at the owner's location on the map
+ALTER TABLE activities
+ADD COLUMN IF NOT EXISTS start_lat DOUBLE PRECISION CHECK (start_lat BETWEEN -90 AND 90),
+ADD COLUMN IF NOT EXISTS start_lng DOUBLE PRECISION CHECK (start_lng BETWEEN -180 AND 180);
+
+-- Bounding-box queries from GET /activity-map
+CREATE INDEX IF NOT EXISTS idx_activities_start_location ON activities(start_lat, start_lng) WHERE start_lat IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN activities.start_lat IS 'Latitude where the activity started (Strava start_latlng or first GPX/TCX track point)';
+COMMENT ON COLUMN activities.start_lng IS 'Longitude where the activity started (Strava start_latlng or first GPX/TCX track point)';
@@ -0,0 +1,6 @@
+-- Rollback: Add activity visibility and privacy zones
+
+DROP TABLE IF EXISTS privacy_zones;
+DROP INDEX IF EXISTS idx_activities_visibility_date;
+ALTER TABLE activities DROP COLUMN IF EXISTS visibility;
+ALTER TABLE profiles DROP COLUMN IF EXISTS default_activity_visibility;
@@ -0,0 +1,35 @@
+-- Migration: Add activity visibility and privacy zones
+-- Apply with `npm run migrate up` (see ENV_SETUP.md)
+
+-- Who sees an activity on the map, in feeds and in activity lists (the owner always does)
+-- public: everyone; friends: friends only; team: people sharing a team with the owner; private: only the owner
+ALTER TABLE profiles
+ADD COLUMN IF NOT EXISTS default_activity_visibility TEXT NOT NULL DEFAULT 'public'
+    CHECK (default_activity_visibility IN ('public', 'friends', 'team', 'private'));
+
+-- Set from the owner's default when the activity is stored; changing the default doesn't touch existing activities
+ALTER TABLE activities
+ADD COLUMN IF NOT EXISTS visibility TEXT NOT NULL DEFAULT 'public'
+    CHECK (visibility IN ('public', 'friends', 'team', 'private'));
+
+CREATE INDEX IF NOT EXISTS idx_activities_visibility_date ON activities(visibility, date DESC);
+
+-- Circles around places like home; route points inside them are trimmed from the start and end of routes shown to others
+CREATE TABLE IF NOT EXISTS privacy_zones (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL,
+    label TEXT,
+    lat DOUBLE PRECISION NOT NULL CHECK (lat BETWEEN -90 AND 90),
+    lng DOUBLE PRECISION NOT NULL CHECK (lng BETWEEN -180 AND 180),
+    radius_m INTEGER NOT NULL CHECK (radius_m BETWEEN 100 AND 2000),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT fk_privacy_zone_user FOREIGN KEY (user_id) REFERENCES auth.users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_privacy_zones_user_id ON privacy_zones(user_id);
+
+-- Add comments for documentation
+COMMENT ON COLUMN profiles.default_activity_visibility IS 'Visibility given to newly stored activities: public, friends, team or private';
+COMMENT ON COLUMN activities.visibility IS 'public, friends, team (people sharing a team with the owner) or private';
+COMMENT ON TABLE privacy_zones IS 'Areas hidden from the start and end of routes shown to other users';
@@ -0,0 +1,6 @@
+-- Rollback: Add canonical city IDs to profiles and teams
+
+DROP INDEX IF EXISTS idx_teams_city_id;
+DROP INDEX IF EXISTS idx_profiles_city_id;
+ALTER TABLE teams DROP COLUMN IF EXISTS city_id;
+ALTER TABLE profiles DROP COLUMN IF EXISTS city_id;
@@ -0,0 +1,15 @@
+-- Migration: Add canonical city IDs to profiles and teams
+-- Apply with `npm run migrate up` (see ENV_SETUP.md)
+
+-- IDs from the bundled gazetteer (backend/data/cities.json), e.g. 'us-ny-new-york'
+-- NULL when the city text isn't a known city; existing rows are filled in by `npm run backfill-cities`
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS city_id TEXT;
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS city_id TEXT;
+
+-- City leaderboard grouping
+CREATE INDEX IF NOT EXISTS idx_profiles_city_id ON profiles(city_id) WHERE city_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_teams_city_id ON teams(city_id) WHERE city_id IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN profiles.city_id IS 'Canonical city ID from backend/data/cities.json; NULL when the city is unknown';
+COMMENT ON COLUMN teams.city_id IS 'Canonical city ID from backend/data/cities.json; NULL when the city is unknown';
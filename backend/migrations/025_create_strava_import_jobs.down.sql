@@ -0,0 +1,5 @@
+-- Rollback: Create Strava import jobs
+
+DROP TRIGGER IF EXISTS update_strava_import_jobs_updated_at ON strava_import_jobs;
+DROP FUNCTION IF EXISTS update_strava_import_jobs_updated_at();
+DROP TABLE IF EXISTS strava_import_jobs;
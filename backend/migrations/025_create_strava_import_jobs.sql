@@ -0,0 +1,53 @@
+-- Migration: Create Strava import jobs
+-- Apply with `npm run migrate up` (see ENV_SETUP.md)
+
+-- A history import, fetched one page of activities at a time; progress is saved after every page so a job
+-- interrupted by a crash or a function timeout picks up where it left off
+CREATE TABLE IF NOT EXISTS strava_import_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL,
+    status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+    after_date DATE, -- Only activities on or after this date (NULL: from the start)
+    before_date DATE, -- Only activities on or before this date (NULL: up to now)
+    estimated_total INTEGER, -- Rough size of a full-history import, for progress; NULL when unknown or for a date range
+    next_page INTEGER NOT NULL DEFAULT 1,
+    pages_fetched INTEGER NOT NULL DEFAULT 0,
+    activities_found INTEGER NOT NULL DEFAULT 0,
+    imported INTEGER NOT NULL DEFAULT 0,
+    skipped INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,
+    page_attempts INTEGER NOT NULL DEFAULT 0, -- Failed tries at next_page; the job fails after too many
+    last_error TEXT,
+    locked_until TIMESTAMP WITH TIME ZONE, -- Held by a worker until then, or waiting to retry a failed page
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CHECK (after_date IS NULL OR before_date IS NULL OR after_date <= before_date),
+
+    CONSTRAINT fk_strava_import_job_user FOREIGN KEY (user_id) REFERENCES auth.users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_strava_import_jobs_user_created ON strava_import_jobs(user_id, created_at DESC);
+-- One unfinished import per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_strava_import_jobs_active_user ON strava_import_jobs(user_id) WHERE status IN ('queued', 'running');
+
+-- Trigger to automatically update updated_at
+CREATE OR REPLACE FUNCTION update_strava_import_jobs_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_strava_import_jobs_updated_at ON strava_import_jobs;
+CREATE TRIGGER update_strava_import_jobs_updated_at
+    BEFORE UPDATE ON strava_import_jobs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_strava_import_jobs_updated_at();
+
+-- Add comments for documentation
+COMMENT ON TABLE strava_import_jobs IS 'Resumable Strava history imports with per-page progress';
+COMMENT ON COLUMN strava_import_jobs.locked_until IS 'Lease of the worker running the job, or when a failed page may be retried';
@@ -0,0 +1,4 @@
+-- Rollback: Add daily points and activity totals for windowed leaderboards
+
+DROP VIEW IF EXISTS activity_daily_counts;
+DROP VIEW IF EXISTS points_ledger_daily_totals;
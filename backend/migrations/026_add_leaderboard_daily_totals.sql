@@ -0,0 +1,19 @@
+-- Migration: Add daily points and activity totals for windowed leaderboards
+-- Apply with `npm run migrate up` (see ENV_SETUP.md)
+-- Leaderboards sum these per-user, per-day rows instead of reading every ledger entry or activity in a window
+
+-- Points by the UTC day the ledger entry was written (leaderboard windows are UTC dates)
+CREATE OR REPLACE VIEW points_ledger_daily_totals AS
+SELECT user_id, (created_at AT TIME ZONE 'UTC')::DATE AS date, COALESCE(SUM(delta), 0)::INTEGER AS total_points
+FROM points_ledger
+GROUP BY user_id, (created_at AT TIME ZONE 'UTC')::DATE;
+
+-- Activities by their (local) activity date, for team activity counts
+CREATE OR REPLACE VIEW activity_daily_counts AS
+SELECT user_id, date, COUNT(*)::INTEGER AS activity_count
+FROM activities
+GROUP BY user_id, date;
+
+-- Add comments for documentation
+COMMENT ON VIEW points_ledger_daily_totals IS 'Per-user points_ledger totals per UTC day; windowed leaderboards sum these';
+COMMENT ON VIEW activity_daily_counts IS 'Per-user activity counts per activity date; team leaderboards sum these';
@@ -0,0 +1,3 @@
+-- Rollback: Create Strava webhook events
+
+DROP TABLE IF EXISTS strava_webhook_events;
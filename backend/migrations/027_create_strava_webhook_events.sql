@@ -0,0 +1,29 @@
+-- Migration: Create Strava webhook events
+-- Apply with `npm run migrate up` (see ENV_SETUP.md)
+
+-- Events from the Strava push subscription, stored before the webhook responds (Strava wants a 200 within
+-- 2 seconds) and processed afterwards; failed events are retried until they succeed or run out of attempts
+CREATE TABLE IF NOT EXISTS strava_webhook_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    subscription_id BIGINT,
+    object_type TEXT NOT NULL, -- 'activity' or 'athlete'
+    object_id BIGINT NOT NULL, -- Strava activity or athlete ID
+    aspect_type TEXT NOT NULL, -- 'create', 'update' or 'delete'
+    owner_id BIGINT NOT NULL, -- Strava athlete ID
+    updates JSONB NOT NULL DEFAULT '{}'::jsonb,
+    event_time BIGINT, -- When Strava says the event happened (epoch seconds)
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0, -- Failed tries; the event fails after too many
+    result JSONB, -- What processing did, e.g. { "action": "imported", "activityId": ... }
+    last_error TEXT,
+    locked_until TIMESTAMP WITH TIME ZONE, -- Held by a worker until then, or waiting to be retried
+    processed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Pending events are processed oldest first
+CREATE INDEX IF NOT EXISTS idx_strava_webhook_events_pending ON strava_webhook_events(created_at) WHERE status = 'pending';
+
+-- Add comments for documentation
+COMMENT ON TABLE strava_webhook_events IS 'Strava push subscription events, acknowledged on receipt and processed asynchronously';
+COMMENT ON COLUMN strava_webhook_events.locked_until IS 'Lease of the worker processing the event, or when a failed event may be retried';
@@ -0,0 +1,82 @@
+/**
+ * Notifications module
+ * In-app notifications are rows in the notifications table; handlers create them as a side effect,
+ * so a failure here is logged and never fails the request that triggered it
+ */
+
+const NOTIFICATION_TYPES = [
+  'friend_request',
+  'friend_accepted',
+  'team_join',
+  'team_leave',
+  'team_join_request',
+  'team_request_approved',
+  'team_request_denied',
+  'team_role_changed',
+  'team_member_removed',
+  'team_ownership_transferred',
+  'kudos',
+  'comment',
+  'badge',
+  'challenge_completed'
+];
+
+const NOTIFICATIONS_DEFAULT_LIMIT = 20;
+const NOTIFICATIONS_MAX_LIMIT = 50;
+
+/**
+ * Create notifications
+ * Entries addressed to their own actor (e.g. replying to your own comment) are skipped
+ * @param {Object} storage - Storage layer (see storage.js)
+ * @param {Object[]} notifications - Notifications to create
+ * @param {string} notifications[].userId - Recipient
+ * @param {string} notifications[].type - One of NOTIFICATION_TYPES
+ * @param {string} notifications[].message - Text shown after the actor's name (or on its own when there is no actor)
+ * @param {string} [notifications[].actorId] - User who caused the notification
+ * @param {string} [notifications[].link] - Frontend route to open, e.g. '/friends'
+ * @param {string|number} [notifications[].entityId] - ID of the request/team/activity/badge/challenge behind it
+ * @returns {number} - Notifications created
+ */
+async function createNotifications(storage, notifications) {
+  const rows = (notifications || [])
+    .filter((n) => n && n.userId && n.userId !== n.actorId)
+    .filter((n) => {
+      if (NOTIFICATION_TYPES.includes(n.type)) return true;
+      console.error(`[NOTIFICATIONS] Skipping notification with invalid type: ${n.type}`);
+      return false;
+    })
+    .map((n) => ({
+      user_id: n.userId,
+      actor_id: n.actorId || null,
+      type: n.type,
+      message: n.message,
+      link: n.link || null,
+      entity_id: n.entityId !== undefined && n.entityId !== null ? String(n.entityId) : null
+    }));
+  if (rows.length === 0) return 0;
+
+  try {
+    await storage.notifications.insert(rows);
+    return rows.length;
+  } catch (err) {
+    console.error('[NOTIFICATIONS] Error creating notifications:', err);
+    return 0;
+  }
+}
+
+/**
+ * Clamp a requested page size to the notification limits
+ */
+function resolveNotificationsLimit(limit) {
+  const value = parseInt(limit, 10);
+  if (!value || value < 1) return NOTIFICATIONS_DEFAULT_LIMIT;
+  return Math.min(value, NOTIFICATIONS_MAX_LIMIT);
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  NOTIFICATIONS_DEFAULT_LIMIT,
+  NOTIFICATIONS_MAX_LIMIT,
+  createNotifications,
+  resolveNotificationsLimit
+};
@@ -0,0 +1,159 @@
+/**
+ * Points ledger module
+ * Every scoring path appends entries here; profile totals and leaderboards are derived from it
+ */
+
+const LEDGER_SOURCES = ['activity', 'challenge', 'bonus', 'streak_freeze'];
+
+/**
+ * Append an entry to the points ledger
+ * @param {Object} storage - Storage layer (see storage.js)
+ * @param {Object} entry - Ledger entry
+ * @param {string} entry.userId - User who gains or loses the points
+ * @param {string} entry.source - One of LEDGER_SOURCES
+ * @param {string|number} [entry.sourceId] - ID of the activity/challenge behind the entry
+ * @param {number} entry.delta - Signed points change
+ * @param {string} [entry.reason] - Human-readable reason
+ * @returns {Object|null} - The inserted row, or null if delta was zero
+ */
+async function recordPointsEntry(storage, { userId, source, sourceId = null, delta, reason = null }) {
+  if (!LEDGER_SOURCES.includes(source)) {
+    throw new Error(`Invalid ledger source: ${source}. Valid sources: ${LEDGER_SOURCES.join(', ')}`);
+  }
+  if (!delta) return null;
+
+  try {
+    return await storage.pointsLedger.insert({
+      user_id: userId,
+      source,
+      source_id: sourceId !== null ? String(sourceId) : null,
+      delta: Math.round(delta),
+      reason
+    });
+  } catch (err) {
+    console.error('[LEDGER] Error recording points entry:', err);
+    throw err;
+  }
+}
+
+/**
+ * Get ledger totals per user
+ * @param {Object} storage - Storage layer
+ * @param {string[]} [userIds] - Restrict to these users (all users when omitted)
+ * @returns {Object} - Map of user_id -> total points
+ */
+async function getLedgerTotals(storage, userIds = null) {
+  const rows = await storage.pointsLedgerTotals.findAll(
+    userIds ? { user_id: { in: userIds } } : {},
+    { columns: 'user_id, total_points', key: 'user_id' }
+  );
+
+  const totals = {};
+  rows.forEach((row) => {
+    totals[row.user_id] = row.total_points || 0;
+  });
+  return totals;
+}
+
+/**
+ * Get ledger totals per user for entries written in a date range
+ * Summed from the per-day totals view, so the read grows with active users and days rather than entries
+ * @param {Object} storage - Storage layer
+ * @param {string} start - First UTC date (YYYY-MM-DD), inclusive
+ * @param {string} end - Last UTC date (YYYY-MM-DD), inclusive
+ * @returns {Object} - Map of user_id -> points earned in the range
+ */
+async function getLedgerTotalsBetween(storage, start, end) {
+  const rows = await storage.pointsLedgerDailyTotals.findAll(
+    { date: { gte: start, lte: end } },
+    { columns: 'user_id, total_points', order: { column: 'user_id', ascending: true }, key: 'date' }
+  );
+
+  const totals = {};
+  rows.forEach((row) => {
+    totals[row.user_id] = (totals[row.user_id] || 0) + (row.total_points || 0);
+  });
+  return totals;
+}
+
+/**
+ * Rewrite a user's cached profiles.points from the ledger
+ * @param {Object} storage - Storage layer
+ * @param {string} userId - User to sync
+ * @returns {number} - The ledger total written to the profile
+ */
+async function syncProfilePoints(storage, userId) {
+  const totals = await getLedgerTotals(storage, [userId]);
+  const total = totals[userId] || 0;
+
+  try {
+    await storage.profiles.update({ id: userId }, { points: total });
+  } catch (err) {
+    console.error(`[LEDGER] Error syncing profile points for ${userId}:`, err);
+  }
+  return total;
+}
+
+/**
+ * Append ledger entries for activities that predate the ledger
+ * @param {Object} storage - Storage layer
+ * @returns {number} - Number of entries created
+ */
+async function backfillActivityEntries(storage) {
+  const activities = await storage.activities.find({}, { columns: 'id, user_id, type, points_earned' });
+  const existing = await storage.pointsLedger.find({ source: 'activity' }, { columns: 'source_id' });
+
+  const recorded = new Set(existing.map((row) => row.source_id));
+  let created = 0;
+  for (const activity of activities) {
+    if (recorded.has(String(activity.id)) || !activity.points_earned) continue;
+    await recordPointsEntry(storage, {
+      userId: activity.user_id,
+      source: 'activity',
+      sourceId: activity.id,
+      delta: activity.points_earned,
+      reason: `Backfilled ${activity.type} activity`
+    });
+    created++;
+  }
+  return created;
+}
+
+/**
+ * Rebuild every profile's cached points from the ledger
+ * @param {Object} storage - Storage layer
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Report drift without writing
+ * @returns {Object[]} - Profiles whose cached total drifted: { userId, before, after }
+ */
+async function reconcileProfileTotals(storage, { dryRun = false } = {}) {
+  const profiles = await storage.profiles.find({}, { columns: 'id, points' });
+
+  const totals = await getLedgerTotals(storage);
+  const drifted = [];
+  for (const profile of profiles) {
+    const after = totals[profile.id] || 0;
+    const before = profile.points || 0;
+    if (before === after) continue;
+
+    drifted.push({ userId: profile.id, before, after });
+    if (!dryRun) {
+      try {
+        await storage.profiles.update({ id: profile.id }, { points: after });
+      } catch (err) {
+        console.error(`[LEDGER] Error reconciling profile ${profile.id}:`, err);
+      }
+    }
+  }
+  return drifted;
+}
+
+module.exports = {
+  LEDGER_SOURCES,
+  recordPointsEntry,
+  getLedgerTotals,
+  getLedgerTotalsBetween,
+  syncProfilePoints,
+  backfillActivityEntries,
+  reconcileProfileTotals
+};
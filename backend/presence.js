@@ -0,0 +1,41 @@
+/**
+ * Presence module
+ * Clients send a heartbeat while the app is open and in view, which stamps profiles.last_seen;
+ * a member's status is derived from how long ago that was instead of trusting the stored status column
+ */
+
+const PRESENCE_STATUSES = ['active', 'online', 'offline'];
+
+// Seen within 5 minutes: active; within 15 minutes: online; otherwise offline
+const ACTIVE_WITHIN_MS = 5 * 60 * 1000;
+const ONLINE_WITHIN_MS = 15 * 60 * 1000;
+
+// How often clients should send a heartbeat; well inside ACTIVE_WITHIN_MS so one missed beat doesn't flip status
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Derive a presence status from a last_seen timestamp
+ * @param {string|Date|null} lastSeen
+ * @param {Date} [now]
+ * @returns {string} - One of PRESENCE_STATUSES
+ */
+function getPresenceStatus(lastSeen, now = new Date()) {
+  if (!lastSeen) return 'offline';
+  const elapsed = now.getTime() - new Date(lastSeen).getTime();
+  if (Number.isNaN(elapsed)) return 'offline';
+  if (elapsed < ACTIVE_WITHIN_MS) return 'active';
+  if (elapsed < ONLINE_WITHIN_MS) return 'online';
+  return 'offline';
+}
+
+// Sort order for member lists: active first, then online, then offline
+const comparePresence = (a, b) => PRESENCE_STATUSES.indexOf(a) - PRESENCE_STATUSES.indexOf(b);
+
+module.exports = {
+  PRESENCE_STATUSES,
+  ACTIVE_WITHIN_MS,
+  ONLINE_WITHIN_MS,
+  HEARTBEAT_INTERVAL_MS,
+  getPresenceStatus,
+  comparePresence
+};
@@ -0,0 +1,164 @@
+/**
+ * Privacy module
+ * Activity visibility and privacy zones
+ * - public: everyone; friends: the owner's friends; team: people sharing a team with the owner; private: only the owner
+ * - Privacy zones are circles (e.g. around home); route points inside one are trimmed from the start and end
+ *   of a route before it's shown to anyone, and a start inside one isn't shown at all
+ */
+
+const { decodePolyline, encodePolyline, haversineMeters } = require('./activity-file-parser');
+const { getActivityStart } = require('./activity-map');
+
+const ACTIVITY_VISIBILITIES = ['public', 'friends', 'team', 'private'];
+const DEFAULT_ACTIVITY_VISIBILITY = 'public';
+
+const PRIVACY_ZONE_MIN_RADIUS_M = 100;
+const PRIVACY_ZONE_MAX_RADIUS_M = 2000;
+const MAX_PRIVACY_ZONES = 10;
+const PRIVACY_ZONE_LABEL_MAX_LENGTH = 60;
+
+/**
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateActivityVisibility(visibility) {
+  if (!ACTIVITY_VISIBILITIES.includes(visibility)) {
+    return `Invalid visibility: ${visibility}. Valid values: ${ACTIVITY_VISIBILITIES.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Validate a privacy zone from a request body
+ * @param {Object} body - { lat, lng, radiusMeters, label }
+ * @returns {Object} - { errors: string[], zone: { lat, lng, radius_m, label } }
+ */
+function validatePrivacyZone(body = {}) {
+  const { label } = body;
+  const lat = Number(body.lat);
+  const lng = Number(body.lng);
+  const radius = Number(body.radiusMeters);
+  const errors = [];
+
+  if (body.lat === undefined || body.lat === null || body.lat === '' || !(lat >= -90 && lat <= 90)) {
+    errors.push('lat must be between -90 and 90');
+  }
+  if (body.lng === undefined || body.lng === null || body.lng === '' || !(lng >= -180 && lng <= 180)) {
+    errors.push('lng must be between -180 and 180');
+  }
+  if (!Number.isInteger(radius) || radius < PRIVACY_ZONE_MIN_RADIUS_M || radius > PRIVACY_ZONE_MAX_RADIUS_M) {
+    errors.push(`radiusMeters must be a whole number from ${PRIVACY_ZONE_MIN_RADIUS_M} to ${PRIVACY_ZONE_MAX_RADIUS_M}`);
+  }
+  if (label !== undefined && label !== null && (typeof label !== 'string' || label.trim().length > PRIVACY_ZONE_LABEL_MAX_LENGTH)) {
+    errors.push(`label must be text of at most ${PRIVACY_ZONE_LABEL_MAX_LENGTH} characters`);
+  }
+
+  return {
+    errors,
+    zone: { lat, lng, radius_m: radius, label: typeof label === 'string' && label.trim() ? label.trim() : null }
+  };
+}
+
+const isInPrivacyZone = (point, zones) => zones.some((zone) => haversineMeters(zone, point) <= zone.radius_m);
+
+/**
+ * Drop route points inside privacy zones from the start and end of a route
+ * Points inside a zone in the middle of the route (passing by home) are kept
+ * @param {Array<{lat, lng}>} points
+ * @param {Object[]} zones - privacy_zones rows
+ * @returns {Array<{lat, lng}>} - Empty when the whole route is inside zones
+ */
+function trimRoute(points, zones) {
+  let first = 0;
+  let last = points.length - 1;
+  while (first <= last && isInPrivacyZone(points[first], zones)) first++;
+  while (last >= first && isInPrivacyZone(points[last], zones)) last--;
+  return points.slice(first, last + 1);
+}
+
+/**
+ * Where an activity can be shown to others, given its owner's privacy zones
+ * @param {Object} activity - activities row (start_lat, start_lng, route_polyline)
+ * @param {Object[]} zones - The owner's privacy_zones rows
+ * @returns {Object} - { start: { lat, lng } or null, routePolyline: string or null }
+ */
+function applyPrivacyZones(activity, zones = []) {
+  const start = getActivityStart(activity);
+  if (zones.length === 0) return { start, routePolyline: activity.route_polyline || null };
+
+  const route = decodePolyline(activity.route_polyline);
+  if (route.length > 0) {
+    const trimmed = trimRoute(route, zones);
+    return {
+      start: trimmed[0] || null,
+      routePolyline: trimmed.length > 1 ? encodePolyline(trimmed) : null
+    };
+  }
+  return { start: start && !isInPrivacyZone(start, zones) ? start : null, routePolyline: null };
+}
+
+/**
+ * Whether a viewer may see an activity
+ * @param {Object} activity - activities row (user_id, visibility)
+ * @param {string|null} viewerId - Signed-in user, or null when anonymous
+ * @param {Object} connections - The viewer's { friendIds, teammateIds }
+ * @returns {boolean}
+ */
+function canViewActivity(activity, viewerId, { friendIds = [], teammateIds = [] } = {}) {
+  if (viewerId && activity.user_id === viewerId) return true;
+  switch (activity.visibility || DEFAULT_ACTIVITY_VISIBILITY) {
+    case 'public':
+      return true;
+    case 'friends':
+      return friendIds.includes(activity.user_id);
+    case 'team':
+      return teammateIds.includes(activity.user_id);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Storage filter alternatives matching the activities a viewer may see (see canViewActivity)
+ * @param {string|null} viewerId
+ * @param {Object} connections - The viewer's { friendIds, teammateIds }
+ * @returns {Object[]} - For a filter's `or`
+ */
+function buildVisibilityAlternatives(viewerId, { friendIds = [], teammateIds = [] } = {}) {
+  const alternatives = [{ visibility: 'public' }];
+  if (!viewerId) return alternatives;
+
+  alternatives.push({ user_id: viewerId });
+  if (friendIds.length > 0) alternatives.push({ visibility: 'friends', user_id: { in: friendIds } });
+  if (teammateIds.length > 0) alternatives.push({ visibility: 'team', user_id: { in: teammateIds } });
+  return alternatives;
+}
+
+/**
+ * Narrow a storage filter to visible activities
+ * A filter has one `or`, so an existing one is repeated inside each visibility alternative
+ * @param {Object} filter - Storage filter on activities
+ * @param {Object[]} alternatives - From buildVisibilityAlternatives
+ * @returns {Object} - New filter
+ */
+function restrictToVisible(filter, alternatives) {
+  const { or: existing, ...rest } = filter;
+  return {
+    ...rest,
+    or: existing ? alternatives.map((alternative) => ({ ...alternative, or: existing })) : alternatives
+  };
+}
+
+module.exports = {
+  ACTIVITY_VISIBILITIES,
+  DEFAULT_ACTIVITY_VISIBILITY,
+  PRIVACY_ZONE_MIN_RADIUS_M,
+  PRIVACY_ZONE_MAX_RADIUS_M,
+  MAX_PRIVACY_ZONES,
+  validateActivityVisibility,
+  validatePrivacyZone,
+  trimRoute,
+  applyPrivacyZones,
+  canViewActivity,
+  buildVisibilityAlternatives,
+  restrictToVisible
+};
@@ -3,6 +3,8 @@
  * Validates activities before they are accepted into the system
  */
 
+const { ACTIVITY_TYPES, ACTIVITY_TYPE_KEYS, isValidActivityType } = require('./activity-types');
+
 // QC Rules and thresholds
 const QC_RULES = {
   // Duration limits (in minutes)
@@ -16,6 +18,9 @@ const QC_RULES = {
       workout: 180, // 3 hours max for workout
       bike: 600, // 10 hours max for cycling
       swim: 240, // 4 hours max for swimming
+      hike: 720, // 12 hours max for hiking
+      yoga: 240, // 4 hours max for yoga
+      other: 480, // 8 hours max for other activities
     }
   },
   
@@ -30,6 +35,8 @@ const QC_RULES = {
       workout: 0, // Workouts don't have distance
       bike: 500, // 500 km max for cycling
       swim: 50, // 50 km max for swimming
+      hike: 80, // 80 km max for hiking
+      yoga: 0, // Yoga doesn't have distance
     }
   },
   
@@ -42,9 +49,17 @@ const QC_RULES = {
       workout: 0, // Workouts don't have speed
       bike: 60, // 60 km/h max for cycling (reasonable for amateur)
       swim: 10, // 10 km/h max for swimming (world record pace)
+      hike: 10, // 10 km/h max for hiking
+      yoga: 0, // Yoga doesn't have speed
     }
   },
   
+  // Average heart rate limits (bpm), when provided
+  heartRate: {
+    min: 30,
+    max: 230
+  },
+  
   // Minimum pace requirements (minutes per km)
   pace: {
     max: {
@@ -60,11 +75,12 @@ const QC_RULES = {
  * @param {string} activity.type - Activity type (run, walk, workout, etc.)
  * @param {number} activity.distanceKm - Distance in kilometers
  * @param {number} activity.durationMinutes - Duration in minutes
+ * @param {number} [activity.averageHeartRate] - Average heart rate in bpm
  * @param {string} activity.date - Activity date
  * @returns {Object} - { valid: boolean, errors: string[], warnings: string[] }
  */
 function validateActivity(activity) {
-  const { type, distanceKm = 0, durationMinutes = 0, date } = activity;
+  const { type, distanceKm = 0, durationMinutes = 0, averageHeartRate = null, date } = activity;
   const errors = [];
   const warnings = [];
   
@@ -74,9 +90,8 @@ function validateActivity(activity) {
     return { valid: false, errors, warnings };
   }
   
-  const validTypes = ['run', 'walk', 'workout', 'bike', 'swim', 'hike', 'yoga', 'other'];
-  if (!validTypes.includes(type.toLowerCase())) {
-    errors.push(`Invalid activity type: ${type}. Valid types: ${validTypes.join(', ')}`);
+  if (!isValidActivityType(type)) {
+    errors.push(`Invalid activity type: ${type}. Valid types: ${ACTIVITY_TYPE_KEYS.join(', ')}`);
   }
   
   // Date validation
@@ -86,9 +101,12 @@ function validateActivity(activity) {
     const oneYearAgo = new Date();
     oneYearAgo.setFullYear(today.getFullYear() - 1);
     
+    // Dates are local calendar dates: allow the earliest time zone (UTC+14) to be a day ahead of UTC
+    const latestLocalStart = new Date(today.getTime() + 14 * 60 * 60 * 1000);
+    
     if (isNaN(activityDate.getTime())) {
       errors.push('Invalid date format');
-    } else if (activityDate > today) {
+    } else if (activityDate > latestLocalStart) {
       errors.push('Activity date cannot be in the future');
     } else if (activityDate < oneYearAgo) {
       warnings.push('Activity date is more than one year ago');
@@ -155,8 +173,8 @@ function validateActivity(activity) {
     }
     
     // Check for unrealistic combinations
-    if (activityType === 'workout' && distanceKm > 0) {
-      warnings.push('Workout activities typically don\'t have distance. Did you mean a different activity type?');
+    if (ACTIVITY_TYPES[activityType] && !ACTIVITY_TYPES[activityType].usesDistance && activityType !== 'other') {
+      warnings.push(`${ACTIVITY_TYPES[activityType].label} activities typically don't have distance. Did you mean a different activity type?`);
     }
     
     if (activityType === 'run' && speedKmh > 20 && distanceKm > 10) {
@@ -168,12 +186,20 @@ function validateActivity(activity) {
     }
   }
   
+  // Heart rate validation (optional)
+  if (averageHeartRate !== null && averageHeartRate !== undefined) {
+    const heartRate = Number(averageHeartRate);
+    if (isNaN(heartRate) || heartRate < QC_RULES.heartRate.min || heartRate > QC_RULES.heartRate.max) {
+      errors.push(`Average heart rate must be between ${QC_RULES.heartRate.min} and ${QC_RULES.heartRate.max} bpm`);
+    }
+  }
+  
   // Check for zero values when one is provided
   if (distanceKm > 0 && durationMinutes === 0) {
     warnings.push('Distance provided but no duration. Duration will be estimated.');
   }
   
-  if (durationMinutes > 0 && distanceKm === 0 && (activityType === 'run' || activityType === 'walk' || activityType === 'bike')) {
+  if (durationMinutes > 0 && distanceKm === 0 && ACTIVITY_TYPES[activityType]?.usesDistance) {
     warnings.push('Duration provided but no distance. Distance-based points will be zero.');
   }
   
@@ -0,0 +1,119 @@
+/**
+ * Realtime module
+ * Server-Sent Events hub: signed-in clients hold GET /api/events open and the server pushes named events to them
+ * - activity: a new activity map point (everyone)
+ * - leaderboard: the all-time boards after ranks changed (everyone)
+ * - notification: a notification was created for the user (recipient only)
+ * - friend_request: someone sent the user a friend request (recipient only)
+ * - presence: a teammate came online (members of the user's teams)
+ * Connections live in this process only; with several API instances each one pushes to its own clients.
+ */
+
+// Comment lines keep proxies from closing idle streams
+const KEEPALIVE_MS = 25 * 1000;
+// Tells EventSource-style clients how long to wait before reconnecting
+const RECONNECT_MS = 5 * 1000;
+
+/**
+ * Format one SSE message
+ * @param {number} id - Event id
+ * @param {string} event - Event name
+ * @param {*} data - JSON-serializable payload
+ * @returns {string}
+ */
+function formatEvent(id, event, data) {
+  return `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data === undefined ? null : data)}\n\n`;
+}
+
+/**
+ * Create an event hub
+ * @param {Object} [options]
+ * @param {number} [options.keepaliveMs] - Interval between keepalive comments
+ * @returns {Object} - { subscribe, publish, isConnected, connectionCount, close }
+ */
+function createRealtimeHub({ keepaliveMs = KEEPALIVE_MS } = {}) {
+  const connectionsByUser = new Map(); // userId -> Set of responses
+  let lastEventId = 0;
+
+  const keepalive = setInterval(() => {
+    for (const connections of connectionsByUser.values()) {
+      connections.forEach((res) => res.write(': keepalive\n\n'));
+    }
+  }, keepaliveMs);
+  // Open streams shouldn't keep the process alive on shutdown
+  keepalive.unref();
+
+  function remove(userId, res) {
+    const connections = connectionsByUser.get(userId);
+    if (!connections) return;
+    connections.delete(res);
+    if (connections.size === 0) connectionsByUser.delete(userId);
+  }
+
+  /**
+   * Turn a response into an event stream for a user; the stream is dropped when the client disconnects
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {string} userId - Authenticated user
+   */
+  function subscribe(req, res, userId) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Disable response buffering in nginx
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RECONNECT_MS}\n\n`);
+    res.write(formatEvent(++lastEventId, 'ready', { userId }));
+
+    const key = String(userId);
+    if (!connectionsByUser.has(key)) connectionsByUser.set(key, new Set());
+    connectionsByUser.get(key).add(res);
+    req.on('close', () => remove(key, res));
+  }
+
+  /**
+   * Push an event
+   * @param {string} event - Event name
+   * @param {*} data - JSON-serializable payload
+   * @param {Object} [options]
+   * @param {string[]} [options.userIds] - Only these users (default: everyone connected)
+   * @returns {number} - Connections the event was written to
+   */
+  function publish(event, data, { userIds } = {}) {
+    const message = formatEvent(++lastEventId, event, data);
+    const targets = userIds
+      ? [...new Set(userIds)].map((id) => connectionsByUser.get(String(id))).filter(Boolean)
+      : [...connectionsByUser.values()];
+
+    let sent = 0;
+    targets.forEach((connections) => {
+      connections.forEach((res) => {
+        res.write(message);
+        sent++;
+      });
+    });
+    return sent;
+  }
+
+  const isConnected = (userId) => connectionsByUser.has(String(userId));
+
+  const connectionCount = () => [...connectionsByUser.values()].reduce((sum, connections) => sum + connections.size, 0);
+
+  // End every stream (server shutdown)
+  function close() {
+    clearInterval(keepalive);
+    for (const connections of connectionsByUser.values()) {
+      connections.forEach((res) => res.end());
+    }
+    connectionsByUser.clear();
+  }
+
+  return { subscribe, publish, isConnected, connectionCount, close };
+}
+
+module.exports = {
+  KEEPALIVE_MS,
+  createRealtimeHub
+};
@@ -0,0 +1,38 @@
+// Rebuild cached profile point totals from the points ledger
+// Usage: node reconcile-points.js [--dry-run] [--backfill]
+//   --dry-run   report drifted profiles without writing
+//   --backfill  first add ledger entries for activities logged before the ledger existed
+
+require('dotenv').config();
+const { createStorage } = require('./storage');
+const { backfillActivityEntries, reconcileProfileTotals } = require('./points-ledger');
+
+async function main() {
+  const storage = createStorage();
+  if (storage.driver === 'memory') {
+    console.error('Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY, or DATABASE_URL, to run against a database');
+    process.exit(1);
+  }
+  const dryRun = process.argv.includes('--dry-run');
+
+  if (process.argv.includes('--backfill')) {
+    if (dryRun) {
+      console.log('[RECONCILE] Skipping backfill in dry-run mode');
+    } else {
+      const created = await backfillActivityEntries(storage);
+      console.log(`[RECONCILE] Backfilled ${created} activity ledger entries`);
+    }
+  }
+
+  const drifted = await reconcileProfileTotals(storage, { dryRun });
+  drifted.forEach(({ userId, before, after }) => {
+    console.log(`[RECONCILE] ${userId}: ${before} -> ${after}`);
+  });
+  console.log(`[RECONCILE] ${drifted.length} profile(s) ${dryRun ? 'would be' : 'were'} updated`);
+  await storage.close();
+}
+
+main().catch((err) => {
+  console.error('[RECONCILE] Failed:', err);
+  process.exit(1);
+});
@@ -1,5 +1,5 @@
 // Kinnect prototype backend demonstrating core workflow
-// Node.js + Express with in-memory storage for clarity
+// Node.js + Express; data goes through the storage layer (Supabase, Postgres or in-memory, see storage.js)
 
 require('dotenv').config();
 const express = require('express');
@@ -17,22 +17,88 @@ const {
   stravaApiRequest
 } = require('./strava-utils');
 const { validateActivity, getQCStats } = require('./quality-control');
+const { recordPointsEntry, getLedgerTotals, getLedgerTotalsBetween, syncProfilePoints } = require('./points-ledger');
+const { parseActivityFile } = require('./activity-file-parser');
+const { parseMapQuery, buildMapQuery, isInBbox, getActivityStart } = require('./activity-map');
+const { ACTIVITY_TYPES, mapStravaSportType } = require('./activity-types');
+const { REFERENCE_WEIGHT_KG, estimateMetCalories, estimateCalories, validateBodyMetrics } = require('./calories');
+const { validateChallenge, getChallengeStatus, computeUserProgress, buildStandings } = require('./challenges');
+const { buildBadgeStats, evaluateBadges, describeBadges } = require('./badges');
+const { validateCommentBody, resolveFeedLimit, buildCommentThreads, countComments } = require('./feed');
+const { createNotifications, resolveNotificationsLimit } = require('./notifications');
+const {
+  isTeamManager,
+  validateAssignableRole,
+  getRemoveMemberProblem,
+  validateTeamVisibility,
+  generateInviteCode,
+  normalizeInviteCode,
+  validateInviteOptions,
+  getInviteProblem,
+  validateJoinRequestMessage
+} = require('./teams');
+const { FEED_QUERY_ORDER, parseHistoryQuery, buildHistoryQuery, paginateHistory, parseFeedCursor, encodeFeedCursor } = require('./activity-history');
+const { HEARTBEAT_INTERVAL_MS, getPresenceStatus, comparePresence } = require('./presence');
+const { createRealtimeHub } = require('./realtime');
+const {
+  MAX_PRIVACY_ZONES,
+  validateActivityVisibility,
+  validatePrivacyZone,
+  applyPrivacyZones,
+  canViewActivity,
+  buildVisibilityAlternatives,
+  restrictToVisible
+} = require('./privacy');
+const {
+  CITY_SEARCH_DEFAULT_LIMIT,
+  CITY_SEARCH_MAX_LIMIT,
+  searchCities,
+  formatCityLabel,
+  toCitySummary,
+  resolveCityFields,
+  getRowCity
+} = require('./cities');
+const {
+  ACTIVE_IMPORT_STATUSES,
+  parseImportRange,
+  buildActivitiesPagePath,
+  toImportJobSummary,
+  createImportJobRunner
+} = require('./strava-import-jobs');
+const { parseWebhookEvent, createWebhookEventProcessor } = require('./strava-webhook-events');
+const { createAuthMiddleware, publicRoute, requireSelf } = require('./auth');
+const { createStorage } = require('./storage');
+const {
+  MAX_STREAK_FREEZES,
+  STREAK_FREEZE_COST,
+  FREEZE_EARN_INTERVAL,
+  FREEZES_PER_WEEK,
+  REST_DAYS_PER_WEEK,
+  REST_DAY_MAX_DAYS_AHEAD,
+  isValidTimeZone,
+  getLocalDate,
+  addDays,
+  computeStreaks,
+  planStreakFreezes,
+  countEarnedFreezes,
+  validateRestDay,
+  expireStaleStreaks
+} = require('./streaks');
+
+// Storage layer: Supabase in production, Postgres (DATABASE_URL) or in-memory otherwise; STORAGE_DRIVER overrides
+const storage = createStorage();
+console.log(`[STORAGE] Using the ${storage.driver} storage driver`);
 
-// Supabase client (server-side, service role)
-let supabase;
-try {
-  const { createClient } = require('@supabase/supabase-js');
-  if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY) {
-    supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
-  }
-} catch (e) {
-  // supabase-js might not be installed yet; endpoints that use it will check and return helpful errors
-  console.warn('Supabase client not initialized (is @supabase/supabase-js installed?)');
-}
 const app = express();
 app.use(cors());
 app.use(bodyParser.json());
 
+// Route-level authentication (see auth.js); every route declares one of these or publicRoute
+const { requireAuth, optionalAuth } = createAuthMiddleware(storage.auth);
+
+// Server-Sent Events to signed-in clients (see realtime.js and the Realtime events section)
+const realtime = createRealtimeHub();
+
 // Rate limiting for Strava API endpoints
 const stravaLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -43,118 +109,27 @@ const stravaLimiter = rateLimit({
 // Store OAuth state for CSRF protection (in production, use Redis or session store)
 const oauthStates = new Map();
 
-/**********************
- * In-memory mock data
- **********************/
-// In production/authenticated mode, user data is stored in Supabase profiles.
-// Remove in-memory demo users to avoid persisting demo accounts.
-const users = {};
-
-// Teams hold aggregated totals derived from their members' activities
-const teams = {
-  'team-alpha': {
-    id: 'team-alpha',
-    name: 'Team Alpha',
-    city: 'Philadelphia',
-    totalPoints: 1195,
-    totalActivities: 45,
-  },
-};
-
-// Activities stored in-memory for demo; encourage moving to a persistent table.
-const activities = [];
-
-// Strava connections storage (in-memory, structured for easy DB migration)
-// Format: { username: { stravaAthleteId, accessTokenEncrypted, refreshTokenEncrypted, expiresAt, scope, createdAt, updatedAt } }
-const stravaConnections = {};
-
 // Encryption key (in production, use environment variable)
 const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || crypto.randomBytes(32).toString('hex');
 
 /**********************
  * Helper functions
  **********************/
-const generateId = (prefix) => `${prefix}-${Math.random().toString(36).slice(2, 8)}`;
-
 const getToday = () => new Date().toISOString().slice(0, 10);
 
-// Helper function to calculate streak based on last activity date and new activity date
-function calculateStreak(lastActivityDate, newActivityDate, currentStreak = 0) {
-  if (!lastActivityDate) {
-    // First activity ever - start streak at 1
-    return 1;
-  }
-  
-  if (lastActivityDate === newActivityDate) {
-    // Already logged on this date, streak unchanged
-    return currentStreak;
-  }
-  
-  // Parse dates and calculate difference in days
-  const lastDate = new Date(lastActivityDate + 'T00:00:00');
-  const newDate = new Date(newActivityDate + 'T00:00:00');
-  const diffDays = Math.floor((newDate - lastDate) / (1000 * 60 * 60 * 24));
-  
-  if (diffDays === 1) {
-    // Consecutive day - increment streak
-    return currentStreak + 1;
-  } else if (diffDays > 1) {
-    // Gap in days - reset streak to 1
-    return 1;
-  } else {
-    // New activity date is before last activity date (shouldn't happen normally, but handle gracefully)
-    // Check if it's exactly 1 day before (backdating)
-    if (diffDays === -1) {
-      // This is a backdated activity from yesterday - don't change streak
-      return currentStreak;
-    }
-    // Otherwise, reset to 1
-    return 1;
-  }
-}
-
-// Helper function to get city coordinates
-function getCityCoordinates(city) {
-  const cityMap = {
-    'Philadelphia': { lat: 39.9526, lng: -75.1652 },
-    'New York': { lat: 40.7128, lng: -74.0060 },
-    'Los Angeles': { lat: 34.0522, lng: -118.2437 },
-    'Chicago': { lat: 41.8781, lng: -87.6298 },
-    'San Francisco': { lat: 37.7749, lng: -122.4194 },
-    'Boston': { lat: 42.3601, lng: -71.0589 },
-    'Seattle': { lat: 47.6062, lng: -122.3321 },
-    'Miami': { lat: 25.7617, lng: -80.1918 },
-    'Austin': { lat: 30.2672, lng: -97.7431 },
-  };
-  return cityMap[city] || { lat: 39.9526, lng: -75.1652 }; // Default coordinates
+// Helper to locate someone without a recorded location: their profile coordinates, else their city's
+// Returns null when neither is known, rather than guessing
+function getProfileLocation(profile) {
+  if (profile?.lat != null && profile?.lng != null) return { lat: profile.lat, lng: profile.lng };
+  const city = getRowCity(profile);
+  return city ? { lat: city.lat, lng: city.lng } : null;
 }
 
 // Calculate calories burned based on activity type, duration, and distance
-// Uses MET (Metabolic Equivalent of Task) values
+// Uses MET (Metabolic Equivalent of Task) values at the reference weight, so points are weight-neutral:
+// a heavier user doesn't outscore a lighter one for the same effort. Personal estimates use getPersonalCalories.
 function calculateCalories(activity) {
-  const { type, distanceKm, durationMinutes } = activity;
-  
-  // Average weight in kg (can be made user-specific later)
-  const weightKg = 70;
-  const durationHours = durationMinutes / 60;
-  
-  let metValue;
-  switch (type) {
-    case 'run':
-      // Running: ~10 METs for moderate pace, ~11.5 for fast pace
-      // Use distance-based calculation: ~1 kcal per kg per km
-      return Math.round(weightKg * distanceKm);
-    case 'walk':
-      // Walking: ~3.5 METs, or ~0.5 kcal per kg per km
-      return Math.round(weightKg * distanceKm * 0.5);
-    case 'workout':
-      // General workout: ~6 METs
-      // Calories = METs × weight(kg) × hours
-      return Math.round(6 * weightKg * durationHours);
-    default:
-      // Default: ~5 METs
-      return Math.round(5 * weightKg * durationHours);
-  }
+  return estimateMetCalories(activity, REFERENCE_WEIGHT_KG);
 }
 
 function calculatePoints(activity) {
@@ -163,217 +138,288 @@ function calculatePoints(activity) {
   return Math.max(1, Math.round(calories / 10));
 }
 
-function updateUserProgress(user, activityPoints, date) {
-  // Update streak: increment if last activity was yesterday, reset otherwise
-  const yesterday = new Date(Date.now() - 86400000).toISOString().slice(0, 10);
-  if (user.lastActivityDate === date) {
-    // Already logged today, streak unchanged
-  } else if (user.lastActivityDate === yesterday) {
-    user.streak += 1;
-  } else {
-    user.streak = 1;
-  }
-  user.lastActivityDate = date;
+const LEADERBOARD_WINDOWS = ['all', 'week', 'month', 'season', 'custom'];
 
-  user.points += activityPoints;
-}
+// Helper to resolve a leaderboard window name into an inclusive date range (YYYY-MM-DD)
+// Weeks start on Monday; seasons are calendar quarters. 'all' has no range.
+function getLeaderboardWindow(windowName = 'all', customStart, customEnd) {
+  if (!LEADERBOARD_WINDOWS.includes(windowName)) {
+    throw new Error(`Invalid window: ${windowName}. Valid windows: ${LEADERBOARD_WINDOWS.join(', ')}`);
+  }
 
-function updateTeamProgress(teamId) {
-  const team = teams[teamId];
-  if (!team) return;
+  const today = getToday();
+  const now = new Date(today + 'T00:00:00Z');
+  const toDateString = (d) => d.toISOString().slice(0, 10);
 
-  // Aggregate totals from member activities
-  const teamMembers = Object.values(users).filter((user) => user.teamId === teamId);
-  team.totalPoints = teamMembers.reduce((sum, member) => sum + member.points, 0);
-  const memberUsernames = new Set(teamMembers.map((member) => member.username));
-  team.totalActivities = activities.filter((activity) => memberUsernames.has(activity.username)).length;
+  switch (windowName) {
+    case 'week': {
+      const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+      const start = new Date(now);
+      start.setUTCDate(now.getUTCDate() - daysSinceMonday);
+      return { window: 'week', start: toDateString(start), end: today };
+    }
+    case 'month':
+      return { window: 'month', start: `${today.slice(0, 7)}-01`, end: today };
+    case 'season': {
+      const quarterStartMonth = Math.floor(now.getUTCMonth() / 3) * 3;
+      const start = new Date(Date.UTC(now.getUTCFullYear(), quarterStartMonth, 1));
+      return { window: 'season', start: toDateString(start), end: today };
+    }
+    case 'custom': {
+      const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value).getTime());
+      if (!isDate(customStart) || !isDate(customEnd)) {
+        throw new Error('start and end dates (YYYY-MM-DD) are required for a custom window');
+      }
+      if (customStart > customEnd) {
+        throw new Error('start date must be on or before end date');
+      }
+      return { window: 'custom', start: customStart, end: customEnd };
+    }
+    default:
+      return { window: 'all', start: null, end: null };
+  }
 }
 
-function getLeaderboards() {
-  // If Supabase is configured, build leaderboards from profiles and activities
-  if (supabase) {
-    return (async () => {
-      try {
-        console.log('[LEADERBOARD] Building leaderboards...');
-        
-        // Fetch profiles
-        const { data: profiles, error: profilesError } = await supabase.from('profiles').select('*');
-        if (profilesError) {
-          console.error('[LEADERBOARD] Error fetching profiles:', profilesError);
-        }
+// Build leaderboards from profiles and activities
+// A query that fails is logged and leaves its part of the boards empty
+async function getLeaderboards(range = { window: 'all', start: null, end: null }) {
+  const isWindowed = Boolean(range.start && range.end);
 
-        // Fetch activities from database
-        const { data: dbActivities, error: activitiesError } = await supabase
-          .from('activities')
-          .select('user_id, points_earned')
-          .limit(10000); // Reasonable limit
-        
-        if (activitiesError) {
-          console.error('[LEADERBOARD] Error fetching activities:', activitiesError);
-        }
+  try {
+    console.log(`[LEADERBOARD] Building ${range.window} leaderboards...`);
+    
+    // Fetch profiles
+    const profiles = await storage.profiles.findAll().catch((err) => {
+      console.error('[LEADERBOARD] Error fetching profiles:', err);
+      return [];
+    });
 
-        // Aggregate points from database activities
-        const pointsByUser = {};
-        (dbActivities || []).forEach((act) => {
-          if (act.user_id) {
-            pointsByUser[act.user_id] = (pointsByUser[act.user_id] || 0) + (act.points_earned || 0);
-          }
-        });
+    // Activity counts per user and day, for team activity counts (inside the window for windowed boards)
+    const activityCounts = await storage.activityDailyCounts.findAll(
+      isWindowed ? { date: { gte: range.start, lte: range.end } } : {},
+      { columns: 'user_id, activity_count', order: { column: 'user_id', ascending: true }, key: 'date' }
+    ).catch((err) => {
+      console.error('[LEADERBOARD] Error fetching activity counts:', err);
+      return [];
+    });
 
-        // Also include points from profiles table (in case they're stored there)
-        (profiles || []).forEach((p) => {
-          if (p.points && p.points > 0) {
-            pointsByUser[p.id] = (pointsByUser[p.id] || 0) + (p.points || 0);
-          }
-        });
+    // Points come from the ledger: entries written inside the window for windowed boards, all-time totals otherwise.
+    // If the ledger is unavailable, windowed boards are empty and the all-time board falls back to cached profile totals.
+    let pointsByUser = isWindowed ? {} : null;
+    try {
+      pointsByUser = isWindowed
+        ? await getLedgerTotalsBetween(storage, range.start, range.end)
+        : await getLedgerTotals(storage);
+    } catch (ledgerError) {
+      console.error('[LEADERBOARD] Error fetching ledger totals:', ledgerError);
+    }
 
-        // Fetch teams and team members
-        const { data: teamsData, error: teamsError } = await supabase
-          .from('teams')
-          .select('id, name');
-        
-        if (teamsError) {
-          console.error('[LEADERBOARD] Error fetching teams:', teamsError);
-        }
+    // Fetch teams and team members
+    const teamsData = await storage.teams.findAll({}, { columns: 'id, name' }).catch((err) => {
+      console.error('[LEADERBOARD] Error fetching teams:', err);
+      return [];
+    });
 
-        const { data: teamMembersData, error: membersError } = await supabase
-          .from('team_members')
-          .select('team_id, user_id');
-        
-        if (membersError) {
-          console.error('[LEADERBOARD] Error fetching team members:', membersError);
-        }
+    const teamMembersData = await storage.teamMembers.findAll({}, { columns: 'team_id, user_id' }).catch((err) => {
+      console.error('[LEADERBOARD] Error fetching team members:', err);
+      return [];
+    });
 
-        // Build map of user_id -> team_id
-        const userToTeamMap = {};
-        (teamMembersData || []).forEach((member) => {
-          userToTeamMap[member.user_id] = member.team_id;
-        });
+    // Build map of user_id -> team_id
+    const userToTeamMap = {};
+    teamMembersData.forEach((member) => {
+      userToTeamMap[member.user_id] = member.team_id;
+    });
 
-        // Build map of team_id -> team name
-        const teamIdToName = {};
-        (teamsData || []).forEach((team) => {
-          teamIdToName[team.id] = team.name;
-        });
+    // Build map of team_id -> team name
+    const teamIdToName = {};
+    teamsData.forEach((team) => {
+      teamIdToName[team.id] = team.name;
+    });
 
-        // Individual leaderboard
-        const individual = (profiles || []).map((p) => ({
-          id: p.id,
-          display_name: p.display_name || p.id,
-          city: p.city || null,
-          team_id: userToTeamMap[p.id] || null,
-          points: pointsByUser[p.id] || (p.points || 0),
-          streak: p.streak || 0
-        }));
-        individual.sort((a, b) => b.points - a.points);
-        const individualLeaderboard = individual.map((u, idx) => ({
-          rank: idx + 1,
-          username: u.display_name,
-          points: u.points,
-          teamId: u.team_id
-        }));
-
-        // Team leaderboard - aggregate by team
-        const teamMap = {};
-        const teamActivityCount = {};
-        
-        // Count activities per team
-        (dbActivities || []).forEach((act) => {
-          const teamId = userToTeamMap[act.user_id];
-          if (teamId) {
-            teamActivityCount[teamId] = (teamActivityCount[teamId] || 0) + 1;
-          }
-        });
+    // Individual leaderboard
+    const individual = profiles.map((p) => ({
+      id: p.id,
+      display_name: p.display_name || p.id,
+      city: p.city || null,
+      city_id: p.city_id || null,
+      team_id: userToTeamMap[p.id] || null,
+      points: pointsByUser ? (pointsByUser[p.id] || 0) : (p.points || 0),
+      streak: p.streak || 0
+    }));
+    individual.sort((a, b) => b.points - a.points);
+    const individualLeaderboard = individual.map((u, idx) => ({
+      rank: idx + 1,
+      id: u.id,
+      username: u.display_name,
+      points: u.points,
+      teamId: u.team_id
+    }));
 
-        // Aggregate points by team
-        individual.forEach((u) => {
-          if (!u.team_id) return;
-          if (!teamMap[u.team_id]) {
-            teamMap[u.team_id] = {
-              id: u.team_id,
-              name: teamIdToName[u.team_id] || u.team_id,
-              totalPoints: 0,
-              totalActivities: 0
-            };
-          }
-          teamMap[u.team_id].totalPoints += u.points;
-          teamMap[u.team_id].totalActivities = teamActivityCount[u.team_id] || 0;
-        });
+    // Team leaderboard - aggregate by team
+    const teamMap = {};
+    const teamActivityCount = {};
+    
+    // Count activities per team
+    activityCounts.forEach((row) => {
+      const teamId = userToTeamMap[row.user_id];
+      if (teamId) {
+        teamActivityCount[teamId] = (teamActivityCount[teamId] || 0) + row.activity_count;
+      }
+    });
 
-        const teamLeaderboard = Object.values(teamMap)
-    .sort((a, b) => b.totalPoints - a.totalPoints)
-          .map((t, i) => ({ rank: i + 1, ...t }));
-
-        console.log(`[LEADERBOARD] Built leaderboards: ${teamLeaderboard.length} teams, ${individualLeaderboard.length} individuals`);
-
-        // City leaderboard
-  const cityMap = {};
-        individual.forEach((u) => {
-          const city = u.city || 'Unknown';
-          if (!cityMap[city]) cityMap[city] = { city, points: 0, streak: 0 };
-          cityMap[city].points += u.points;
-          // Track highest streak in city
-          if (u.streak > (cityMap[city].streak || 0)) {
-            cityMap[city].streak = u.streak;
-          }
-  });
-  const cityLeaderboard = Object.values(cityMap).sort((a, b) => b.points - a.points);
+    // Aggregate points by team
+    individual.forEach((u) => {
+      if (!u.team_id) return;
+      if (!teamMap[u.team_id]) {
+        teamMap[u.team_id] = {
+          id: u.team_id,
+          name: teamIdToName[u.team_id] || u.team_id,
+          totalPoints: 0,
+          totalActivities: 0
+        };
+      }
+      teamMap[u.team_id].totalPoints += u.points;
+      teamMap[u.team_id].totalActivities = teamActivityCount[u.team_id] || 0;
+    });
 
-  return { teamLeaderboard, cityLeaderboard, individualLeaderboard };
-      } catch (err) {
-        console.error('[LEADERBOARD] Exception building leaderboards:', err);
-        return { teamLeaderboard: [], cityLeaderboard: [], individualLeaderboard: [] };
+    const teamLeaderboard = Object.values(teamMap)
+      .sort((a, b) => b.totalPoints - a.totalPoints)
+      .map((t, i) => ({ rank: i + 1, ...t }));
+
+    console.log(`[LEADERBOARD] Built leaderboards: ${teamLeaderboard.length} teams, ${individualLeaderboard.length} individuals`);
+
+    // City leaderboard - grouped by canonical city, so "NYC" and "New York, NY" count together;
+    // cities outside the gazetteer are grouped by their text and have no cityId
+    const cityMap = {};
+    individual.forEach((u) => {
+      const known = getRowCity(u);
+      const key = known ? known.id : (u.city || '').trim().toLowerCase() || 'unknown';
+      if (!cityMap[key]) {
+        cityMap[key] = {
+          city: known ? formatCityLabel(known) : (u.city || '').trim() || 'Unknown',
+          cityId: known ? known.id : null,
+          points: 0,
+          streak: 0
+        };
       }
-    })();
-  }
+      cityMap[key].points += u.points;
+      // Track highest streak in city
+      if (u.streak > (cityMap[key].streak || 0)) {
+        cityMap[key].streak = u.streak;
+      }
+    });
+    const cityLeaderboard = Object.values(cityMap).sort((a, b) => b.points - a.points);
 
-  // Fallback: empty leaderboards when no supabase configured
-  return { teamLeaderboard: [], cityLeaderboard: [], individualLeaderboard: [] };
+    return { teamLeaderboard, cityLeaderboard, individualLeaderboard, window: range };
+  } catch (err) {
+    console.error('[LEADERBOARD] Exception building leaderboards:', err);
+    return { teamLeaderboard: [], cityLeaderboard: [], individualLeaderboard: [], window: range };
+  }
 }
 
 /**********************
- * Auth endpoints (mocked)
+ * Auth and profile endpoints
  **********************/
-// NOTE: In-memory signup/login endpoints removed. Use Supabase Auth instead.
-// Server-side Supabase endpoints are available at:
-// - POST /api/auth/signup  (admin create user + profile upsert)
-// - Frontend should use Supabase client (anon key) to signIn/signUp and then call /api/profiles/me
+// With the Supabase driver the frontend signs in through the Supabase client (anon key) and then calls /api/profiles/me;
+// the postgres and memory drivers issue local access tokens from /api/auth/signup and /api/auth/login instead.
 
 /**
- * Supabase-backed endpoints
- * - POST /api/auth/signup => create a Supabase auth user (server-side) and a profile row
+ * Routes declare their access level with the middleware from ./auth (requireAuth, optionalAuth, publicRoute)
+ * - POST /api/auth/signup => create an auth user (server-side) and a profile row
+ * - POST /api/auth/login => exchange email and password for a local access token (postgres/memory drivers)
+ * - GET /api/cities?q= => city autocomplete; profiles and teams take the chosen city_id (or city text)
  * - GET /api/profiles/me => read profile for the current user (requires Bearer token)
  * - POST /api/profiles/upsert => upsert profile for current user (requires Bearer token)
+ * - PUT /api/profiles/me/metrics => update body metrics for calorie estimates (requires Bearer token)
+ * - PUT /api/profiles/me/time-zone => set the time zone streaks are evaluated in (requires Bearer token)
  */
 
-// Helper to get supabase user from access token
-async function getSupabaseUserFromToken(token) {
-  if (!supabase) throw new Error('Supabase client not configured');
-  if (!token) return null;
-  const { data, error } = await supabase.auth.getUser(token);
-  if (error) {
-    // some versions return error when token invalid
+// Helper to estimate a user's own calories for an activity from their profile body metrics
+// Returns { calories, method }; scoring uses calculatePoints, which ignores body metrics
+async function getPersonalCalories(userId, activity) {
+  const metrics = await storage.profiles.findOne({ id: userId }, { columns: 'weight_kg, age, sex, resting_heart_rate' }).catch((err) => {
+    console.error('[CALORIES] Error fetching body metrics:', err);
     return null;
-  }
-  return data?.user || null;
+  });
+  return estimateCalories(activity, metrics || {});
 }
 
-app.post('/api/auth/signup', async (req, res) => {
-  if (!supabase) return res.status(500).json({ error: 'Supabase not configured on server' });
-  const { email, password, display_name, city, team_id } = req.body;
-  if (!email || !password) return res.status(400).json({ error: 'email and password required' });
+// Helper to rebuild a user's current and longest streak from their full activity history
+// "Today" is the user's local date (profiles.time_zone), so streaks don't break at UTC midnight.
+// Rest days and freezes bridge gaps; freezes are spent here for days missed since the last covered day when the
+// expiry job hasn't run yet, and new freezes are earned every FREEZE_EARN_INTERVAL streak days.
+// Returns { streak, longest_streak, last_activity_date, streak_freezes }, or null if the profile couldn't be updated
+async function refreshUserStreak(userId, logPrefix = '[STREAKS]') {
+  const profile = await storage.profiles.findOne(
+    { id: userId },
+    { columns: 'time_zone, streak, last_activity_date, streak_freezes' }
+  ).catch((err) => {
+    console.error(`${logPrefix} Error fetching profile for streak:`, err);
+    return null;
+  });
 
+  let history;
+  let daysOff;
   try {
-    // Create user via admin API (service_role key)
-    const { data, error } = await supabase.auth.admin.createUser({
-      email,
-    password,
-      email_confirm: true,
-      user_metadata: { display_name }
+    history = await storage.activities.findAll({ user_id: userId }, { columns: 'date' });
+    daysOff = await storage.streakDaysOff.findAll({ user_id: userId }, { columns: 'date, kind' });
+  } catch (err) {
+    console.error(`${logPrefix} Error fetching activity history for streak:`, err);
+    return null;
+  }
+
+  const today = getLocalDate(profile?.time_zone);
+  const activityDates = history.map(a => a.date);
+  let freezes = profile?.streak_freezes || 0;
+
+  // Protect the streak the profile had before today, if freezes can cover the days missed since
+  if (profile && profile.streak > 0 && profile.last_activity_date && profile.last_activity_date < today) {
+    const freezeDates = planStreakFreezes({
+      coveredDates: [...activityDates, ...daysOff.map(d => d.date)],
+      daysOff,
+      today,
+      available: freezes
     });
-    if (error) return res.status(400).json({ error: error.message || error });
+    if (freezeDates && freezeDates.length > 0) {
+      try {
+        await storage.streakDaysOff.insert(freezeDates.map(date => ({ user_id: userId, date, kind: 'freeze' })));
+        freezes -= freezeDates.length;
+        daysOff.push(...freezeDates.map(date => ({ date, kind: 'freeze' })));
+        console.log(`${logPrefix} Used ${freezeDates.length} streak freeze(s) for ${userId}: ${freezeDates.join(', ')}`);
+      } catch (err) {
+        console.error(`${logPrefix} Error recording streak freezes:`, err);
+      }
+    }
+  }
+
+  const { streak, longestStreak, lastActivityDate } = computeStreaks(activityDates, today, daysOff.map(d => d.date));
+  freezes = Math.min(MAX_STREAK_FREEZES, freezes + countEarnedFreezes(profile?.streak || 0, streak));
+  const updates = { streak, longest_streak: longestStreak, last_activity_date: lastActivityDate, streak_freezes: freezes };
+
+  try {
+    await storage.profiles.update({ id: userId }, updates);
+  } catch (err) {
+    console.error(`${logPrefix} Error updating profile streak:`, err);
+    return null;
+  }
+  return updates;
+}
+
+app.post('/api/auth/signup', publicRoute, async (req, res) => {
+  const { email, password, display_name, team_id } = req.body;
+  if (!email || !password) return res.status(400).json({ error: 'email and password required' });
+  const { fields: cityFields, location: cityLocation, error: cityError } = resolveCityFields(req.body);
+  if (cityError) return res.status(400).json({ error: cityError });
 
-    const user = data.user;
+  try {
+    // Create user server-side (Supabase admin API, or the local auth store)
+    let user;
+    try {
+      user = await storage.auth.createUser({ email, password, user_metadata: { display_name } });
+    } catch (err) {
+      return res.status(400).json({ error: err.message || String(err) });
+    }
 
     // create profile row
     const profile = {
@@ -381,424 +427,654 @@ app.post('/api/auth/signup', async (req, res) => {
       display_name: display_name || email.split('@')[0],
       avatar_url: null,
       team_id: team_id || null,
-      city: city || null,
+      ...cityFields,
+      lat: cityLocation ? cityLocation.lat : null,
+      lng: cityLocation ? cityLocation.lng : null,
       units: 'km'
     };
-    const { error: upsertErr } = await supabase.from('profiles').upsert(profile);
-    if (upsertErr) {
+    try {
+      await storage.profiles.upsert(profile);
+    } catch (upsertErr) {
       console.warn('Failed to upsert profile after signup:', upsertErr);
     }
 
-    res.json({ message: 'User created', user: { id: user.id, email: user.email } });
+    // Local auth signs the new user straight in; Supabase users sign in from the client
+    const signedIn = storage.auth.signIn ? await storage.auth.signIn(email, password) : null;
+    res.json({ message: 'User created', user: { id: user.id, email: user.email }, ...(signedIn ? { session: signedIn.session } : {}) });
   } catch (err) {
-    console.error('Supabase signup error', err);
+    console.error('Signup error', err);
     res.status(500).json({ error: err.message || String(err) });
   }
 });
 
-app.get('/api/profiles/me', async (req, res) => {
-  if (!supabase) return res.status(500).json({ error: 'Supabase not configured on server' });
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-  if (!token) return res.status(401).json({ error: 'Missing Bearer token' });
+app.post('/api/auth/login', publicRoute, async (req, res) => {
+  if (!storage.auth.signIn) {
+    return res.status(400).json({ error: 'Sign in with the Supabase client; this server does not issue tokens' });
+  }
+  const { email, password } = req.body;
+  if (!email || !password) return res.status(400).json({ error: 'email and password required' });
 
   try {
-    const user = await getSupabaseUserFromToken(token);
-    if (!user) return res.status(401).json({ error: 'Invalid token' });
+    const signedIn = await storage.auth.signIn(email, password);
+    if (!signedIn) return res.status(401).json({ error: 'Invalid email or password' });
+    res.json({ user: { id: signedIn.user.id, email: signedIn.user.email }, session: signedIn.session });
+  } catch (err) {
+    console.error('Login error', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// City autocomplete from the bundled gazetteer (see cities.js): ?q=text&limit=N
+// Returns { cities: [{ id, name, region, country, label, lat, lng }] }, best match first
+app.get('/api/cities', publicRoute, (req, res) => {
+  const q = String(req.query.q || '').trim();
+  const limit = Math.min(parseInt(req.query.limit, 10) || CITY_SEARCH_DEFAULT_LIMIT, CITY_SEARCH_MAX_LIMIT);
+  if (!q) return res.json({ cities: [] });
+  res.json({ cities: searchCities(q, { limit }).map(toCitySummary) });
+});
 
-    const { data, error } = await supabase.from('profiles').select('*').eq('id', user.id).single();
-    if (error && error.code !== 'PGRST116') return res.status(500).json({ error: error.message || error });
+app.get('/api/profiles/me', requireAuth, async (req, res) => {
+  const { user } = req;
 
-    res.json({ user, profile: data || null });
+  try {
+    const profile = await storage.profiles.findOne({ id: user.id });
+    res.json({ user, profile });
   } catch (err) {
     console.error('Error fetching profile', err);
     res.status(500).json({ error: err.message || String(err) });
   }
 });
 
-app.post('/api/profiles/upsert', async (req, res) => {
-  if (!supabase) return res.status(500).json({ error: 'Supabase not configured on server' });
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-  if (!token) return res.status(401).json({ error: 'Missing Bearer token' });
+app.post('/api/profiles/upsert', requireAuth, async (req, res) => {
+  const { user } = req;
 
   try {
-    const user = await getSupabaseUserFromToken(token);
-    if (!user) return res.status(401).json({ error: 'Invalid token' });
-
     // Accept profile fields from body
-    const { display_name, avatar_url, team_id, city, units, lat, lng, points, streak, badges } = req.body;
-    
-    // Get coordinates from city if lat/lng not provided
+    // Points are derived from the points ledger, badges are awarded by the badge engine and streaks are rebuilt
+    // from activity history (see refreshUserStreak); none of them are client-writable
+    const { display_name, avatar_url, team_id, units, lat, lng, time_zone } = req.body;
+    // city_id from the city picker, or city text resolved against the gazetteer (see cities.js)
+    const { fields: cityFields, location: cityLocation, error: cityError } = resolveCityFields(req.body);
+    if (cityError) return res.status(400).json({ error: cityError });
+
+    // Get coordinates from the city if lat/lng not provided; unknown cities have none
     let finalLat = lat;
     let finalLng = lng;
     if (!finalLat || !finalLng) {
-      const coords = getCityCoordinates(city || '');
-      finalLat = coords.lat;
-      finalLng = coords.lng;
+      finalLat = cityLocation?.lat;
+      finalLng = cityLocation?.lng;
     }
-    
+
     const profileRow = {
       id: user.id,
       display_name: display_name || user.user_metadata?.display_name || user.email.split('@')[0],
       avatar_url: avatar_url || null,
       team_id: team_id || null,
-      city: city || null,
+      ...cityFields,
       units: units || 'km',
       lat: finalLat || null,
       lng: finalLng || null,
-      points: points !== undefined ? points : 0,
-      streak: streak !== undefined ? streak : 0,
-      badges: badges || [],
+      ...(isValidTimeZone(time_zone) ? { time_zone } : {}),
       status: 'online',
       last_seen: new Date().toISOString()
     };
 
-    const { data, error } = await supabase.from('profiles').upsert(profileRow).select().limit(1).single();
-    if (error) return res.status(500).json({ error: error.message || error });
-
-    res.json({ profile: data });
+    const profile = await storage.profiles.upsert(profileRow);
+    res.json({ profile });
   } catch (err) {
     console.error('Error upserting profile', err);
     res.status(500).json({ error: err.message || String(err) });
   }
 });
 
-/**********************
- * Activity workflow
- **********************/
-app.post('/api/activities', async (req, res) => {
-  // Accept either username (legacy) or user_id (supabase) in body
-  const { username, user_id, type, distanceKm = 0, durationMinutes = 0, date = getToday() } = req.body;
-  
-  // If Supabase is configured, require user_id and authentication
-  if (supabase) {
-    const authHeader = req.headers.authorization || '';
-    const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-    if (!token) return res.status(401).json({ error: 'Missing Bearer token' });
-    
-    try {
-      const user = await getSupabaseUserFromToken(token);
-      if (!user) return res.status(401).json({ error: 'Invalid token' });
-      
-      // Quality Control validation
-      const qcResult = validateActivity({ type, distanceKm, durationMinutes, date });
-      
-      if (!qcResult.valid) {
-        console.log(`[QC] Activity rejected for user ${user.id}:`, qcResult.errors);
-        return res.status(400).json({
-          error: 'Activity validation failed',
-          details: qcResult.errors,
-          warnings: qcResult.warnings,
-          qc_metrics: qcResult.metrics
-        });
-      }
-      
-      // Log warnings if any (but still accept the activity)
-      if (qcResult.warnings.length > 0) {
-        console.log(`[QC] Activity warnings for user ${user.id}:`, qcResult.warnings);
-      }
-      
-      const activity = {
-        user_id: user.id,
-        type,
-        distance_km: distanceKm,
-        duration_minutes: durationMinutes,
-        date,
-        qc_status: 'accepted',
-        qc_warnings: qcResult.warnings.length > 0 ? qcResult.warnings : null,
-        qc_metrics: qcResult.metrics
-      };
-      const points = calculatePoints({ type, distanceKm, durationMinutes });
-      activity.points_earned = points;
-
-      // Save to database
-      const { data: savedActivity, error: dbError } = await supabase
-        .from('activities')
-        .insert(activity)
-        .select()
-        .single();
-
-      if (dbError) {
-        console.error('Error saving activity to database:', dbError);
-        // Fall back to in-memory if table doesn't exist
-        activities.push({ ...activity, id: generateId('act'), pointsEarned: points });
-        return res.json({ message: 'Activity logged (in-memory fallback)', activity: { ...activity, pointsEarned: points } });
-      }
-
-      // Update user's points and streak in profile
-      const { data: profile } = await supabase.from('profiles').select('points, streak, last_activity_date').eq('id', user.id).single();
-      if (profile) {
-        const newStreak = calculateStreak(profile.last_activity_date, date, profile.streak || 0);
-        
-        await supabase.from('profiles').update({
-          points: (profile.points || 0) + points,
-          streak: newStreak,
-          last_activity_date: date
-        }).eq('id', user.id);
-      }
+// Update the current user's body metrics (weight, age, sex, resting heart rate)
+// Used for personal calorie estimates only; points stay weight-neutral
+app.put('/api/profiles/me/metrics', requireAuth, async (req, res) => {
+  const { user } = req;
 
-      return res.json({ 
-        message: 'Activity logged', 
-        activity: {
-          id: savedActivity.id,
-          user_id: savedActivity.user_id,
-          type: savedActivity.type,
-          distanceKm: savedActivity.distance_km,
-          durationMinutes: savedActivity.duration_minutes,
-          pointsEarned: savedActivity.points_earned,
-          date: savedActivity.date
-        },
-        qc: {
-          status: 'accepted',
-          warnings: qcResult.warnings,
-          metrics: qcResult.metrics
-        }
-      });
-    } catch (err) {
-      console.error('Error in activities endpoint:', err);
-      return res.status(500).json({ error: err.message || String(err) });
+  try {
+    const { errors, updates } = validateBodyMetrics(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid body metrics', details: errors });
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No body metrics provided' });
     }
+
+    const [profile] = await storage.profiles.update({ id: user.id }, updates);
+    if (!profile) return res.status(404).json({ error: 'Profile not found' });
+
+    const { weight_kg, age, sex, resting_heart_rate } = profile;
+    res.json({ metrics: { weight_kg, age, sex, resting_heart_rate } });
+  } catch (err) {
+    console.error('Error updating body metrics', err);
+    res.status(500).json({ error: err.message || String(err) });
   }
-  
-  // Fallback: in-memory storage (legacy)
-  const actor = user_id || username;
-  if (!actor) return res.status(400).json({ error: 'username or user_id required' });
+});
 
-  // Quality Control validation
-  const qcResult = validateActivity({ type, distanceKm, durationMinutes, date });
-  
-  if (!qcResult.valid) {
-    console.log(`[QC] Activity rejected for ${actor}:`, qcResult.errors);
-    return res.status(400).json({
-      error: 'Activity validation failed',
-      details: qcResult.errors,
-      warnings: qcResult.warnings,
-      qc_metrics: qcResult.metrics
-    });
+// Set the current user's IANA time zone (e.g. 'America/New_York') and rebuild their streak in it
+app.put('/api/profiles/me/time-zone', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    const { timeZone } = req.body;
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: `Invalid time zone: ${timeZone}` });
+    }
+
+    await storage.profiles.update({ id: user.id }, { time_zone: timeZone });
+
+    const streaks = await refreshUserStreak(user.id);
+    res.json({ time_zone: timeZone, ...streaks });
+  } catch (err) {
+    console.error('Error updating time zone', err);
+    res.status(500).json({ error: err.message || String(err) });
   }
-  
-  // Log warnings if any (but still accept the activity)
-  if (qcResult.warnings.length > 0) {
-    console.log(`[QC] Activity warnings for ${actor}:`, qcResult.warnings);
+});
+
+// Set the visibility given to the current user's newly stored activities (existing activities keep theirs)
+app.put('/api/profiles/me/default-visibility', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    const { visibility } = req.body;
+    const visibilityError = validateActivityVisibility(visibility);
+    if (visibilityError) return res.status(400).json({ error: visibilityError });
+
+    const [profile] = await storage.profiles.update({ id: user.id }, { default_activity_visibility: visibility });
+    if (!profile) return res.status(404).json({ error: 'Profile not found' });
+
+    res.json({ default_activity_visibility: profile.default_activity_visibility });
+  } catch (err) {
+    console.error('Error updating default visibility', err);
+    res.status(500).json({ error: err.message || String(err) });
   }
+});
 
-  const activity = {
-    id: generateId('act'),
-    user_id: user_id || null,
-    username: username || null,
-    type,
-    distanceKm,
-    durationMinutes,
-    date,
-    qc_status: 'accepted',
-    qc_warnings: qcResult.warnings.length > 0 ? qcResult.warnings : null,
-    qc_metrics: qcResult.metrics
-  };
-  const points = calculatePoints(activity);
-  activity.pointsEarned = points;
-
-  activities.push(activity);
-  res.json({ 
-    message: 'Activity logged', 
-    activity,
-    qc: {
-      status: 'accepted',
-      warnings: qcResult.warnings,
-      metrics: qcResult.metrics
-    }
+// Helper to load privacy zones for a set of users
+// Returns { [userId]: zones }; errors are thrown rather than logged, since carrying on would show untrimmed routes
+async function getPrivacyZonesByUser(userIds) {
+  if (userIds.length === 0) return {};
+  const zones = await storage.privacyZones.find({ user_id: { in: userIds } }, { columns: 'user_id, lat, lng, radius_m' });
+  const byUser = {};
+  zones.forEach((zone) => {
+    (byUser[zone.user_id] = byUser[zone.user_id] || []).push(zone);
   });
-});
+  return byUser;
+}
 
-// Import Strava activity/activities to user's activities
-app.post('/api/activities/import-strava', async (req, res) => {
-  if (!supabase) return res.status(500).json({ error: 'Supabase not configured on server' });
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-  if (!token) return res.status(401).json({ error: 'Missing Bearer token' });
+// List the current user's privacy zones
+app.get('/api/profiles/me/privacy-zones', requireAuth, async (req, res) => {
+  const { user } = req;
 
   try {
-    console.log('[IMPORT] Starting Strava activity import');
-    const user = await getSupabaseUserFromToken(token);
-    if (!user) {
-      console.error('[IMPORT] Invalid token');
-      return res.status(401).json({ error: 'Invalid token' });
-    }
+    const zones = await storage.privacyZones.find(
+      { user_id: user.id },
+      { columns: 'id, label, lat, lng, radius_m, created_at', order: { column: 'created_at', ascending: true } }
+    );
+    res.json({ zones });
+  } catch (err) {
+    console.error('Error fetching privacy zones', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
 
-    console.log(`[IMPORT] User: ${user.id}`);
-    const { stravaActivityIds, importAll = false } = req.body;
-    console.log(`[IMPORT] Request: importAll=${importAll}, stravaActivityIds=${JSON.stringify(stravaActivityIds)}`);
-    
-    // Get user's Strava connection
-    const userId = user.id;
-    const accessToken = await getValidAccessToken(userId);
-    if (!accessToken) {
-      return res.status(400).json({ error: 'Strava not connected. Please connect your Strava account first.' });
-    }
+// Add a privacy zone: { lat, lng, radiusMeters, label }
+app.post('/api/profiles/me/privacy-zones', requireAuth, async (req, res) => {
+  const { user } = req;
 
-    let activitiesToImport = [];
-    
-    if (importAll) {
-      // Fetch all Strava activities
-      console.log(`[IMPORT] Importing all Strava activities for user ${userId}`);
-      let page = 1;
-      let hasMore = true;
-      const allStravaActivities = [];
-      
-      while (hasMore && page <= 10) { // Limit to 10 pages (100 activities) to avoid rate limits
-        try {
-          const activities = await stravaApiRequest(
-            `/athlete/activities?per_page=30&page=${page}`,
-            accessToken
-          );
-          if (activities && activities.length > 0) {
-            allStravaActivities.push(...activities);
-            hasMore = activities.length === 30;
-            page++;
-          } else {
-            hasMore = false;
-          }
-        } catch (err) {
-          console.error(`[IMPORT] Error fetching page ${page}:`, err);
-          hasMore = false;
-        }
-      }
-      
-      activitiesToImport = allStravaActivities;
-      console.log(`[IMPORT] Found ${activitiesToImport.length} Strava activities to import`);
-    } else if (stravaActivityIds && Array.isArray(stravaActivityIds) && stravaActivityIds.length > 0) {
-      // Import specific activities by ID
-      console.log(`[IMPORT] Importing ${stravaActivityIds.length} specific Strava activities`);
-      for (const activityId of stravaActivityIds) {
-        try {
-          const activity = await stravaApiRequest(`/activities/${activityId}`, accessToken);
-          if (activity) {
-            activitiesToImport.push(activity);
-          }
-        } catch (err) {
-          console.error(`[IMPORT] Error fetching activity ${activityId}:`, err);
-        }
-      }
-    } else {
-      return res.status(400).json({ error: 'stravaActivityIds array or importAll=true required' });
+  try {
+    const { errors, zone } = validatePrivacyZone(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid privacy zone', details: errors });
     }
 
-    if (activitiesToImport.length === 0) {
-      return res.json({ message: 'No activities to import', imported: 0, skipped: 0 });
+    const existing = await storage.privacyZones.find({ user_id: user.id }, { columns: 'id' });
+    if (existing.length >= MAX_PRIVACY_ZONES) {
+      return res.status(400).json({ error: `You can have at most ${MAX_PRIVACY_ZONES} privacy zones` });
     }
 
-    // Convert Strava activities to our format and check for duplicates
-    const imported = [];
-    const skipped = [];
-    
-    for (const stravaActivity of activitiesToImport) {
-      try {
-        // Convert Strava activity type to our format
-        let activityType = 'workout';
-        if (stravaActivity.type === 'Run' || stravaActivity.type === 'TrailRun') {
-          activityType = 'run';
-        } else if (stravaActivity.type === 'Walk' || stravaActivity.type === 'Hike') {
-          activityType = 'walk';
-        } else if (stravaActivity.type === 'Ride' || stravaActivity.type === 'EBikeRide') {
-          activityType = 'workout';
-        }
+    const saved = await storage.privacyZones.insert({ ...zone, user_id: user.id });
+    res.json({ message: 'Privacy zone added', zone: saved });
+  } catch (err) {
+    console.error('Error adding privacy zone', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
 
-        const distanceKm = (stravaActivity.distance || 0) / 1000; // Convert meters to km
-        const durationMinutes = Math.round((stravaActivity.moving_time || stravaActivity.elapsed_time || 0) / 60);
-        const activityDate = stravaActivity.start_date_local 
-          ? stravaActivity.start_date_local.split('T')[0] 
-          : new Date(stravaActivity.start_date * 1000).toISOString().split('T')[0];
-
-        // Check if this activity already exists by Strava ID first, then by date+type+distance
-        const { data: existingByStravaId } = await supabase
-          .from('activities')
-          .select('id')
-          .eq('user_id', userId)
-          .eq('strava_activity_id', stravaActivity.id)
-          .limit(1)
-          .single();
-        
-        if (existingByStravaId) {
-          skipped.push({ id: stravaActivity.id, reason: 'Already imported' });
-          continue;
-        }
-        
-        // Also check by date and approximate distance to avoid duplicates
-        const { data: existing } = await supabase
-          .from('activities')
-          .select('id')
-          .eq('user_id', userId)
-          .eq('date', activityDate)
-          .eq('type', activityType)
-          .gte('distance_km', distanceKm * 0.95) // Allow 5% variance
-          .lte('distance_km', distanceKm * 1.05)
-          .limit(1)
-          .single();
-
-        if (existing) {
-          skipped.push({ id: stravaActivity.id, reason: 'Already imported' });
-          continue;
-        }
+// Remove one of the current user's privacy zones
+app.delete('/api/profiles/me/privacy-zones/:zone_id', requireAuth, async (req, res) => {
+  const { user } = req;
 
-        // Quality Control validation
-        const qcResult = validateActivity({ 
-          type: activityType, 
-          distanceKm, 
-          durationMinutes, 
-          date: activityDate 
-        });
-        
-        if (!qcResult.valid) {
-          console.log(`[IMPORT] Activity ${stravaActivity.id} rejected by QC:`, qcResult.errors);
-          skipped.push({ 
-            id: stravaActivity.id, 
-            reason: `QC validation failed: ${qcResult.errors.join(', ')}` 
-          });
-          continue;
-        }
-        
-        // Log warnings if any (but still accept the activity)
-        if (qcResult.warnings.length > 0) {
-          console.log(`[IMPORT] Activity ${stravaActivity.id} QC warnings:`, qcResult.warnings);
+  try {
+    const [removed] = await storage.privacyZones.remove({ id: req.params.zone_id, user_id: user.id });
+    if (!removed) return res.status(404).json({ error: 'Privacy zone not found' });
+
+    res.json({ message: 'Privacy zone removed' });
+  } catch (err) {
+    console.error('Error removing privacy zone', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// Presence heartbeat, sent by the frontend every HEARTBEAT_INTERVAL_MS while the app is open and in view
+// Stamps last_seen; /team-members derives active/online/offline from it (see presence.js)
+app.post('/api/presence/heartbeat', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    const previous = await storage.profiles.findOne({ id: user.id }, { columns: 'last_seen' });
+    if (!previous) return res.status(404).json({ error: 'Profile not found' });
+
+    const lastSeen = new Date().toISOString();
+    await storage.profiles.update({ id: user.id }, { status: 'active', last_seen: lastSeen });
+
+    // Teammates' maps only need to hear about transitions, not every beat
+    if (getPresenceStatus(previous.last_seen) !== 'active') {
+      await publishPresence(user.id, 'active', lastSeen);
+    }
+
+    res.json({ status: getPresenceStatus(lastSeen), last_seen: lastSeen, heartbeat_interval_ms: HEARTBEAT_INTERVAL_MS });
+  } catch (err) {
+    console.error('Error recording presence heartbeat', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+/**********************
+ * Activity workflow
+ **********************/
+
+// Helper to pick the visibility for a new activity: the requested one, or the owner's default
+// Returns { visibility } or { error }
+async function resolveActivityVisibility(userId, requested) {
+  if (requested !== undefined && requested !== null && requested !== '') {
+    const visibilityError = validateActivityVisibility(requested);
+    return visibilityError ? { error: visibilityError } : { visibility: requested };
+  }
+  const profile = await storage.profiles.findOne({ id: userId }, { columns: 'default_activity_visibility' });
+  return { visibility: profile?.default_activity_visibility || 'public' };
+}
+
+app.post('/api/activities', requireAuth, async (req, res) => {
+  const { user } = req;
+  const { type, distanceKm = 0, durationMinutes = 0, averageHeartRate = null } = req.body;
+
+  try {
+    // Without a date the activity is for today in the user's time zone, the day their streak counts it on
+    let { date } = req.body;
+    if (!date) {
+      const profile = await storage.profiles.findOne({ id: user.id }, { columns: 'time_zone' });
+      date = getLocalDate(profile?.time_zone);
+    }
+
+    const { visibility, error: visibilityError } = await resolveActivityVisibility(user.id, req.body.visibility);
+    if (visibilityError) return res.status(400).json({ error: visibilityError });
+
+    // Quality Control validation
+    const qcResult = validateActivity({ type, distanceKm, durationMinutes, averageHeartRate, date });
+    
+    if (!qcResult.valid) {
+      console.log(`[QC] Activity rejected for user ${user.id}:`, qcResult.errors);
+      return res.status(400).json({
+        error: 'Activity validation failed',
+        details: qcResult.errors,
+        warnings: qcResult.warnings,
+        qc_metrics: qcResult.metrics
+      });
+    }
+    
+    // Log warnings if any (but still accept the activity)
+    if (qcResult.warnings.length > 0) {
+      console.log(`[QC] Activity warnings for user ${user.id}:`, qcResult.warnings);
+    }
+    
+    const { calories, method: calorieMethod } = await getPersonalCalories(user.id, { type, distanceKm, durationMinutes, averageHeartRate });
+    const activity = {
+      user_id: user.id,
+      type,
+      distance_km: distanceKm,
+      duration_minutes: durationMinutes,
+      date,
+      source: 'manual',
+      visibility,
+      average_heartrate: averageHeartRate,
+      calories,
+      calorie_method: calorieMethod,
+      qc_status: 'accepted',
+      qc_warnings: qcResult.warnings.length > 0 ? qcResult.warnings : null,
+      qc_metrics: qcResult.metrics
+    };
+    const points = calculatePoints({ type, distanceKm, durationMinutes });
+    activity.points_earned = points;
+
+    // Save to database
+    const savedActivity = await storage.activities.insert(activity);
+
+    // Record points in the ledger, then update cached points and streak in profile
+    await recordPointsEntry(storage, {
+      userId: user.id,
+      source: 'activity',
+      sourceId: savedActivity.id,
+      delta: points,
+      reason: `Logged ${type} activity`
+    });
+    await syncProfilePoints(storage, user.id);
+    scheduleLeaderboardBroadcast();
+    await publishActivity(savedActivity);
+
+    await refreshUserStreak(user.id);
+
+    const badgeResult = await awardBadges(user.id);
+
+    return res.json({ 
+      message: 'Activity logged', 
+      activity: {
+        id: savedActivity.id,
+        user_id: savedActivity.user_id,
+        type: savedActivity.type,
+        distanceKm: savedActivity.distance_km,
+        durationMinutes: savedActivity.duration_minutes,
+        pointsEarned: savedActivity.points_earned,
+        calories: savedActivity.calories,
+        date: savedActivity.date,
+        visibility: savedActivity.visibility
+      },
+      qc: {
+        status: 'accepted',
+        warnings: qcResult.warnings,
+        metrics: qcResult.metrics
+      },
+      newBadges: summarizeBadges(badgeResult?.newlyAwarded)
+    });
+  } catch (err) {
+    console.error('Error in activities endpoint:', err);
+    return res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// Convert a Strava activity into our activity fields
+function convertStravaActivity(stravaActivity) {
+  // Convert Strava sport type to our format
+  const activityType = mapStravaSportType(stravaActivity);
+
+  const distanceKm = (stravaActivity.distance || 0) / 1000; // Convert meters to km
+  const durationMinutes = Math.round((stravaActivity.moving_time || stravaActivity.elapsed_time || 0) / 60);
+  const activityDate = stravaActivity.start_date_local 
+    ? stravaActivity.start_date_local.split('T')[0] 
+    : new Date(stravaActivity.start_date * 1000).toISOString().split('T')[0];
+  // start_latlng is [lat, lng], or empty for indoor activities and hidden locations
+  const [startLat = null, startLng = null] = stravaActivity.start_latlng || [];
+  // Activities only their owner sees on Strava stay private here; otherwise the owner's default applies
+  const isPrivateOnStrava = stravaActivity.private === true || stravaActivity.visibility === 'only_me';
+
+  return {
+    type: activityType,
+    distanceKm,
+    durationMinutes,
+    date: activityDate,
+    startTime: stravaActivity.start_date || null,
+    startLat,
+    startLng,
+    routePolyline: stravaActivity.map?.summary_polyline || null,
+    visibility: isPrivateOnStrava ? 'private' : null,
+    averageHeartRate: stravaActivity.has_heartrate ? stravaActivity.average_heartrate || null : null,
+    stravaActivityId: stravaActivity.id
+  };
+}
+
+// Helper to find an existing activity on the same date with the same type and approximate distance
+async function findDuplicateActivity(userId, { type, distanceKm, date }) {
+  return storage.activities.findOne({
+    user_id: userId,
+    date,
+    type,
+    distance_km: { gte: distanceKm * 0.95, lte: distanceKm * 1.05 } // Allow 5% variance
+  }, { columns: 'id' });
+}
+
+// Helper to dedupe, QC-check, save and score an activity from an external source (Strava, GPX/TCX file)
+// Returns { activity, points } when stored, or { skipped: reason } when not
+async function storeExternalActivity(userId, fields, { source, logPrefix = '[IMPORT]' }) {
+  const {
+    type, distanceKm, durationMinutes, date, startTime = null, startLat = null, startLng = null,
+    routePolyline = null, visibility = null, averageHeartRate = null, stravaActivityId = null
+  } = fields;
+  const label = stravaActivityId || `${type} on ${date}`;
+
+  // Check if this activity already exists by Strava ID first, then by date+type+distance
+  if (stravaActivityId) {
+    const existingByStravaId = await storage.activities.findOne(
+      { user_id: userId, strava_activity_id: stravaActivityId },
+      { columns: 'id' }
+    );
+
+    if (existingByStravaId) {
+      return { skipped: 'Already imported' };
+    }
+  }
+
+  if (await findDuplicateActivity(userId, { type, distanceKm, date })) {
+    return { skipped: 'Already imported' };
+  }
+
+  // Quality Control validation
+  const qcResult = validateActivity({ type, distanceKm, durationMinutes, averageHeartRate, date });
+
+  if (!qcResult.valid) {
+    console.log(`${logPrefix} Activity ${label} rejected by QC:`, qcResult.errors);
+    return { skipped: `QC validation failed: ${qcResult.errors.join(', ')}`, qc: qcResult };
+  }
+
+  // Log warnings if any (but still accept the activity)
+  if (qcResult.warnings.length > 0) {
+    console.log(`${logPrefix} Activity ${label} QC warnings:`, qcResult.warnings);
+  }
+
+  const points = calculatePoints({ type, distanceKm, durationMinutes });
+  const { calories, method: calorieMethod } = await getPersonalCalories(userId, { type, distanceKm, durationMinutes, averageHeartRate });
+  // Without an explicit start, the route's first point is where the activity began
+  const start = getActivityStart({ start_lat: startLat, start_lng: startLng, route_polyline: routePolyline });
+  const { visibility: resolvedVisibility, error: visibilityError } = await resolveActivityVisibility(userId, visibility);
+  if (visibilityError) return { skipped: visibilityError };
+  const activity = {
+    user_id: userId,
+    type,
+    distance_km: distanceKm,
+    duration_minutes: durationMinutes,
+    date,
+    source,
+    visibility: resolvedVisibility,
+    start_time: startTime,
+    start_lat: start?.lat ?? null,
+    start_lng: start?.lng ?? null,
+    route_polyline: routePolyline,
+    average_heartrate: averageHeartRate,
+    calories,
+    calorie_method: calorieMethod,
+    strava_activity_id: stravaActivityId, // Store Strava ID to track imported activities
+    qc_status: 'accepted',
+    qc_warnings: qcResult.warnings.length > 0 ? qcResult.warnings : null,
+    qc_metrics: qcResult.metrics,
+    points_earned: points
+  };
+
+  // Save to database
+  let savedActivity;
+  try {
+    savedActivity = await storage.activities.insert(activity);
+  } catch (dbError) {
+    console.error(`${logPrefix} Error saving activity ${label}:`, dbError);
+    return { skipped: dbError.message || String(dbError) };
+  }
+
+  console.log(`${logPrefix} Successfully saved activity ${label} as ${savedActivity.id}`);
+  await publishActivity(savedActivity);
+
+  await recordPointsEntry(storage, {
+    userId,
+    source: 'activity',
+    sourceId: savedActivity.id,
+    delta: points,
+    reason: stravaActivityId
+      ? `Imported Strava ${type} activity ${stravaActivityId}`
+      : `Imported ${type} activity from ${source}`
+  });
+
+  return { activity: savedActivity, points, qc: qcResult };
+}
+
+// Helper to sync points from the ledger, rebuild the streak and award badges after storing external activities
+// Returns the newly awarded badges
+async function updateProfileAfterImport(userId, logPrefix = '[IMPORT]') {
+  const newPoints = await syncProfilePoints(storage, userId);
+  scheduleLeaderboardBroadcast();
+  const streaks = await refreshUserStreak(userId, logPrefix);
+  if (streaks) {
+    console.log(`${logPrefix} Profile updated: points=${newPoints}, streak=${streaks.streak}`);
+  }
+
+  const badgeResult = await awardBadges(userId, logPrefix);
+  return summarizeBadges(badgeResult?.newlyAwarded);
+}
+
+// History imports run as jobs (see strava-import-jobs.js); pages are imported through storeExternalActivity
+const importJobRunner = createImportJobRunner({
+  storage,
+  fetchPage: async (job, page) => stravaApiRequest(buildActivitiesPagePath(job, page), await getValidAccessToken(job.user_id)),
+  importActivity: (userId, stravaActivity) => storeExternalActivity(userId, convertStravaActivity(stravaActivity), {
+    source: 'strava',
+    logPrefix: '[IMPORT JOB]'
+  }),
+  onJobFinished: async (job) => {
+    console.log(`[IMPORT JOB] Job ${job.id} ${job.status}: ${job.imported} imported, ${job.skipped} skipped, ${job.failed} failed`);
+    if (job.imported > 0) await updateProfileAfterImport(job.user_id, '[IMPORT JOB]');
+  }
+});
+
+// A status poll advances a job nobody is running for at most this long (serverless functions are frozen after
+// responding, so polling is what keeps a job moving there); the cron run gets longer
+const IMPORT_POLL_BUDGET_MS = 5000;
+const IMPORT_CRON_BUDGET_MS = 50 * 1000;
+
+// Helper to run a job after responding; on a long-running server it finishes on its own
+function runImportJobInBackground(jobId) {
+  importJobRunner.runJob(jobId).catch((err) => {
+    console.error(`[IMPORT JOB] Exception running job ${jobId}:`, err);
+  });
+}
+
+// Helper to estimate how many activities a full-history import will find, for its progress bar
+// Strava's athlete stats only count runs, rides and swims, so this is a lower bound; null when unavailable
+async function estimateStravaActivityCount(userId) {
+  try {
+    const tokenRow = await storage.tokens.findOne({ user_id: userId }, { columns: 'athlete_id' });
+    if (!tokenRow?.athlete_id) return null;
+    const stats = await stravaApiRequest(`/athletes/${tokenRow.athlete_id}/stats`, await getValidAccessToken(userId));
+    const total = ['all_run_totals', 'all_ride_totals', 'all_swim_totals']
+      .reduce((sum, key) => sum + (stats?.[key]?.count || 0), 0);
+    return total || null;
+  } catch (err) {
+    console.error('[IMPORT JOB] Error estimating activity count:', err.message || err);
+    return null;
+  }
+}
+
+// Helper to start a history import, or return the one already in progress
+// Returns { job, started }
+async function startImportJob(userId, range) {
+  const active = await storage.stravaImportJobs.findOne({ user_id: userId, status: { in: ACTIVE_IMPORT_STATUSES } });
+  if (active) return { job: active, started: false };
+
+  const isFullHistory = !range.after_date && !range.before_date;
+  const estimatedTotal = isFullHistory ? await estimateStravaActivityCount(userId) : null;
+  let job;
+  try {
+    job = await storage.stravaImportJobs.insert({ user_id: userId, ...range, estimated_total: estimatedTotal });
+  } catch (err) {
+    // Started by a concurrent request (one unfinished import per user)
+    if (err.code !== '23505') throw err;
+    const existing = await storage.stravaImportJobs.findOne({ user_id: userId, status: { in: ACTIVE_IMPORT_STATUSES } });
+    return { job: existing, started: false };
+  }
+  console.log(`[IMPORT JOB] User ${userId} started job ${job.id} (${range.after_date || 'start'} to ${range.before_date || 'now'})`);
+  runImportJobInBackground(job.id);
+  return { job, started: true };
+}
+
+// Import Strava activity/activities to user's activities
+// With stravaActivityIds the activities are imported before responding; importAll starts a history import job
+// instead (optional from/to dates) and returns it, as POST /api/strava/import-jobs does
+app.post('/api/activities/import-strava', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    console.log('[IMPORT] Starting Strava activity import');
+    console.log(`[IMPORT] User: ${user.id}`);
+    const { stravaActivityIds, importAll = false } = req.body;
+    console.log(`[IMPORT] Request: importAll=${importAll}, stravaActivityIds=${JSON.stringify(stravaActivityIds)}`);
+    
+    // Get user's Strava connection
+    const userId = user.id;
+    let accessToken;
+    try {
+      accessToken = await getValidAccessToken(userId);
+    } catch (tokenError) {
+      return res.status(400).json({ error: tokenError.message });
+    }
+
+    let activitiesToImport = [];
+    
+    if (importAll) {
+      const { range, error: rangeError } = parseImportRange(req.body);
+      if (rangeError) return res.status(400).json({ error: rangeError });
+      const { job, started } = await startImportJob(userId, range);
+      return res.status(202).json({
+        message: started ? 'Import started' : 'An import is already in progress',
+        job: toImportJobSummary(job)
+      });
+    } else if (stravaActivityIds && Array.isArray(stravaActivityIds) && stravaActivityIds.length > 0) {
+      // Import specific activities by ID
+      console.log(`[IMPORT] Importing ${stravaActivityIds.length} specific Strava activities`);
+      for (const activityId of stravaActivityIds) {
+        try {
+          const activity = await stravaApiRequest(`/activities/${activityId}`, accessToken);
+          if (activity) {
+            activitiesToImport.push(activity);
+          }
+        } catch (err) {
+          console.error(`[IMPORT] Error fetching activity ${activityId}:`, err);
         }
+      }
+    } else {
+      return res.status(400).json({ error: 'stravaActivityIds array or importAll=true required' });
+    }
 
-        // Create activity
-        const activity = {
-          user_id: userId,
-          type: activityType,
-          distance_km: distanceKm,
-          duration_minutes: durationMinutes,
-          date: activityDate,
-          strava_activity_id: stravaActivity.id, // Store Strava ID to track imported activities
-          qc_status: 'accepted',
-          qc_warnings: qcResult.warnings.length > 0 ? qcResult.warnings : null,
-          qc_metrics: qcResult.metrics
-        };
-        const points = calculatePoints({ type: activityType, distanceKm, durationMinutes });
-        activity.points_earned = points;
-
-        // Save to database
-        console.log(`[IMPORT] Saving activity: ${JSON.stringify(activity)}`);
-        const { data: savedActivity, error: dbError } = await supabase
-          .from('activities')
-          .insert(activity)
-          .select()
-          .single();
-
-        if (dbError) {
-          console.error(`[IMPORT] Error saving activity ${stravaActivity.id}:`, dbError);
-          console.error(`[IMPORT] Full error details:`, JSON.stringify(dbError, null, 2));
-          skipped.push({ id: stravaActivity.id, reason: dbError.message || String(dbError) });
+    if (activitiesToImport.length === 0) {
+      return res.json({ message: 'No activities to import', imported: 0, skipped: 0 });
+    }
+
+    // Convert Strava activities to our format and store them (dedupe + QC + points)
+    const imported = [];
+    const skipped = [];
+    
+    for (const stravaActivity of activitiesToImport) {
+      try {
+        const result = await storeExternalActivity(userId, convertStravaActivity(stravaActivity), {
+          source: 'strava',
+          logPrefix: '[IMPORT]'
+        });
+
+        if (result.skipped) {
+          skipped.push({ id: stravaActivity.id, reason: result.skipped });
           continue;
         }
 
-        console.log(`[IMPORT] Successfully saved activity ${stravaActivity.id} as ${savedActivity.id}`);
-
         imported.push({
           stravaId: stravaActivity.id,
-          activityId: savedActivity.id,
-          date: activityDate,
-          points
+          activityId: result.activity.id,
+          date: result.activity.date,
+          points: result.points
         });
       } catch (err) {
         console.error(`[IMPORT] Error processing activity ${stravaActivity.id}:`, err);
@@ -806,37 +1082,12 @@ app.post('/api/activities/import-strava', async (req, res) => {
       }
     }
 
-    // Update user's points and streak in profile
+    // Update user's points, streak and badges in profile
+    let newBadges = [];
     if (imported.length > 0) {
       const totalPoints = imported.reduce((sum, a) => sum + a.points, 0);
       console.log(`[IMPORT] Updating profile: ${totalPoints} total points from ${imported.length} activities`);
-      const { data: profile, error: profileError } = await supabase.from('profiles').select('points, streak, last_activity_date').eq('id', userId).single();
-      if (profileError) {
-        console.error(`[IMPORT] Error fetching profile:`, profileError);
-      }
-      if (profile) {
-        // Find the most recent activity date from imported activities
-        const activityDates = imported.map(a => a.date).sort().reverse();
-        const mostRecentDate = activityDates[0];
-        
-        // Calculate new streak based on most recent activity date
-        const newStreak = calculateStreak(profile.last_activity_date, mostRecentDate, profile.streak || 0);
-        
-        // Update points and streak
-        const { error: updateError } = await supabase.from('profiles').update({
-          points: (profile.points || 0) + totalPoints,
-          streak: newStreak,
-          last_activity_date: mostRecentDate
-        }).eq('id', userId);
-        
-        if (updateError) {
-          console.error(`[IMPORT] Error updating profile:`, updateError);
-        } else {
-          console.log(`[IMPORT] Profile updated: points=${(profile.points || 0) + totalPoints}, streak=${newStreak}`);
-        }
-      } else {
-        console.error(`[IMPORT] Profile not found for user ${userId}`);
-      }
+      newBadges = await updateProfileAfterImport(userId, '[IMPORT]');
     } else {
       console.log(`[IMPORT] No activities imported, skipping profile update`);
     }
@@ -846,7 +1097,8 @@ app.post('/api/activities/import-strava', async (req, res) => {
       message: `Imported ${imported.length} activities`,
       imported: imported.length,
       skipped: skipped.length,
-      details: { imported, skipped: skipped.slice(0, 10) } // Limit skipped details
+      details: { imported, skipped: skipped.slice(0, 10) }, // Limit skipped details
+      newBadges
     });
   } catch (err) {
     console.error('[IMPORT] Exception importing Strava activities:', err);
@@ -854,291 +1106,712 @@ app.post('/api/activities/import-strava', async (req, res) => {
   }
 });
 
-app.get('/api/activities/:identifier', async (req, res) => {
-  const identifier = req.params.identifier;
-  
-  // If Supabase is configured, fetch from database
-  if (supabase) {
+/**
+ * Strava history import jobs (see strava-import-jobs.js)
+ * - POST /api/strava/import-jobs => start importing the user's Strava history; body { from, to } (YYYY-MM-DD, optional)
+ * - GET /api/strava/import-jobs => the user's recent imports, newest first
+ * - GET /api/strava/import-jobs/:job_id => progress of one import (poll this; it also advances a stalled job)
+ * - POST /api/strava/import-jobs/:job_id/cancel => stop an unfinished import; activities already imported stay
+ * - POST /api/strava/import-jobs/:job_id/resume => carry on with a failed or cancelled import from where it stopped
+ */
+app.post('/api/strava/import-jobs', stravaLimiter, requireAuth, async (req, res) => {
+  const { user } = req;
+  const { range, error: rangeError } = parseImportRange(req.body);
+  if (rangeError) return res.status(400).json({ error: rangeError });
+
+  try {
     try {
-      console.log(`[ACTIVITIES GET] Fetching activities for identifier: ${identifier}`);
-      
-      // Try to fetch by user_id (UUID) first
-      const { data: userActivities, error } = await supabase
-        .from('activities')
-        .select('*')
-        .eq('user_id', identifier)
-        .order('date', { ascending: false })
-        .limit(100);
-      
-      if (error) {
-        console.error('[ACTIVITIES GET] Error fetching activities:', error);
-        // Fallback to in-memory
-        const userActivities = activities.filter((activity) => 
-          activity.username === identifier || activity.user_id === identifier
-        );
-        return res.json(userActivities);
-      }
-      
-      console.log(`[ACTIVITIES GET] Found ${userActivities?.length || 0} activities`);
-      
-      // Transform database format to frontend format
-      const transformed = (userActivities || []).map(a => ({
-        id: a.id,
-        user_id: a.user_id,
-        type: a.type,
-        distanceKm: a.distance_km,
-        durationMinutes: a.duration_minutes,
-        pointsEarned: a.points_earned,
-        date: a.date
-      }));
-      
-      return res.json(transformed);
-    } catch (err) {
-      console.error('[ACTIVITIES GET] Exception:', err);
-      return res.status(500).json({ error: err.message || String(err) });
+      await getValidAccessToken(user.id);
+    } catch (tokenError) {
+      return res.status(400).json({ error: tokenError.message });
     }
+
+    const { job, started } = await startImportJob(user.id, range);
+    if (!started) return res.status(409).json({ error: 'An import is already in progress', job: toImportJobSummary(job) });
+    res.status(202).json({ message: 'Import started', job: toImportJobSummary(job) });
+  } catch (err) {
+    console.error('[IMPORT JOB] Error starting import:', err);
+    res.status(500).json({ error: err.message || String(err) });
   }
-  
-  // Fallback: in-memory storage
-  const userActivities = activities.filter((activity) => 
-    activity.username === identifier || activity.user_id === identifier
-  );
-  res.json(userActivities);
 });
 
-/**********************
- * Leaderboards & dashboard
- **********************/
-app.get('/leaderboard', async (req, res) => {
+app.get('/api/strava/import-jobs', requireAuth, async (req, res) => {
+  const { user } = req;
+
   try {
-    const boards = await getLeaderboards();
-    res.json(boards);
+    const jobs = await storage.stravaImportJobs.find(
+      { user_id: user.id },
+      { order: [{ column: 'created_at', ascending: false }], limit: 10 }
+    );
+    res.json({ jobs: jobs.map(toImportJobSummary) });
   } catch (err) {
-    console.error('Error returning leaderboard:', err);
-    res.json({ teamLeaderboard: [], cityLeaderboard: [], individualLeaderboard: [] });
+    console.error('[IMPORT JOB] Error listing imports:', err);
+    res.status(500).json({ error: err.message || String(err) });
   }
 });
 
-app.get('/activity-map', (req, res) => {
-  (async () => {
-    // Build map points from activities and profiles when available
-    if (supabase) {
-      try {
-        // Fetch activities from database
-        const { data: dbActivities, error: activitiesError } = await supabase
-          .from('activities')
-          .select('*')
-          .order('date', { ascending: false })
-          .limit(500);
-        
-        if (activitiesError) {
-          console.error('Error fetching activities for map:', activitiesError);
-          // Fallback to in-memory
-        } else if (dbActivities && dbActivities.length > 0) {
-          // Fetch profiles for location data
-          const { data: profiles } = await supabase.from('profiles').select('*');
-          const profileById = {};
-          (profiles || []).forEach((p) => { profileById[p.id] = p; });
-
-          const mapPoints = dbActivities.map((activity, index) => {
-            const uid = activity.user_id;
-            const profile = profileById[uid];
-            const coords = profile ? getCityCoordinates(profile.city || 'Unknown') : { lat: 39.9526, lng: -75.1652 };
-    return {
-              id: activity.id || `map-${index}`,
-              userId: uid,
-              username: profile?.display_name || uid,
-              lat: profile?.lat || coords.lat + (Math.random() - 0.5) * 0.01,
-              lng: profile?.lng || coords.lng + (Math.random() - 0.5) * 0.01,
-              intensity: activity.points_earned || 1,
-      type: activity.type,
-      date: activity.date,
-    };
-  });
+app.get('/api/strava/import-jobs/:job_id', requireAuth, async (req, res) => {
+  const { user } = req;
 
-          return res.json({ mapPoints });
-        }
-      } catch (err) {
-        console.error('Error building activity map from Supabase:', err);
-      }
-    }
+  try {
+    const { job_id } = req.params;
+    let job = await storage.stravaImportJobs.findOne({ id: job_id, user_id: user.id });
+    if (!job) return res.status(404).json({ error: 'Import not found' });
 
-    // Fallback: return empty map or based on minimal activities (in-memory)
-    const mapPoints = activities.map((activity, index) => ({
-      id: `map-${index}`,
-      username: activity.username || activity.user_id,
-      lat: 39.9526 + (Math.random() - 0.5) * 0.01,
-      lng: -75.1652 + (Math.random() - 0.5) * 0.01,
-      intensity: activity.pointsEarned || 1,
-      type: activity.type,
-      date: activity.date,
-    }));
-  res.json({ mapPoints });
-  })();
+    // Nobody is running an unfinished job (its worker crashed or was frozen): do some of it now
+    if (ACTIVE_IMPORT_STATUSES.includes(job.status)) {
+      job = await importJobRunner.runJob(job.id, { deadline: Date.now() + IMPORT_POLL_BUDGET_MS }) || job;
+    }
+    res.json({ job: toImportJobSummary(job) });
+  } catch (err) {
+    console.error('[IMPORT JOB] Error fetching import:', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
 });
 
-// New endpoint to get team members with their status and locations
-app.get('/team-members', (req, res) => {
-  const { teamId } = req.query;
-  // If Supabase is configured, fetch profiles for the given teamId
-  (async () => {
-    if (supabase) {
-      try {
-        let q = supabase.from('profiles').select('*');
-        if (teamId) q = q.eq('team_id', teamId);
-        const { data: profiles, error } = await q;
-        if (error) {
-          console.error('Error querying profiles for team-members:', error);
-          return res.status(500).json({ members: [] });
-        }
+app.post('/api/strava/import-jobs/:job_id/cancel', requireAuth, async (req, res) => {
+  const { user } = req;
 
-  const now = Date.now();
-        const members = (profiles || []).map((p) => {
-          // Provide default coordinates based on city
-          const coords = getCityCoordinates(p.city || 'Unknown');
-          // No real 'lastSeen' tracking yet; mark everyone as online for now
-          const lastSeen = now - Math.floor(Math.random() * 600000); // randomize for demo
-          const timeSinceLastSeen = now - lastSeen;
-          let status = 'offline';
-          if (timeSinceLastSeen < 300000) status = 'active';
-          else if (timeSinceLastSeen < 900000) status = 'online';
-    
-    return {
-            username: p.display_name || p.id,
-            city: p.city || null,
-            teamId: p.team_id || null,
-            points: 0,
-            streak: 0,
-            lat: coords.lat,
-            lng: coords.lng,
-            status,
-            lastSeen,
-            lastActivityDate: null,
-    };
-  });
-  
-        return res.json({ members });
-      } catch (err) {
-        console.error('Error fetching team members from Supabase:', err);
-        return res.status(500).json({ members: [] });
-      }
+  try {
+    const { job_id } = req.params;
+    const [job] = await storage.stravaImportJobs.update(
+      { id: job_id, user_id: user.id, status: { in: ACTIVE_IMPORT_STATUSES } },
+      { status: 'cancelled', locked_until: null, finished_at: new Date().toISOString() }
+    );
+    if (!job) {
+      const existing = await storage.stravaImportJobs.findOne({ id: job_id, user_id: user.id }, { columns: 'id' });
+      return existing
+        ? res.status(409).json({ error: 'Import has already finished' })
+        : res.status(404).json({ error: 'Import not found' });
     }
 
-    // Fallback: no server-side profiles configured
-    res.json({ members: [] });
-  })();
+    console.log(`[IMPORT JOB] User ${user.id} cancelled job ${job.id}`);
+    if (job.imported > 0) await updateProfileAfterImport(user.id, '[IMPORT JOB]');
+    res.json({ message: 'Import cancelled', job: toImportJobSummary(job) });
+  } catch (err) {
+    console.error('[IMPORT JOB] Error cancelling import:', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
 });
 
-/**********************
- * Strava OAuth Integration
- **********************/
+app.post('/api/strava/import-jobs/:job_id/resume', stravaLimiter, requireAuth, async (req, res) => {
+  const { user } = req;
 
-// Helper function to get valid access token (with auto-refresh)
-async function getValidAccessToken(identifier) {
-  // identifier may be a Supabase user id (uuid) or a legacy username
-  // First, try Supabase-backed tokens
-  if (supabase) {
-    try {
-      const { data: tokenRow, error } = await supabase.from('strava_tokens').select('*').eq('user_id', identifier).single();
-      if (!error && tokenRow) {
-        const enc = tokenRow.encrypted || {};
-        const accessToken = decrypt(enc.access, ENCRYPTION_KEY);
-        const refreshToken = decrypt(enc.refresh, ENCRYPTION_KEY);
-        const expiresAt = tokenRow.expires_at ? new Date(tokenRow.expires_at).getTime() : null;
-
-        if (isTokenExpired(expiresAt)) {
-          try {
-            const newTokens = await refreshAccessToken(refreshToken, process.env.STRAVA_CLIENT_ID, process.env.STRAVA_CLIENT_SECRET);
-            // update DB
-            const newEncrypted = { access: encrypt(newTokens.accessToken, ENCRYPTION_KEY), refresh: encrypt(newTokens.refreshToken, ENCRYPTION_KEY) };
-            await supabase.from('strava_tokens').upsert({ user_id: identifier, encrypted: newEncrypted, scope: newTokens.scope, expires_at: new Date(newTokens.expiresAt).toISOString() }, { onConflict: 'user_id' });
-            return newTokens.accessToken;
-          } catch (err) {
-            console.error('Failed to refresh Strava token from DB row:', err);
-            throw new Error('Token refresh failed. Please reconnect your Strava account.');
-          }
-        }
+  try {
+    const { job_id } = req.params;
+    const existing = await storage.stravaImportJobs.findOne({ id: job_id, user_id: user.id }, { columns: 'id, status' });
+    if (!existing) return res.status(404).json({ error: 'Import not found' });
+    if (!['failed', 'cancelled'].includes(existing.status)) {
+      return res.status(409).json({ error: `Only failed or cancelled imports can be resumed (this one is ${existing.status})` });
+    }
 
-        return accessToken;
-      }
+    let job;
+    try {
+      [job] = await storage.stravaImportJobs.update(
+        { id: job_id, status: existing.status },
+        { status: 'queued', page_attempts: 0, last_error: null, locked_until: null, finished_at: null }
+      );
     } catch (err) {
-      console.error('Error querying strava_tokens for user:', err);
+      if (err.code !== '23505') throw err;
+      return res.status(409).json({ error: 'Another import is already in progress' });
     }
-  }
+    if (!job) return res.status(409).json({ error: 'Import changed; reload and try again' });
 
-  // Fallback to legacy in-memory store keyed by username
-  const connection = stravaConnections[identifier];
-  if (!connection) {
-    throw new Error('No Strava connection found');
+    console.log(`[IMPORT JOB] User ${user.id} resumed job ${job.id} at page ${job.next_page}`);
+    runImportJobInBackground(job.id);
+    res.status(202).json({ message: 'Import resumed', job: toImportJobSummary(job) });
+  } catch (err) {
+    console.error('[IMPORT JOB] Error resuming import:', err);
+    res.status(500).json({ error: err.message || String(err) });
   }
+});
 
-  // Decrypt tokens
-  const accessToken = decrypt(connection.accessTokenEncrypted, ENCRYPTION_KEY);
-  const refreshToken = decrypt(connection.refreshTokenEncrypted, ENCRYPTION_KEY);
+// Upload a GPX or TCX file exported from a watch/app
+// Body is the raw file; query: format (gpx|tcx, detected if omitted), type (override), tzOffset (minutes, as from Date#getTimezoneOffset)
+const activityFileParser = bodyParser.text({
+  type: ['application/gpx+xml', 'application/vnd.garmin.tcx+xml', 'application/xml', 'text/xml', 'text/plain', 'application/octet-stream'],
+  limit: '10mb'
+});
 
-  // Check if token is expired
-  if (isTokenExpired(connection.expiresAt)) {
-    try {
-      // Refresh the token
-      const newTokens = await refreshAccessToken(
-        refreshToken,
-        process.env.STRAVA_CLIENT_ID,
-        process.env.STRAVA_CLIENT_SECRET
-      );
+app.post('/api/activities/upload', requireAuth, activityFileParser, async (req, res) => {
+  const { user } = req;
 
-      // Encrypt and store new tokens
-      connection.accessTokenEncrypted = encrypt(newTokens.accessToken, ENCRYPTION_KEY);
-      connection.refreshTokenEncrypted = encrypt(newTokens.refreshToken, ENCRYPTION_KEY);
-      connection.expiresAt = newTokens.expiresAt;
-      connection.updatedAt = Date.now();
+  try {
+    const { format, type, tzOffset = 0, visibility } = req.query;
+    const visibilityError = visibility ? validateActivityVisibility(visibility) : null;
+    if (visibilityError) return res.status(400).json({ error: visibilityError });
 
-      return newTokens.accessToken;
-    } catch (error) {
-      // If refresh fails, remove connection
-      delete stravaConnections[identifier];
-      throw new Error('Token refresh failed. Please reconnect your Strava account.');
+    let parsed;
+    try {
+      parsed = parseActivityFile(typeof req.body === 'string' ? req.body : '', format);
+    } catch (parseErr) {
+      return res.status(400).json({ error: parseErr.message });
     }
-  }
 
-  return accessToken;
-}
+    // Activity date is the start time in the uploader's local time zone
+    const offsetMs = (Number(tzOffset) || 0) * 60 * 1000;
+    const date = new Date(new Date(parsed.startTime).getTime() - offsetMs).toISOString().slice(0, 10);
+    const activityType = type || parsed.type;
+
+    console.log(`[UPLOAD] User ${user.id} uploaded ${parsed.format} file: ${parsed.pointCount} points, ${parsed.distanceKm} km, ${parsed.durationMinutes} min`);
+
+    const result = await storeExternalActivity(user.id, {
+      type: activityType,
+      distanceKm: parsed.distanceKm,
+      durationMinutes: parsed.durationMinutes,
+      date,
+      startTime: parsed.startTime,
+      startLat: parsed.startLat,
+      startLng: parsed.startLng,
+      routePolyline: parsed.routePolyline,
+      visibility,
+      averageHeartRate: parsed.averageHeartRate
+    }, { source: 'file', logPrefix: '[UPLOAD]' });
+
+    if (result.skipped) {
+      if (result.qc) {
+        return res.status(400).json({
+          error: 'Activity validation failed',
+          details: result.qc.errors,
+          warnings: result.qc.warnings,
+          qc_metrics: result.qc.metrics,
+          parsed: { type: activityType, distanceKm: parsed.distanceKm, durationMinutes: parsed.durationMinutes, date }
+        });
+      }
+      const status = result.skipped === 'Already imported' ? 409 : 500;
+      return res.status(status).json({ error: result.skipped });
+    }
 
-// GET /api/strava/auth - Generate Strava authorization URL
-app.get('/api/strava/auth', (req, res) => {
-  const { username } = req.query;
+    const newBadges = await updateProfileAfterImport(user.id, '[UPLOAD]');
 
-  // Allow the frontend to provide a Supabase access token in Authorization header.
-  // If provided and valid, we will associate the state with the Supabase user id (preferred).
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+    res.json({
+      message: 'Activity uploaded',
+      activity: {
+        id: result.activity.id,
+        user_id: result.activity.user_id,
+        type: result.activity.type,
+        distanceKm: result.activity.distance_km,
+        durationMinutes: result.activity.duration_minutes,
+        pointsEarned: result.activity.points_earned,
+        calories: result.activity.calories,
+        date: result.activity.date,
+        startTime: result.activity.start_time,
+        visibility: result.activity.visibility
+      },
+      qc: {
+        status: 'accepted',
+        warnings: result.qc.warnings,
+        metrics: result.qc.metrics
+      },
+      newBadges
+    });
+  } catch (err) {
+    console.error('[UPLOAD] Exception uploading activity file:', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
 
-  let stateData = {};
+// Query: type, source, qcStatus (single or comma-separated), from/to (YYYY-MM-DD), sort, limit, cursor
+// Responds with { activities, nextCursor }; pass nextCursor back (with the same filters and sort) for the next page
+// Other users' lists only include their accepted activities the caller may see (see privacy.js)
+app.get('/api/activities/:identifier', requireAuth, async (req, res) => {
+  const { user } = req;
+  const identifier = req.params.identifier;
 
-  (async () => {
-    if (token && supabase) {
-      try {
-        const supaUser = await getSupabaseUserFromToken(token);
-        if (supaUser) {
-          stateData.userId = supaUser.id; // prefer server-side user id binding
-        }
-      } catch (err) {
-        // Ignore - we'll fall back to username if provided
-      }
+  const { options, error: queryError } = parseHistoryQuery(req.query);
+  if (queryError) return res.status(400).json({ error: queryError });
+
+  try {
+    console.log(`[ACTIVITIES GET] Fetching activities for identifier: ${identifier}`);
+
+    const { filter, order, limit } = buildHistoryQuery(options);
+    let scopedFilter = { ...filter, user_id: identifier };
+    if (identifier !== user.id) {
+      const connections = await getViewerConnections(user.id);
+      scopedFilter = restrictToVisible({ ...scopedFilter, qc_status: 'accepted' }, buildVisibilityAlternatives(user.id, connections));
     }
+    const userActivities = await storage.activities.find(scopedFilter, { order, limit });
 
-    if (!stateData.userId) {
-      if (!username) {
-        return res.status(400).json({ error: 'username required when not authenticated via Supabase' });
-      }
-  if (!users[username]) {
-    return res.status(404).json({ error: 'User not found' });
-      }
-      stateData.username = username;
+    const { rows, nextCursor } = paginateHistory(userActivities, options);
+    console.log(`[ACTIVITIES GET] Found ${rows.length} activities${nextCursor ? ' (more available)' : ''}`);
+    
+    // Transform database format to frontend format
+    const transformed = rows.map(a => ({
+      id: a.id,
+      user_id: a.user_id,
+      type: a.type,
+      distanceKm: a.distance_km,
+      durationMinutes: a.duration_minutes,
+      pointsEarned: a.points_earned,
+      calories: a.calories,
+      averageHeartRate: a.average_heartrate,
+      date: a.date,
+      source: a.source || 'manual',
+      qcStatus: a.qc_status || 'accepted',
+      visibility: a.visibility || 'public'
+    }));
+    
+    res.json({ activities: transformed, nextCursor });
+  } catch (err) {
+    console.error('[ACTIVITIES GET] Exception:', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// Helper to re-derive points from the ledger and rebuild the streak from remaining activity history
+async function syncProfileAfterActivityChange(userId) {
+  const points = await syncProfilePoints(storage, userId);
+  scheduleLeaderboardBroadcast();
+  const streaks = await refreshUserStreak(userId, '[ACTIVITIES]');
+  return { points, ...streaks };
+}
+
+// Edit a logged activity (re-runs QC and recalculates points)
+app.put('/api/activities/:id', requireAuth, async (req, res) => {
+  const { user } = req;
+  const { id } = req.params;
+
+  try {
+    const existing = await storage.activities.findOne({ id, user_id: user.id });
+    if (!existing) {
+      return res.status(404).json({ error: 'Activity not found' });
+    }
+
+    const {
+      type = existing.type,
+      distanceKm = existing.distance_km || 0,
+      durationMinutes = existing.duration_minutes || 0,
+      averageHeartRate = existing.average_heartrate || null,
+      date = existing.date,
+      visibility = existing.visibility || 'public'
+    } = req.body;
+
+    const visibilityError = validateActivityVisibility(visibility);
+    if (visibilityError) return res.status(400).json({ error: visibilityError });
+
+    // Quality Control validation
+    const qcResult = validateActivity({ type, distanceKm, durationMinutes, averageHeartRate, date });
+
+    if (!qcResult.valid) {
+      console.log(`[QC] Activity edit rejected for user ${user.id}:`, qcResult.errors);
+      return res.status(400).json({
+        error: 'Activity validation failed',
+        details: qcResult.errors,
+        warnings: qcResult.warnings,
+        qc_metrics: qcResult.metrics
+      });
+    }
+
+    const points = calculatePoints({ type, distanceKm, durationMinutes });
+    const { calories, method: calorieMethod } = await getPersonalCalories(user.id, { type, distanceKm, durationMinutes, averageHeartRate });
+
+    const [updated] = await storage.activities.update({ id, user_id: user.id }, {
+      type,
+      distance_km: distanceKm,
+      duration_minutes: durationMinutes,
+      date,
+      visibility,
+      average_heartrate: averageHeartRate,
+      calories,
+      calorie_method: calorieMethod,
+      points_earned: points,
+      qc_status: 'accepted',
+      qc_warnings: qcResult.warnings.length > 0 ? qcResult.warnings : null,
+      qc_metrics: qcResult.metrics
+    });
+    if (!updated) return res.status(404).json({ error: 'Activity not found' });
+
+    const pointsDelta = points - (existing.points_earned || 0);
+    await recordPointsEntry(storage, {
+      userId: user.id,
+      source: 'activity',
+      sourceId: id,
+      delta: pointsDelta,
+      reason: `Edited ${type} activity`
+    });
+    const profile = await syncProfileAfterActivityChange(user.id);
+    // A new type or distance can complete a badge, like a new activity
+    const badgeResult = await awardBadges(user.id);
+
+    res.json({
+      message: 'Activity updated',
+      activity: {
+        id: updated.id,
+        user_id: updated.user_id,
+        type: updated.type,
+        distanceKm: updated.distance_km,
+        durationMinutes: updated.duration_minutes,
+        pointsEarned: updated.points_earned,
+        calories: updated.calories,
+        date: updated.date,
+        visibility: updated.visibility
+      },
+      pointsDelta,
+      profile,
+      qc: {
+        status: 'accepted',
+        warnings: qcResult.warnings,
+        metrics: qcResult.metrics
+      },
+      newBadges: summarizeBadges(badgeResult?.newlyAwarded)
+    });
+  } catch (err) {
+    console.error('Error updating activity:', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// Delete a logged activity (reverses its points and rebuilds the streak)
+app.delete('/api/activities/:id', requireAuth, async (req, res) => {
+  const { user } = req;
+  const { id } = req.params;
+
+  try {
+    const [existing] = await storage.activities.remove({ id, user_id: user.id });
+    if (!existing) {
+      return res.status(404).json({ error: 'Activity not found' });
+    }
+
+    const pointsDelta = -(existing.points_earned || 0);
+    await recordPointsEntry(storage, {
+      userId: user.id,
+      source: 'activity',
+      sourceId: id,
+      delta: pointsDelta,
+      reason: `Deleted ${existing.type} activity`
+    });
+    const profile = await syncProfileAfterActivityChange(user.id);
+
+    res.json({ message: 'Activity deleted', pointsDelta, profile });
+  } catch (err) {
+    console.error('Error deleting activity:', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+/**********************
+ * Realtime events
+ * GET /api/events streams Server-Sent Events (see realtime.js); handlers publish as a side effect
+ **********************/
+
+// Wait this long after a points change before rebuilding the boards, so a burst of imports sends one update
+const LEADERBOARD_BROADCAST_DELAY_MS = 2000;
+
+let leaderboardBroadcastTimer = null;
+// Individual and team ranks from the last broadcast: { individual: { userId: rank }, team: { teamId: rank } }
+let lastBroadcastRanks = null;
+
+// Helper to turn an activity and its user's profile into an activity map point
+// Routes are trimmed to the owner's privacy zones; activities without a (shareable) start sit at the
+// owner's location and are marked approximate, or are left off the map (null) when that isn't known either
+function toMapPoint(activity, profile, { includeRoute = true, zones = [] } = {}) {
+  const { start, routePolyline } = applyPrivacyZones(activity, zones);
+  const location = start || getProfileLocation(profile);
+  if (!location) return null;
+  return {
+    id: activity.id,
+    userId: activity.user_id,
+    username: profile?.display_name || activity.user_id,
+    lat: location.lat,
+    lng: location.lng,
+    approximate: !start,
+    route: includeRoute ? routePolyline : null,
+    intensity: activity.points_earned || 1,
+    type: activity.type,
+    distanceKm: activity.distance_km,
+    date: activity.date,
+  };
+}
+
+// Helper to push a newly stored activity to the live activity maps of everyone who may see it
+// Errors are logged; publishing never fails the request that stored the activity
+async function publishActivity(activity) {
+  if (realtime.connectionCount() === 0) return;
+  try {
+    if (activity.qc_status && activity.qc_status !== 'accepted') return;
+    // Friends and teammates are mutual, so the owner's connections are the people allowed to see it
+    let userIds;
+    if (activity.visibility === 'private') {
+      userIds = [activity.user_id];
+    } else if (activity.visibility === 'friends' || activity.visibility === 'team') {
+      const { friendIds, teammateIds } = await getViewerConnections(activity.user_id);
+      userIds = [activity.user_id, ...(activity.visibility === 'friends' ? friendIds : teammateIds)];
+    }
+
+    const profile = await storage.profiles.findOne({ id: activity.user_id }, { columns: 'id, display_name, city, city_id, lat, lng' });
+    const zonesByUser = await getPrivacyZonesByUser([activity.user_id]);
+    const mapPoint = toMapPoint(activity, profile, { zones: zonesByUser[activity.user_id] });
+    if (!mapPoint) return;
+    realtime.publish('activity', { mapPoint }, { userIds });
+  } catch (err) {
+    console.error('[REALTIME] Error publishing activity:', err);
+  }
+}
+
+// Helper to index the ranks on a set of boards, for comparing against the next build
+function rankLeaderboards(boards) {
+  const ranks = { individual: {}, team: {} };
+  boards.individualLeaderboard.forEach((u) => { ranks.individual[u.id] = u.rank; });
+  boards.teamLeaderboard.forEach((t) => { ranks.team[t.id] = t.rank; });
+  return ranks;
+}
+
+// Helper to rebuild the all-time boards shortly after points change and push them when any rank moved
+// Payload: { leaderboard: boards as from GET /leaderboard, changes: [{ id, username, from, to }] }
+function scheduleLeaderboardBroadcast() {
+  if (leaderboardBroadcastTimer) return;
+  leaderboardBroadcastTimer = setTimeout(async () => {
+    leaderboardBroadcastTimer = null;
+    if (realtime.connectionCount() === 0) {
+      lastBroadcastRanks = null;
+      return;
+    }
+
+    const boards = await getLeaderboards();
+    const previous = lastBroadcastRanks;
+    lastBroadcastRanks = rankLeaderboards(boards);
+    // Nothing to compare against yet; clients loaded the boards themselves
+    if (!previous) return;
+
+    const changes = boards.individualLeaderboard
+      .filter((u) => previous.individual[u.id] !== u.rank)
+      .map((u) => ({ id: u.id, username: u.username, from: previous.individual[u.id] || null, to: u.rank }));
+    const teamMoved = boards.teamLeaderboard.some((t) => previous.team[t.id] !== t.rank);
+    if (changes.length === 0 && !teamMoved) return;
+
+    realtime.publish('leaderboard', { leaderboard: boards, changes });
+  }, LEADERBOARD_BROADCAST_DELAY_MS);
+  leaderboardBroadcastTimer.unref();
+}
+
+// Helper to create notifications and tell the recipients' open clients to refresh their bell
+async function notifyUsers(notifications) {
+  const created = await createNotifications(storage, notifications);
+  if (created === 0) return 0;
+
+  (notifications || [])
+    .filter((n) => n && n.userId && n.userId !== n.actorId)
+    .forEach((n) => realtime.publish('notification', { type: n.type }, { userIds: [n.userId] }));
+  return created;
+}
+
+// Helper to tell a user's teammates that their presence status changed
+async function publishPresence(userId, status, lastSeen) {
+  if (realtime.connectionCount() === 0) return;
+  try {
+    const memberships = await storage.teamMembers.find({ user_id: userId }, { columns: 'team_id' });
+    if (memberships.length === 0) return;
+    const teammates = await storage.teamMembers.find(
+      { team_id: { in: memberships.map((m) => m.team_id) } },
+      { columns: 'user_id' }
+    );
+    realtime.publish('presence', { userId, status, lastSeen }, { userIds: teammates.map((m) => m.user_id) });
+  } catch (err) {
+    console.error('[REALTIME] Error publishing presence:', err);
+  }
+}
+
+// Event stream for the signed-in user
+// The frontend reads it with fetch so it can send the Authorization header (EventSource can't)
+app.get('/api/events', requireAuth, (req, res) => {
+  const { user } = req;
+  realtime.subscribe(req, res, user.id);
+
+  // The first listener records the current ranks, so the next points change can be compared against them
+  if (!lastBroadcastRanks) {
+    getLeaderboards().then((boards) => {
+      if (!lastBroadcastRanks) lastBroadcastRanks = rankLeaderboards(boards);
+    });
+  }
+});
+
+/**********************
+ * Leaderboards & dashboard
+ **********************/
+app.get('/leaderboard', publicRoute, async (req, res) => {
+  // Optional ?window=week|month|season|custom (with start/end) ; defaults to all-time
+  const { window: windowName = 'all', start, end } = req.query;
+  let range;
+  try {
+    range = getLeaderboardWindow(windowName, start, end);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const boards = await getLeaderboards(range);
+    res.json(boards);
+  } catch (err) {
+    console.error('Error returning leaderboard:', err);
+    res.json({ teamLeaderboard: [], cityLeaderboard: [], individualLeaderboard: [] });
+  }
+});
+
+// Optional filters: ?type=run,bike&from=YYYY-MM-DD&to=YYYY-MM-DD&bbox=west,south,east,north&limit=N&routes=false
+// (see activity-map.js); routes are Google-encoded polylines, trimmed to their owners' privacy zones
+// Anonymous callers see public activities; signed-in callers also see those shared with them (see privacy.js)
+app.get('/activity-map', optionalAuth, async (req, res) => {
+  const { user } = req;
+  const { options, error: queryError } = parseMapQuery(req.query);
+  if (queryError) return res.status(400).json({ error: queryError });
+
+  try {
+    const { filter, order, limit } = buildMapQuery(options);
+    const connections = user ? await getViewerConnections(user.id) : undefined;
+    const visibleFilter = restrictToVisible(filter, buildVisibilityAlternatives(user?.id || null, connections));
+    const dbActivities = await storage.activities.find(visibleFilter, {
+      columns: 'id, user_id, type, date, distance_km, points_earned, start_lat, start_lng, route_polyline',
+      order,
+      limit
+    });
+    if (dbActivities.length === 0) return res.json({ mapPoints: [] });
+
+    // Fetch profiles for names and the fallback location of activities without a recorded start
+    const ownerIds = [...new Set(dbActivities.map((a) => a.user_id))];
+    const profiles = await storage.profiles.find(
+      { id: { in: ownerIds } },
+      { columns: 'id, display_name, city, city_id, lat, lng' }
+    );
+    const profileById = {};
+    profiles.forEach((p) => { profileById[p.id] = p; });
+    const zonesByUser = await getPrivacyZonesByUser(ownerIds);
+
+    let mapPoints = dbActivities.map((activity) => toMapPoint(activity, profileById[activity.user_id], {
+      includeRoute: options.routes,
+      zones: zonesByUser[activity.user_id]
+    })).filter(Boolean);
+    // The box matched stored starts; drop activities whose shown start moved out of it (or was hidden) by a
+    // privacy zone, so small boxes can't be used to find where someone's zone is
+    if (options.bbox) {
+      mapPoints = mapPoints.filter((point) => !point.approximate && isInBbox(point, options.bbox));
+    }
+
+    res.json({ mapPoints });
+  } catch (err) {
+    console.error('Error building activity map:', err);
+    res.json({ mapPoints: [] });
+  }
+});
+
+// Members of the caller's teams with presence, points and streaks (for the dashboard map)
+// ?teamId limits it to one team; without it every team the caller belongs to is included
+app.get('/team-members', requireAuth, async (req, res) => {
+  const { user } = req;
+  const { teamId } = req.query;
+
+  try {
+    let teamIds;
+    if (teamId) {
+      const member = await findTeamMember(teamId, user.id, 'role');
+      if (!member) return res.status(403).json({ error: 'You are not a member of that team', members: [] });
+      teamIds = [teamId];
+    } else {
+      const memberships = await storage.teamMembers.find({ user_id: user.id }, { columns: 'team_id' });
+      teamIds = memberships.map((m) => m.team_id);
+    }
+    if (teamIds.length === 0) return res.json({ members: [] });
+
+    const membershipRows = await storage.teamMembers.find(
+      { team_id: { in: teamIds } },
+      { columns: 'team_id, user_id, role' }
+    );
+    // Someone on several of the caller's teams is listed once, under the first of them
+    const membershipByUser = {};
+    membershipRows.forEach((m) => {
+      if (!membershipByUser[m.user_id]) membershipByUser[m.user_id] = m;
+    });
+    const userIds = Object.keys(membershipByUser);
+
+    const [profiles, teams, pointsByUser] = await Promise.all([
+      storage.profiles.find(
+        { id: { in: userIds } },
+        { columns: 'id, display_name, city, city_id, lat, lng, points, streak, last_activity_date, last_seen' }
+      ),
+      storage.teams.find({ id: { in: teamIds } }, { columns: 'id, name' }),
+      // Cached profile totals are the fallback if the ledger is unavailable
+      getLedgerTotals(storage, userIds).catch((ledgerError) => {
+        console.error('[TEAM MEMBERS] Error fetching ledger totals:', ledgerError);
+        return null;
+      })
+    ]);
+    const teamNames = {};
+    teams.forEach((team) => {
+      teamNames[team.id] = team.name;
+    });
+
+    const now = new Date();
+    const members = profiles.map((p) => {
+      const membership = membershipByUser[p.id];
+      // null when neither the profile nor its city has a location
+      const location = getProfileLocation(p);
+
+      return {
+        userId: p.id,
+        username: p.display_name || p.id,
+        city: p.city || null,
+        teamId: membership.team_id,
+        teamName: teamNames[membership.team_id] || null,
+        role: membership.role,
+        points: pointsByUser ? (pointsByUser[p.id] || 0) : (p.points || 0),
+        streak: p.streak || 0,
+        lat: location ? location.lat : null,
+        lng: location ? location.lng : null,
+        status: getPresenceStatus(p.last_seen, now),
+        lastSeen: p.last_seen || null,
+        lastActivityDate: p.last_activity_date || null,
+      };
+    });
+    members.sort((a, b) => comparePresence(a.status, b.status) || a.username.localeCompare(b.username));
+
+    res.json({ members });
+  } catch (err) {
+    console.error('Error querying team members:', err);
+    res.status(500).json({ error: err.message || String(err), members: [] });
+  }
+});
+
+/**********************
+ * Strava OAuth Integration
+ **********************/
+
+// Helper function to get valid access token (with auto-refresh)
+// Throws when the user has no Strava connection or the refresh fails
+async function getValidAccessToken(userId) {
+  const tokenRow = await storage.tokens.findOne({ user_id: userId });
+  if (!tokenRow) {
+    throw new Error('No Strava connection found');
+  }
+
+  const enc = tokenRow.encrypted || {};
+  const accessToken = decrypt(enc.access, ENCRYPTION_KEY);
+  const refreshToken = decrypt(enc.refresh, ENCRYPTION_KEY);
+  const expiresAt = tokenRow.expires_at ? new Date(tokenRow.expires_at).getTime() : null;
+
+  if (isTokenExpired(expiresAt)) {
+    try {
+      const newTokens = await refreshAccessToken(refreshToken, process.env.STRAVA_CLIENT_ID, process.env.STRAVA_CLIENT_SECRET);
+      // update DB
+      const newEncrypted = { access: encrypt(newTokens.accessToken, ENCRYPTION_KEY), refresh: encrypt(newTokens.refreshToken, ENCRYPTION_KEY) };
+      await storage.tokens.upsert({ user_id: userId, encrypted: newEncrypted, scope: newTokens.scope, expires_at: new Date(newTokens.expiresAt).toISOString() }, { onConflict: 'user_id' });
+      return newTokens.accessToken;
+    } catch (err) {
+      console.error('Failed to refresh Strava token from DB row:', err);
+      throw new Error('Token refresh failed. Please reconnect your Strava account.');
+    }
   }
 
+  return accessToken;
+}
+
+// GET /api/strava/auth - Generate Strava authorization URL
+// Strava routes act on the authenticated user's own connection; a userId in the request must match it (requireSelf).
+app.get('/api/strava/auth', requireAuth, (req, res) => {
+  // Bind the OAuth state to the verified user
+  const stateData = { userId: req.user.id };
+
   const state = generateState();
-    stateData.timestamp = Date.now();
-    oauthStates.set(state, stateData);
+  stateData.timestamp = Date.now();
+  oauthStates.set(state, stateData);
 
   // Clean up old states (older than 10 minutes)
   const tenMinutesAgo = Date.now() - 10 * 60 * 1000;
@@ -1154,11 +1827,10 @@ app.get('/api/strava/auth', (req, res) => {
   const authUrl = `https://www.strava.com/oauth/authorize?client_id=${process.env.STRAVA_CLIENT_ID}&redirect_uri=${redirectUri}&response_type=code&scope=${scope}&state=${state}`;
 
   res.json({ authUrl, state });
-  })();
 });
 
 // GET /api/strava/callback - Handle OAuth callback
-app.get('/api/strava/callback', async (req, res) => {
+app.get('/api/strava/callback', publicRoute, async (req, res) => {
   const { code, state, error } = req.query;
 
   if (error) {
@@ -1177,8 +1849,6 @@ app.get('/api/strava/callback', async (req, res) => {
 
   oauthStates.delete(state); // Use state only once
 
-  const { username } = stateData;
-
   try {
     // Exchange code for tokens
     const tokenData = await exchangeCodeForTokens(
@@ -1212,116 +1882,53 @@ app.get('/api/strava/callback', async (req, res) => {
     let dbUpsertResult = null;
     let dbUpsertError = null;
 
-    // If the state was created with a Supabase user id, persist tokens server-side into supabase
-    if (stateData.userId && supabase) {
+    // Persist the tokens server-side for the user the state was created for
+    const tokenRow = {
+      user_id: stateData.userId,
+      athlete_id: tokenData.athlete?.id || null, // Used to route webhook events to this user
+      encrypted: encryptedPayload,
+      scope: tokenData.scope,
+      expires_at: new Date(tokenData.expiresAt).toISOString()
+    };
+    let dbUpsertRaw = null;
+    try {
+      let savedRow;
       try {
-        // Use select() to get the returned row(s) so we can inspect what Supabase returned
-        const upsertRes = await supabase
-          .from('strava_tokens')
-          .upsert(
-            {
-              user_id: stateData.userId,
-              encrypted: encryptedPayload,
-              scope: tokenData.scope,
-              expires_at: new Date(tokenData.expiresAt).toISOString()
-            },
-            { onConflict: 'user_id' }
-          )
-          .select();
-
-        // Log the full response from Supabase for debugging (server-only log)
-        console.log('Supabase upsert response for strava_tokens:', JSON.stringify(upsertRes));
-
-        // If Supabase returned an error about ON CONFLICT, fall back to explicit select/insert/update
-        if (upsertRes.error && upsertRes.error.code === '42P10') {
-          console.warn('Supabase upsert ON CONFLICT failed (no unique constraint). Falling back to explicit insert/update.');
-          try {
-            const { data: existing } = await supabase.from('strava_tokens').select('*').eq('user_id', stateData.userId).single();
-            if (existing) {
-              const { error: updErr } = await supabase.from('strava_tokens').update({ encrypted: encryptedPayload, scope: tokenData.scope, expires_at: new Date(tokenData.expiresAt).toISOString() }).eq('user_id', stateData.userId);
-              if (updErr) {
-                console.error('Fallback update failed:', updErr);
-                throw updErr;
-              }
-            } else {
-              const { error: insErr } = await supabase.from('strava_tokens').insert({ user_id: stateData.userId, encrypted: encryptedPayload, scope: tokenData.scope, expires_at: new Date(tokenData.expiresAt).toISOString() });
-              if (insErr) {
-                console.error('Fallback insert failed:', insErr);
-                throw insErr;
-              }
-            }
-            // Successful fallback
-            dbUpsertResult = 'ok';
-            console.log(`Stored Strava tokens (fallback) for Supabase user: ${stateData.userId}`);
-            // Build safe summary from the explicit read
-            try {
-              const { data: row } = await supabase.from('strava_tokens').select('user_id,athlete_id,expires_at,scope').eq('user_id', stateData.userId).single();
-              const rawSummary = { data: row ? [row] : [], error: null };
-              dbUpsertRaw = encodeURIComponent(JSON.stringify(rawSummary).slice(0, 400));
-            } catch (readErr) {
-              console.warn('Failed to read back row after fallback upsert:', readErr);
-            }
-          } catch (fbErr) {
-            console.error('Fallback insert/update error:', fbErr);
-            dbUpsertResult = 'error';
-            dbUpsertError = encodeURIComponent(String(fbErr.message || fbErr).slice(0, 200));
-          }
-        } else {
-          // Build a safe, truncated summary to include in the redirect (do not leak encrypted tokens)
-          try {
-            const safeRows = (upsertRes.data || []).map((r) => ({ user_id: r.user_id, athlete_id: r.athlete_id || null, expires_at: r.expires_at, scope: r.scope }));
-            const rawSummary = { data: safeRows, error: upsertRes.error ? String(upsertRes.error.message || upsertRes.error) : null };
-            // Keep it small
-            dbUpsertRaw = encodeURIComponent(JSON.stringify(rawSummary).slice(0, 400));
-          } catch (summErr) {
-            console.warn('Failed to build safe upsert summary:', summErr);
-          }
-
-          console.log(`Stored Strava tokens for Supabase user: ${stateData.userId}`);
-          dbUpsertResult = 'ok';
-        }
-      } catch (dbErr) {
-        console.error('Failed to upsert strava_tokens in Supabase (thrown):', dbErr);
-        dbUpsertResult = 'error';
-        try {
-          dbUpsertError = encodeURIComponent(String(dbErr.message || dbErr).slice(0, 200));
-        } catch (e) {
-          dbUpsertError = 'unknown';
-        }
+        savedRow = await storage.tokens.upsert(tokenRow, { onConflict: 'user_id' });
+      } catch (upsertErr) {
+        // Databases created before strava_tokens.user_id was unique can't upsert ON CONFLICT; update or insert instead
+        if (upsertErr.code !== '42P10') throw upsertErr;
+        console.warn('strava_tokens upsert ON CONFLICT failed (no unique constraint). Falling back to explicit insert/update.');
+        const existing = await storage.tokens.findOne({ user_id: stateData.userId }, { columns: 'user_id' });
+        savedRow = existing
+          ? (await storage.tokens.update({ user_id: stateData.userId }, tokenRow))[0]
+          : await storage.tokens.insert(tokenRow);
       }
-    }
 
-    // Keep in-memory store for legacy/demo mode when username was used
-    if (stateData.username) {
-      stravaConnections[stateData.username] = {
-      stravaAthleteId: tokenData.athlete.id,
-      accessTokenEncrypted: encrypt(tokenData.accessToken, ENCRYPTION_KEY),
-      refreshTokenEncrypted: encrypt(tokenData.refreshToken, ENCRYPTION_KEY),
-      expiresAt: tokenData.expiresAt,
-      scope: tokenData.scope,
-      createdAt: Date.now(),
-      updatedAt: Date.now()
-    };
+      // Build a safe, truncated summary to include in the redirect (do not leak encrypted tokens)
+      const safeRows = savedRow ? [{ user_id: savedRow.user_id, athlete_id: savedRow.athlete_id || null, expires_at: savedRow.expires_at, scope: savedRow.scope }] : [];
+      dbUpsertRaw = encodeURIComponent(JSON.stringify({ data: safeRows, error: null }).slice(0, 400));
+
+      console.log(`Stored Strava tokens for user: ${stateData.userId}`);
+      dbUpsertResult = 'ok';
+    } catch (dbErr) {
+      console.error('Failed to store strava_tokens:', dbErr);
+      dbUpsertResult = 'error';
+      dbUpsertError = encodeURIComponent(String(dbErr.message || dbErr).slice(0, 200));
     }
 
-    // Redirect to frontend with success. If we have a username include it for client UX.
+    // Redirect to frontend with success
     const redirectBase = 'https://nets2130.vercel.app';
     const params = new URLSearchParams({ strava_success: 'true' });
-    if (stateData.username) params.set('username', stateData.username);
-    if (stateData.userId) params.set('supaUserId', stateData.userId);
+    params.set('supaUserId', stateData.userId);
 
     // Surface DB upsert status for easier debugging in the frontend. Keep values short.
-    if (dbUpsertResult) {
-      params.set('dbStatus', dbUpsertResult);
-      if (dbUpsertError) params.set('dbError', dbUpsertError);
-      // include the short redacted payload summary to help debugging
-      if (dbPayloadSummary) params.set('dbPayloadSummary', dbPayloadSummary);
-      // include a truncated safe representation of what Supabase returned (no tokens)
-      if (typeof dbUpsertRaw !== 'undefined' && dbUpsertRaw !== null) params.set('dbUpsertRaw', dbUpsertRaw);
-    } else if (stateData.username) {
-      // legacy in-memory path used
-      params.set('dbStatus', 'memory');
-    }
+    params.set('dbStatus', dbUpsertResult);
+    if (dbUpsertError) params.set('dbError', dbUpsertError);
+    // include the short redacted payload summary to help debugging
+    if (dbPayloadSummary) params.set('dbPayloadSummary', dbPayloadSummary);
+    // include a truncated safe representation of the stored row (no tokens)
+    if (dbUpsertRaw !== null) params.set('dbUpsertRaw', dbUpsertRaw);
 
     res.redirect(`${redirectBase}?${params.toString()}`);
   } catch (error) {
@@ -1330,937 +1937,2349 @@ app.get('/api/strava/callback', async (req, res) => {
   }
 });
 
-// POST /api/strava/refresh - Manually refresh tokens
-app.post('/api/strava/refresh', async (req, res) => {
-  const { username, userId } = req.body;
-  const id = userId || username;
-  if (!id) return res.status(400).json({ error: 'username or userId required' });
+// POST /api/strava/refresh - Manually refresh tokens
+app.post('/api/strava/refresh', requireAuth, requireSelf((req) => req.body?.userId), async (req, res) => {
+  try {
+    await getValidAccessToken(req.user.id);
+    res.json({ message: 'Token refreshed successfully' });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// GET /api/strava/disconnect - Remove Strava connection
+app.get('/api/strava/disconnect', requireAuth, requireSelf((req) => req.query.userId), async (req, res) => {
+  try {
+    const removed = await storage.tokens.remove({ user_id: req.user.id });
+    if (removed.length === 0) return res.status(404).json({ error: 'No Strava connection found' });
+    res.json({ message: 'Strava connection removed successfully' });
+  } catch (err) {
+    console.error('Error deleting strava_tokens:', err);
+    res.status(500).json({ error: 'Failed to disconnect' });
+  }
+});
+
+// GET /api/strava/status - Get connection status
+app.get('/api/strava/status', requireAuth, requireSelf((req) => req.query.userId), async (req, res) => {
+  try {
+    const tokenRow = await storage.tokens.findOne({ user_id: req.user.id });
+    if (!tokenRow) return res.json({ connected: false });
+
+    const expiresAt = tokenRow.expires_at ? new Date(tokenRow.expires_at).getTime() : null;
+    res.json({ connected: true, stravaAthleteId: tokenRow.athlete_id || null, expiresAt, isExpired: isTokenExpired(expiresAt), scope: tokenRow.scope });
+  } catch (err) {
+    console.error('Error checking strava_tokens:', err);
+    res.status(500).json({ connected: false });
+  }
+});
+
+// DEBUG: Inspect the caller's own strava_tokens row (tokens stay encrypted)
+app.get('/api/strava/tokens/:userId', requireAuth, requireSelf((req) => req.params.userId), async (req, res) => {
+  const { userId } = req.params;
+  try {
+    const row = await storage.tokens.findOne({ user_id: userId });
+    if (!row) {
+      return res.status(404).json({ error: 'No tokens found' });
+    }
+    return res.json({ row });
+  } catch (err) {
+    console.error('Error fetching strava_tokens row:', err);
+    return res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// GET /api/strava/athlete - Get athlete profile (with rate limiting)
+app.get('/api/strava/athlete', stravaLimiter, requireAuth, requireSelf((req) => req.query.userId), async (req, res) => {
+  try {
+    const accessToken = await getValidAccessToken(req.user.id);
+    const athlete = await stravaApiRequest('/athlete', accessToken);
+    res.json(athlete);
+  } catch (error) {
+    if (error.message === 'UNAUTHORIZED') {
+      return res.status(401).json({ error: 'Strava authorization failed. Please reconnect your account.' });
+    }
+    console.error('Strava API error:', error);
+    res.status(500).json({ error: 'Failed to fetch athlete data' });
+  }
+});
+
+// GET /api/strava/activities - Get user's activities (with rate limiting)
+app.get('/api/strava/activities', stravaLimiter, requireAuth, requireSelf((req) => req.query.userId), async (req, res) => {
+  const { per_page = 30, page = 1, excludeImported = false } = req.query;
+
+  try {
+    const accessToken = await getValidAccessToken(req.user.id);
+    let activities = await stravaApiRequest(
+      `/athlete/activities?per_page=${per_page}&page=${page}`,
+      accessToken
+    );
+    
+    // If excludeImported is true, filter out already imported activities
+    if (excludeImported === 'true') {
+      try {
+        // Get all imported Strava activity IDs for this user
+        const importedActivities = await storage.activities.find(
+          { user_id: req.user.id, strava_activity_id: { not: null } },
+          { columns: 'strava_activity_id' }
+        );
+        
+        if (importedActivities.length > 0) {
+          const importedIds = new Set(importedActivities.map(a => String(a.strava_activity_id)));
+          activities = activities.filter(activity => !importedIds.has(String(activity.id)));
+        }
+      } catch (err) {
+        console.error('[STRAVA] Error filtering imported activities:', err);
+        // Continue without filtering if there's an error
+      }
+    }
+    
+    res.json(activities);
+  } catch (error) {
+    if (error.message === 'UNAUTHORIZED') {
+      return res.status(401).json({ error: 'Strava authorization failed. Please reconnect your account.' });
+    }
+    console.error('Strava API error:', error);
+    res.status(500).json({ error: 'Failed to fetch activities' });
+  }
+});
+
+/**********************
+ * Strava webhook (push subscription)
+ **********************/
+
+// Strava echoes this token in the subscription validation request
+const STRAVA_WEBHOOK_VERIFY_TOKEN = process.env.STRAVA_WEBHOOK_VERIFY_TOKEN || null;
+
+// Helper to find the user connected to a Strava athlete
+async function findUserIdByAthleteId(athleteId) {
+  const tokenRow = await storage.tokens.findOne({ athlete_id: athleteId }, { columns: 'user_id' });
+  return tokenRow ? tokenRow.user_id : null;
+}
+
+// Import a newly created Strava activity through the same path as /api/activities/import-strava
+async function handleStravaActivityCreate(userId, stravaActivityId) {
+  const accessToken = await getValidAccessToken(userId);
+  const stravaActivity = await stravaApiRequest(`/activities/${stravaActivityId}`, accessToken);
+  const result = await storeExternalActivity(userId, convertStravaActivity(stravaActivity), {
+    source: 'strava',
+    logPrefix: '[WEBHOOK]'
+  });
+
+  if (result.skipped) {
+    console.log(`[WEBHOOK] Skipped Strava activity ${stravaActivityId}: ${result.skipped}`);
+    return { action: 'skipped', reason: result.skipped };
+  }
+
+  await updateProfileAfterImport(userId, '[WEBHOOK]');
+  return { action: 'imported', activityId: result.activity.id, points: result.points };
+}
+
+// Re-fetch an updated Strava activity and adjust the stored copy and its points
+async function handleStravaActivityUpdate(userId, stravaActivityId) {
+  const existing = await storage.activities.findOne({ user_id: userId, strava_activity_id: stravaActivityId });
+
+  // Not imported yet (e.g. created before the subscription or rejected earlier) - try importing it now
+  if (!existing) {
+    return handleStravaActivityCreate(userId, stravaActivityId);
+  }
+
+  const accessToken = await getValidAccessToken(userId);
+  const stravaActivity = await stravaApiRequest(`/activities/${stravaActivityId}`, accessToken);
+  const {
+    type, distanceKm, durationMinutes, date, startTime, startLat, startLng, routePolyline, averageHeartRate
+  } = convertStravaActivity(stravaActivity);
+
+  const qcResult = validateActivity({ type, distanceKm, durationMinutes, averageHeartRate, date });
+  if (!qcResult.valid) {
+    console.log(`[WEBHOOK] Update for Strava activity ${stravaActivityId} rejected by QC:`, qcResult.errors);
+    return { action: 'skipped', reason: `QC validation failed: ${qcResult.errors.join(', ')}` };
+  }
+
+  const points = calculatePoints({ type, distanceKm, durationMinutes });
+  const { calories, method: calorieMethod } = await getPersonalCalories(userId, { type, distanceKm, durationMinutes, averageHeartRate });
+  // Without an explicit start, the route's first point is where the activity began
+  const start = getActivityStart({ start_lat: startLat, start_lng: startLng, route_polyline: routePolyline });
+  await storage.activities.update({ id: existing.id }, {
+    type,
+    distance_km: distanceKm,
+    duration_minutes: durationMinutes,
+    date,
+    start_time: startTime,
+    start_lat: start?.lat ?? null,
+    start_lng: start?.lng ?? null,
+    route_polyline: routePolyline,
+    average_heartrate: averageHeartRate,
+    calories,
+    calorie_method: calorieMethod,
+    points_earned: points,
+    qc_status: 'accepted',
+    qc_warnings: qcResult.warnings.length > 0 ? qcResult.warnings : null,
+    qc_metrics: qcResult.metrics
+  });
+
+  const pointsDelta = points - (existing.points_earned || 0);
+  await recordPointsEntry(storage, {
+    userId,
+    source: 'activity',
+    sourceId: existing.id,
+    delta: pointsDelta,
+    reason: `Strava ${type} activity ${stravaActivityId} updated`
+  });
+  await syncProfileAfterActivityChange(userId);
+  await awardBadges(userId, '[WEBHOOK]');
+  return { action: 'updated', activityId: existing.id, pointsDelta };
+}
+
+// Remove a deleted Strava activity and reverse its points
+async function handleStravaActivityDelete(userId, stravaActivityId) {
+  const existing = await storage.activities.findOne({ user_id: userId, strava_activity_id: stravaActivityId });
+
+  if (!existing) {
+    return { action: 'skipped', reason: 'Activity not imported' };
+  }
+
+  await storage.activities.remove({ id: existing.id });
+
+  await recordPointsEntry(storage, {
+    userId,
+    source: 'activity',
+    sourceId: existing.id,
+    delta: -(existing.points_earned || 0),
+    reason: `Strava ${existing.type} activity ${stravaActivityId} deleted`
+  });
+  await syncProfileAfterActivityChange(userId);
+  return { action: 'deleted', activityId: existing.id };
+}
+
+// GET /api/strava/webhook - Subscription validation handshake
+app.get('/api/strava/webhook', publicRoute, (req, res) => {
+  const mode = req.query['hub.mode'];
+  const verifyToken = req.query['hub.verify_token'];
+  const challenge = req.query['hub.challenge'];
+
+  if (!STRAVA_WEBHOOK_VERIFY_TOKEN) {
+    return res.status(500).json({ error: 'STRAVA_WEBHOOK_VERIFY_TOKEN not configured on server' });
+  }
+  if (mode !== 'subscribe' || verifyToken !== STRAVA_WEBHOOK_VERIFY_TOKEN || !challenge) {
+    console.warn('[WEBHOOK] Rejected subscription validation request');
+    return res.status(403).json({ error: 'Invalid verify token' });
+  }
+
+  console.log('[WEBHOOK] Subscription validated');
+  res.json({ 'hub.challenge': challenge });
+});
+
+// Helper to act on a stored webhook event (see strava-webhook-events.js); throws to have the event retried
+async function handleStravaWebhookEvent(event) {
+  const { object_type: objectType, object_id: objectId, aspect_type: aspectType, owner_id: ownerId, updates = {} } = event;
+
+  // Athlete revoked access from Strava's side
+  if (objectType === 'athlete') {
+    if (aspectType === 'update' && String(updates.authorized) === 'false') {
+      await storage.tokens.remove({ athlete_id: ownerId });
+      console.log(`[WEBHOOK] Removed Strava connection for athlete ${ownerId}`);
+      return { action: 'deauthorized' };
+    }
+    return { action: 'ignored' };
+  }
+
+  if (objectType !== 'activity') {
+    return { action: 'ignored' };
+  }
+
+  const userId = await findUserIdByAthleteId(ownerId);
+  if (!userId) {
+    console.log(`[WEBHOOK] No connected user for athlete ${ownerId}`);
+    return { action: 'ignored', reason: 'Athlete not connected' };
+  }
+
+  if (aspectType === 'create') return handleStravaActivityCreate(userId, objectId);
+  if (aspectType === 'update') return handleStravaActivityUpdate(userId, objectId);
+  if (aspectType === 'delete') return handleStravaActivityDelete(userId, objectId);
+  return { action: 'ignored' };
+}
+
+const webhookEventProcessor = createWebhookEventProcessor({ storage, handleEvent: handleStravaWebhookEvent });
+
+// The cron run processes events left pending (worker frozen after responding, or waiting to retry) for this long
+const WEBHOOK_CRON_BUDGET_MS = 50 * 1000;
+
+// Helper to process an event after responding; on a long-running server it finishes on its own
+function processWebhookEventInBackground(eventId) {
+  webhookEventProcessor.processEvent(eventId).catch((err) => {
+    console.error(`[WEBHOOK] Exception processing event ${eventId}:`, err);
+  });
+}
+
+// POST /api/strava/webhook - Receive activity and athlete events
+// Strava expects a 200 within 2 seconds and retries otherwise, so the event is stored and acknowledged first and
+// processed afterwards (see strava-webhook-events.js); a 500 only when it couldn't be stored, so Strava sends it again
+app.post('/api/strava/webhook', publicRoute, async (req, res) => {
+  const { event: fields, error: eventError } = parseWebhookEvent(req.body);
+  if (eventError) return res.status(400).json({ error: eventError });
+
+  const expectedSubscriptionId = process.env.STRAVA_WEBHOOK_SUBSCRIPTION_ID;
+  if (expectedSubscriptionId && String(fields.subscription_id) !== String(expectedSubscriptionId)) {
+    console.warn(`[WEBHOOK] Ignoring event for unknown subscription ${fields.subscription_id}`);
+    return res.status(200).json({ action: 'ignored', reason: 'Unknown subscription' });
+  }
+
+  console.log(`[WEBHOOK] Event: ${fields.object_type}.${fields.aspect_type} object=${fields.object_id} owner=${fields.owner_id}`);
+
+  try {
+    const event = await storage.stravaWebhookEvents.insert(fields);
+    res.status(200).json({ action: 'queued', eventId: event.id });
+    processWebhookEventInBackground(event.id);
+  } catch (err) {
+    console.error('[WEBHOOK] Error storing event:', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+/**********************
+ * Friends endpoints
+ **********************/
+
+// Send a friend request
+app.post('/api/friends/request', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    const { receiver_id } = req.body;
+    if (!receiver_id) return res.status(400).json({ error: 'receiver_id required' });
+    if (receiver_id === user.id) return res.status(400).json({ error: 'Cannot send friend request to yourself' });
+
+    // Check if request already exists (either direction)
+    const existingRequests = await storage.friendRequests.find({ or: [{ sender_id: user.id }, { receiver_id: user.id }] });
+
+    const existing = existingRequests.find(req => 
+      (req.sender_id === user.id && req.receiver_id === receiver_id) ||
+      (req.sender_id === receiver_id && req.receiver_id === user.id)
+    );
+
+    if (existing) {
+      if (existing.status === 'pending') {
+        return res.status(400).json({ error: 'Friend request already exists' });
+      }
+      if (existing.status === 'accepted') {
+        return res.status(400).json({ error: 'Already friends' });
+      }
+    }
+
+    // Check if already friends
+    const user1_id = user.id < receiver_id ? user.id : receiver_id;
+    const user2_id = user.id < receiver_id ? receiver_id : user.id;
+    
+    const friendship = await storage.friendships.findOne({ user1_id, user2_id });
+
+    if (friendship) {
+      return res.status(400).json({ error: 'Already friends' });
+    }
+
+    // Create friend request
+    const data = await storage.friendRequests.insert({
+      sender_id: user.id,
+      receiver_id: receiver_id,
+      status: 'pending'
+    });
+
+    await notifyUsers([{
+      userId: receiver_id,
+      actorId: user.id,
+      type: 'friend_request',
+      message: 'sent you a friend request',
+      link: '/friends',
+      entityId: data.id
+    }]);
+    realtime.publish('friend_request', { requestId: data.id, senderId: user.id }, { userIds: [receiver_id] });
+
+    res.json({ message: 'Friend request sent', request: data });
+  } catch (err) {
+    console.error('Error sending friend request', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// Accept or reject a friend request
+app.post('/api/friends/respond', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    const { request_id, action } = req.body; // action: 'accept' or 'reject'
+    if (!request_id || !action) return res.status(400).json({ error: 'request_id and action required' });
+    if (!['accept', 'reject'].includes(action)) return res.status(400).json({ error: 'action must be "accept" or "reject"' });
+
+    // Get the friend request
+    const request = await storage.friendRequests.findOne({ id: request_id, receiver_id: user.id, status: 'pending' });
+
+    if (!request) {
+      return res.status(404).json({ error: 'Friend request not found' });
+    }
+
+    if (action === 'accept') {
+      // Create friendship (ensure user1_id < user2_id)
+      const user1_id = request.sender_id < request.receiver_id ? request.sender_id : request.receiver_id;
+      const user2_id = request.sender_id < request.receiver_id ? request.receiver_id : request.sender_id;
+
+      await storage.friendships.insert({
+        user1_id: user1_id,
+        user2_id: user2_id
+      });
+    }
+
+    // Update request status
+    const [updated] = await storage.friendRequests.update(
+      { id: request_id },
+      { status: action === 'accept' ? 'accepted' : 'rejected' }
+    );
+
+    if (action === 'accept') {
+      await notifyUsers([{
+        userId: request.sender_id,
+        actorId: user.id,
+        type: 'friend_accepted',
+        message: 'accepted your friend request',
+        link: '/friends',
+        entityId: request.id
+      }]);
+    }
+
+    res.json({ message: `Friend request ${action}ed`, request: updated });
+  } catch (err) {
+    console.error('Error responding to friend request', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// Get friend requests (sent and received)
+app.get('/api/friends/requests', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    // Get sent requests
+    const sentRequestsData = await storage.friendRequests.find({ sender_id: user.id, status: 'pending' });
+
+    // Get received requests
+    const receivedRequestsData = await storage.friendRequests.find({ receiver_id: user.id, status: 'pending' });
+
+    // Fetch profile data for senders and receivers
+    const sentRequests = await Promise.all(sentRequestsData.map(async (req) => {
+      const receiver = await storage.profiles.findOne({ id: req.receiver_id }, { columns: 'display_name, id' });
+      return { ...req, receiver: receiver || { id: req.receiver_id } };
+    }));
+
+    const receivedRequests = await Promise.all(receivedRequestsData.map(async (req) => {
+      const sender = await storage.profiles.findOne({ id: req.sender_id }, { columns: 'display_name, id' });
+      return { ...req, sender: sender || { id: req.sender_id } };
+    }));
+
+    res.json({
+      sent: sentRequests,
+      received: receivedRequests
+    });
+  } catch (err) {
+    console.error('Error fetching friend requests', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// Debug endpoint to list all profiles (for testing)
+app.get('/api/profiles/debug', requireAuth, async (req, res) => {
+  try {
+    const profiles = await storage.profiles.find({}, { columns: 'id, display_name, city, created_at', limit: 50 });
+    
+    res.json({ 
+      count: profiles.length,
+      profiles
+    });
+  } catch (err) {
+    console.error('Error in debug endpoint:', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// Search profiles by username/display_name
+app.get('/api/profiles/search', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    const { q } = req.query;
+    if (!q || q.trim().length === 0) {
+      return res.json({ profiles: [] });
+    }
+
+    const searchTerm = q.trim();
+    console.log(`[SEARCH] User ${user.id} searching for profiles with display_name containing: "${searchTerm}"`);
+
+    // Search profiles by display_name (case-insensitive)
+    let profiles = await storage.profiles.find(
+      { display_name: { ilike: `%${searchTerm}%` } },
+      { columns: 'id, display_name, city', limit: 50 }
+    );
+
+    // Try to get lat/lng if columns exist (optional)
+    if (profiles.length > 0) {
+      try {
+        const profilesWithCoords = await storage.profiles.find(
+          { id: { in: profiles.map(p => p.id) } },
+          { columns: 'id, lat, lng' }
+        );
+        const coordsMap = new Map(profilesWithCoords.map(p => [p.id, { lat: p.lat, lng: p.lng }]));
+        profiles = profiles.map(p => ({ ...p, ...coordsMap.get(p.id) }));
+      } catch (e) {
+        // lat/lng columns don't exist, that's okay
+        console.log('[SEARCH] lat/lng columns not available');
+      }
+    }
+
+    // Filter out current user and ensure display_name exists
+    const filtered = profiles.filter(p => {
+      const isValid = p.id !== user.id && 
+                      p.display_name && 
+                      p.display_name.trim().length > 0;
+      if (!isValid && p.id === user.id) {
+        console.log(`[SEARCH] Filtered out current user: ${p.display_name}`);
+      }
+      return isValid;
+    });
+
+    console.log(`[SEARCH] Found ${profiles.length} total profiles, ${filtered.length} after filtering`);
+    if (filtered.length > 0) {
+      console.log('[SEARCH] Returning profiles:', filtered.slice(0, 3).map(p => ({ id: p.id, display_name: p.display_name })));
+    }
+
+    res.json({ profiles: filtered });
+  } catch (err) {
+    console.error('[SEARCH] Exception in profile search:', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// Get friends list
+app.get('/api/friends', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    // Get friendships where user is either user1 or user2
+    const friendships = await storage.friendships.find({ or: [{ user1_id: user.id }, { user2_id: user.id }] });
+
+    // Fetch profile data and transform to friend list
+    const friends = await Promise.all(friendships.map(async (friendship) => {
+      const friendId = friendship.user1_id === user.id ? friendship.user2_id : friendship.user1_id;
+      const friendProfile = await storage.profiles.findOne({ id: friendId }, { columns: 'display_name, id, city, avatar_url' });
+      
+      return {
+        id: friendProfile?.id || friendId,
+        display_name: friendProfile?.display_name || friendId,
+        city: friendProfile?.city || null,
+        avatar_url: friendProfile?.avatar_url || null,
+        friendship_id: friendship.id,
+        created_at: friendship.created_at
+      };
+    }));
+
+    res.json({ friends });
+  } catch (err) {
+    console.error('Error fetching friends', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// Remove a friend
+app.delete('/api/friends/:friendship_id', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    const { friendship_id } = req.params;
+
+    // Verify user is part of this friendship
+    const friendship = await storage.friendships.findOne({ id: friendship_id });
+
+    if (friendship && friendship.user1_id !== user.id && friendship.user2_id !== user.id) {
+      return res.status(403).json({ error: 'Not authorized to remove this friendship' });
+    }
+
+    if (!friendship) {
+      return res.status(404).json({ error: 'Friendship not found' });
+    }
+
+    // Delete friendship
+    await storage.friendships.remove({ id: friendship_id });
+
+    res.json({ message: 'Friend removed' });
+  } catch (err) {
+    console.error('Error removing friend', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+/**********************
+ * Activity feed endpoints
+ * Friends' and teammates' accepted activities, with kudos and threaded comments
+ **********************/
+
+// Helper to collect a user's friends and the people sharing a team with them (both exclude the user)
+// Used for feeds and for activity visibility (see privacy.js); both relations are mutual
+async function getViewerConnections(userId) {
+  let teammateIds = [];
+  const memberships = await storage.teamMembers.find({ user_id: userId }, { columns: 'team_id' });
+  const teamIds = memberships.map((m) => m.team_id);
+  if (teamIds.length > 0) {
+    const teammates = await storage.teamMembers.find({ team_id: { in: teamIds } }, { columns: 'user_id' });
+    teammateIds = [...new Set(teammates.map((m) => m.user_id))].filter((id) => id !== userId);
+  }
+
+  const friendships = await storage.friendships.find(
+    { or: [{ user1_id: userId }, { user2_id: userId }] },
+    { columns: 'user1_id, user2_id' }
+  );
+  const friendIds = friendships.map((friendship) => (friendship.user1_id === userId ? friendship.user2_id : friendship.user1_id));
+
+  return { friendIds, teammateIds };
+}
+
+// Helper to label the users whose activities appear in a user's feed, from getViewerConnections
+// Returns { [userId]: 'friend' | 'teammate' } (friend wins when both apply)
+function getFeedRelationships({ friendIds, teammateIds }) {
+  const connections = {};
+  teammateIds.forEach((id) => {
+    connections[id] = 'teammate';
+  });
+  friendIds.forEach((id) => {
+    connections[id] = 'friend';
+  });
+  return connections;
+}
+
+// Helper to load an activity the user may react to (their own, or a friend's/teammate's accepted one they may see)
+// Returns { activity } or { status, error }
+async function getFeedActivity(userId, activityId) {
+  const activity = await storage.activities.findOne({ id: activityId }, { columns: 'id, user_id, type, qc_status, visibility' });
+  if (!activity) return { status: 404, error: 'Activity not found' };
+  if (activity.user_id === userId) return { activity };
+
+  const connections = await getViewerConnections(userId);
+  // Activities the user may not see don't exist as far as they're concerned
+  if (!canViewActivity(activity, userId, connections)) return { status: 404, error: 'Activity not found' };
+  const isConnected = connections.friendIds.includes(activity.user_id) || connections.teammateIds.includes(activity.user_id);
+  if (!isConnected || (activity.qc_status && activity.qc_status !== 'accepted')) {
+    return { status: 403, error: 'You can only react to activities from friends and teammates' };
+  }
+  return { activity };
+}
+
+// Activity type label for notification text, e.g. 'run' or 'swim'
+const describeActivityType = (type) => (ACTIVITY_TYPES[type]?.label || 'activity').toLowerCase();
+
+// Helper to load threaded comments (with author names) for a set of activities
+// Returns { [activityId]: threads }
+async function getCommentThreads(activityIds) {
+  if (activityIds.length === 0) return {};
+  const comments = await storage.activityComments.find(
+    { activity_id: { in: activityIds } },
+    { columns: 'id, activity_id, user_id, parent_id, body, created_at' }
+  );
+
+  const authorIds = [...new Set(comments.map((c) => c.user_id))];
+  const nameMap = {};
+  if (authorIds.length > 0) {
+    const authors = await storage.profiles.find({ id: { in: authorIds } }, { columns: 'id, display_name' });
+    authors.forEach((author) => {
+      nameMap[author.id] = author.display_name;
+    });
+  }
+
+  const byActivity = {};
+  comments.forEach((comment) => {
+    (byActivity[comment.activity_id] = byActivity[comment.activity_id] || []).push({
+      ...comment,
+      display_name: nameMap[comment.user_id] || 'Unknown'
+    });
+  });
+  const threads = {};
+  Object.entries(byActivity).forEach(([activityId, rows]) => {
+    threads[activityId] = buildCommentThreads(rows);
+  });
+  return threads;
+}
+
+// Get the activity feed (newest first); page with ?cursor=<nextCursor of the previous page>
+app.get('/api/feed', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  const { filter: cursorFilter, error: cursorError } = parseFeedCursor(req.query.cursor);
+  if (cursorError) return res.status(400).json({ error: cursorError });
+
+  try {
+    const limit = resolveFeedLimit(req.query.limit);
+    const viewerConnections = await getViewerConnections(user.id);
+    const connections = getFeedRelationships(viewerConnections);
+    const userIds = Object.keys(connections);
+    if (userIds.length === 0) return res.json({ items: [], nextCursor: null });
+
+    const filter = { ...cursorFilter, user_id: { in: userIds }, qc_status: 'accepted' };
+    const visibleFilter = restrictToVisible(filter, buildVisibilityAlternatives(user.id, viewerConnections));
+
+    const rows = await storage.activities.find(visibleFilter, {
+      columns: 'id, user_id, type, distance_km, duration_minutes, points_earned, calories, date, source, visibility, created_at',
+      order: FEED_QUERY_ORDER,
+      limit: limit + 1
+    });
+
+    const page = rows.slice(0, limit);
+    const activityIds = page.map((a) => a.id);
+
+    const profiles = await storage.profiles.find(
+      { id: { in: [...new Set(page.map((a) => a.user_id))] } },
+      { columns: 'id, display_name, avatar_url, city' }
+    );
+    const profileMap = {};
+    profiles.forEach((profile) => {
+      profileMap[profile.id] = profile;
+    });
+
+    const kudos = activityIds.length > 0
+      ? await storage.activityKudos.find({ activity_id: { in: activityIds } }, { columns: 'activity_id, user_id' })
+      : [];
+    const threads = await getCommentThreads(activityIds);
+
+    const items = page.map((activity) => {
+      const profile = profileMap[activity.user_id] || {};
+      const activityKudos = kudos.filter((k) => k.activity_id === activity.id);
+      const comments = threads[activity.id] || [];
+      return {
+        ...activity,
+        user: {
+          id: activity.user_id,
+          display_name: profile.display_name || 'Unknown',
+          avatar_url: profile.avatar_url || null,
+          city: profile.city || null,
+          relationship: connections[activity.user_id]
+        },
+        kudos_count: activityKudos.length,
+        has_given_kudos: activityKudos.some((k) => k.user_id === user.id),
+        comment_count: countComments(comments),
+        comments
+      };
+    });
+
+    const nextCursor = rows.length > limit ? encodeFeedCursor(page[page.length - 1]) : null;
+    res.json({ items, nextCursor });
+  } catch (err) {
+    console.error('Error fetching feed', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// Give kudos to an activity
+app.post('/api/activities/:id/kudos', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    const { activity, status, error: accessError } = await getFeedActivity(user.id, req.params.id);
+    if (accessError) return res.status(status).json({ error: accessError });
+    if (activity.user_id === user.id) {
+      return res.status(400).json({ error: 'You cannot give kudos to your own activity' });
+    }
+
+    const existing = await storage.activityKudos.findOne({ activity_id: activity.id, user_id: user.id }, { columns: 'id' });
+    if (!existing) {
+      await storage.activityKudos.insert({ activity_id: activity.id, user_id: user.id });
+
+      await notifyUsers([{
+        userId: activity.user_id,
+        actorId: user.id,
+        type: 'kudos',
+        message: `gave kudos to your ${describeActivityType(activity.type)}`,
+        link: '/',
+        entityId: activity.id
+      }]);
+    }
+
+    const kudos = await storage.activityKudos.find({ activity_id: activity.id }, { columns: 'id' });
+    res.json({ message: 'Kudos given', kudos_count: kudos.length, has_given_kudos: true });
+  } catch (err) {
+    console.error('Error giving kudos', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// Take back kudos
+app.delete('/api/activities/:id/kudos', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    const { activity, status, error: accessError } = await getFeedActivity(user.id, req.params.id);
+    if (accessError) return res.status(status).json({ error: accessError });
+
+    await storage.activityKudos.remove({ activity_id: activity.id, user_id: user.id });
+
+    const kudos = await storage.activityKudos.find({ activity_id: activity.id }, { columns: 'id' });
+    res.json({ message: 'Kudos removed', kudos_count: kudos.length, has_given_kudos: false });
+  } catch (err) {
+    console.error('Error removing kudos', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// Get threaded comments for an activity
+app.get('/api/activities/:id/comments', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    const { activity, status, error: accessError } = await getFeedActivity(user.id, req.params.id);
+    if (accessError) return res.status(status).json({ error: accessError });
+
+    const threads = await getCommentThreads([activity.id]);
+    res.json({ comments: threads[activity.id] || [] });
+  } catch (err) {
+    console.error('Error fetching comments', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// Comment on an activity (parentId replies to an existing comment)
+app.post('/api/activities/:id/comments', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    const { body, parentId } = req.body || {};
+    const validationError = validateCommentBody(body);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    const { activity, status, error: accessError } = await getFeedActivity(user.id, req.params.id);
+    if (accessError) return res.status(status).json({ error: accessError });
+
+    let parent = null;
+    if (parentId) {
+      parent = await storage.activityComments.findOne({ id: parentId }, { columns: 'id, activity_id, user_id' });
+      if (!parent || parent.activity_id !== activity.id) {
+        return res.status(400).json({ error: 'Parent comment not found on this activity' });
+      }
+    }
+
+    const comment = await storage.activityComments.insert({ activity_id: activity.id, user_id: user.id, parent_id: parentId || null, body: body.trim() });
+
+    // The activity owner hears about every comment; the parent's author also hears about replies
+    const recipients = [{ userId: activity.user_id, message: `commented on your ${describeActivityType(activity.type)}` }];
+    if (parent && parent.user_id !== activity.user_id) {
+      recipients.push({ userId: parent.user_id, message: 'replied to your comment' });
+    }
+    await notifyUsers(recipients.map((r) => ({
+      ...r,
+      actorId: user.id,
+      type: 'comment',
+      link: '/',
+      entityId: activity.id
+    })));
+
+    res.json({ message: 'Comment added', comment });
+  } catch (err) {
+    console.error('Error adding comment', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// Delete a comment (its author or the activity owner); replies are removed with it
+app.delete('/api/comments/:comment_id', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    const comment = await storage.activityComments.findOne({ id: req.params.comment_id }, { columns: 'id, user_id, activity_id' });
+    if (!comment) return res.status(404).json({ error: 'Comment not found' });
+
+    if (comment.user_id !== user.id) {
+      const activity = await storage.activities.findOne({ id: comment.activity_id }, { columns: 'user_id' });
+      if (!activity || activity.user_id !== user.id) {
+        return res.status(403).json({ error: 'Not authorized to delete this comment' });
+      }
+    }
+
+    await storage.activityComments.remove({ id: comment.id });
+
+    res.json({ message: 'Comment deleted' });
+  } catch (err) {
+    console.error('Error deleting comment', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+/**********************
+ * Teams endpoints
+ * Teams are open (join directly), request (owner/admin approves join requests) or invite (invite code only,
+ * hidden from non-members); see teams.js
+ **********************/
+
+// Helper to load a user's membership row for a team (null when not a member or signed out)
+async function findTeamMember(teamId, userId, columns) {
+  if (!userId) return null;
+  return storage.teamMembers.findOne({ team_id: teamId, user_id: userId }, columns ? { columns } : {});
+}
+
+// Helper to load a team the user may see: invite-only teams exist only for their members
+// Returns { team, member } or { status, error }
+async function getVisibleTeam(teamId, userId) {
+  const team = await storage.teams.findOne({ id: teamId });
+  const member = team ? await findTeamMember(team.id, userId) : null;
+  if (!team || (team.visibility === 'invite' && !member)) return { status: 404, error: 'Team not found' };
+  return { team, member };
+}
+
+// Helper to load a team for an owner/admin-only action
+// Returns { team, member } or { status, error }
+async function getManagedTeam(teamId, userId) {
+  const { team, member, status, error } = await getVisibleTeam(teamId, userId);
+  if (error) return { status, error };
+  if (!isTeamManager(member)) return { status: 403, error: 'Only team owners and admins can do this' };
+  return { team, member };
+}
+
+// Helper to tell a team's owner and admins that someone joined or left
+async function notifyTeamManagers(team, actorId, type, message) {
+  const managers = await storage.teamMembers.find(
+    { team_id: team.id, role: { in: ['owner', 'admin'] } },
+    { columns: 'user_id' }
+  );
+  await notifyUsers(managers.map((m) => ({
+    userId: m.user_id,
+    actorId,
+    type,
+    message,
+    link: '/teams',
+    entityId: team.id
+  })));
+}
+
+// Create a team
+app.post('/api/teams', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    const { name, description, visibility = 'open' } = req.body;
+    if (!name) return res.status(400).json({ error: 'name required' });
+    const visibilityError = validateTeamVisibility(visibility);
+    if (visibilityError) return res.status(400).json({ error: visibilityError });
+    const { fields: cityFields, error: cityError } = resolveCityFields(req.body);
+    if (cityError) return res.status(400).json({ error: cityError });
+
+    console.log(`[TEAMS CREATE] User ${user.id} creating team "${name}"`);
+
+    // Create team
+    let team;
+    try {
+      team = await storage.teams.insert({
+        name: name,
+        description: description || null,
+        ...cityFields,
+        visibility,
+        created_by: user.id
+      });
+    } catch (teamError) {
+      console.error('[TEAMS CREATE] Error creating team:', teamError);
+      return res.status(500).json({ error: teamError.message || String(teamError) });
+    }
+
+    console.log(`[TEAMS CREATE] Team created with ID: ${team.id}`);
+
+    // Add creator as team owner
+    let member;
+    try {
+      member = await storage.teamMembers.insert({
+        team_id: team.id,
+        user_id: user.id,
+        role: 'owner'
+      });
+    } catch (memberError) {
+      console.error('[TEAMS CREATE] Error adding owner as member:', memberError);
+      // Rollback team creation if member insert fails
+      await storage.teams.remove({ id: team.id });
+      return res.status(500).json({ error: memberError.message || String(memberError) });
+    }
+
+    console.log(`[TEAMS CREATE] Owner added as member: ${member.id}`);
+
+    // Fetch the complete team with creator and members
+    const creator = await storage.profiles.findOne({ id: user.id }, { columns: 'display_name, id' });
+    const teamWithDetails = {
+      ...team,
+      creator: creator || { id: user.id, display_name: 'Unknown' },
+      members: [{
+        user_id: user.id,
+        role: 'owner',
+        profile: creator || { id: user.id, display_name: 'Unknown' }
+      }]
+    };
+
+    res.json({ message: 'Team created', team: teamWithDetails });
+  } catch (err) {
+    console.error('[TEAMS CREATE] Exception:', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// Get all teams
+app.get('/api/teams', optionalAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    // Fetch teams
+    const allTeams = await storage.teams.find({}, { order: { column: 'created_at', ascending: false } });
+
+    // Invite-only teams are listed only for their members
+    const myMemberships = user
+      ? await storage.teamMembers.find({ user_id: user.id }, { columns: 'team_id' })
+      : [];
+    const myTeamIds = new Set(myMemberships.map((m) => m.team_id));
+    const teamsData = allTeams.filter((team) => team.visibility !== 'invite' || myTeamIds.has(team.id));
+
+    if (teamsData.length === 0) {
+      return res.json({ teams: [] });
+    }
+
+    // Fetch members for all teams
+    const teamIds = teamsData.map(t => t.id);
+    // Continue without members rather than failing completely
+    const membersData = await storage.teamMembers.find(
+      { team_id: { in: teamIds } },
+      { columns: 'team_id, user_id, role' }
+    ).catch((membersError) => {
+      console.error('[TEAMS] Error fetching members:', membersError);
+      return [];
+    });
+
+    // Group members by team_id
+    const membersByTeam = {};
+    membersData.forEach(member => {
+      if (!membersByTeam[member.team_id]) {
+        membersByTeam[member.team_id] = [];
+      }
+      membersByTeam[member.team_id].push(member);
+    });
+
+    // Fetch creator profiles and member profiles
+    const creatorIds = [...new Set(teamsData.map(t => t.created_by))];
+    const memberUserIds = [...new Set(membersData.map(m => m.user_id))];
+    const allUserIds = [...new Set([...creatorIds, ...memberUserIds])];
+
+    const profilesData = await storage.profiles.find(
+      { id: { in: allUserIds } },
+      { columns: 'id, display_name, city' }
+    ).catch((profilesError) => {
+      console.error('[TEAMS] Error fetching profiles:', profilesError);
+      return [];
+    });
+
+    // Create profile lookup map
+    const profileMap = {};
+    profilesData.forEach(profile => {
+      profileMap[profile.id] = profile;
+    });
+
+    // The caller's join requests, so the UI can show "Requested" instead of "Request to join"
+    const myRequests = user
+      ? await storage.teamJoinRequests.find(
+        { user_id: user.id, team_id: { in: teamIds } },
+        { columns: 'team_id, status' }
+      ).catch((requestsError) => {
+        console.error('[TEAMS] Error fetching join requests:', requestsError);
+        return [];
+      })
+      : [];
+    const requestStatusByTeam = {};
+    myRequests.forEach((request) => {
+      requestStatusByTeam[request.team_id] = request.status;
+    });
+
+    // Build teams with creator and members
+    const teams = teamsData.map(team => {
+      const creator = profileMap[team.created_by] || { id: team.created_by, display_name: 'Unknown' };
+      const members = (membersByTeam[team.id] || []).map(member => ({
+        user_id: member.user_id,
+        role: member.role,
+        profile: profileMap[member.user_id] || { id: member.user_id, display_name: 'Unknown' }
+      }));
+
+      return {
+        ...team,
+        creator,
+        members,
+        my_join_request: requestStatusByTeam[team.id] || null
+      };
+    });
+
+    console.log(`[TEAMS] Returning ${teams.length} teams`);
+    res.json({ teams });
+  } catch (err) {
+    console.error('[TEAMS] Exception fetching teams:', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// Get a specific team
+app.get('/api/teams/:team_id', optionalAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    const { team_id } = req.params;
+
+    const { team: teamData, status, error } = await getVisibleTeam(team_id, user && user.id);
+    if (error) return res.status(status).json({ error });
+
+    // Fetch creator and members
+    const creator = await storage.profiles.findOne({ id: teamData.created_by }, { columns: 'display_name, id' });
+    const membersData = await storage.teamMembers.find({ team_id }, { columns: 'user_id, role' });
+    const members = await Promise.all(membersData.map(async (member) => {
+      const profile = await storage.profiles.findOne({ id: member.user_id }, { columns: 'display_name, id, city' });
+      return { ...member, profile: profile || { id: member.user_id } };
+    }));
+    
+    const myRequest = user
+      ? await storage.teamJoinRequests.findOne({ team_id, user_id: user.id }, { columns: 'status' })
+      : null;
+
+    const team = {
+      ...teamData,
+      creator: creator || { id: teamData.created_by },
+      members,
+      my_join_request: myRequest ? myRequest.status : null
+    };
+
+    res.json({ team });
+  } catch (err) {
+    console.error('Error fetching team', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// Join a team
+app.post('/api/teams/:team_id/join', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    const { team_id } = req.params;
+
+    // Check if team exists
+    const { team, member: existing, status, error } = await getVisibleTeam(team_id, user.id);
+    if (error) return res.status(status).json({ error });
+
+    // Check if already a member
+    if (existing) return res.status(400).json({ error: 'Already a member of this team' });
+
+    if (team.visibility === 'request') {
+      return res.status(403).json({ error: 'This team reviews new members. Send a join request instead.' });
+    }
+    if (team.visibility === 'invite') {
+      return res.status(403).json({ error: 'This team is invite-only. Ask a team admin for an invite code.' });
+    }
+
+    // Add member
+    const member = await storage.teamMembers.insert({
+      team_id: team_id,
+      user_id: user.id,
+      role: 'member'
+    });
+
+    await notifyTeamManagers(team, user.id, 'team_join', `joined ${team.name}`);
+
+    res.json({ message: 'Joined team', member });
+  } catch (err) {
+    console.error('Error joining team', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// Leave a team
+app.post('/api/teams/:team_id/leave', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    const { team_id } = req.params;
+
+    // Check if member
+    const member = await storage.teamMembers.findOne({ team_id, user_id: user.id });
+
+    if (!member) return res.status(404).json({ error: 'Not a member of this team' });
+
+    // Owners cannot leave (they must delete the team or transfer ownership)
+    if (member.role === 'owner') {
+      return res.status(400).json({ error: 'Team owners cannot leave. Delete the team or transfer ownership first.' });
+    }
+
+    // Remove member
+    await storage.teamMembers.remove({ team_id, user_id: user.id });
+
+    const team = await storage.teams.findOne({ id: team_id }, { columns: 'id, name' });
+    if (team) await notifyTeamManagers(team, user.id, 'team_leave', `left ${team.name}`);
+
+    res.json({ message: 'Left team' });
+  } catch (err) {
+    console.error('Error leaving team', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// Request to join a team (teams with visibility 'request')
+app.post('/api/teams/:team_id/join-request', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    const { team_id } = req.params;
+    const { message } = req.body;
+
+    const messageError = validateJoinRequestMessage(message);
+    if (messageError) return res.status(400).json({ error: messageError });
+
+    const { team, member, status, error } = await getVisibleTeam(team_id, user.id);
+    if (error) return res.status(status).json({ error });
+    if (member) return res.status(400).json({ error: 'Already a member of this team' });
+    if (team.visibility === 'open') {
+      return res.status(400).json({ error: 'This team is open. Join it directly.' });
+    }
+    if (team.visibility === 'invite') {
+      return res.status(403).json({ error: 'This team is invite-only. Ask a team admin for an invite code.' });
+    }
+
+    const existing = await storage.teamJoinRequests.findOne({ team_id, user_id: user.id });
+    if (existing && existing.status === 'pending') {
+      return res.status(400).json({ error: 'You already asked to join this team' });
+    }
+
+    const changes = {
+      status: 'pending',
+      message: message ? message.trim() : null,
+      reviewed_by: null,
+      reviewed_at: null
+    };
+    // A denied (or previously approved, then left) request is reopened rather than duplicated
+    const request = existing
+      ? (await storage.teamJoinRequests.update({ id: existing.id }, changes))[0]
+      : await storage.teamJoinRequests.insert({ team_id, user_id: user.id, ...changes });
+
+    await notifyTeamManagers(team, user.id, 'team_join_request', `asked to join ${team.name}`);
+
+    res.json({ message: 'Join request sent', request });
+  } catch (err) {
+    console.error('Error requesting to join team', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// Cancel your own pending join request
+app.delete('/api/teams/:team_id/join-request', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    const { team_id } = req.params;
+
+    const removed = await storage.teamJoinRequests.remove({ team_id, user_id: user.id, status: 'pending' });
+    if (removed.length === 0) return res.status(404).json({ error: 'No pending join request for this team' });
+
+    res.json({ message: 'Join request cancelled' });
+  } catch (err) {
+    console.error('Error cancelling join request', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// List pending join requests (only owner/admin)
+app.get('/api/teams/:team_id/join-requests', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    const { team_id } = req.params;
+
+    const { status, error } = await getManagedTeam(team_id, user.id);
+    if (error) return res.status(status).json({ error });
+
+    const requestsData = await storage.teamJoinRequests.find(
+      { team_id, status: 'pending' },
+      { order: { column: 'created_at', ascending: true } }
+    );
+    const userIds = requestsData.map((r) => r.user_id);
+    const profilesData = userIds.length > 0
+      ? await storage.profiles.find({ id: { in: userIds } }, { columns: 'id, display_name, city' })
+      : [];
+    const profileMap = {};
+    profilesData.forEach((profile) => {
+      profileMap[profile.id] = profile;
+    });
+
+    const requests = requestsData.map((request) => ({
+      ...request,
+      profile: profileMap[request.user_id] || { id: request.user_id, display_name: 'Unknown' }
+    }));
+
+    res.json({ requests });
+  } catch (err) {
+    console.error('Error fetching join requests', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// Approve or deny a join request (only owner/admin)
+app.post('/api/teams/:team_id/join-requests/:request_id', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    const { team_id, request_id } = req.params;
+    const { action } = req.body;
+
+    if (!['approve', 'deny'].includes(action)) {
+      return res.status(400).json({ error: 'action must be approve or deny' });
+    }
+
+    const { team, status, error } = await getManagedTeam(team_id, user.id);
+    if (error) return res.status(status).json({ error });
+
+    const request = await storage.teamJoinRequests.findOne({ id: request_id, team_id });
+    if (!request) return res.status(404).json({ error: 'Join request not found' });
+    if (request.status !== 'pending') {
+      return res.status(400).json({ error: `Join request was already ${request.status}` });
+    }
+
+    if (action === 'approve') {
+      try {
+        await storage.teamMembers.insert({ team_id, user_id: request.user_id, role: 'member' });
+      } catch (insertError) {
+        // Joined some other way (e.g. an invite) since asking; approving still closes the request
+        if (insertError.code !== '23505') throw insertError;
+      }
+    }
+
+    const [updated] = await storage.teamJoinRequests.update({ id: request.id }, {
+      status: action === 'approve' ? 'approved' : 'denied',
+      reviewed_by: user.id,
+      reviewed_at: new Date().toISOString()
+    });
+
+    await notifyUsers([{
+      userId: request.user_id,
+      actorId: user.id,
+      type: action === 'approve' ? 'team_request_approved' : 'team_request_denied',
+      message: action === 'approve'
+        ? `approved your request to join ${team.name}`
+        : `declined your request to join ${team.name}`,
+      link: '/teams',
+      entityId: team.id
+    }]);
+
+    res.json({ message: action === 'approve' ? 'Join request approved' : 'Join request denied', request: updated });
+  } catch (err) {
+    console.error('Error reviewing join request', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// Create an invite code (only owner/admin)
+app.post('/api/teams/:team_id/invites', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    const { team_id } = req.params;
+
+    const { status, error } = await getManagedTeam(team_id, user.id);
+    if (error) return res.status(status).json({ error });
+
+    const { errors, invite: options } = validateInviteOptions(req.body);
+    if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+
+    // Codes are random, so a collision is unlikely; retry a few times on the unique index just in case
+    let invite = null;
+    for (let attempt = 0; !invite; attempt++) {
+      try {
+        invite = await storage.teamInvites.insert({
+          team_id,
+          code: generateInviteCode(),
+          created_by: user.id,
+          ...options
+        });
+      } catch (insertError) {
+        if (insertError.code !== '23505' || attempt >= 2) throw insertError;
+      }
+    }
+
+    res.json({ message: 'Invite created', invite });
+  } catch (err) {
+    console.error('Error creating team invite', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// List a team's invites (only owner/admin)
+app.get('/api/teams/:team_id/invites', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    const { team_id } = req.params;
+
+    const { status, error } = await getManagedTeam(team_id, user.id);
+    if (error) return res.status(status).json({ error });
+
+    const invitesData = await storage.teamInvites.find(
+      { team_id },
+      { order: { column: 'created_at', ascending: false } }
+    );
+    const now = new Date();
+    const invites = invitesData.map((invite) => {
+      const problem = getInviteProblem(invite, now);
+      return { ...invite, usable: !problem, problem };
+    });
+
+    res.json({ invites });
+  } catch (err) {
+    console.error('Error fetching team invites', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// Revoke an invite code (only owner/admin)
+app.delete('/api/teams/:team_id/invites/:invite_id', requireAuth, async (req, res) => {
+  const { user } = req;
 
   try {
-    await getValidAccessToken(id);
-    res.json({ message: 'Token refreshed successfully' });
-  } catch (error) {
-    res.status(400).json({ error: error.message });
-  }
-});
+    const { team_id, invite_id } = req.params;
 
-// GET /api/strava/disconnect - Remove Strava connection
-app.get('/api/strava/disconnect', (req, res) => {
-  const { username, userId } = req.query;
-  const id = userId || username;
-  if (!id) return res.status(400).json({ error: 'username or userId required' });
-
-  // If Supabase is configured, delete the row server-side
-  (async () => {
-    if (supabase && userId) {
-      try {
-        const { error } = await supabase.from('strava_tokens').delete().eq('user_id', userId);
-        if (error) {
-          console.error('Failed to delete strava_tokens row:', error);
-          return res.status(500).json({ error: 'Failed to disconnect' });
-        }
-        return res.json({ message: 'Strava connection removed successfully' });
-      } catch (err) {
-        console.error('Error deleting strava_tokens:', err);
-        return res.status(500).json({ error: 'Failed to disconnect' });
-      }
-    }
+    const { status, error } = await getManagedTeam(team_id, user.id);
+    if (error) return res.status(status).json({ error });
 
-    if (stravaConnections[id]) {
-      delete stravaConnections[id];
-      return res.json({ message: 'Strava connection removed successfully' });
-    }
+    const [invite] = await storage.teamInvites.update(
+      { id: invite_id, team_id, revoked_at: null },
+      { revoked_at: new Date().toISOString() }
+    );
+    if (!invite) return res.status(404).json({ error: 'Invite not found or already revoked' });
 
-    res.status(404).json({ error: 'No Strava connection found' });
-  })();
+    res.json({ message: 'Invite revoked', invite });
+  } catch (err) {
+    console.error('Error revoking team invite', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
 });
 
-// GET /api/strava/status - Get connection status
-app.get('/api/strava/status', (req, res) => {
-  const { username, userId } = req.query;
-  const id = userId || username;
-  if (!id) return res.status(400).json({ error: 'username or userId required' });
+// Preview the team behind an invite code (works signed out, so invite links can be shared)
+app.get('/api/team-invites/:code', optionalAuth, async (req, res) => {
+  const { user } = req;
 
-  (async () => {
-    if (supabase && userId) {
-      try {
-        const { data: tokenRow, error } = await supabase.from('strava_tokens').select('*').eq('user_id', userId).single();
-        if (!error && tokenRow) {
-          const expiresAt = tokenRow.expires_at ? new Date(tokenRow.expires_at).getTime() : null;
-          return res.json({ connected: true, stravaAthleteId: tokenRow.athlete_id || null, expiresAt, isExpired: isTokenExpired(expiresAt), scope: tokenRow.scope });
-        }
-    return res.json({ connected: false });
-      } catch (err) {
-        console.error('Error checking strava_tokens:', err);
-        return res.status(500).json({ connected: false });
-      }
-    }
+  try {
+    const invite = await storage.teamInvites.findOne({ code: normalizeInviteCode(req.params.code) });
+    if (!invite) return res.status(404).json({ error: 'Invite not found' });
 
-    const connection = stravaConnections[id];
-    if (!connection) return res.json({ connected: false });
+    const team = await storage.teams.findOne({ id: invite.team_id }, { columns: 'id, name, description, city, visibility' });
+    if (!team) return res.status(404).json({ error: 'Invite not found' });
 
-    res.json({ connected: true, stravaAthleteId: connection.stravaAthleteId, expiresAt: connection.expiresAt, isExpired: isTokenExpired(connection.expiresAt), scope: connection.scope });
-  })();
-});
+    const members = await storage.teamMembers.find({ team_id: team.id }, { columns: 'user_id' });
+    const problem = getInviteProblem(invite);
 
-// DEBUG: Server-only endpoint to inspect strava_tokens rows for a given Supabase user id
-// This is intended for local debugging only and requires no public auth in this prototype.
-app.get('/api/strava/tokens/:userId', async (req, res) => {
-  const { userId } = req.params;
-  if (!supabase) return res.status(500).json({ error: 'Supabase client not configured' });
-  try {
-    const { data, error } = await supabase.from('strava_tokens').select('*').eq('user_id', userId).single();
-    if (error) {
-      return res.status(404).json({ error: 'No tokens found', details: error.message || error });
-    }
-    return res.json({ row: data });
+    res.json({
+      team: { ...team, member_count: members.length },
+      invite: { code: invite.code, expires_at: invite.expires_at, usable: !problem, problem },
+      already_member: Boolean(user && members.some((m) => m.user_id === user.id))
+    });
   } catch (err) {
-    console.error('Error fetching strava_tokens row:', err);
-    return res.status(500).json({ error: err.message || String(err) });
+    console.error('Error fetching team invite', err);
+    res.status(500).json({ error: err.message || String(err) });
   }
 });
 
-// GET /api/strava/athlete - Get athlete profile (with rate limiting)
-app.get('/api/strava/athlete', stravaLimiter, async (req, res) => {
-  const { username, userId } = req.query;
-  const id = userId || username;
-  if (!id) return res.status(400).json({ error: 'username or userId required' });
+// Join a team with an invite code (any visibility)
+app.post('/api/team-invites/:code/accept', requireAuth, async (req, res) => {
+  const { user } = req;
 
   try {
-    const accessToken = await getValidAccessToken(id);
-    const athlete = await stravaApiRequest('/athlete', accessToken);
-    res.json(athlete);
-  } catch (error) {
-    if (error.message === 'UNAUTHORIZED') {
-      return res.status(401).json({ error: 'Strava authorization failed. Please reconnect your account.' });
-    }
-    console.error('Strava API error:', error);
-    res.status(500).json({ error: 'Failed to fetch athlete data' });
-  }
-});
+    const code = normalizeInviteCode(req.params.code);
+    let invite = await storage.teamInvites.findOne({ code });
+    if (!invite) return res.status(404).json({ error: 'Invite not found' });
 
-// GET /api/strava/activities - Get user's activities (with rate limiting)
-app.get('/api/strava/activities', stravaLimiter, async (req, res) => {
-  const { username, userId, per_page = 30, page = 1, excludeImported = false } = req.query;
-  const id = userId || username;
-  if (!id) return res.status(400).json({ error: 'username or userId required' });
+    const team = await storage.teams.findOne({ id: invite.team_id });
+    if (!team) return res.status(404).json({ error: 'Invite not found' });
 
-  try {
-    const accessToken = await getValidAccessToken(id);
-    let activities = await stravaApiRequest(
-      `/athlete/activities?per_page=${per_page}&page=${page}`,
-      accessToken
-    );
-    
-    // If excludeImported is true and we have Supabase, filter out already imported activities
-    if (excludeImported === 'true' && supabase && userId) {
-      try {
-        // Get all imported Strava activity IDs for this user
-        const { data: importedActivities } = await supabase
-          .from('activities')
-          .select('strava_activity_id')
-          .eq('user_id', userId)
-          .not('strava_activity_id', 'is', null);
-        
-        if (importedActivities && importedActivities.length > 0) {
-          const importedIds = new Set(importedActivities.map(a => String(a.strava_activity_id)));
-          activities = activities.filter(activity => !importedIds.has(String(activity.id)));
-        }
-      } catch (err) {
-        console.error('[STRAVA] Error filtering imported activities:', err);
-        // Continue without filtering if there's an error
+    const existing = await findTeamMember(team.id, user.id);
+    if (existing) return res.status(400).json({ error: 'Already a member of this team' });
+
+    // Claim a use with a compare-and-set on use_count, so concurrent accepts can't exceed max_uses
+    let claimed = false;
+    for (let attempt = 0; attempt < 3 && !claimed; attempt++) {
+      const problem = getInviteProblem(invite);
+      if (problem) return res.status(400).json({ error: problem });
+
+      const [updated] = await storage.teamInvites.update(
+        { id: invite.id, use_count: invite.use_count },
+        { use_count: invite.use_count + 1 }
+      );
+      if (updated) {
+        claimed = true;
+      } else {
+        invite = await storage.teamInvites.findOne({ id: invite.id });
       }
     }
-    
-    res.json(activities);
-  } catch (error) {
-    if (error.message === 'UNAUTHORIZED') {
-      return res.status(401).json({ error: 'Strava authorization failed. Please reconnect your account.' });
+    if (!claimed) return res.status(409).json({ error: 'Invite is busy, please try again' });
+
+    let member;
+    try {
+      member = await storage.teamMembers.insert({ team_id: team.id, user_id: user.id, role: 'member' });
+    } catch (insertError) {
+      if (insertError.code === '23505') return res.status(400).json({ error: 'Already a member of this team' });
+      throw insertError;
     }
-    console.error('Strava API error:', error);
-    res.status(500).json({ error: 'Failed to fetch activities' });
-  }
-});
 
-/**********************
- * Friends endpoints
- **********************/
+    // An open join request for this team is settled by the invite
+    await storage.teamJoinRequests.update(
+      { team_id: team.id, user_id: user.id, status: 'pending' },
+      { status: 'approved', reviewed_by: invite.created_by, reviewed_at: new Date().toISOString() }
+    ).catch((requestError) => {
+      console.error('[TEAMS] Error closing join request after invite:', requestError);
+    });
 
-// Send a friend request
-app.post('/api/friends/request', async (req, res) => {
-  if (!supabase) return res.status(500).json({ error: 'Supabase not configured on server' });
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-  if (!token) return res.status(401).json({ error: 'Missing Bearer token' });
+    await notifyTeamManagers(team, user.id, 'team_join', `joined ${team.name}`);
 
-  try {
-    const user = await getSupabaseUserFromToken(token);
-    if (!user) return res.status(401).json({ error: 'Invalid token' });
+    res.json({ message: 'Joined team', team, member });
+  } catch (err) {
+    console.error('Error accepting team invite', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
 
-    const { receiver_id } = req.body;
-    if (!receiver_id) return res.status(400).json({ error: 'receiver_id required' });
-    if (receiver_id === user.id) return res.status(400).json({ error: 'Cannot send friend request to yourself' });
+// Update team (only owner/admin)
+app.put('/api/teams/:team_id', requireAuth, async (req, res) => {
+  const { user } = req;
 
-    // Check if request already exists (either direction)
-    const { data: existingRequests } = await supabase
-      .from('friend_requests')
-      .select('*')
-      .or(`sender_id.eq.${user.id},receiver_id.eq.${user.id}`);
+  try {
+    const { team_id } = req.params;
+    const { name, description, city, city_id: cityId, visibility } = req.body;
 
-    const existing = existingRequests?.find(req => 
-      (req.sender_id === user.id && req.receiver_id === receiver_id) ||
-      (req.sender_id === receiver_id && req.receiver_id === user.id)
-    );
+    // Check if user is owner or admin
+    const member = await findTeamMember(team_id, user.id, 'role');
 
-    if (existing) {
-      if (existing.status === 'pending') {
-        return res.status(400).json({ error: 'Friend request already exists' });
-      }
-      if (existing.status === 'accepted') {
-        return res.status(400).json({ error: 'Already friends' });
-      }
+    if (!isTeamManager(member)) {
+      return res.status(403).json({ error: 'Only team owners and admins can update the team' });
     }
 
-    // Check if already friends
-    const user1_id = user.id < receiver_id ? user.id : receiver_id;
-    const user2_id = user.id < receiver_id ? receiver_id : user.id;
-    
-    const { data: friendship } = await supabase
-      .from('friendships')
-      .select('*')
-      .eq('user1_id', user1_id)
-      .eq('user2_id', user2_id)
-      .single();
+    if (visibility !== undefined) {
+      const visibilityError = validateTeamVisibility(visibility);
+      if (visibilityError) return res.status(400).json({ error: visibilityError });
+    }
 
-    if (friendship) {
-      return res.status(400).json({ error: 'Already friends' });
+    // Update team
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (description !== undefined) updates.description = description;
+    if (city !== undefined || cityId !== undefined) {
+      const { fields: cityFields, error: cityError } = resolveCityFields({ city, city_id: cityId });
+      if (cityError) return res.status(400).json({ error: cityError });
+      Object.assign(updates, cityFields);
     }
+    if (visibility !== undefined) updates.visibility = visibility;
 
-    // Create friend request
-    const { data, error } = await supabase
-      .from('friend_requests')
-      .insert({
-        sender_id: user.id,
-        receiver_id: receiver_id,
-        status: 'pending'
-      })
-      .select()
-      .single();
+    const [team] = await storage.teams.update({ id: team_id }, updates);
 
-    if (error) return res.status(500).json({ error: error.message || error });
-    res.json({ message: 'Friend request sent', request: data });
+    res.json({ message: 'Team updated', team });
   } catch (err) {
-    console.error('Error sending friend request', err);
+    console.error('Error updating team', err);
     res.status(500).json({ error: err.message || String(err) });
   }
 });
 
-// Accept or reject a friend request
-app.post('/api/friends/respond', async (req, res) => {
-  if (!supabase) return res.status(500).json({ error: 'Supabase not configured on server' });
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-  if (!token) return res.status(401).json({ error: 'Missing Bearer token' });
+// Delete team (only owner)
+app.delete('/api/teams/:team_id', requireAuth, async (req, res) => {
+  const { user } = req;
 
   try {
-    const user = await getSupabaseUserFromToken(token);
-    if (!user) return res.status(401).json({ error: 'Invalid token' });
+    const { team_id } = req.params;
 
-    const { request_id, action } = req.body; // action: 'accept' or 'reject'
-    if (!request_id || !action) return res.status(400).json({ error: 'request_id and action required' });
-    if (!['accept', 'reject'].includes(action)) return res.status(400).json({ error: 'action must be "accept" or "reject"' });
+    // Check if user is owner
+    const member = await storage.teamMembers.findOne({ team_id, user_id: user.id }, { columns: 'role' });
 
-    // Get the friend request
-    const { data: request, error: fetchError } = await supabase
-      .from('friend_requests')
-      .select('*')
-      .eq('id', request_id)
-      .eq('receiver_id', user.id)
-      .eq('status', 'pending')
-      .single();
-
-    if (fetchError || !request) {
-      return res.status(404).json({ error: 'Friend request not found' });
+    if (!member || member.role !== 'owner') {
+      return res.status(403).json({ error: 'Only team owners can delete the team' });
     }
 
-    if (action === 'accept') {
-      // Create friendship (ensure user1_id < user2_id)
-      const user1_id = request.sender_id < request.receiver_id ? request.sender_id : request.receiver_id;
-      const user2_id = request.sender_id < request.receiver_id ? request.receiver_id : request.sender_id;
+    // Delete team (cascade will delete team_members)
+    await storage.teams.remove({ id: team_id });
 
-      const { error: friendshipError } = await supabase
-        .from('friendships')
-        .insert({
-          user1_id: user1_id,
-          user2_id: user2_id
-        });
+    res.json({ message: 'Team deleted' });
+  } catch (err) {
+    console.error('Error deleting team', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
 
-      if (friendshipError) {
-        return res.status(500).json({ error: friendshipError.message || friendshipError });
-      }
+// Promote a member to admin or demote an admin to member (only owner)
+app.put('/api/teams/:team_id/members/:user_id/role', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    const { team_id, user_id } = req.params;
+    const { role } = req.body;
+
+    const roleError = validateAssignableRole(role);
+    if (roleError) return res.status(400).json({ error: roleError });
+
+    const { team, member, status, error } = await getVisibleTeam(team_id, user.id);
+    if (error) return res.status(status).json({ error });
+    if (!member || member.role !== 'owner') {
+      return res.status(403).json({ error: 'Only the team owner can promote or demote admins' });
     }
 
-    // Update request status
-    const { data: updated, error: updateError } = await supabase
-      .from('friend_requests')
-      .update({ status: action === 'accept' ? 'accepted' : 'rejected' })
-      .eq('id', request_id)
-      .select()
-      .single();
+    const target = await findTeamMember(team_id, user_id);
+    if (!target) return res.status(404).json({ error: 'Not a member of this team' });
+    if (target.role === 'owner') {
+      return res.status(400).json({ error: 'The owner\'s role cannot be changed. Transfer ownership instead.' });
+    }
+    if (target.role === role) return res.json({ message: 'Role unchanged', member: target });
 
-    if (updateError) return res.status(500).json({ error: updateError.message || updateError });
+    const [updated] = await storage.teamMembers.update({ team_id, user_id }, { role });
 
-    res.json({ message: `Friend request ${action}ed`, request: updated });
+    await notifyUsers([{
+      userId: user_id,
+      actorId: user.id,
+      type: 'team_role_changed',
+      message: role === 'admin' ? `made you an admin of ${team.name}` : `changed your role in ${team.name} to member`,
+      link: '/teams',
+      entityId: team.id
+    }]);
+
+    res.json({ message: 'Role updated', member: updated });
   } catch (err) {
-    console.error('Error responding to friend request', err);
+    console.error('Error updating team member role', err);
     res.status(500).json({ error: err.message || String(err) });
   }
 });
 
-// Get friend requests (sent and received)
-app.get('/api/friends/requests', async (req, res) => {
-  if (!supabase) return res.status(500).json({ error: 'Supabase not configured on server' });
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-  if (!token) return res.status(401).json({ error: 'Missing Bearer token' });
+// Remove a member from a team (owner removes anyone, admins remove members)
+app.delete('/api/teams/:team_id/members/:user_id', requireAuth, async (req, res) => {
+  const { user } = req;
 
   try {
-    const user = await getSupabaseUserFromToken(token);
-    if (!user) return res.status(401).json({ error: 'Invalid token' });
+    const { team_id, user_id } = req.params;
 
-    // Get sent requests
-    const { data: sentRequestsData } = await supabase
-      .from('friend_requests')
-      .select('*')
-      .eq('sender_id', user.id)
-      .eq('status', 'pending');
+    const { team, member, status, error } = await getVisibleTeam(team_id, user.id);
+    if (error) return res.status(status).json({ error });
 
-    // Get received requests
-    const { data: receivedRequestsData } = await supabase
-      .from('friend_requests')
-      .select('*')
-      .eq('receiver_id', user.id)
-      .eq('status', 'pending');
+    const target = await findTeamMember(team_id, user_id);
+    if (!target) return res.status(404).json({ error: 'Not a member of this team' });
 
-    // Fetch profile data for senders and receivers
-    const sentRequests = await Promise.all((sentRequestsData || []).map(async (req) => {
-      const { data: receiver } = await supabase.from('profiles').select('display_name, id').eq('id', req.receiver_id).single();
-      return { ...req, receiver: receiver || { id: req.receiver_id } };
-    }));
+    const problem = getRemoveMemberProblem(member, target);
+    if (problem) return res.status(target.user_id === user.id ? 400 : 403).json({ error: problem });
 
-    const receivedRequests = await Promise.all((receivedRequestsData || []).map(async (req) => {
-      const { data: sender } = await supabase.from('profiles').select('display_name, id').eq('id', req.sender_id).single();
-      return { ...req, sender: sender || { id: req.sender_id } };
-    }));
+    await storage.teamMembers.remove({ team_id, user_id });
 
-    res.json({
-      sent: sentRequests,
-      received: receivedRequests
-    });
+    await notifyUsers([{
+      userId: user_id,
+      actorId: user.id,
+      type: 'team_member_removed',
+      message: `removed you from ${team.name}`,
+      link: '/teams',
+      entityId: team.id
+    }]);
+
+    res.json({ message: 'Member removed' });
   } catch (err) {
-    console.error('Error fetching friend requests', err);
+    console.error('Error removing team member', err);
     res.status(500).json({ error: err.message || String(err) });
   }
 });
 
-// Debug endpoint to list all profiles (for testing)
-app.get('/api/profiles/debug', async (req, res) => {
-  if (!supabase) return res.status(500).json({ error: 'Supabase not configured on server' });
+// Transfer ownership to another member (only owner); the previous owner stays on as an admin
+app.post('/api/teams/:team_id/transfer-ownership', requireAuth, async (req, res) => {
+  const { user } = req;
+
   try {
-    const { data: profiles, error } = await supabase
-      .from('profiles')
-      .select('id, display_name, city, created_at')
-      .limit(50);
-    
-    if (error) {
-      return res.status(500).json({ error: error.message || error });
+    const { team_id } = req.params;
+    const { userId } = req.body;
+    if (!userId) return res.status(400).json({ error: 'userId required' });
+
+    const { team, member, status, error } = await getVisibleTeam(team_id, user.id);
+    if (error) return res.status(status).json({ error });
+    if (!member || member.role !== 'owner') {
+      return res.status(403).json({ error: 'Only the team owner can transfer ownership' });
     }
-    
-    res.json({ 
-      count: profiles?.length || 0,
-      profiles: profiles || []
-    });
+    if (userId === user.id) return res.status(400).json({ error: 'You already own this team' });
+
+    const target = await findTeamMember(team_id, userId);
+    if (!target) return res.status(404).json({ error: 'The new owner must be a member of this team' });
+
+    // Demote first: the database allows one owner per team (see migration 021)
+    await storage.teamMembers.update({ team_id, user_id: user.id }, { role: 'admin' });
+    try {
+      await storage.teamMembers.update({ team_id, user_id: userId }, { role: 'owner' });
+    } catch (promoteError) {
+      await storage.teamMembers.update({ team_id, user_id: user.id }, { role: 'owner' });
+      throw promoteError;
+    }
+
+    await notifyUsers([{
+      userId,
+      actorId: user.id,
+      type: 'team_ownership_transferred',
+      message: `made you the owner of ${team.name}`,
+      link: '/teams',
+      entityId: team.id
+    }]);
+
+    res.json({ message: 'Ownership transferred' });
   } catch (err) {
-    console.error('Error in debug endpoint:', err);
+    console.error('Error transferring team ownership', err);
     res.status(500).json({ error: err.message || String(err) });
   }
 });
 
-// Search profiles by username/display_name
-app.get('/api/profiles/search', async (req, res) => {
-  if (!supabase) return res.status(500).json({ error: 'Supabase not configured on server' });
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-  if (!token) return res.status(401).json({ error: 'Missing Bearer token' });
+/**********************
+ * Challenges endpoints
+ **********************/
 
-  try {
-    const user = await getSupabaseUserFromToken(token);
-    if (!user) return res.status(401).json({ error: 'Invalid token' });
+// Helper to resolve which team a user joins a team-scope challenge with
+// Returns { teamId } or { error } when the user has no team or must pick one
+async function resolveChallengeTeam(userId, requestedTeamId) {
+  const memberships = await storage.teamMembers.find({ user_id: userId }, { columns: 'team_id' });
+  const teamIds = memberships.map((m) => m.team_id);
 
-    const { q } = req.query;
-    if (!q || q.trim().length === 0) {
-      return res.json({ profiles: [] });
-    }
+  if (requestedTeamId) {
+    if (!teamIds.includes(requestedTeamId)) return { error: 'You are not a member of that team' };
+    return { teamId: requestedTeamId };
+  }
+  if (teamIds.length === 0) return { error: 'Join a team before entering a team challenge' };
+  if (teamIds.length > 1) return { error: 'teamId required: you are a member of several teams' };
+  return { teamId: teamIds[0] };
+}
 
-    const searchTerm = q.trim();
-    console.log(`[SEARCH] User ${user.id} searching for profiles with display_name containing: "${searchTerm}"`);
+// Helper to build named standings for a challenge from its participants' activities
+async function getChallengeStandings(challenge) {
+  const participants = await storage.challengeParticipants.findAll(
+    { challenge_id: challenge.id },
+    { columns: 'user_id, team_id, joined_at' }
+  );
 
-    // Use service role client to bypass RLS - search all profiles
-    // First, get all profiles to see what we have
-    const { data: allProfiles, error: allError } = await supabase
-      .from('profiles')
-      .select('id, display_name, city')
-      .limit(100);
-    
-    if (allError) {
-      console.error('[SEARCH] Error fetching all profiles:', allError);
-    } else {
-      console.log(`[SEARCH] Total profiles in DB: ${allProfiles?.length || 0}`);
-      if (allProfiles && allProfiles.length > 0) {
-        console.log('[SEARCH] Sample profiles:', allProfiles.slice(0, 5).map(p => ({ id: p.id, name: p.display_name })));
-      }
-    }
+  // Only activities that passed quality control count. Private activities count too: visibility decides who sees
+  // an activity, not whether it scores (their points are on the leaderboards as well), and standings only show totals
+  const userIds = participants.map((p) => p.user_id);
+  const participantActivities = userIds.length > 0
+    ? await storage.activities.findAll(
+      { user_id: { in: userIds }, qc_status: 'accepted', date: { gte: challenge.start_date, lte: challenge.end_date } },
+      { columns: 'user_id, type, date, distance_km, duration_minutes, points_earned' }
+    )
+    : [];
+
+  const standings = buildStandings(challenge, participants, participantActivities);
+
+  // Attach display names (profiles for individual challenges, teams for team challenges)
+  const ids = standings.map((s) => s.id);
+  const nameMap = {};
+  if (ids.length > 0) {
+    const named = challenge.scope === 'team'
+      ? await storage.teams.findAll({ id: { in: ids } }, { columns: 'id, name' })
+      : await storage.profiles.findAll({ id: { in: ids } }, { columns: 'id, display_name' });
+    named.forEach((row) => {
+      nameMap[row.id] = row.name || row.display_name;
+    });
+  }
 
-    // Search profiles by display_name (case-insensitive)
-    // Use service role to bypass RLS - this should work
-    let profiles = [];
-    let error = null;
-    
-    // Primary search query - use ilike for case-insensitive search
-    const searchQuery = supabase
-      .from('profiles')
-      .select('id, display_name, city')
-      .ilike('display_name', `%${searchTerm}%`)
-      .limit(50);
-    
-    const result = await searchQuery;
-    error = result.error;
-    profiles = result.data || [];
-    
-    if (error) {
-      console.error('[SEARCH] Error in search query:', error);
-      // Try a simpler query as fallback
-      const fallbackQuery = supabase
-        .from('profiles')
-        .select('id, display_name, city')
-        .limit(50);
-      const fallbackResult = await fallbackQuery;
-      if (!fallbackResult.error && fallbackResult.data) {
-        // Filter in JavaScript as fallback
-        profiles = fallbackResult.data.filter(p => 
-          p.display_name && 
-          p.display_name.toLowerCase().includes(searchTerm.toLowerCase())
-        );
-        error = null;
-        console.log(`[SEARCH] Fallback search found ${profiles.length} profiles`);
-      }
+  return {
+    participants,
+    standings: standings.map((s) => ({ ...s, name: nameMap[s.id] || 'Unknown' }))
+  };
+}
+
+// Create a challenge
+app.post('/api/challenges', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    const { errors, challenge: fields } = validateChallenge(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid challenge', details: errors });
+    }
+    if (fields.end_date < getToday()) {
+      return res.status(400).json({ error: 'Invalid challenge', details: ['endDate cannot be in the past'] });
     }
 
-    // Try to get lat/lng if columns exist (optional)
-    if (!error && profiles.length > 0) {
-      try {
-        const { data: profilesWithCoords } = await supabase
-          .from('profiles')
-          .select('id, lat, lng')
-          .in('id', profiles.map(p => p.id));
-        
-        if (profilesWithCoords) {
-          const coordsMap = new Map(profilesWithCoords.map(p => [p.id, { lat: p.lat, lng: p.lng }]));
-          profiles = profiles.map(p => ({ ...p, ...coordsMap.get(p.id) }));
-        }
-      } catch (e) {
-        // lat/lng columns don't exist, that's okay
-        console.log('[SEARCH] lat/lng columns not available');
-      }
+    console.log(`[CHALLENGES CREATE] User ${user.id} creating challenge "${fields.name}"`);
+
+    let challenge;
+    try {
+      challenge = await storage.challenges.insert({ ...fields, created_by: user.id });
+    } catch (challengeError) {
+      console.error('[CHALLENGES CREATE] Error creating challenge:', challengeError);
+      return res.status(500).json({ error: challengeError.message || String(challengeError) });
     }
 
-    if (error) {
-      console.error('[SEARCH] Final error:', error);
-      return res.status(500).json({ error: error.message || String(error) });
+    // Enroll the creator (team challenges only when their team is unambiguous)
+    let teamId = null;
+    if (challenge.scope === 'team') {
+      const resolved = await resolveChallengeTeam(user.id, req.body.teamId);
+      teamId = resolved.teamId || null;
+    }
+    if (challenge.scope === 'individual' || teamId) {
+      await storage.challengeParticipants
+        .insert({ challenge_id: challenge.id, user_id: user.id, team_id: teamId })
+        .catch((joinError) => console.error('[CHALLENGES CREATE] Error enrolling creator:', joinError));
     }
 
-    // Filter out current user and ensure display_name exists
-    const filtered = (profiles || []).filter(p => {
-      const isValid = p.id !== user.id && 
-                      p.display_name && 
-                      p.display_name.trim().length > 0;
-      if (!isValid && p.id === user.id) {
-        console.log(`[SEARCH] Filtered out current user: ${p.display_name}`);
-      }
-      return isValid;
+    res.json({ message: 'Challenge created', challenge: { ...challenge, status: getChallengeStatus(challenge, getToday()) } });
+  } catch (err) {
+    console.error('[CHALLENGES CREATE] Exception:', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// List challenges (optional ?status=upcoming|active|ended); includes your enrollment and progress when authenticated
+app.get('/api/challenges', optionalAuth, async (req, res) => {
+  const { user } = req;
+  const { status } = req.query;
+
+  try {
+    const today = getToday();
+
+    const challengesData = await storage.challenges.find({}, { order: { column: 'start_date', ascending: false } });
+
+    let challenges = challengesData.map((c) => ({ ...c, status: getChallengeStatus(c, today) }));
+    if (status) challenges = challenges.filter((c) => c.status === status);
+    if (challenges.length === 0) return res.json({ challenges: [] });
+
+    const participantsData = await storage.challengeParticipants.find(
+      { challenge_id: { in: challenges.map((c) => c.id) } },
+      { columns: 'challenge_id, user_id, team_id' }
+    );
+
+    const participantCount = {};
+    const myEnrollment = {};
+    participantsData.forEach((p) => {
+      participantCount[p.challenge_id] = (participantCount[p.challenge_id] || 0) + 1;
+      if (user && p.user_id === user.id) myEnrollment[p.challenge_id] = p;
     });
 
-    console.log(`[SEARCH] Found ${profiles?.length || 0} total profiles, ${filtered.length} after filtering`);
-    if (filtered.length > 0) {
-      console.log('[SEARCH] Returning profiles:', filtered.slice(0, 3).map(p => ({ id: p.id, display_name: p.display_name })));
+    // Your own progress in challenges you joined
+    let myActivities = [];
+    if (user && Object.keys(myEnrollment).length > 0) {
+      const joined = challenges.filter((c) => myEnrollment[c.id]);
+      const earliest = joined.reduce((min, c) => (c.start_date < min ? c.start_date : min), joined[0].start_date);
+      myActivities = await storage.activities.findAll(
+        { user_id: user.id, qc_status: 'accepted', date: { gte: earliest } },
+        { columns: 'user_id, type, date, distance_km, duration_minutes, points_earned' }
+      );
     }
 
-    res.json({ profiles: filtered });
+    res.json({
+      challenges: challenges.map((c) => {
+        const enrollment = myEnrollment[c.id] || null;
+        const myProgress = enrollment ? (computeUserProgress(c, myActivities)[user.id] || 0) : null;
+        return {
+          ...c,
+          participant_count: participantCount[c.id] || 0,
+          joined: Boolean(enrollment),
+          my_team_id: enrollment ? enrollment.team_id : null,
+          my_progress: myProgress
+        };
+      })
+    });
   } catch (err) {
-    console.error('[SEARCH] Exception in profile search:', err);
+    console.error('[CHALLENGES] Exception fetching challenges:', err);
     res.status(500).json({ error: err.message || String(err) });
   }
 });
 
-// Get friends list
-app.get('/api/friends', async (req, res) => {
-  if (!supabase) return res.status(500).json({ error: 'Supabase not configured on server' });
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-  if (!token) return res.status(401).json({ error: 'Missing Bearer token' });
-
+// Get a challenge with standings
+app.get('/api/challenges/:challenge_id', publicRoute, async (req, res) => {
   try {
-    const user = await getSupabaseUserFromToken(token);
-    if (!user) return res.status(401).json({ error: 'Invalid token' });
-
-    // Get friendships where user is either user1 or user2
-    const { data: friendships } = await supabase
-      .from('friendships')
-      .select('*')
-      .or(`user1_id.eq.${user.id},user2_id.eq.${user.id}`);
+    const { challenge_id } = req.params;
+    const challenge = await storage.challenges.findOne({ id: challenge_id });
+    if (!challenge) return res.status(404).json({ error: 'Challenge not found' });
 
-    // Fetch profile data and transform to friend list
-    const friends = await Promise.all((friendships || []).map(async (friendship) => {
-      const friendId = friendship.user1_id === user.id ? friendship.user2_id : friendship.user1_id;
-      const { data: friendProfile } = await supabase
-        .from('profiles')
-        .select('display_name, id, city, avatar_url')
-        .eq('id', friendId)
-        .single();
-      
-      return {
-        id: friendProfile?.id || friendId,
-        display_name: friendProfile?.display_name || friendId,
-        city: friendProfile?.city || null,
-        avatar_url: friendProfile?.avatar_url || null,
-        friendship_id: friendship.id,
-        created_at: friendship.created_at
-      };
-    }));
+    const creator = await storage.profiles.findOne({ id: challenge.created_by }, { columns: 'display_name, id' });
+    const { participants, standings } = await getChallengeStandings(challenge);
 
-    res.json({ friends });
+    res.json({
+      challenge: {
+        ...challenge,
+        status: getChallengeStatus(challenge, getToday()),
+        creator: creator || { id: challenge.created_by },
+        participant_count: participants.length,
+        participants,
+        standings
+      }
+    });
   } catch (err) {
-    console.error('Error fetching friends', err);
+    console.error('Error fetching challenge', err);
     res.status(500).json({ error: err.message || String(err) });
   }
 });
 
-// Remove a friend
-app.delete('/api/friends/:friendship_id', async (req, res) => {
-  if (!supabase) return res.status(500).json({ error: 'Supabase not configured on server' });
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-  if (!token) return res.status(401).json({ error: 'Missing Bearer token' });
+// Join a challenge (team challenges enroll you with one of your teams; pass teamId if you have several)
+app.post('/api/challenges/:challenge_id/join', requireAuth, async (req, res) => {
+  const { user } = req;
 
   try {
-    const user = await getSupabaseUserFromToken(token);
-    if (!user) return res.status(401).json({ error: 'Invalid token' });
-
-    const { friendship_id } = req.params;
-
-    // Verify user is part of this friendship
-    const { data: friendship } = await supabase
-      .from('friendships')
-      .select('*')
-      .eq('id', friendship_id)
-      .single();
-
-    if (friendship && friendship.user1_id !== user.id && friendship.user2_id !== user.id) {
-      return res.status(403).json({ error: 'Not authorized to remove this friendship' });
+    const { challenge_id } = req.params;
+    const challenge = await storage.challenges.findOne({ id: challenge_id });
+    if (!challenge) return res.status(404).json({ error: 'Challenge not found' });
+    if (getChallengeStatus(challenge, getToday()) === 'ended') {
+      return res.status(400).json({ error: 'This challenge has ended' });
     }
 
-    if (!friendship) {
-      return res.status(404).json({ error: 'Friendship not found' });
-    }
+    const existing = await storage.challengeParticipants.findOne({ challenge_id, user_id: user.id });
+    if (existing) return res.status(400).json({ error: 'Already joined this challenge' });
 
-    // Delete friendship
-    const { error } = await supabase
-      .from('friendships')
-      .delete()
-      .eq('id', friendship_id);
+    let teamId = null;
+    if (challenge.scope === 'team') {
+      const resolved = await resolveChallengeTeam(user.id, (req.body || {}).teamId);
+      if (resolved.error) return res.status(400).json({ error: resolved.error });
+      teamId = resolved.teamId;
+    }
 
-    if (error) return res.status(500).json({ error: error.message || error });
+    const participant = await storage.challengeParticipants.insert({ challenge_id, user_id: user.id, team_id: teamId });
 
-    res.json({ message: 'Friend removed' });
+    res.json({ message: 'Joined challenge', participant });
   } catch (err) {
-    console.error('Error removing friend', err);
+    console.error('Error joining challenge', err);
     res.status(500).json({ error: err.message || String(err) });
   }
 });
 
-/**********************
- * Teams endpoints
- **********************/
-
-// Create a team
-app.post('/api/teams', async (req, res) => {
-  if (!supabase) return res.status(500).json({ error: 'Supabase not configured on server' });
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-  if (!token) return res.status(401).json({ error: 'Missing Bearer token' });
+// Leave a challenge
+app.post('/api/challenges/:challenge_id/leave', requireAuth, async (req, res) => {
+  const { user } = req;
 
   try {
-    const user = await getSupabaseUserFromToken(token);
-    if (!user) return res.status(401).json({ error: 'Invalid token' });
+    const { challenge_id } = req.params;
+    const participant = await storage.challengeParticipants.findOne({ challenge_id, user_id: user.id });
 
-    const { name, description, city } = req.body;
-    if (!name) return res.status(400).json({ error: 'name required' });
+    if (!participant) return res.status(404).json({ error: 'Not participating in this challenge' });
 
-    console.log(`[TEAMS CREATE] User ${user.id} creating team "${name}"`);
+    await storage.challengeParticipants.remove({ challenge_id, user_id: user.id });
 
-    // Create team
-    const { data: team, error: teamError } = await supabase
-      .from('teams')
-      .insert({
-        name: name,
-        description: description || null,
-        city: city || null,
-        created_by: user.id
-      })
-      .select()
-      .single();
+    res.json({ message: 'Left challenge' });
+  } catch (err) {
+    console.error('Error leaving challenge', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
 
-    if (teamError) {
-      console.error('[TEAMS CREATE] Error creating team:', teamError);
-      return res.status(500).json({ error: teamError.message || teamError });
+// Delete a challenge (only its creator)
+app.delete('/api/challenges/:challenge_id', requireAuth, async (req, res) => {
+  const { user } = req;
+
+  try {
+    const { challenge_id } = req.params;
+    const challenge = await storage.challenges.findOne({ id: challenge_id }, { columns: 'created_by' });
+    if (!challenge) return res.status(404).json({ error: 'Challenge not found' });
+    if (challenge.created_by !== user.id) {
+      return res.status(403).json({ error: 'Only the challenge creator can delete it' });
     }
 
-    console.log(`[TEAMS CREATE] Team created with ID: ${team.id}`);
+    // Delete challenge (cascade will delete challenge_participants)
+    await storage.challenges.remove({ id: challenge_id });
 
-    // Add creator as team owner
-    const { data: member, error: memberError } = await supabase
-      .from('team_members')
-      .insert({
-        team_id: team.id,
-        user_id: user.id,
-        role: 'owner'
-      })
-      .select()
-      .single();
+    res.json({ message: 'Challenge deleted' });
+  } catch (err) {
+    console.error('Error deleting challenge', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
 
-    if (memberError) {
-      console.error('[TEAMS CREATE] Error adding owner as member:', memberError);
-      // Rollback team creation if member insert fails
-      await supabase.from('teams').delete().eq('id', team.id);
-      return res.status(500).json({ error: memberError.message || memberError });
-    }
+/**********************
+ * Streaks endpoints
+ * Streak freezes cover missed days automatically; rest days are planned ahead
+ **********************/
 
-    console.log(`[TEAMS CREATE] Owner added as member: ${member.id}`);
+// Get the current user's streak, freezes and days off
+app.get('/api/streaks', requireAuth, async (req, res) => {
+  const { user } = req;
 
-    // Fetch the complete team with creator and members
-    const { data: creator } = await supabase.from('profiles').select('display_name, id').eq('id', user.id).single();
-    const teamWithDetails = {
-      ...team,
-      creator: creator || { id: user.id, display_name: 'Unknown' },
-      members: [{
-        user_id: user.id,
-        role: 'owner',
-        profile: creator || { id: user.id, display_name: 'Unknown' }
-      }]
-    };
+  try {
+    const profile = await storage.profiles.findOne({ id: user.id }, { columns: 'streak, longest_streak, streak_freezes, time_zone' });
+    if (!profile) return res.status(404).json({ error: 'Profile not found' });
+
+    // Recent and upcoming days off (last 4 weeks onward)
+    const today = getLocalDate(profile.time_zone);
+    const daysOff = await storage.streakDaysOff.find(
+      { user_id: user.id, date: { gte: addDays(today, -28) } },
+      { columns: 'date, kind', order: { column: 'date', ascending: true } }
+    );
 
-    res.json({ message: 'Team created', team: teamWithDetails });
+    res.json({
+      streak: profile.streak || 0,
+      longest_streak: profile.longest_streak || 0,
+      streak_freezes: profile.streak_freezes || 0,
+      today,
+      days_off: daysOff,
+      rules: {
+        max_freezes: MAX_STREAK_FREEZES,
+        freeze_cost: STREAK_FREEZE_COST,
+        freeze_earn_interval: FREEZE_EARN_INTERVAL,
+        freezes_per_week: FREEZES_PER_WEEK,
+        rest_days_per_week: REST_DAYS_PER_WEEK,
+        rest_day_max_days_ahead: REST_DAY_MAX_DAYS_AHEAD
+      }
+    });
   } catch (err) {
-    console.error('[TEAMS CREATE] Exception:', err);
+    console.error('[STREAKS] Exception fetching streak:', err);
     res.status(500).json({ error: err.message || String(err) });
   }
 });
 
-// Get all teams
-app.get('/api/teams', async (req, res) => {
-  if (!supabase) return res.status(500).json({ error: 'Supabase not configured on server' });
+// Buy a streak freeze with points
+app.post('/api/streaks/freezes/purchase', requireAuth, async (req, res) => {
+  const { user } = req;
 
   try {
-    // Fetch teams
-    const { data: teamsData, error: teamsError } = await supabase
-      .from('teams')
-      .select('*')
-      .order('created_at', { ascending: false });
-
-    if (teamsError) {
-      console.error('[TEAMS] Error fetching teams:', teamsError);
-      return res.status(500).json({ error: teamsError.message || teamsError });
-    }
+    const profile = await storage.profiles.findOne({ id: user.id }, { columns: 'streak_freezes' });
+    if (!profile) return res.status(404).json({ error: 'Profile not found' });
 
-    if (!teamsData || teamsData.length === 0) {
-      return res.json({ teams: [] });
+    const held = profile.streak_freezes || 0;
+    if (held >= MAX_STREAK_FREEZES) {
+      return res.status(400).json({ error: `You can hold at most ${MAX_STREAK_FREEZES} streak freezes` });
     }
-
-    // Fetch members for all teams
-    const teamIds = teamsData.map(t => t.id);
-    const { data: membersData, error: membersError } = await supabase
-      .from('team_members')
-      .select('team_id, user_id, role')
-      .in('team_id', teamIds);
-
-    if (membersError) {
-      console.error('[TEAMS] Error fetching members:', membersError);
-      // Continue without members rather than failing completely
+    // Check the ledger rather than the cached profile total
+    const totals = await getLedgerTotals(storage, [user.id]);
+    if ((totals[user.id] || 0) < STREAK_FREEZE_COST) {
+      return res.status(400).json({ error: `A streak freeze costs ${STREAK_FREEZE_COST} points` });
     }
 
-    // Group members by team_id
-    const membersByTeam = {};
-    (membersData || []).forEach(member => {
-      if (!membersByTeam[member.team_id]) {
-        membersByTeam[member.team_id] = [];
-      }
-      membersByTeam[member.team_id].push(member);
+    await recordPointsEntry(storage, {
+      userId: user.id,
+      source: 'streak_freeze',
+      delta: -STREAK_FREEZE_COST,
+      reason: 'Bought a streak freeze'
     });
+    const points = await syncProfilePoints(storage, user.id);
+    scheduleLeaderboardBroadcast();
 
-    // Fetch creator profiles and member profiles
-    const creatorIds = [...new Set(teamsData.map(t => t.created_by))];
-    const memberUserIds = [...new Set((membersData || []).map(m => m.user_id))];
-    const allUserIds = [...new Set([...creatorIds, ...memberUserIds])];
+    await storage.profiles.update({ id: user.id }, { streak_freezes: held + 1 });
 
-    const { data: profilesData, error: profilesError } = await supabase
-      .from('profiles')
-      .select('id, display_name, city')
-      .in('id', allUserIds);
+    console.log(`[STREAKS] User ${user.id} bought a streak freeze`);
+    res.json({ message: 'Streak freeze purchased', streak_freezes: held + 1, points });
+  } catch (err) {
+    console.error('[STREAKS] Exception purchasing streak freeze:', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
 
-    if (profilesError) {
-      console.error('[TEAMS] Error fetching profiles:', profilesError);
-    }
+// Plan a rest day (today or later); it keeps the streak alive without counting toward it
+app.post('/api/streaks/rest-days', requireAuth, async (req, res) => {
+  const { user } = req;
 
-    // Create profile lookup map
-    const profileMap = {};
-    (profilesData || []).forEach(profile => {
-      profileMap[profile.id] = profile;
-    });
+  try {
+    const profile = await storage.profiles.findOne({ id: user.id }, { columns: 'time_zone' });
+    const today = getLocalDate(profile?.time_zone);
+    const { date = today } = req.body;
 
-    // Build teams with creator and members
-    const teams = teamsData.map(team => {
-      const creator = profileMap[team.created_by] || { id: team.created_by, display_name: 'Unknown' };
-      const members = (membersByTeam[team.id] || []).map(member => ({
-        user_id: member.user_id,
-        role: member.role,
-        profile: profileMap[member.user_id] || { id: member.user_id, display_name: 'Unknown' }
-      }));
+    const daysOff = await storage.streakDaysOff.find(
+      { user_id: user.id, date: { gte: addDays(today, -7) } },
+      { columns: 'date, kind' }
+    );
 
-      return {
-        ...team,
-        creator,
-        members
-      };
-    });
+    const validationError = validateRestDay(date, today, daysOff);
+    if (validationError) return res.status(400).json({ error: validationError });
 
-    console.log(`[TEAMS] Returning ${teams.length} teams`);
-    res.json({ teams });
+    const { date: plannedDate, kind } = await storage.streakDaysOff.insert({ user_id: user.id, date, kind: 'rest' });
+    const restDay = { date: plannedDate, kind };
+
+    const streaks = await refreshUserStreak(user.id);
+    res.json({ message: 'Rest day planned', rest_day: restDay, ...streaks });
   } catch (err) {
-    console.error('[TEAMS] Exception fetching teams:', err);
+    console.error('[STREAKS] Exception planning rest day:', err);
     res.status(500).json({ error: err.message || String(err) });
   }
 });
 
-// Get a specific team
-app.get('/api/teams/:team_id', async (req, res) => {
-  if (!supabase) return res.status(500).json({ error: 'Supabase not configured on server' });
+// Cancel a planned rest day (only today or later; past days off are history)
+app.delete('/api/streaks/rest-days/:date', requireAuth, async (req, res) => {
+  const { user } = req;
 
   try {
-    const { team_id } = req.params;
-
-    const { data: teamData, error } = await supabase
-      .from('teams')
-      .select('*')
-      .eq('id', team_id)
-      .single();
-    
-    if (error) {
-      if (error.code === 'PGRST116') return res.status(404).json({ error: 'Team not found' });
-      return res.status(500).json({ error: error.message || error });
+    const { date } = req.params;
+    const profile = await storage.profiles.findOne({ id: user.id }, { columns: 'time_zone' });
+    if (date < getLocalDate(profile?.time_zone)) {
+      return res.status(400).json({ error: 'Past rest days cannot be cancelled' });
     }
 
-    // Fetch creator and members
-    const { data: creator } = await supabase.from('profiles').select('display_name, id').eq('id', teamData.created_by).single();
-    const { data: membersData } = await supabase.from('team_members').select('user_id, role').eq('team_id', team_id);
-    const members = await Promise.all((membersData || []).map(async (member) => {
-      const { data: profile } = await supabase.from('profiles').select('display_name, id, city').eq('id', member.user_id).single();
-      return { ...member, profile: profile || { id: member.user_id } };
-    }));
-    
-    const team = { ...teamData, creator: creator || { id: teamData.created_by }, members };
+    const removed = await storage.streakDaysOff.remove({ user_id: user.id, date, kind: 'rest' });
+    if (removed.length === 0) return res.status(404).json({ error: 'Rest day not found' });
 
-    res.json({ team });
+    const streaks = await refreshUserStreak(user.id);
+    res.json({ message: 'Rest day cancelled', ...streaks });
   } catch (err) {
-    console.error('Error fetching team', err);
+    console.error('[STREAKS] Exception cancelling rest day:', err);
     res.status(500).json({ error: err.message || String(err) });
   }
 });
 
-// Join a team
-app.post('/api/teams/:team_id/join', async (req, res) => {
-  if (!supabase) return res.status(500).json({ error: 'Supabase not configured on server' });
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-  if (!token) return res.status(401).json({ error: 'Missing Bearer token' });
+/**********************
+ * Badges
+ **********************/
+
+// Helper to list the challenges a user has completed
+// Team challenges count when the team the user entered with reached the target
+async function getCompletedChallenges(userId) {
+  const enrollments = await storage.challengeParticipants.find({ user_id: userId }, { columns: 'challenge_id, team_id' });
+  if (enrollments.length === 0) return [];
+
+  const challenges = await storage.challenges.find({
+    id: { in: enrollments.map((e) => e.challenge_id) },
+    start_date: { lte: getToday() }
+  });
+
+  const completed = [];
+  for (const challenge of challenges) {
+    const enrollment = enrollments.find((e) => e.challenge_id === challenge.id);
+    const standingId = challenge.scope === 'team' ? enrollment.team_id : userId;
+    const { standings } = await getChallengeStandings(challenge);
+    if (standings.some((s) => s.id === standingId && s.completed)) completed.push(challenge);
+  }
+  return completed;
+}
+
+// Helper to notify a user once about each completed challenge and newly awarded badge
+async function notifyAchievements(userId, completedChallenges, newlyAwarded) {
+  const notifications = newlyAwarded.map((definition) => ({
+    userId,
+    type: 'badge',
+    message: `You earned the ${definition.name} badge ${definition.icon}`,
+    link: '/',
+    entityId: definition.id
+  }));
+
+  if (completedChallenges.length > 0) {
+    const notified = await storage.notifications.find(
+      { user_id: userId, type: 'challenge_completed', entity_id: { in: completedChallenges.map((c) => String(c.id)) } },
+      { columns: 'entity_id' }
+    );
+    const notifiedIds = new Set(notified.map((n) => n.entity_id));
+    completedChallenges
+      .filter((challenge) => !notifiedIds.has(String(challenge.id)))
+      .forEach((challenge) => {
+        notifications.push({
+          userId,
+          type: 'challenge_completed',
+          message: `You completed the ${challenge.name} challenge 🚩`,
+          link: '/challenges',
+          entityId: challenge.id
+        });
+      });
+  }
+
+  await notifyUsers(notifications);
+}
 
+// Helper to evaluate badge definitions for a user and persist new awards to profiles.badges
+// Returns { badges, newlyAwarded, stats }, or null on failure; errors are logged so they never block logging activities
+async function awardBadges(userId, logPrefix = '[BADGES]') {
   try {
-    const user = await getSupabaseUserFromToken(token);
-    if (!user) return res.status(401).json({ error: 'Invalid token' });
+    const profile = await storage.profiles.findOne({ id: userId }, { columns: 'streak, longest_streak, points, badges' });
+    if (!profile) {
+      console.error(`${logPrefix} Profile not found for badge evaluation: ${userId}`);
+      return null;
+    }
 
-    const { team_id } = req.params;
+    const userActivities = await storage.activities.findAll({ user_id: userId }, { columns: 'type, distance_km' });
 
-    // Check if team exists
-    const { data: team } = await supabase.from('teams').select('*').eq('id', team_id).single();
-    if (!team) return res.status(404).json({ error: 'Team not found' });
+    const completedChallenges = await getCompletedChallenges(userId);
+    const stats = buildBadgeStats({
+      profile,
+      activities: userActivities,
+      challengesCompleted: completedChallenges.length
+    });
+    const { badges, newlyAwarded } = evaluateBadges(stats, profile.badges);
 
-    // Check if already a member
-    const { data: existing } = await supabase
-      .from('team_members')
-      .select('*')
-      .eq('team_id', team_id)
-      .eq('user_id', user.id)
-      .single();
+    if (newlyAwarded.length > 0) {
+      await storage.profiles.update({ id: userId }, { badges });
+      console.log(`${logPrefix} Awarded badges to ${userId}: ${newlyAwarded.map((b) => b.id).join(', ')}`);
+    }
+    await notifyAchievements(userId, completedChallenges, newlyAwarded);
 
-    if (existing) return res.status(400).json({ error: 'Already a member of this team' });
+    return { badges, newlyAwarded, stats };
+  } catch (err) {
+    console.error(`${logPrefix} Error evaluating badges for ${userId}:`, err);
+    return null;
+  }
+}
 
-    // Add member
-    const { data: member, error } = await supabase
-      .from('team_members')
-      .insert({
-        team_id: team_id,
-        user_id: user.id,
-        role: 'member'
-      })
-      .select()
-      .single();
+// Shape newly awarded badges for API responses
+const summarizeBadges = (definitions = []) => definitions.map(({ id, name, icon }) => ({ id, name, icon }));
 
-    if (error) return res.status(500).json({ error: error.message || error });
+// Get the badge catalog with the current user's awards and progress
+// Re-evaluates first so awards earned through teammates (team challenges) show up without a new activity
+app.get('/api/badges', requireAuth, async (req, res) => {
+  const { user } = req;
 
-    res.json({ message: 'Joined team', member });
+  try {
+    const result = await awardBadges(user.id);
+    if (!result) return res.status(500).json({ error: 'Failed to evaluate badges' });
+
+    const badges = describeBadges(result.stats, result.badges);
+    res.json({
+      badges,
+      earnedCount: badges.filter((b) => b.earned).length,
+      newlyAwarded: summarizeBadges(result.newlyAwarded),
+      stats: result.stats
+    });
   } catch (err) {
-    console.error('Error joining team', err);
+    console.error('[BADGES] Exception fetching badges:', err);
     res.status(500).json({ error: err.message || String(err) });
   }
 });
 
-// Leave a team
-app.post('/api/teams/:team_id/leave', async (req, res) => {
-  if (!supabase) return res.status(500).json({ error: 'Supabase not configured on server' });
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-  if (!token) return res.status(401).json({ error: 'Missing Bearer token' });
-
-  try {
-    const user = await getSupabaseUserFromToken(token);
-    if (!user) return res.status(401).json({ error: 'Invalid token' });
+/**********************
+ * Notifications endpoints
+ **********************/
 
-    const { team_id } = req.params;
+// Helper to count a user's unread notifications
+async function getUnreadNotificationCount(userId) {
+  const unread = await storage.notifications.find({ user_id: userId, read_at: null }, { columns: 'id' });
+  return unread.length;
+}
 
-    // Check if member
-    const { data: member } = await supabase
-      .from('team_members')
-      .select('*')
-      .eq('team_id', team_id)
-      .eq('user_id', user.id)
-      .single();
+// List notifications (newest first); ?unread=true for unread only, ?before=<created_at> for the next page
+app.get('/api/notifications', requireAuth, async (req, res) => {
+  const { user } = req;
 
-    if (!member) return res.status(404).json({ error: 'Not a member of this team' });
+  try {
+    const limit = resolveNotificationsLimit(req.query.limit);
+    const filter = { user_id: user.id };
+    if (req.query.unread === 'true') filter.read_at = null;
+    if (req.query.before) filter.created_at = { lt: req.query.before };
+
+    const rows = await storage.notifications.find(filter, {
+      columns: 'id, actor_id, type, message, link, entity_id, read_at, created_at',
+      order: FEED_QUERY_ORDER,
+      limit: limit + 1
+    });
 
-    // Owners cannot leave (they must delete the team or transfer ownership)
-    if (member.role === 'owner') {
-      return res.status(400).json({ error: 'Team owners cannot leave. Delete the team or transfer ownership first.' });
+    const page = rows.slice(0, limit);
+    const actorIds = [...new Set(page.map((n) => n.actor_id).filter(Boolean))];
+    const actorMap = {};
+    if (actorIds.length > 0) {
+      const actors = await storage.profiles.find({ id: { in: actorIds } }, { columns: 'id, display_name, avatar_url' });
+      actors.forEach((actor) => {
+        actorMap[actor.id] = actor;
+      });
     }
 
-    // Remove member
-    const { error } = await supabase
-      .from('team_members')
-      .delete()
-      .eq('team_id', team_id)
-      .eq('user_id', user.id);
-
-    if (error) return res.status(500).json({ error: error.message || error });
+    const notifications = page.map((notification) => ({
+      ...notification,
+      read: Boolean(notification.read_at),
+      actor: notification.actor_id
+        ? {
+          id: notification.actor_id,
+          display_name: actorMap[notification.actor_id]?.display_name || 'Someone',
+          avatar_url: actorMap[notification.actor_id]?.avatar_url || null
+        }
+        : null
+    }));
 
-    res.json({ message: 'Left team' });
+    res.json({
+      notifications,
+      unreadCount: await getUnreadNotificationCount(user.id),
+      nextCursor: rows.length > limit ? page[page.length - 1].created_at : null
+    });
   } catch (err) {
-    console.error('Error leaving team', err);
+    console.error('Error fetching notifications', err);
     res.status(500).json({ error: err.message || String(err) });
   }
 });
 
-// Update team (only owner/admin)
-app.put('/api/teams/:team_id', async (req, res) => {
-  if (!supabase) return res.status(500).json({ error: 'Supabase not configured on server' });
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-  if (!token) return res.status(401).json({ error: 'Missing Bearer token' });
+// Unread notification count (polled by the navbar bell)
+app.get('/api/notifications/unread-count', requireAuth, async (req, res) => {
+  const { user } = req;
 
   try {
-    const user = await getSupabaseUserFromToken(token);
-    if (!user) return res.status(401).json({ error: 'Invalid token' });
+    res.json({ unreadCount: await getUnreadNotificationCount(user.id) });
+  } catch (err) {
+    console.error('Error counting notifications', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
 
-    const { team_id } = req.params;
-    const { name, description, city } = req.body;
+// Mark every notification read
+app.post('/api/notifications/read-all', requireAuth, async (req, res) => {
+  const { user } = req;
 
-    // Check if user is owner or admin
-    const { data: member } = await supabase
-      .from('team_members')
-      .select('role')
-      .eq('team_id', team_id)
-      .eq('user_id', user.id)
-      .single();
-
-    if (!member || !['owner', 'admin'].includes(member.role)) {
-      return res.status(403).json({ error: 'Only team owners and admins can update the team' });
-    }
+  try {
+    await storage.notifications.update({ user_id: user.id, read_at: null }, { read_at: new Date().toISOString() });
 
-    // Update team
-    const updates = {};
-    if (name !== undefined) updates.name = name;
-    if (description !== undefined) updates.description = description;
-    if (city !== undefined) updates.city = city;
+    res.json({ message: 'All notifications marked read', unreadCount: 0 });
+  } catch (err) {
+    console.error('Error marking notifications read', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
 
-    const { data: team, error } = await supabase
-      .from('teams')
-      .update(updates)
-      .eq('id', team_id)
-      .select()
-      .single();
+// Mark one notification read
+app.post('/api/notifications/:notification_id/read', requireAuth, async (req, res) => {
+  const { user } = req;
 
-    if (error) return res.status(500).json({ error: error.message || error });
+  try {
+    const notification = await storage.notifications.findOne(
+      { id: req.params.notification_id, user_id: user.id },
+      { columns: 'id, read_at' }
+    );
+    if (!notification) return res.status(404).json({ error: 'Notification not found' });
 
-    res.json({ message: 'Team updated', team });
+    if (!notification.read_at) {
+      await storage.notifications.update({ id: notification.id }, { read_at: new Date().toISOString() });
+    }
+
+    res.json({ message: 'Notification marked read', unreadCount: await getUnreadNotificationCount(user.id) });
   } catch (err) {
-    console.error('Error updating team', err);
+    console.error('Error marking notification read', err);
     res.status(500).json({ error: err.message || String(err) });
   }
 });
 
-// Delete team (only owner)
-app.delete('/api/teams/:team_id', async (req, res) => {
-  if (!supabase) return res.status(500).json({ error: 'Supabase not configured on server' });
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-  if (!token) return res.status(401).json({ error: 'Missing Bearer token' });
+/**********************
+ * Scheduled jobs
+ * Vercel Cron calls these with Authorization: Bearer <CRON_SECRET> (see vercel.json); they are
+ * declared publicRoute because they check that secret instead of a user token
+ **********************/
 
-  try {
-    const user = await getSupabaseUserFromToken(token);
-    if (!user) return res.status(401).json({ error: 'Invalid token' });
+const CRON_SECRET = process.env.CRON_SECRET;
 
-    const { team_id } = req.params;
+// Break streaks whose last activity was before yesterday in the user's time zone (unless freezes cover the gap)
+// Scheduled hourly so every time zone is handled shortly after its local midnight
+app.get('/api/cron/expire-streaks', publicRoute, async (req, res) => {
+  if (!CRON_SECRET) return res.status(500).json({ error: 'CRON_SECRET not configured on server' });
+  if (req.headers.authorization !== `Bearer ${CRON_SECRET}`) {
+    return res.status(401).json({ error: 'Invalid cron secret' });
+  }
 
-    // Check if user is owner
-    const { data: member } = await supabase
-      .from('team_members')
-      .select('role')
-      .eq('team_id', team_id)
-      .eq('user_id', user.id)
-      .single();
+  try {
+    const { expired, frozen } = await expireStaleStreaks(storage);
+    console.log(`[CRON] Expired ${expired.length} streak(s), froze ${frozen.length}`);
+    res.json({ expired: expired.length, frozen: frozen.length });
+  } catch (err) {
+    console.error('[CRON] Exception expiring streaks:', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
 
-    if (!member || member.role !== 'owner') {
-      return res.status(403).json({ error: 'Only team owners can delete the team' });
-    }
+// Process webhook events still pending: their worker was frozen after responding, or they're due a retry
+app.get('/api/cron/strava-webhook-events', publicRoute, async (req, res) => {
+  if (!CRON_SECRET) return res.status(500).json({ error: 'CRON_SECRET not configured on server' });
+  if (req.headers.authorization !== `Bearer ${CRON_SECRET}`) {
+    return res.status(401).json({ error: 'Invalid cron secret' });
+  }
 
-    // Delete team (cascade will delete team_members)
-    const { error } = await supabase
-      .from('teams')
-      .delete()
-      .eq('id', team_id);
+  try {
+    const processed = await webhookEventProcessor.processPendingEvents({ deadline: Date.now() + WEBHOOK_CRON_BUDGET_MS });
+    console.log(`[CRON] Processed ${processed} Strava webhook event(s)`);
+    res.json({ processed });
+  } catch (err) {
+    console.error('[CRON] Exception processing Strava webhook events:', err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
 
-    if (error) return res.status(500).json({ error: error.message || error });
+// Carry on with imports whose worker stopped (crash, function timeout) and nobody is polling
+app.get('/api/cron/strava-import-jobs', publicRoute, async (req, res) => {
+  if (!CRON_SECRET) return res.status(500).json({ error: 'CRON_SECRET not configured on server' });
+  if (req.headers.authorization !== `Bearer ${CRON_SECRET}`) {
+    return res.status(401).json({ error: 'Invalid cron secret' });
+  }
 
-    res.json({ message: 'Team deleted' });
+  try {
+    const advanced = await importJobRunner.resumeStaleJobs({ deadline: Date.now() + IMPORT_CRON_BUDGET_MS });
+    console.log(`[CRON] Advanced ${advanced} Strava import job(s)`);
+    res.json({ advanced });
   } catch (err) {
-    console.error('Error deleting team', err);
+    console.error('[CRON] Exception resuming Strava imports:', err);
     res.status(500).json({ error: err.message || String(err) });
   }
 });
@@ -2270,7 +4289,7 @@ app.delete('/api/teams/:team_id', async (req, res) => {
  **********************/
 
 // GET /api/qc/stats - Get QC rules and statistics
-app.get('/api/qc/stats', (req, res) => {
+app.get('/api/qc/stats', publicRoute, (req, res) => {
   try {
     const stats = getQCStats();
     res.json(stats);
@@ -2281,7 +4300,7 @@ app.get('/api/qc/stats', (req, res) => {
 });
 
 // POST /api/qc/validate - Validate an activity without saving it
-app.post('/api/qc/validate', (req, res) => {
+app.post('/api/qc/validate', publicRoute, (req, res) => {
   const { type, distanceKm = 0, durationMinutes = 0, date } = req.body;
   
   if (!type) {
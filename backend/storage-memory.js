@@ -0,0 +1,312 @@
+/**
+ * In-memory storage driver
+ * Keeps every table in process memory, mirroring the migrations closely enough for the API to behave
+ * the same as on Postgres: generated ids and timestamps, column defaults, unique constraints and views.
+ * Data is lost on restart; meant for local development and tests.
+ *
+ * Driver interface (shared with storage-postgres.js and storage-supabase.js):
+ *   select(table, filter, { columns, order, limit, offset }) -> rows
+ *   insert(table, rows) -> rows
+ *   update(table, filter, changes) -> rows
+ *   upsert(table, rows, { onConflict }) -> rows
+ *   delete(table, filter) -> rows
+ *   auth -> { getUser, createUser, signIn }
+ */
+
+const crypto = require('crypto');
+const { createLocalAuth } = require('./local-auth');
+
+const now = () => new Date().toISOString();
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Column defaults, unique keys, foreign keys (ON DELETE behaviour) and updated_at triggers from the migrations
+const TABLES = {
+  profiles: {
+    defaults: () => ({ units: 'km', points: 0, streak: 0, longest_streak: 0, streak_freezes: 0, badges: [], status: 'offline', default_activity_visibility: 'public', created_at: now(), updated_at: now() }),
+    references: [{ column: 'team_id', table: 'teams', onDelete: 'set null' }],
+    touch: true
+  },
+  activities: {
+    defaults: () => ({ distance_km: 0, duration_minutes: 0, points_earned: 0, date: today(), qc_status: 'accepted', source: 'manual', visibility: 'public', created_at: now() })
+  },
+  points_ledger: { defaults: () => ({ created_at: now() }) },
+  friend_requests: {
+    defaults: () => ({ status: 'pending', created_at: now(), updated_at: now() }),
+    unique: [['sender_id', 'receiver_id']],
+    touch: true
+  },
+  friendships: { defaults: () => ({ created_at: now() }), unique: [['user1_id', 'user2_id']] },
+  teams: { defaults: () => ({ visibility: 'open', created_at: now(), updated_at: now() }), unique: [['name']], touch: true },
+  team_members: {
+    defaults: () => ({ role: 'member', joined_at: now() }),
+    unique: [['team_id', 'user_id']],
+    references: [{ column: 'team_id', table: 'teams', onDelete: 'cascade' }]
+  },
+  team_invites: {
+    defaults: () => ({ expires_at: null, max_uses: null, use_count: 0, revoked_at: null, created_at: now() }),
+    unique: [['code']],
+    references: [{ column: 'team_id', table: 'teams', onDelete: 'cascade' }]
+  },
+  team_join_requests: {
+    defaults: () => ({ status: 'pending', message: null, reviewed_by: null, reviewed_at: null, created_at: now(), updated_at: now() }),
+    unique: [['team_id', 'user_id']],
+    references: [{ column: 'team_id', table: 'teams', onDelete: 'cascade' }],
+    touch: true
+  },
+  strava_tokens: { defaults: () => ({ created_at: now(), updated_at: now() }), unique: [['user_id']], touch: true },
+  challenges: { defaults: () => ({ scope: 'individual', created_at: now(), updated_at: now() }), touch: true },
+  challenge_participants: {
+    defaults: () => ({ joined_at: now() }),
+    unique: [['challenge_id', 'user_id']],
+    references: [{ column: 'challenge_id', table: 'challenges', onDelete: 'cascade' }, { column: 'team_id', table: 'teams', onDelete: 'cascade' }]
+  },
+  streak_days_off: { defaults: () => ({ created_at: now() }), unique: [['user_id', 'date']] },
+  activity_kudos: {
+    defaults: () => ({ created_at: now() }),
+    unique: [['activity_id', 'user_id']],
+    references: [{ column: 'activity_id', table: 'activities', onDelete: 'cascade' }]
+  },
+  activity_comments: {
+    defaults: () => ({ created_at: now() }),
+    references: [{ column: 'activity_id', table: 'activities', onDelete: 'cascade' }, { column: 'parent_id', table: 'activity_comments', onDelete: 'cascade' }]
+  },
+  notifications: { defaults: () => ({ read_at: null, created_at: now() }) },
+  privacy_zones: { defaults: () => ({ label: null, created_at: now() }) },
+  strava_import_jobs: {
+    defaults: () => ({
+      status: 'queued', after_date: null, before_date: null, estimated_total: null, next_page: 1, pages_fetched: 0, activities_found: 0,
+      imported: 0, skipped: 0, failed: 0, page_attempts: 0, last_error: null, locked_until: null,
+      started_at: null, finished_at: null, created_at: now(), updated_at: now()
+    }),
+    touch: true
+  },
+  strava_webhook_events: {
+    defaults: () => ({
+      subscription_id: null, updates: {}, event_time: null, status: 'pending', attempts: 0, result: null,
+      last_error: null, locked_until: null, processed_at: null, created_at: now()
+    })
+  }
+};
+
+// Views computed from the base tables on every read
+const VIEWS = {
+  points_ledger_totals: (tables) => {
+    const totals = new Map();
+    for (const entry of tables.points_ledger) {
+      totals.set(entry.user_id, (totals.get(entry.user_id) || 0) + (entry.delta || 0));
+    }
+    return [...totals].map(([user_id, total_points]) => ({ user_id, total_points }));
+  },
+  points_ledger_daily_totals: (tables) => {
+    const totals = new Map();
+    for (const entry of tables.points_ledger) {
+      const key = `${entry.user_id}|${new Date(entry.created_at).toISOString().slice(0, 10)}`;
+      totals.set(key, (totals.get(key) || 0) + (entry.delta || 0));
+    }
+    return [...totals].map(([key, total_points]) => {
+      const [user_id, date] = key.split('|');
+      return { user_id, date, total_points };
+    });
+  },
+  activity_daily_counts: (tables) => {
+    const counts = new Map();
+    for (const activity of tables.activities) {
+      const key = `${activity.user_id}|${activity.date}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return [...counts].map(([key, activity_count]) => {
+      const [user_id, date] = key.split('|');
+      return { user_id, date, activity_count };
+    });
+  }
+};
+
+const OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'ilike', 'not'];
+
+function storageError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Numbers compare numerically (a numeric string against a number is coerced, as Postgres would); anything else as text
+function compare(a, b) {
+  if ((typeof a === 'number' || typeof b === 'number') && a !== '' && b !== '' && !isNaN(Number(a)) && !isNaN(Number(b))) {
+    return Number(a) - Number(b);
+  }
+  const as = String(a);
+  const bs = String(b);
+  return as < bs ? -1 : as > bs ? 1 : 0;
+}
+
+const isOperatorObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function matchesCondition(actual, condition) {
+  if (!isOperatorObject(condition)) {
+    return condition === null ? actual === null || actual === undefined : actual !== null && actual !== undefined && compare(actual, condition) === 0;
+  }
+  return Object.entries(condition).every(([op, expected]) => {
+    if (!OPERATORS.includes(op)) throw storageError(`Unsupported filter operator: ${op}`, '42601');
+    const present = actual !== null && actual !== undefined;
+    switch (op) {
+      case 'eq': return matchesCondition(actual, expected);
+      case 'neq': return present && compare(actual, expected) !== 0;
+      case 'gt': return present && compare(actual, expected) > 0;
+      case 'gte': return present && compare(actual, expected) >= 0;
+      case 'lt': return present && compare(actual, expected) < 0;
+      case 'lte': return present && compare(actual, expected) <= 0;
+      case 'in': return present && expected.some((value) => compare(actual, value) === 0);
+      case 'ilike': {
+        const pattern = String(expected).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+        return present && new RegExp(`^${pattern}$`, 'i').test(String(actual));
+      }
+      case 'not': return present;
+      default: return false;
+    }
+  });
+}
+
+/**
+ * Test a row against a storage filter (see storage.js)
+ */
+function matchesFilter(row, filter = {}) {
+  return Object.entries(filter).every(([column, condition]) => {
+    if (column === 'or') return condition.some((alternative) => matchesFilter(row, alternative));
+    return matchesCondition(row[column], condition);
+  });
+}
+
+function sortRows(rows, order) {
+  const orders = (Array.isArray(order) ? order : [order]).filter(Boolean);
+  if (orders.length === 0) return rows;
+  return [...rows].sort((a, b) => {
+    for (const { column, ascending = true } of orders) {
+      const av = a[column];
+      const bv = b[column];
+      if (av === bv) continue;
+      // Postgres defaults: NULLS LAST ascending, NULLS FIRST descending
+      if (av === null || av === undefined) return ascending ? 1 : -1;
+      if (bv === null || bv === undefined) return ascending ? -1 : 1;
+      const result = compare(av, bv);
+      if (result !== 0) return ascending ? result : -result;
+    }
+    return 0;
+  });
+}
+
+function project(row, columns) {
+  if (!columns || columns.trim() === '*') return structuredClone(row);
+  const projected = {};
+  for (const column of columns.split(',').map((c) => c.trim()).filter(Boolean)) {
+    projected[column] = row[column] === undefined ? null : structuredClone(row[column]);
+  }
+  return projected;
+}
+
+/**
+ * Create an in-memory storage driver
+ * @param {Object} [options]
+ * @param {string} [options.authSecret] - Local token signing secret
+ */
+function createMemoryDriver({ authSecret } = {}) {
+  const tables = Object.fromEntries(Object.keys(TABLES).map((name) => [name, []]));
+  const users = [];
+
+  const getTable = (name) => {
+    if (!tables[name]) throw storageError(`relation "${name}" does not exist`, '42P01');
+    return tables[name];
+  };
+
+  const checkUnique = (name, row, ignore = null) => {
+    for (const key of TABLES[name].unique || []) {
+      const clash = tables[name].find((existing) => existing !== ignore && key.every((column) => existing[column] !== undefined && existing[column] !== null && compare(existing[column], row[column]) === 0));
+      if (clash) throw storageError(`duplicate key value violates unique constraint on ${name} (${key.join(', ')})`, '23505');
+    }
+    if (row.id !== undefined && tables[name].some((existing) => existing !== ignore && existing.id === row.id)) {
+      throw storageError(`duplicate key value violates unique constraint "${name}_pkey"`, '23505');
+    }
+  };
+
+  async function select(name, filter = {}, { columns, order, limit, offset = 0 } = {}) {
+    const source = VIEWS[name] ? VIEWS[name](tables) : getTable(name);
+    let rows = sortRows(source.filter((row) => matchesFilter(row, filter)), order).slice(offset || 0);
+    if (limit !== undefined && limit !== null) rows = rows.slice(0, limit);
+    return rows.map((row) => project(row, columns));
+  }
+
+  async function insert(name, rows) {
+    const table = getTable(name);
+    const inserted = [];
+    for (const values of rows) {
+      const row = { id: crypto.randomUUID(), ...TABLES[name].defaults(), ...structuredClone(values) };
+      checkUnique(name, row);
+      table.push(row);
+      inserted.push(row);
+    }
+    return inserted.map((row) => project(row));
+  }
+
+  async function update(name, filter, changes) {
+    const updated = getTable(name).filter((row) => matchesFilter(row, filter));
+    for (const row of updated) {
+      const next = { ...row, ...structuredClone(changes), ...(TABLES[name].touch && !changes.updated_at ? { updated_at: now() } : {}) };
+      checkUnique(name, next, row);
+      Object.assign(row, next);
+    }
+    return updated.map((row) => project(row));
+  }
+
+  async function upsert(name, rows, { onConflict = 'id' } = {}) {
+    const table = getTable(name);
+    const keys = onConflict.split(',').map((c) => c.trim());
+    const written = [];
+    for (const values of rows) {
+      const existing = table.find((row) => keys.every((column) => values[column] !== undefined && compare(row[column], values[column]) === 0));
+      if (existing) {
+        written.push(...await update(name, Object.fromEntries(keys.map((column) => [column, values[column]])), values));
+      } else {
+        written.push(...await insert(name, [values]));
+      }
+    }
+    return written;
+  }
+
+  async function remove(name, filter) {
+    const table = getTable(name);
+    const removed = table.filter((row) => matchesFilter(row, filter));
+    for (const row of removed) table.splice(table.indexOf(row), 1);
+
+    // Apply ON DELETE to rows referencing the removed ones
+    if (removed.length > 0) {
+      const ids = removed.map((row) => row.id);
+      for (const [child, definition] of Object.entries(TABLES)) {
+        for (const { column, table: parent, onDelete } of definition.references || []) {
+          if (parent !== name) continue;
+          if (onDelete === 'cascade') await remove(child, { [column]: { in: ids } });
+          else await update(child, { [column]: { in: ids } }, { [column]: null });
+        }
+      }
+    }
+    return removed.map((row) => project(row));
+  }
+
+  const auth = createLocalAuth({
+    secret: authSecret,
+    users: {
+      findById: async (id) => users.find((u) => u.id === id) || null,
+      findByEmail: async (email) => users.find((u) => u.email === email) || null,
+      insert: async (values) => {
+        const row = { id: crypto.randomUUID(), created_at: now(), ...values };
+        users.push(row);
+        return row;
+      }
+    }
+  });
+
+  return { select, insert, update, upsert, delete: remove, auth, tables };
+}
+
+module.exports = {
+  matchesFilter,
+  createMemoryDriver
+};
@@ -0,0 +1,206 @@
+/**
+ * Postgres storage driver
+ * Talks to a plain Postgres database through `pg`, using the same schema as Supabase
+ * (`npm run migrate up`; 000_create_base_tables.sql adds the tables Supabase provides).
+ * Users live in auth.users, like on Supabase, and sign in with local tokens (see local-auth.js).
+ * Values come back in the shapes PostgREST returns: dates as YYYY-MM-DD, timestamps as ISO strings,
+ * numeric and bigint columns as numbers.
+ */
+
+const { Pool, types } = require('pg');
+const { createLocalAuth } = require('./local-auth');
+
+const IDENTIFIER = /^[a-z_][a-z0-9_]*$/i;
+
+const TYPE_PARSERS = {
+  20: (value) => Number(value), // int8
+  1700: (value) => parseFloat(value), // numeric
+  1082: (value) => value, // date
+  1114: (value) => value.replace(' ', 'T'), // timestamp
+  1184: (value) => value.replace(' ', 'T').replace(/([+-]\d{2})$/, '$1:00') // timestamptz
+};
+
+const SQL_OPERATORS = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=', ilike: 'ILIKE' };
+
+function quoteIdentifier(name) {
+  if (!IDENTIFIER.test(name)) throw new Error(`Invalid identifier: ${name}`);
+  return `"${name}"`;
+}
+
+function quoteTable(name) {
+  return name.split('.').map(quoteIdentifier).join('.');
+}
+
+const isOperatorObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Compile a storage filter (see storage.js) into a WHERE clause, appending its values to params
+ */
+function buildWhere(filter = {}, params) {
+  const clauses = [];
+  for (const [column, condition] of Object.entries(filter)) {
+    if (column === 'or') {
+      const alternatives = condition.map((alternative) => `(${buildWhere(alternative, params)})`);
+      clauses.push(alternatives.length > 0 ? `(${alternatives.join(' OR ')})` : 'FALSE');
+      continue;
+    }
+
+    const col = quoteIdentifier(column);
+    const conditions = isOperatorObject(condition) ? condition : { eq: condition };
+    for (const [op, value] of Object.entries(conditions)) {
+      if (op === 'not') {
+        if (value !== null) throw new Error('Only { not: null } is supported');
+        clauses.push(`${col} IS NOT NULL`);
+      } else if (op === 'in') {
+        params.push(value);
+        clauses.push(`${col} = ANY($${params.length})`);
+      } else if (op === 'eq' && value === null) {
+        clauses.push(`${col} IS NULL`);
+      } else if (SQL_OPERATORS[op]) {
+        params.push(value);
+        clauses.push(`${col} ${SQL_OPERATORS[op]} $${params.length}`);
+      } else {
+        throw new Error(`Unsupported filter operator: ${op}`);
+      }
+    }
+  }
+  return clauses.length > 0 ? clauses.join(' AND ') : 'TRUE';
+}
+
+function buildColumns(columns) {
+  if (!columns || columns.trim() === '*') return '*';
+  return columns.split(',').map((c) => quoteIdentifier(c.trim())).join(', ');
+}
+
+function buildOrder(order) {
+  const orders = (Array.isArray(order) ? order : [order]).filter(Boolean);
+  if (orders.length === 0) return '';
+  return ` ORDER BY ${orders.map(({ column, ascending = true }) => `${quoteIdentifier(column)} ${ascending ? 'ASC' : 'DESC'}`).join(', ')}`;
+}
+
+/**
+ * Create a Postgres storage driver
+ * @param {Object} options
+ * @param {string} options.connectionString - DATABASE_URL
+ * @param {string} [options.authSecret] - Local token signing secret
+ */
+function createPostgresDriver({ connectionString, authSecret }) {
+  const pool = new Pool({
+    connectionString,
+    options: '-c timezone=UTC',
+    types: { getTypeParser: (oid, format) => TYPE_PARSERS[oid] || types.getTypeParser(oid, format) }
+  });
+
+  // JSON columns need their values serialized; pg would otherwise send JS arrays as Postgres arrays
+  const jsonColumnsCache = new Map();
+  async function getJsonColumns(table) {
+    if (!jsonColumnsCache.has(table)) {
+      const { rows } = await pool.query(
+        `SELECT column_name FROM information_schema.columns
+         WHERE table_schema = current_schema() AND table_name = $1 AND data_type IN ('json', 'jsonb')`,
+        [table]
+      );
+      jsonColumnsCache.set(table, new Set(rows.map((row) => row.column_name)));
+    }
+    return jsonColumnsCache.get(table);
+  }
+
+  async function serialize(table, values) {
+    const jsonColumns = await getJsonColumns(table);
+    return Object.fromEntries(Object.entries(values)
+      .filter(([, value]) => value !== undefined)
+      .map(([column, value]) => [column, jsonColumns.has(column) && value !== null ? JSON.stringify(value) : value]));
+  }
+
+  async function select(table, filter = {}, { columns, order, limit, offset } = {}) {
+    const params = [];
+    let sql = `SELECT ${buildColumns(columns)} FROM ${quoteTable(table)} WHERE ${buildWhere(filter, params)}${buildOrder(order)}`;
+    if (limit !== undefined && limit !== null) {
+      params.push(limit);
+      sql += ` LIMIT $${params.length}`;
+    }
+    if (offset) {
+      params.push(offset);
+      sql += ` OFFSET $${params.length}`;
+    }
+    const { rows } = await pool.query(sql, params);
+    return rows;
+  }
+
+  async function insert(table, rows) {
+    if (rows.length === 0) return [];
+    const serialized = await Promise.all(rows.map((row) => serialize(table, row)));
+    const columns = [...new Set(serialized.flatMap((row) => Object.keys(row)))];
+    const params = [];
+    const values = serialized.map((row) => `(${columns.map((column) => {
+      if (!(column in row)) return 'DEFAULT';
+      params.push(row[column]);
+      return `$${params.length}`;
+    }).join(', ')})`);
+    const sql = columns.length > 0
+      ? `INSERT INTO ${quoteTable(table)} (${columns.map(quoteIdentifier).join(', ')}) VALUES ${values.join(', ')} RETURNING *`
+      : `INSERT INTO ${quoteTable(table)} DEFAULT VALUES RETURNING *`;
+    const { rows: inserted } = await pool.query(sql, params);
+    return inserted;
+  }
+
+  async function update(table, filter, changes) {
+    const serialized = await serialize(table, changes);
+    const params = [];
+    const assignments = Object.entries(serialized).map(([column, value]) => {
+      params.push(value);
+      return `${quoteIdentifier(column)} = $${params.length}`;
+    });
+    if (assignments.length === 0) return select(table, filter);
+    const { rows } = await pool.query(
+      `UPDATE ${quoteTable(table)} SET ${assignments.join(', ')} WHERE ${buildWhere(filter, params)} RETURNING *`,
+      params
+    );
+    return rows;
+  }
+
+  async function upsert(table, rows, { onConflict = 'id' } = {}) {
+    const keys = onConflict.split(',').map((c) => quoteIdentifier(c.trim()));
+    const written = [];
+    // One statement per row, so each row only overwrites the columns it sets
+    for (const row of rows) {
+      const serialized = await serialize(table, row);
+      const columns = Object.keys(serialized).map(quoteIdentifier);
+      const updates = columns.filter((column) => !keys.includes(column));
+      const { rows: result } = await pool.query(
+        `INSERT INTO ${quoteTable(table)} (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+         ON CONFLICT (${keys.join(', ')}) DO UPDATE SET ${(updates.length > 0 ? updates : keys).map((column) => `${column} = EXCLUDED.${column}`).join(', ')}
+         RETURNING *`,
+        Object.values(serialized)
+      );
+      written.push(...result);
+    }
+    return written;
+  }
+
+  async function remove(table, filter) {
+    const params = [];
+    const { rows } = await pool.query(`DELETE FROM ${quoteTable(table)} WHERE ${buildWhere(filter, params)} RETURNING *`, params);
+    return rows;
+  }
+
+  const toAuthUser = (row) => row && { ...row, user_metadata: row.raw_user_meta_data };
+  const auth = createLocalAuth({
+    secret: authSecret,
+    users: {
+      findById: async (id) => toAuthUser((await select('auth.users', { id }))[0]),
+      findByEmail: async (email) => toAuthUser((await select('auth.users', { email }))[0]),
+      insert: async ({ email, encrypted_password, user_metadata }) => {
+        const [row] = await insert('auth.users', [{ email, encrypted_password, raw_user_meta_data: JSON.stringify(user_metadata || {}) }]);
+        return toAuthUser(row);
+      }
+    }
+  });
+
+  return { select, insert, update, upsert, delete: remove, auth, close: () => pool.end() };
+}
+
+module.exports = {
+  buildWhere,
+  createPostgresDriver
+};
@@ -0,0 +1,124 @@
+/**
+ * Supabase storage driver
+ * Translates storage filters into supabase-js query builder calls; auth is Supabase Auth
+ * (users sign in from the frontend, so there is no signIn here)
+ */
+
+// PostgREST's default max-rows: the most rows one select returns, whatever its limit
+const MAX_ROWS = 1000;
+
+const isOperatorObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function toStorageError(error) {
+  const err = new Error(error.message || String(error));
+  err.code = error.code;
+  err.details = error.details;
+  return err;
+}
+
+// Values in or() strings are double-quoted so commas, dots and parentheses survive
+const quoteValue = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * Compile a filter into PostgREST logic-tree conditions, for or()
+ */
+function toConditions(filter) {
+  const conditions = [];
+  for (const [column, condition] of Object.entries(filter)) {
+    if (column === 'or') {
+      conditions.push(`or(${condition.map(toAlternative).join(',')})`);
+      continue;
+    }
+    const ops = isOperatorObject(condition) ? condition : { eq: condition };
+    for (const [op, value] of Object.entries(ops)) {
+      if (op === 'not') conditions.push(`${column}.not.is.null`);
+      else if (op === 'in') conditions.push(`${column}.in.(${value.map(quoteValue).join(',')})`);
+      else if (op === 'eq' && value === null) conditions.push(`${column}.is.null`);
+      else conditions.push(`${column}.${op}.${quoteValue(value)}`);
+    }
+  }
+  return conditions;
+}
+
+function toAlternative(filter) {
+  const conditions = toConditions(filter);
+  return conditions.length === 1 ? conditions[0] : `and(${conditions.join(',')})`;
+}
+
+function applyFilter(query, filter = {}) {
+  for (const [column, condition] of Object.entries(filter)) {
+    if (column === 'or') {
+      query = query.or(condition.map(toAlternative).join(','));
+      continue;
+    }
+    const ops = isOperatorObject(condition) ? condition : { eq: condition };
+    for (const [op, value] of Object.entries(ops)) {
+      if (op === 'not') query = query.not(column, 'is', null);
+      else if (op === 'eq' && value === null) query = query.is(column, null);
+      else if (['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'ilike'].includes(op)) query = query[op](column, value);
+      else throw new Error(`Unsupported filter operator: ${op}`);
+    }
+  }
+  return query;
+}
+
+async function run(query) {
+  const { data, error } = await query;
+  if (error) throw toStorageError(error);
+  return data || [];
+}
+
+/**
+ * Create a Supabase storage driver
+ * @param {Object} supabase - Supabase client (service role)
+ */
+function createSupabaseDriver(supabase) {
+  async function select(table, filter = {}, { columns = '*', order, limit, offset } = {}) {
+    let query = applyFilter(supabase.from(table).select(columns), filter);
+    for (const { column, ascending = true } of (Array.isArray(order) ? order : [order]).filter(Boolean)) {
+      query = query.order(column, { ascending });
+    }
+    if (offset) {
+      // range() is inclusive; PostgREST still caps it at its max-rows setting
+      query = query.range(offset, offset + (limit ?? MAX_ROWS) - 1);
+    } else if (limit !== undefined && limit !== null) {
+      query = query.limit(limit);
+    }
+    return run(query);
+  }
+
+  const insert = (table, rows) => run(supabase.from(table).insert(rows).select());
+
+  const update = (table, filter, changes) => run(applyFilter(supabase.from(table).update(changes), filter).select());
+
+  const upsert = (table, rows, { onConflict = 'id' } = {}) => run(supabase.from(table).upsert(rows, { onConflict }).select());
+
+  const remove = (table, filter) => run(applyFilter(supabase.from(table).delete(), filter).select());
+
+  const auth = {
+    async getUser(token) {
+      if (!token) return null;
+      const { data, error } = await supabase.auth.getUser(token);
+      // Invalid or expired tokens come back as an error
+      if (error) return null;
+      return data?.user || null;
+    },
+
+    async createUser({ email, password, user_metadata = {} }) {
+      const { data, error } = await supabase.auth.admin.createUser({
+        email,
+        password,
+        email_confirm: true,
+        user_metadata
+      });
+      if (error) throw toStorageError(error);
+      return data.user;
+    }
+  };
+
+  return { select, insert, update, upsert, delete: remove, auth };
+}
+
+module.exports = {
+  createSupabaseDriver
+};
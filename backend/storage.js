@@ -0,0 +1,199 @@
+/**
+ * Storage layer
+ * Route handlers and jobs read and write through repositories (storage.profiles, storage.activities, ...)
+ * instead of a database client, so the API runs unchanged on any of the drivers:
+ * - supabase: Supabase (PostgREST + Supabase Auth), used in production
+ * - postgres: plain Postgres through `pg` (DATABASE_URL), with local token auth
+ * - memory: in-process tables with local token auth, for local development and tests
+ *
+ * Filters are plain objects. Each key is a column and its value is either a value to match
+ * (null matches IS NULL) or an operator object, e.g.
+ *   { user_id: id, date: { gte: '2025-01-01', lte: '2025-01-31' }, type: { in: ['run', 'walk'] } }
+ * Operators: eq, neq, gt, gte, lt, lte, in, ilike, not (only `not: null`, i.e. IS NOT NULL).
+ * The `or` key takes a list of filters, any of which may match:
+ *   { or: [{ user1_id: id }, { user2_id: id }] }
+ * Failed queries throw an Error whose `code` is the Postgres error code (e.g. '23505' for unique violations).
+ *
+ * find() returns at most one page: PostgREST (the supabase driver) caps a select at 1000 rows by default,
+ * whatever its limit. Reads that need every matching row, like totals over a user's history, use findAll().
+ */
+
+const STORAGE_DRIVERS = ['supabase', 'postgres', 'memory'];
+
+// Rows per select in findAll; at or below PostgREST's default max-rows
+const FIND_ALL_PAGE_SIZE = 1000;
+
+// Repository name -> table (or view) name
+const REPOSITORY_TABLES = {
+  profiles: 'profiles',
+  activities: 'activities',
+  pointsLedger: 'points_ledger',
+  pointsLedgerTotals: 'points_ledger_totals',
+  pointsLedgerDailyTotals: 'points_ledger_daily_totals',
+  activityDailyCounts: 'activity_daily_counts',
+  friendships: 'friendships',
+  friendRequests: 'friend_requests',
+  teams: 'teams',
+  teamMembers: 'team_members',
+  teamInvites: 'team_invites',
+  teamJoinRequests: 'team_join_requests',
+  tokens: 'strava_tokens',
+  challenges: 'challenges',
+  challengeParticipants: 'challenge_participants',
+  streakDaysOff: 'streak_days_off',
+  activityKudos: 'activity_kudos',
+  activityComments: 'activity_comments',
+  notifications: 'notifications',
+  privacyZones: 'privacy_zones',
+  stravaImportJobs: 'strava_import_jobs',
+  stravaWebhookEvents: 'strava_webhook_events'
+};
+
+/**
+ * Create a repository for one table
+ * @param {Object} driver - Storage driver (see storage-memory.js for the interface)
+ * @param {string} table - Table or view name
+ * @returns {Object} - { find, findAll, findOne, insert, update, upsert, remove }
+ */
+function createRepository(driver, table) {
+  return {
+    /**
+     * @param {Object} [filter]
+     * @param {Object} [options] - { columns: 'id, name', order: { column, ascending } or a list of them, limit }
+     * @returns {Object[]}
+     */
+    find(filter = {}, options = {}) {
+      return driver.select(table, filter, options);
+    },
+
+    /**
+     * Every matching row, read a page at a time
+     * Pages are ordered by options.order and then by the key column, so each row is read once;
+     * the key must be unique (views without an id pass another one, e.g. { key: 'user_id' })
+     * @param {Object} [filter]
+     * @param {Object} [options] - { columns, order, key: unique column (default 'id') }
+     * @returns {Object[]}
+     */
+    async findAll(filter = {}, { columns, order, key = 'id' } = {}) {
+      const orders = [...(Array.isArray(order) ? order : [order]).filter(Boolean), { column: key, ascending: true }];
+      const rows = [];
+      // Stop on an empty page rather than a short one, in case the server caps pages below FIND_ALL_PAGE_SIZE
+      for (;;) {
+        const page = await driver.select(table, filter, { columns, order: orders, limit: FIND_ALL_PAGE_SIZE, offset: rows.length });
+        if (page.length === 0) return rows;
+        rows.push(...page);
+      }
+    },
+
+    /**
+     * @returns {Object|null} - The first matching row
+     */
+    async findOne(filter = {}, options = {}) {
+      const rows = await driver.select(table, filter, { ...options, limit: 1 });
+      return rows[0] || null;
+    },
+
+    /**
+     * @param {Object|Object[]} rows
+     * @returns {Object|Object[]} - The inserted row(s), in the same shape as the argument
+     */
+    async insert(rows) {
+      const inserted = await driver.insert(table, Array.isArray(rows) ? rows : [rows]);
+      return Array.isArray(rows) ? inserted : inserted[0];
+    },
+
+    /**
+     * @returns {Object[]} - The updated rows
+     */
+    update(filter, changes) {
+      return driver.update(table, filter, changes);
+    },
+
+    /**
+     * Insert, or update the row that conflicts on the onConflict columns
+     * @param {Object|Object[]} rows
+     * @param {Object} [options] - { onConflict: 'user_id' } (defaults to the primary key, id)
+     * @returns {Object|Object[]} - The written row(s), in the same shape as the argument
+     */
+    async upsert(rows, { onConflict = 'id' } = {}) {
+      const written = await driver.upsert(table, Array.isArray(rows) ? rows : [rows], { onConflict });
+      return Array.isArray(rows) ? written : written[0];
+    },
+
+    /**
+     * @returns {Object[]} - The deleted rows
+     */
+    remove(filter) {
+      return driver.delete(table, filter);
+    }
+  };
+}
+
+/**
+ * Pick the storage driver from the environment
+ * STORAGE_DRIVER wins; otherwise Supabase when its keys are set, then Postgres when DATABASE_URL is set, then memory
+ */
+function resolveStorageDriver(env = process.env) {
+  if (env.STORAGE_DRIVER) {
+    if (!STORAGE_DRIVERS.includes(env.STORAGE_DRIVER)) {
+      throw new Error(`Invalid STORAGE_DRIVER: ${env.STORAGE_DRIVER}. Valid drivers: ${STORAGE_DRIVERS.join(', ')}`);
+    }
+    return env.STORAGE_DRIVER;
+  }
+  if (env.SUPABASE_URL && env.SUPABASE_SERVICE_ROLE_KEY) return 'supabase';
+  if (env.DATABASE_URL) return 'postgres';
+  return 'memory';
+}
+
+function createDriver(name, env) {
+  switch (name) {
+    case 'supabase': {
+      if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_ROLE_KEY) {
+        throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set for the supabase storage driver');
+      }
+      const { createSupabaseDriver } = require('./storage-supabase');
+      const { createClient } = require('@supabase/supabase-js');
+      return createSupabaseDriver(createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_ROLE_KEY));
+    }
+    case 'postgres': {
+      if (!env.DATABASE_URL) throw new Error('DATABASE_URL must be set for the postgres storage driver');
+      const { createPostgresDriver } = require('./storage-postgres');
+      return createPostgresDriver({ connectionString: env.DATABASE_URL, authSecret: env.LOCAL_AUTH_SECRET });
+    }
+    default: {
+      const { createMemoryDriver } = require('./storage-memory');
+      return createMemoryDriver({ authSecret: env.LOCAL_AUTH_SECRET });
+    }
+  }
+}
+
+/**
+ * Create the storage layer
+ * @param {Object} [options]
+ * @param {string} [options.driver] - One of STORAGE_DRIVERS (resolved from the environment when omitted)
+ * @param {Object} [options.env] - Environment to read settings from (defaults to process.env)
+ * @returns {Object} - { driver, auth, close, ...repositories }
+ */
+function createStorage({ driver: driverName, env = process.env } = {}) {
+  const name = driverName || resolveStorageDriver(env);
+  const driver = createDriver(name, env);
+
+  const storage = {
+    driver: name,
+    // { getUser(token), createUser({ email, password, user_metadata }), signIn(email, password)? }
+    auth: driver.auth,
+    close: () => (driver.close ? driver.close() : undefined)
+  };
+  for (const [repository, table] of Object.entries(REPOSITORY_TABLES)) {
+    storage[repository] = createRepository(driver, table);
+  }
+  return storage;
+}
+
+module.exports = {
+  STORAGE_DRIVERS,
+  REPOSITORY_TABLES,
+  createRepository,
+  resolveStorageDriver,
+  createStorage
+};
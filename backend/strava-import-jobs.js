@@ -0,0 +1,246 @@
+/**
+ * Strava import jobs
+ * History imports run as strava_import_jobs rows, advanced one page of activities at a time:
+ * - Progress (next page, counts) is saved after every page, so a worker that crashes or is frozen (a serverless
+ *   function after its response) loses at most the page it was on; the next run re-fetches it and activities
+ *   already stored are skipped as duplicates
+ * - A worker leases a job with locked_until; an expired lease means the worker is gone and the job can be resumed
+ * - A page that fails is retried with backoff; after MAX_PAGE_ATTEMPTS the job fails with the error
+ *   (and can be resumed by its owner)
+ */
+
+const IMPORT_PAGE_SIZE = 30;
+const MAX_PAGE_ATTEMPTS = 3;
+// Renewed after every page; a page of imports takes a few seconds
+const IMPORT_LEASE_MS = 60 * 1000;
+// Wait before retrying a failed page: 30s, then 60s
+const PAGE_RETRY_DELAY_MS = 30 * 1000;
+
+const ACTIVE_IMPORT_STATUSES = ['queued', 'running'];
+
+const isDateString = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value).getTime());
+
+/**
+ * Validate the optional date range of a history import
+ * @param {Object} body - { from, to } as YYYY-MM-DD
+ * @returns {Object} - { range: { after_date, before_date } } or { error }
+ */
+function parseImportRange({ from, to } = {}) {
+  if (from && !isDateString(from)) return { error: 'from must be a date (YYYY-MM-DD)' };
+  if (to && !isDateString(to)) return { error: 'to must be a date (YYYY-MM-DD)' };
+  if (from && to && from > to) return { error: 'from must be on or before to' };
+  return { range: { after_date: from || null, before_date: to || null } };
+}
+
+/**
+ * Strava /athlete/activities path for one page of a job's range
+ * Strava filters by epoch seconds; the range is taken as whole UTC days
+ * @param {Object} job - strava_import_jobs row
+ * @param {number} page
+ * @returns {string}
+ */
+function buildActivitiesPagePath(job, page) {
+  const params = new URLSearchParams({ per_page: String(IMPORT_PAGE_SIZE), page: String(page) });
+  if (job.after_date) params.set('after', String(Date.parse(`${job.after_date}T00:00:00Z`) / 1000 - 1));
+  if (job.before_date) params.set('before', String(Date.parse(`${job.before_date}T00:00:00Z`) / 1000 + 24 * 60 * 60));
+  return `/athlete/activities?${params.toString()}`;
+}
+
+/**
+ * Job as returned by the API
+ * @param {Object} job - strava_import_jobs row
+ * @returns {Object}
+ */
+function toImportJobSummary(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    from: job.after_date || null,
+    to: job.before_date || null,
+    estimatedTotal: job.estimated_total || null,
+    pagesFetched: job.pages_fetched || 0,
+    activitiesFound: job.activities_found || 0,
+    imported: job.imported || 0,
+    skipped: job.skipped || 0,
+    failed: job.failed || 0,
+    lastError: job.last_error || null,
+    // Set while a failed page waits to be retried
+    retryAt: job.page_attempts > 0 && job.status === 'running' ? job.locked_until : null,
+    createdAt: job.created_at,
+    startedAt: job.started_at || null,
+    finishedAt: job.finished_at || null
+  };
+}
+
+/**
+ * Create the worker that advances import jobs
+ * @param {Object} options
+ * @param {Object} options.storage - Storage layer (see storage.js)
+ * @param {Function} options.fetchPage - async (job, page) => Strava activities on that page
+ * @param {Function} options.importActivity - async (userId, stravaActivity) => { skipped } or { activity }
+ * @param {Function} options.onJobFinished - async (job) called once a job completes, fails or is cancelled
+ * @returns {Object} - { runJob, resumeStaleJobs }
+ */
+function createImportJobRunner({ storage, fetchPage, importActivity, onJobFinished }) {
+  const leaseUntil = (ms = IMPORT_LEASE_MS) => new Date(Date.now() + ms).toISOString();
+
+  // Take the job if it's unfinished and nobody holds it
+  async function acquire(jobId) {
+    const [job] = await storage.stravaImportJobs.update(
+      {
+        id: jobId,
+        status: { in: ACTIVE_IMPORT_STATUSES },
+        or: [{ locked_until: null }, { locked_until: { lt: new Date().toISOString() } }]
+      },
+      { status: 'running', locked_until: leaseUntil() }
+    );
+    if (job && !job.started_at) {
+      const [started] = await storage.stravaImportJobs.update({ id: job.id }, { started_at: new Date().toISOString() });
+      return started || job;
+    }
+    return job || null;
+  }
+
+  // Save progress while the job is still running; null when it was cancelled meanwhile
+  async function save(job, updates) {
+    const [saved] = await storage.stravaImportJobs.update({ id: job.id, status: 'running' }, updates);
+    return saved || null;
+  }
+
+  async function finish(job) {
+    try {
+      await onJobFinished(job);
+    } catch (err) {
+      console.error(`[IMPORT JOB] Error finishing job ${job.id}:`, err);
+    }
+  }
+
+  // Fetch and import the job's next page; returns the saved job, or null when the run should stop
+  async function runPage(job) {
+    let activities;
+    try {
+      activities = await fetchPage(job, job.next_page);
+    } catch (err) {
+      const attempts = (job.page_attempts || 0) + 1;
+      const message = err.response?.status === 429
+        ? 'Strava rate limit reached'
+        : err.message || String(err);
+      console.error(`[IMPORT JOB] Job ${job.id} page ${job.next_page} failed (attempt ${attempts}):`, message);
+
+      if (attempts >= MAX_PAGE_ATTEMPTS) {
+        const failed = await save(job, {
+          status: 'failed',
+          page_attempts: attempts,
+          last_error: `Page ${job.next_page}: ${message}`,
+          locked_until: null,
+          finished_at: new Date().toISOString()
+        });
+        if (failed) await finish(failed);
+        return null;
+      }
+      // Hold the job until the retry is due, so polls and cron runs don't retry straight away
+      await save(job, {
+        page_attempts: attempts,
+        last_error: `Page ${job.next_page}: ${message}`,
+        locked_until: leaseUntil(PAGE_RETRY_DELAY_MS * attempts)
+      });
+      return null;
+    }
+
+    const counts = { imported: 0, skipped: 0, failed: 0 };
+    for (const stravaActivity of activities || []) {
+      try {
+        const result = await importActivity(job.user_id, stravaActivity);
+        if (result.skipped) counts.skipped++;
+        else counts.imported++;
+      } catch (err) {
+        console.error(`[IMPORT JOB] Job ${job.id} error importing activity ${stravaActivity.id}:`, err);
+        counts.failed++;
+      }
+    }
+
+    const done = !activities || activities.length < IMPORT_PAGE_SIZE;
+    const saved = await save(job, {
+      next_page: job.next_page + 1,
+      pages_fetched: (job.pages_fetched || 0) + 1,
+      activities_found: (job.activities_found || 0) + (activities || []).length,
+      imported: (job.imported || 0) + counts.imported,
+      skipped: (job.skipped || 0) + counts.skipped,
+      failed: (job.failed || 0) + counts.failed,
+      page_attempts: 0,
+      last_error: null,
+      ...(done
+        ? { status: 'completed', locked_until: null, finished_at: new Date().toISOString() }
+        : { locked_until: leaseUntil() })
+    });
+    if (!saved) {
+      // Cancelled mid-page: the page's activities are stored though they aren't counted, so still finish up
+      console.log(`[IMPORT JOB] Job ${job.id} was cancelled`);
+      if (counts.imported > 0) await finish({ ...job, status: 'cancelled', imported: (job.imported || 0) + counts.imported });
+      return null;
+    }
+    console.log(`[IMPORT JOB] Job ${job.id} page ${job.next_page}: ${counts.imported} imported, ${counts.skipped} skipped, ${counts.failed} failed`);
+    if (done) {
+      await finish(saved);
+      return null;
+    }
+    return saved;
+  }
+
+  /**
+   * Advance a job page by page until it finishes or the deadline passes
+   * Does nothing when the job is finished or another worker holds it
+   * @param {string} jobId
+   * @param {Object} options - { deadline } as a timestamp in ms; at least one page is run
+   * @returns {Promise<Object|null>} - The job as saved last, or null when it wasn't run
+   */
+  async function runJob(jobId, { deadline = Infinity } = {}) {
+    let job = await acquire(jobId);
+    if (!job) return null;
+
+    let next = job;
+    while (next) {
+      job = next;
+      next = await runPage(job);
+      if (next && Date.now() >= deadline) {
+        // Out of time: let the next poll or cron run carry on straight away
+        await save(next, { locked_until: null });
+        return storage.stravaImportJobs.findOne({ id: jobId });
+      }
+    }
+    return storage.stravaImportJobs.findOne({ id: jobId });
+  }
+
+  /**
+   * Carry on with unfinished jobs nobody holds (their worker crashed, timed out or is waiting to retry)
+   * @param {Object} options - { deadline } as a timestamp in ms
+   * @returns {Promise<number>} - Jobs advanced
+   */
+  async function resumeStaleJobs({ deadline = Infinity } = {}) {
+    const stale = await storage.stravaImportJobs.find(
+      {
+        status: { in: ACTIVE_IMPORT_STATUSES },
+        or: [{ locked_until: null }, { locked_until: { lt: new Date().toISOString() } }]
+      },
+      { columns: 'id', order: [{ column: 'created_at', ascending: true }], limit: 20 }
+    );
+    let advanced = 0;
+    for (const { id } of stale) {
+      if (Date.now() >= deadline) break;
+      if (await runJob(id, { deadline })) advanced++;
+    }
+    return advanced;
+  }
+
+  return { runJob, resumeStaleJobs };
+}
+
+module.exports = {
+  IMPORT_PAGE_SIZE,
+  MAX_PAGE_ATTEMPTS,
+  ACTIVE_IMPORT_STATUSES,
+  parseImportRange,
+  buildActivitiesPagePath,
+  toImportJobSummary,
+  createImportJobRunner
+};
@@ -2,6 +2,9 @@
 const crypto = require('crypto');
 const axios = require('axios');
 
+// Overridable so a local stand-in (see strava-webhook-simulator.js) can serve activity details
+const STRAVA_API_BASE = process.env.STRAVA_API_BASE || 'https://www.strava.com/api/v3';
+
 // Simple encryption/decryption using AES-256-GCM
 // In production, use a proper key management system
 function encrypt(text, key) {
@@ -103,7 +106,7 @@ async function stravaApiRequest(endpoint, accessToken, method = 'GET', data = nu
   try {
     const config = {
       method,
-      url: `https://www.strava.com/api/v3${endpoint}`,
+      url: `${STRAVA_API_BASE}${endpoint}`,
       headers: {
         'Authorization': `Bearer ${accessToken}`,
         'Content-Type': 'application/json'
@@ -0,0 +1,126 @@
+/**
+ * Strava webhook events
+ * The webhook stores each event as a strava_webhook_events row and responds straight away; the work it triggers
+ * (token refresh, activity fetch, import, streak and badge rebuilds) runs afterwards:
+ * - A worker leases an event with locked_until, so an event is processed by one worker at a time and one whose
+ *   worker crashed or was frozen (a serverless function after its response) is picked up again once the lease expires
+ * - A failed event is retried with backoff; after MAX_EVENT_ATTEMPTS it's marked failed with the error
+ * - Handlers are safe to repeat: imports are deduped by Strava ID, updates re-fetch the activity
+ */
+
+const MAX_EVENT_ATTEMPTS = 5;
+// An event takes a few Strava requests and database writes
+const EVENT_LEASE_MS = 60 * 1000;
+// Wait before retrying a failed event: 1 minute, then 2, 3, ...
+const EVENT_RETRY_DELAY_MS = 60 * 1000;
+
+/**
+ * Event row fields from a webhook request body
+ * @param {Object} body - Strava event: { object_type, object_id, aspect_type, owner_id, subscription_id, updates, event_time }
+ * @returns {Object} - { event } or { error }
+ */
+function parseWebhookEvent(body = {}) {
+  const { object_type, object_id, aspect_type, owner_id, subscription_id, updates, event_time } = body || {};
+  if (!object_type || !object_id || !aspect_type || !owner_id) {
+    return { error: 'object_type, object_id, aspect_type and owner_id required' };
+  }
+  return {
+    event: {
+      subscription_id: subscription_id ?? null,
+      object_type,
+      object_id,
+      aspect_type,
+      owner_id,
+      updates: updates && typeof updates === 'object' ? updates : {},
+      event_time: event_time ?? null
+    }
+  };
+}
+
+/**
+ * Create the worker that processes stored webhook events
+ * @param {Object} options
+ * @param {Object} options.storage - Storage layer (see storage.js)
+ * @param {Function} options.handleEvent - async (event) => result, e.g. { action: 'imported' }; throws to retry
+ * @returns {Object} - { processEvent, processPendingEvents }
+ */
+function createWebhookEventProcessor({ storage, handleEvent }) {
+  const leaseUntil = (ms = EVENT_LEASE_MS) => new Date(Date.now() + ms).toISOString();
+
+  // Take the event if it's pending and nobody holds it (or its retry is due)
+  async function acquire(eventId) {
+    const [event] = await storage.stravaWebhookEvents.update(
+      {
+        id: eventId,
+        status: 'pending',
+        or: [{ locked_until: null }, { locked_until: { lt: new Date().toISOString() } }]
+      },
+      { locked_until: leaseUntil() }
+    );
+    return event || null;
+  }
+
+  /**
+   * Process one event; does nothing when it's finished or another worker holds it
+   * @param {string} eventId
+   * @returns {Promise<Object|null>} - The event as saved, or null when it wasn't processed
+   */
+  async function processEvent(eventId) {
+    const event = await acquire(eventId);
+    if (!event) return null;
+
+    try {
+      const result = await handleEvent(event);
+      console.log(`[WEBHOOK] ${event.object_type}.${event.aspect_type} ${event.object_id}: ${result.action}`);
+      const [saved] = await storage.stravaWebhookEvents.update({ id: event.id }, {
+        status: 'completed',
+        result,
+        last_error: null,
+        locked_until: null,
+        processed_at: new Date().toISOString()
+      });
+      return saved;
+    } catch (err) {
+      const attempts = (event.attempts || 0) + 1;
+      const message = err.response?.status === 429
+        ? 'Strava rate limit reached'
+        : err.message || String(err);
+      console.error(`[WEBHOOK] Event ${event.id} failed (attempt ${attempts}):`, message);
+
+      const [saved] = await storage.stravaWebhookEvents.update({ id: event.id }, attempts >= MAX_EVENT_ATTEMPTS
+        ? { status: 'failed', attempts, last_error: message, locked_until: null, processed_at: new Date().toISOString() }
+        // Hold the event until the retry is due, so the cron run doesn't retry it straight away
+        : { attempts, last_error: message, locked_until: leaseUntil(EVENT_RETRY_DELAY_MS * attempts) });
+      return saved;
+    }
+  }
+
+  /**
+   * Process pending events nobody holds, oldest first (their worker crashed, timed out or is waiting to retry)
+   * @param {Object} options - { deadline } as a timestamp in ms
+   * @returns {Promise<number>} - Events processed
+   */
+  async function processPendingEvents({ deadline = Infinity } = {}) {
+    const pending = await storage.stravaWebhookEvents.find(
+      {
+        status: 'pending',
+        or: [{ locked_until: null }, { locked_until: { lt: new Date().toISOString() } }]
+      },
+      { columns: 'id', order: [{ column: 'created_at', ascending: true }], limit: 100 }
+    );
+    let processed = 0;
+    for (const { id } of pending) {
+      if (Date.now() >= deadline) break;
+      if (await processEvent(id)) processed++;
+    }
+    return processed;
+  }
+
+  return { processEvent, processPendingEvents };
+}
+
+module.exports = {
+  MAX_EVENT_ATTEMPTS,
+  parseWebhookEvent,
+  createWebhookEventProcessor
+};
@@ -0,0 +1,139 @@
+// Local stand-in for Strava's push subscription, for testing /api/strava/webhook without a public URL
+// Serves fake activity details on a local "Strava API" and posts webhook events to the backend.
+//
+// Start the backend with STRAVA_API_BASE pointing at the stand-in, e.g.:
+//   STRAVA_API_BASE=http://localhost:4100 STRAVA_WEBHOOK_VERIFY_TOKEN=dev-token npm start
+//
+// Usage: node strava-webhook-simulator.js <command> [options]
+//   validate                              run the subscription handshake
+//   create  --owner <athleteId> --id <activityId> [--type Run] [--distance 5000] [--moving-time 1800] [--date 2026-01-31]
+//   update  --owner <athleteId> --id <activityId> [same options as create]
+//   delete  --owner <athleteId> --id <activityId>
+//   deauthorize --owner <athleteId>
+//
+// Environment:
+//   WEBHOOK_URL                  backend endpoint (default http://localhost:4000/api/strava/webhook)
+//   FAKE_STRAVA_PORT             port for the fake Strava API (default 4100)
+//   STRAVA_WEBHOOK_VERIFY_TOKEN  must match the backend (default dev-token)
+
+const http = require('http');
+const axios = require('axios');
+
+const WEBHOOK_URL = process.env.WEBHOOK_URL || 'http://localhost:4000/api/strava/webhook';
+const FAKE_STRAVA_PORT = Number(process.env.FAKE_STRAVA_PORT) || 4100;
+const VERIFY_TOKEN = process.env.STRAVA_WEBHOOK_VERIFY_TOKEN || 'dev-token';
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return options;
+}
+
+// Build a Strava-shaped activity from command line options
+function buildFakeActivity(id, options) {
+  const date = options.date || new Date().toISOString().split('T')[0];
+  const movingTime = Number(options['moving-time']) || 1800;
+  return {
+    id: Number(id),
+    name: `Simulated ${options.type || 'Run'}`,
+    type: options.type || 'Run',
+    distance: Number(options.distance) || 5000,
+    moving_time: movingTime,
+    elapsed_time: movingTime,
+    start_date: `${date}T12:00:00Z`,
+    start_date_local: `${date}T08:00:00Z`,
+    map: { summary_polyline: null }
+  };
+}
+
+// How long to keep serving the activity after posting its event; the backend fetches it after acknowledging the event
+const FETCH_WAIT_MS = 15000;
+
+// Serve GET /activities/:id so the backend can fetch details for create/update events
+// server.fetched resolves once the activity has been served
+function startFakeStravaApi(activity) {
+  let markFetched;
+  const fetched = new Promise((resolve) => { markFetched = resolve; });
+  const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url === `/activities/${activity.id}`) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(activity));
+      return markFetched(true);
+    }
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ message: 'Record Not Found' }));
+  });
+  server.fetched = fetched;
+  return new Promise((resolve) => server.listen(FAKE_STRAVA_PORT, () => resolve(server)));
+}
+
+async function postEvent(event) {
+  const response = await axios.post(WEBHOOK_URL, event, { validateStatus: () => true });
+  console.log(`[SIMULATOR] ${event.object_type}.${event.aspect_type} -> ${response.status}`, JSON.stringify(response.data));
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const options = parseArgs(rest);
+
+  if (command === 'validate') {
+    const response = await axios.get(WEBHOOK_URL, {
+      params: { 'hub.mode': 'subscribe', 'hub.verify_token': VERIFY_TOKEN, 'hub.challenge': 'simulated-challenge' },
+      validateStatus: () => true
+    });
+    console.log(`[SIMULATOR] validate -> ${response.status}`, JSON.stringify(response.data));
+    return;
+  }
+
+  if (!options.owner) {
+    throw new Error('--owner <athleteId> required');
+  }
+
+  const baseEvent = {
+    owner_id: Number(options.owner),
+    subscription_id: Number(process.env.STRAVA_WEBHOOK_SUBSCRIPTION_ID) || 1,
+    event_time: Math.floor(Date.now() / 1000),
+    updates: {}
+  };
+
+  if (command === 'deauthorize') {
+    await postEvent({ ...baseEvent, object_type: 'athlete', object_id: Number(options.owner), aspect_type: 'update', updates: { authorized: 'false' } });
+    return;
+  }
+
+  if (!['create', 'update', 'delete'].includes(command)) {
+    throw new Error(`Unknown command: ${command || '(none)'}. Use validate, create, update, delete or deauthorize`);
+  }
+  if (!options.id) {
+    throw new Error('--id <activityId> required');
+  }
+
+  const event = { ...baseEvent, object_type: 'activity', object_id: Number(options.id), aspect_type: command };
+  if (command === 'delete') {
+    await postEvent(event);
+    return;
+  }
+
+  const activity = buildFakeActivity(options.id, options);
+  if (command === 'update') event.updates = { type: activity.type };
+  const server = await startFakeStravaApi(activity);
+  try {
+    await postEvent(event);
+    const fetched = await Promise.race([server.fetched, new Promise((resolve) => setTimeout(resolve, FETCH_WAIT_MS, false))]);
+    console.log(fetched
+      ? '[SIMULATOR] Backend fetched the activity'
+      : `[SIMULATOR] Backend didn't fetch the activity within ${FETCH_WAIT_MS / 1000}s; check its logs`);
+  } finally {
+    server.close();
+  }
+}
+
+main().catch((err) => {
+  console.error('[SIMULATOR] Failed:', err.message || err);
+  process.exit(1);
+});
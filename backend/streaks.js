@@ -0,0 +1,249 @@
+/**
+ * Streak engine
+ * Streaks are rebuilt from the full set of activity dates, so backdated and out-of-order imports can't corrupt them.
+ * Activity dates are local calendar dates; "today" is resolved in the user's time zone (profiles.time_zone).
+ * Days off (planned rest days and days covered by a streak freeze) keep a streak alive without adding to it.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DAY_OFF_KINDS = ['rest', 'freeze'];
+
+// Streak freeze tokens: earned every FREEZE_EARN_INTERVAL streak days or bought with points, up to MAX_STREAK_FREEZES held
+const MAX_STREAK_FREEZES = 2;
+const STREAK_FREEZE_COST = 200;
+const FREEZE_EARN_INTERVAL = 7;
+
+// Weekly (Monday-Sunday) limits on days off
+const FREEZES_PER_WEEK = 2;
+const REST_DAYS_PER_WEEK = 1;
+const REST_DAY_MAX_DAYS_AHEAD = 28;
+
+// Users whose days off are read per query in the expiry job
+const DAYS_OFF_BATCH_SIZE = 200;
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) in a time zone; falls back to UTC for missing or unknown zones
+ * @param {string} [timeZone] - IANA time zone, e.g. 'America/New_York'
+ * @param {Date} [at] - Instant to convert (now by default)
+ * @returns {string}
+ */
+function getLocalDate(timeZone, at = new Date()) {
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: isValidTimeZone(timeZone) ? timeZone : 'UTC',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(at);
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ */
+function addDays(date, days) {
+  return new Date(new Date(date + 'T00:00:00Z').getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Monday of the week a YYYY-MM-DD date falls in
+ */
+function getWeekStart(date) {
+  const day = new Date(date + 'T00:00:00Z').getUTCDay(); // 0 = Sunday
+  return addDays(date, -((day + 6) % 7));
+}
+
+/**
+ * Compute current and longest streaks from activity dates
+ * The current streak is the run of consecutive days ending at the most recent activity, and only counts
+ * while that activity (or a day off right after it) was today or yesterday, since the user still has today to keep it going.
+ * @param {string[]} dates - Activity dates (YYYY-MM-DD, duplicates allowed, any order)
+ * @param {string} today - The user's local date
+ * @param {string[]} [daysOff] - Rest/freeze dates; they bridge gaps but don't count, and future ones are ignored
+ * @returns {Object} - { streak, longestStreak, lastActivityDate }
+ */
+function computeStreaks(dates, today, daysOff = []) {
+  const activeDates = new Set((dates || []).filter(Boolean));
+  if (activeDates.size === 0) {
+    return { streak: 0, longestStreak: 0, lastActivityDate: null };
+  }
+
+  const covered = [...new Set([...activeDates, ...(daysOff || []).filter((d) => d && d <= today)])].sort();
+  let run = 0;
+  let longestStreak = 0;
+  for (let i = 0; i < covered.length; i++) {
+    if (i > 0 && addDays(covered[i - 1], 1) !== covered[i]) run = 0;
+    if (activeDates.has(covered[i])) run++;
+    longestStreak = Math.max(longestStreak, run);
+  }
+
+  const lastActivityDate = [...activeDates].sort().pop();
+  const streak = covered[covered.length - 1] >= addDays(today, -1) ? run : 0;
+  return { streak, longestStreak, lastActivityDate };
+}
+
+/**
+ * Whether a stored streak has lapsed: nothing covers today or yesterday in the user's time zone
+ * @param {string} lastCoveredDate - Latest activity or past day off
+ * @param {string} today - The user's local date
+ */
+function isStreakExpired(lastCoveredDate, today) {
+  return !lastCoveredDate || lastCoveredDate < addDays(today, -1);
+}
+
+/**
+ * Work out which missed days freezes would cover to keep a streak alive
+ * Missed days are those between the last covered day before today and yesterday.
+ * @param {Object} params
+ * @param {string[]} params.coveredDates - Activity and day-off dates
+ * @param {Object[]} params.daysOff - Existing days off ({ date, kind }) for the weekly freeze limit
+ * @param {string} params.today - The user's local date
+ * @param {number} params.available - Freeze tokens held
+ * @returns {string[]|null} - Dates to freeze ([] when nothing was missed), or null when freezes can't cover the gap
+ */
+function planStreakFreezes({ coveredDates, daysOff = [], today, available = 0 }) {
+  const lastCovered = (coveredDates || []).filter((d) => d && d < today).sort().pop();
+  if (!lastCovered) return null;
+
+  const missed = [];
+  for (let date = addDays(lastCovered, 1); date < today; date = addDays(date, 1)) {
+    missed.push(date);
+  }
+  if (missed.length === 0) return [];
+  if (missed.length > available) return null;
+
+  const freezesByWeek = {};
+  daysOff.filter((d) => d.kind === 'freeze').forEach((d) => {
+    const week = getWeekStart(d.date);
+    freezesByWeek[week] = (freezesByWeek[week] || 0) + 1;
+  });
+  for (const date of missed) {
+    const week = getWeekStart(date);
+    freezesByWeek[week] = (freezesByWeek[week] || 0) + 1;
+    if (freezesByWeek[week] > FREEZES_PER_WEEK) return null;
+  }
+  return missed;
+}
+
+/**
+ * Freeze tokens earned by a streak moving from oldStreak to newStreak (one per FREEZE_EARN_INTERVAL days reached)
+ */
+function countEarnedFreezes(oldStreak, newStreak) {
+  if (newStreak <= oldStreak) return 0;
+  return Math.floor(newStreak / FREEZE_EARN_INTERVAL) - Math.floor(oldStreak / FREEZE_EARN_INTERVAL);
+}
+
+/**
+ * Validate a planned rest day
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} today - The user's local date
+ * @param {Object[]} daysOff - Existing days off ({ date, kind })
+ * @returns {string|null} - Error message, or null when the rest day is allowed
+ */
+function validateRestDay(date, today, daysOff = []) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || isNaN(new Date(date).getTime())) {
+    return 'date (YYYY-MM-DD) required';
+  }
+  if (date < today) return 'Rest days can only be planned for today or later';
+  if (date > addDays(today, REST_DAY_MAX_DAYS_AHEAD)) {
+    return `Rest days can be planned at most ${REST_DAY_MAX_DAYS_AHEAD} days ahead`;
+  }
+  if (daysOff.some((d) => d.date === date)) return 'That day is already a day off';
+
+  const week = getWeekStart(date);
+  const restDaysThisWeek = daysOff.filter((d) => d.kind === 'rest' && getWeekStart(d.date) === week).length;
+  if (restDaysThisWeek >= REST_DAYS_PER_WEEK) {
+    return `Only ${REST_DAYS_PER_WEEK} rest day${REST_DAYS_PER_WEEK !== 1 ? 's' : ''} allowed per week`;
+  }
+  return null;
+}
+
+/**
+ * Reset lapsed streaks to 0, spending streak freezes to cover the missed days when the user has enough
+ * Run nightly, or hourly so each time zone is handled soon after its midnight
+ * @param {Object} storage - Storage layer (see storage.js)
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Evaluation instant
+ * @param {boolean} [options.dryRun] - Report without writing
+ * @returns {Object} - { expired: [{ userId, before, lastActivityDate, today }], frozen: [{ userId, dates }] }
+ */
+async function expireStaleStreaks(storage, { now = new Date(), dryRun = false } = {}) {
+  const profiles = await storage.profiles.findAll(
+    { streak: { gt: 0 } },
+    { columns: 'id, streak, last_activity_date, time_zone, streak_freezes' }
+  );
+  if (profiles.length === 0) return { expired: [], frozen: [] };
+
+  // Batched so the in() list stays short enough for a PostgREST URL
+  const daysOffData = [];
+  for (let i = 0; i < profiles.length; i += DAYS_OFF_BATCH_SIZE) {
+    daysOffData.push(...await storage.streakDaysOff.findAll(
+      { user_id: { in: profiles.slice(i, i + DAYS_OFF_BATCH_SIZE).map((p) => p.id) } },
+      { columns: 'user_id, date, kind' }
+    ));
+  }
+
+  const expired = [];
+  const frozen = [];
+  for (const profile of profiles) {
+    const today = getLocalDate(profile.time_zone, now);
+    const daysOff = daysOffData.filter((d) => d.user_id === profile.id);
+    const coveredDates = [profile.last_activity_date, ...daysOff.filter((d) => d.date <= today).map((d) => d.date)].filter(Boolean);
+    const lastCovered = [...coveredDates].sort().pop();
+    if (!isStreakExpired(lastCovered, today)) continue;
+
+    const freezeDates = planStreakFreezes({ coveredDates, daysOff, today, available: profile.streak_freezes || 0 });
+    if (freezeDates && freezeDates.length > 0) {
+      frozen.push({ userId: profile.id, dates: freezeDates });
+      if (dryRun) continue;
+
+      try {
+        await storage.streakDaysOff.insert(freezeDates.map((date) => ({ user_id: profile.id, date, kind: 'freeze' })));
+        await storage.profiles.update({ id: profile.id }, { streak_freezes: (profile.streak_freezes || 0) - freezeDates.length });
+      } catch (err) {
+        console.error(`[STREAKS] Error recording freezes for ${profile.id}:`, err);
+      }
+      continue;
+    }
+
+    expired.push({ userId: profile.id, before: profile.streak, lastActivityDate: profile.last_activity_date, today });
+    if (dryRun) continue;
+
+    try {
+      await storage.profiles.update({ id: profile.id }, { streak: 0 });
+    } catch (err) {
+      console.error(`[STREAKS] Error expiring streak for ${profile.id}:`, err);
+    }
+  }
+  return { expired, frozen };
+}
+
+module.exports = {
+  DAY_OFF_KINDS,
+  MAX_STREAK_FREEZES,
+  STREAK_FREEZE_COST,
+  FREEZE_EARN_INTERVAL,
+  FREEZES_PER_WEEK,
+  REST_DAYS_PER_WEEK,
+  REST_DAY_MAX_DAYS_AHEAD,
+  isValidTimeZone,
+  getLocalDate,
+  addDays,
+  getWeekStart,
+  computeStreaks,
+  isStreakExpired,
+  planStreakFreezes,
+  countEarnedFreezes,
+  validateRestDay,
+  expireStaleStreaks
+};
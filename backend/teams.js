@@ -0,0 +1,148 @@
+/**
+ * Teams module
+ * Team visibility rules, invite codes and join request validation
+ * - open: anyone can join directly
+ * - request: users ask to join and an owner or admin approves
+ * - invite: joining needs an invite code; the team is hidden from non-members
+ * Roles: one owner (manages admins, can transfer ownership), admins (manage members), members
+ */
+
+const crypto = require('crypto');
+
+const TEAM_VISIBILITIES = ['open', 'request', 'invite'];
+const TEAM_MANAGER_ROLES = ['owner', 'admin'];
+const TEAM_ROLES = ['owner', 'admin', 'member'];
+// Roles that can be assigned directly; 'owner' only moves with an ownership transfer
+const ASSIGNABLE_TEAM_ROLES = ['admin', 'member'];
+
+const INVITE_CODE_LENGTH = 10;
+const INVITE_MAX_EXPIRY_DAYS = 30;
+const INVITE_MAX_USES = 1000;
+const JOIN_REQUEST_MESSAGE_MAX_LENGTH = 280;
+
+// Unambiguous characters only (no 0/O, 1/I/L), so codes survive being read aloud or retyped
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+const isTeamManager = (member) => Boolean(member && TEAM_MANAGER_ROLES.includes(member.role));
+
+/**
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateAssignableRole(role) {
+  if (!ASSIGNABLE_TEAM_ROLES.includes(role)) {
+    return `Invalid role: ${role}. Valid values: ${ASSIGNABLE_TEAM_ROLES.join(', ')} (transfer ownership to make someone owner)`;
+  }
+  return null;
+}
+
+/**
+ * Check whether one member may remove another from the team
+ * The owner can remove anyone else; admins can only remove plain members
+ * @param {Object} actor - team_members row of the user removing
+ * @param {Object} target - team_members row of the user being removed
+ * @returns {string|null} - Why not, or null when allowed
+ */
+function getRemoveMemberProblem(actor, target) {
+  if (actor && target.user_id === actor.user_id) return 'Use leave to remove yourself from a team';
+  if (!isTeamManager(actor)) return 'Only team owners and admins can remove members';
+  if (target.role === 'owner') return 'The team owner cannot be removed';
+  if (target.role === 'admin' && actor.role !== 'owner') return 'Only the team owner can remove admins';
+  return null;
+}
+
+/**
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateTeamVisibility(visibility) {
+  if (!TEAM_VISIBILITIES.includes(visibility)) {
+    return `Invalid visibility: ${visibility}. Valid values: ${TEAM_VISIBILITIES.join(', ')}`;
+  }
+  return null;
+}
+
+function generateInviteCode() {
+  const bytes = crypto.randomBytes(INVITE_CODE_LENGTH);
+  return Array.from(bytes, (byte) => INVITE_CODE_ALPHABET[byte % INVITE_CODE_ALPHABET.length]).join('');
+}
+
+// Codes are matched case-insensitively and ignoring spaces/dashes people add when sharing them
+const normalizeInviteCode = (code) => String(code || '').toUpperCase().replace(/[\s-]/g, '');
+
+/**
+ * Validate invite options from a request body
+ * @param {Object} body - { expiresInDays, maxUses } (both optional; omitted means no expiry / unlimited uses)
+ * @param {Date} [now]
+ * @returns {Object} - { errors: string[], invite: { expires_at, max_uses } }
+ */
+function validateInviteOptions(body = {}, now = new Date()) {
+  const { expiresInDays, maxUses } = body;
+  const errors = [];
+  let expiresAt = null;
+  let max = null;
+
+  if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+    const days = Number(expiresInDays);
+    if (!(days > 0) || days > INVITE_MAX_EXPIRY_DAYS) {
+      errors.push(`expiresInDays must be more than 0 and at most ${INVITE_MAX_EXPIRY_DAYS}`);
+    } else {
+      expiresAt = new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+    }
+  }
+  if (maxUses !== undefined && maxUses !== null && maxUses !== '') {
+    const uses = Number(maxUses);
+    if (!Number.isInteger(uses) || uses < 1 || uses > INVITE_MAX_USES) {
+      errors.push(`maxUses must be a whole number from 1 to ${INVITE_MAX_USES}`);
+    } else {
+      max = uses;
+    }
+  }
+
+  return { errors, invite: { expires_at: expiresAt, max_uses: max } };
+}
+
+/**
+ * Check whether an invite can still be used
+ * @param {Object} invite - team_invites row
+ * @param {Date} [now]
+ * @returns {string|null} - Why it can't be used, or null when it can
+ */
+function getInviteProblem(invite, now = new Date()) {
+  if (!invite) return 'Invite not found';
+  if (invite.revoked_at) return 'This invite has been revoked';
+  if (invite.expires_at && new Date(invite.expires_at) <= now) return 'This invite has expired';
+  if (invite.max_uses !== null && invite.max_uses !== undefined && invite.use_count >= invite.max_uses) {
+    return 'This invite has reached its usage limit';
+  }
+  return null;
+}
+
+/**
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateJoinRequestMessage(message) {
+  if (message === undefined || message === null) return null;
+  if (typeof message !== 'string') return 'message must be text';
+  if (message.trim().length > JOIN_REQUEST_MESSAGE_MAX_LENGTH) {
+    return `message must be at most ${JOIN_REQUEST_MESSAGE_MAX_LENGTH} characters`;
+  }
+  return null;
+}
+
+module.exports = {
+  TEAM_VISIBILITIES,
+  TEAM_MANAGER_ROLES,
+  TEAM_ROLES,
+  ASSIGNABLE_TEAM_ROLES,
+  INVITE_MAX_EXPIRY_DAYS,
+  INVITE_MAX_USES,
+  JOIN_REQUEST_MESSAGE_MAX_LENGTH,
+  isTeamManager,
+  validateAssignableRole,
+  getRemoveMemberProblem,
+  validateTeamVisibility,
+  generateInviteCode,
+  normalizeInviteCode,
+  validateInviteOptions,
+  getInviteProblem,
+  validateJoinRequestMessage
+};
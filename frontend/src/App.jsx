@@ -13,6 +13,7 @@ import SignupPage from './pages/SignupPage';
 import CreateProfile from './pages/CreateProfile';
 import Friends from './pages/Friends';
 import Teams from './pages/Teams';
+import Challenges from './pages/Challenges';
 import Dashboard from './pages/Dashboard';
 
 // Fix Leaflet default icon issue
@@ -29,6 +30,9 @@ L.Icon.Default.mergeOptions({
  */
 import { API_BASE } from './config/api';
 
+// Matches HEARTBEAT_INTERVAL_MS in backend/presence.js
+const PRESENCE_HEARTBEAT_MS = 60 * 1000;
+
 function Login({ onAuth, setNeedsProfile }) {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
@@ -66,6 +70,7 @@ function Login({ onAuth, setNeedsProfile }) {
       lng: profile.lng || null,
       points: profile.points || 0,
       streak: profile.streak || 0,
+      streakFreezes: profile.streak_freezes || 0,
       badges: profile.badges || [],
       password: null,
     };
@@ -215,6 +220,15 @@ export default function App() {
               setNeedsProfile(true);
               return;
             }
+
+            // Streaks are evaluated in the user's time zone; default it to this device's zone
+            if (!profile.time_zone) {
+              fetch(`${API_BASE}/api/profiles/me/time-zone`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${accessToken}` },
+                body: JSON.stringify({ timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone })
+              }).catch((err) => console.warn('Could not set time zone:', err));
+            }
             
             const clientUser = {
               id: supaUser?.id,
@@ -227,6 +241,7 @@ export default function App() {
               lng: profile.lng || null,
               points: profile.points || 0,
               streak: profile.streak || 0,
+              streakFreezes: profile.streak_freezes || 0,
               badges: profile.badges || [],
               password: null,
             };
@@ -321,6 +336,7 @@ export default function App() {
         lng: profile.lng || currentUser.lng,
         points: profile.points ?? 0,
         streak: profile.streak ?? 0,
+        streakFreezes: profile.streak_freezes ?? 0,
         badges: profile.badges || [],
         password: null,
       };
@@ -332,7 +348,7 @@ export default function App() {
     }
   }, [user]);
 
-  // Listen for activity import events to refresh user profile
+  // Listen for activity import and streak (freeze/rest day) events to refresh user profile
   useEffect(() => {
     if (!user) return;
     
@@ -345,7 +361,11 @@ export default function App() {
     };
     
     window.addEventListener('activityImported', handleActivityImported);
-    return () => window.removeEventListener('activityImported', handleActivityImported);
+    window.addEventListener('streakUpdated', refreshUserProfile);
+    return () => {
+      window.removeEventListener('activityImported', handleActivityImported);
+      window.removeEventListener('streakUpdated', refreshUserProfile);
+    };
   }, [user, refreshUserProfile]);
 
   // Keep track of whether this user has a Strava connection
@@ -353,7 +373,10 @@ export default function App() {
     if (!user) return;
     // Prefer checking by Supabase user id
     const userId = user.id || user.username;
-    fetch(`${API_BASE}/api/strava/status?userId=${userId}`)
+    supabase.auth.getSession()
+      .then(({ data: { session } = {} }) => fetch(`${API_BASE}/api/strava/status?userId=${userId}`, {
+        headers: session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {}
+      }))
       .then((res) => res.json())
       .then((status) => {
         setStravaConnected(Boolean(status.connected));
@@ -363,6 +386,35 @@ export default function App() {
       });
   }, [user]);
 
+  // Report presence while the app is open and in view; teammates see active/online/offline from it
+  const signedInUserId = user?.id;
+  useEffect(() => {
+    if (!signedInUserId) return;
+
+    const sendHeartbeat = () => {
+      if (document.visibilityState !== 'visible') return;
+      supabase.auth.getSession()
+        .then(({ data: { session } = {} }) => {
+          if (!session?.access_token) return;
+          return fetch(`${API_BASE}/api/presence/heartbeat`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${session.access_token}` }
+          });
+        })
+        .catch((err) => {
+          console.error('Error sending presence heartbeat:', err);
+        });
+    };
+
+    sendHeartbeat();
+    const interval = setInterval(sendHeartbeat, PRESENCE_HEARTBEAT_MS);
+    document.addEventListener('visibilitychange', sendHeartbeat);
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', sendHeartbeat);
+    };
+  }, [signedInUserId]);
+
   const handleUnitChange = (nextUnit) => {
     setUnit(nextUnit);
     try {
@@ -427,9 +479,16 @@ export default function App() {
     );
   }
 
-  const handleActivityLogged = () => {
+  const handleActivityLogged = (payload) => {
     // Trigger refresh of logged activities list
     setActivityRefreshTrigger(prev => prev + 1);
+
+    // Celebrate badges the server awarded for this activity
+    if (payload?.newBadges?.length > 0) {
+      setTimeout(() => {
+        alert(`New badge${payload.newBadges.length > 1 ? 's' : ''} earned!\n\n${payload.newBadges.map((b) => `${b.icon} ${b.name}`).join('\n')}`);
+      }, 200);
+    }
   };
 
   const handleStravaConnectionChange = () => {
@@ -446,6 +505,7 @@ export default function App() {
           <Route path="/leaderboards" element={<Leaderboards user={user} />} />
           <Route path="/friends" element={<Friends user={user} />} />
           <Route path="/teams" element={<Teams user={user} />} />
+          <Route path="/challenges" element={<Challenges user={user} />} />
           <Route
             path="/"
             element={
@@ -0,0 +1,345 @@
+import React, { useState, useEffect } from 'react';
+import { supabase } from '../supabaseClient';
+import { API_BASE } from '../config/api';
+import { getActivityType } from '../config/activityTypes';
+
+const countComments = (comments) =>
+  (comments || []).reduce((sum, comment) => sum + 1 + countComments(comment.replies), 0);
+
+function CommentThread({ comment, depth, onReply, onDelete }) {
+  return (
+    <div style={{ marginLeft: depth > 0 ? '1rem' : 0, marginTop: '0.5rem', paddingLeft: depth > 0 ? '0.5rem' : 0, borderLeft: depth > 0 ? '2px solid #cbd5e1' : 'none' }}>
+      <p className="small" style={{ margin: 0 }}>
+        <strong>{comment.display_name}</strong> {comment.body}
+      </p>
+      <div style={{ display: 'flex', gap: '0.5rem' }}>
+        <button
+          onClick={() => onReply(comment)}
+          style={{ background: 'none', border: 'none', padding: 0, color: '#8b5cf6', fontSize: '0.75rem', cursor: 'pointer' }}
+        >
+          Reply
+        </button>
+        {comment.canDelete && (
+          <button
+            onClick={() => onDelete(comment)}
+            style={{ background: 'none', border: 'none', padding: 0, color: '#8b5cf6', fontSize: '0.75rem', cursor: 'pointer' }}
+          >
+            Delete
+          </button>
+        )}
+      </div>
+      {comment.replies.map((reply) => (
+        <CommentThread key={reply.id} comment={reply} depth={depth + 1} onReply={onReply} onDelete={onDelete} />
+      ))}
+    </div>
+  );
+}
+
+function ActivityFeed({ user, unit = 'km', refreshTrigger }) {
+  const [items, setItems] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [openComments, setOpenComments] = useState({});
+  const [drafts, setDrafts] = useState({});
+  const [replyTo, setReplyTo] = useState({});
+
+  const getAuthHeaders = async () => {
+    const headers = { 'Content-Type': 'application/json' };
+    try {
+      const { data: { session } = {} } = await supabase.auth.getSession();
+      const token = session?.access_token;
+      if (token) headers.Authorization = `Bearer ${token}`;
+    } catch (err) {
+      console.error('Error getting session:', err);
+    }
+    return headers;
+  };
+
+  const fetchFeedPage = async (cursor) => {
+    const params = new URLSearchParams({ limit: '10' });
+    if (cursor) params.set('cursor', cursor);
+    const response = await fetch(`${API_BASE}/api/feed?${params}`, { headers: await getAuthHeaders() });
+    if (!response.ok) {
+      throw new Error('Failed to fetch activity feed');
+    }
+    return response.json();
+  };
+
+  useEffect(() => {
+    if (!user) return;
+    const loadFeed = async () => {
+      try {
+        const data = await fetchFeedPage();
+        setItems(data.items || []);
+        setNextCursor(data.nextCursor);
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching activity feed:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadFeed();
+  }, [user, refreshTrigger]);
+
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const data = await fetchFeedPage(nextCursor);
+      setItems((current) => [...current, ...(data.items || [])]);
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error('Error fetching activity feed:', err);
+      alert('Error loading more activities');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const updateItem = (activityId, changes) => {
+    setItems((current) => current.map((item) => (item.id === activityId ? { ...item, ...changes } : item)));
+  };
+
+  const handleToggleKudos = async (item) => {
+    try {
+      const response = await fetch(`${API_BASE}/api/activities/${item.id}/kudos`, {
+        method: item.has_given_kudos ? 'DELETE' : 'POST',
+        headers: await getAuthHeaders(),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error || 'Failed to update kudos');
+        return;
+      }
+      updateItem(item.id, { kudos_count: data.kudos_count, has_given_kudos: data.has_given_kudos });
+    } catch (err) {
+      console.error('Error updating kudos:', err);
+      alert('Error updating kudos');
+    }
+  };
+
+  const reloadComments = async (activityId) => {
+    const response = await fetch(`${API_BASE}/api/activities/${activityId}/comments`, { headers: await getAuthHeaders() });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to fetch comments');
+    updateItem(activityId, { comments: data.comments, comment_count: countComments(data.comments) });
+  };
+
+  const handlePostComment = async (item) => {
+    const body = (drafts[item.id] || '').trim();
+    if (!body) return;
+    try {
+      const response = await fetch(`${API_BASE}/api/activities/${item.id}/comments`, {
+        method: 'POST',
+        headers: await getAuthHeaders(),
+        body: JSON.stringify({ body, parentId: replyTo[item.id]?.id || null }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error || 'Failed to post comment');
+        return;
+      }
+      setDrafts((current) => ({ ...current, [item.id]: '' }));
+      setReplyTo((current) => ({ ...current, [item.id]: null }));
+      await reloadComments(item.id);
+    } catch (err) {
+      console.error('Error posting comment:', err);
+      alert('Error posting comment');
+    }
+  };
+
+  const handleDeleteComment = async (item, comment) => {
+    if (!confirm('Delete this comment? Replies to it will be deleted too.')) return;
+    try {
+      const response = await fetch(`${API_BASE}/api/comments/${comment.id}`, {
+        method: 'DELETE',
+        headers: await getAuthHeaders(),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error || 'Failed to delete comment');
+        return;
+      }
+      await reloadComments(item.id);
+    } catch (err) {
+      console.error('Error deleting comment:', err);
+      alert('Error deleting comment');
+    }
+  };
+
+  // Comment authors can delete their own comments (activity owners never appear in their own feed)
+  const withDeletePermission = (comments) =>
+    (comments || []).map((comment) => ({
+      ...comment,
+      canDelete: comment.user_id === user?.id,
+      replies: withDeletePermission(comment.replies),
+    }));
+
+  const formatDistance = (km) => {
+    if (unit === 'mi') {
+      const miles = km / 1.60934;
+      return `${miles.toFixed(2)} mi`;
+    }
+    return `${km.toFixed(2)} km`;
+  };
+
+  const formatDuration = (minutes) => {
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+    if (hours > 0) {
+      return `${hours}h ${mins}m`;
+    }
+    return `${mins}m`;
+  };
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    return date.toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+    });
+  };
+
+  if (loading) {
+    return (
+      <div className="card">
+        <h3>Friends Feed</h3>
+        <p>Loading feed...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="card">
+        <h3>Friends Feed</h3>
+        <p className="error">{error}</p>
+      </div>
+    );
+  }
+
+  if (items.length === 0) {
+    return (
+      <div className="card">
+        <h3>Friends Feed</h3>
+        <p className="small">No activity from friends or teammates yet. Add friends or join a team to see what they're up to!</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card">
+      <h3>Friends Feed</h3>
+      <div className="activities-list">
+        {items.map((item) => (
+          <div key={item.id} className="activity-item">
+            <div className="activity-header">
+              <span className="activity-icon">{getActivityType(item.type).icon}</span>
+              <div className="activity-info" style={{ flex: 1 }}>
+                <h4>{item.user.display_name} · {getActivityType(item.type).label}</h4>
+                <p className="small">
+                  {formatDate(item.date)} · {item.user.relationship === 'friend' ? 'Friend' : 'Teammate'}
+                </p>
+              </div>
+            </div>
+            <div className="activity-stats">
+              {item.distance_km > 0 && (
+                <div className="stat">
+                  <span className="stat-label">Distance</span>
+                  <span className="stat-value">{formatDistance(item.distance_km)}</span>
+                </div>
+              )}
+              {item.duration_minutes > 0 && (
+                <div className="stat">
+                  <span className="stat-label">Time</span>
+                  <span className="stat-value">{formatDuration(item.duration_minutes)}</span>
+                </div>
+              )}
+              {item.points_earned > 0 && (
+                <div className="stat">
+                  <span className="stat-label">Points</span>
+                  <span className="stat-value">{item.points_earned} pts</span>
+                </div>
+              )}
+            </div>
+            <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+              <button
+                onClick={() => handleToggleKudos(item)}
+                className={item.has_given_kudos ? 'btn-primary' : 'btn-secondary'}
+                style={{ padding: '0.25rem 0.75rem', fontSize: '0.75rem' }}
+              >
+                👏 {item.kudos_count}
+              </button>
+              <button
+                onClick={() => setOpenComments((current) => ({ ...current, [item.id]: !current[item.id] }))}
+                className="btn-secondary"
+                style={{ padding: '0.25rem 0.75rem', fontSize: '0.75rem' }}
+              >
+                💬 {item.comment_count}
+              </button>
+            </div>
+            {openComments[item.id] && (
+              <div style={{ marginTop: '0.5rem' }}>
+                {withDeletePermission(item.comments).map((comment) => (
+                  <CommentThread
+                    key={comment.id}
+                    comment={comment}
+                    depth={0}
+                    onReply={(target) => setReplyTo((current) => ({ ...current, [item.id]: target }))}
+                    onDelete={(target) => handleDeleteComment(item, target)}
+                  />
+                ))}
+                {replyTo[item.id] && (
+                  <p className="small" style={{ margin: '0.5rem 0 0' }}>
+                    Replying to {replyTo[item.id].display_name}{' '}
+                    <button
+                      onClick={() => setReplyTo((current) => ({ ...current, [item.id]: null }))}
+                      style={{ background: 'none', border: 'none', padding: 0, color: '#8b5cf6', fontSize: '0.75rem', cursor: 'pointer' }}
+                    >
+                      Cancel
+                    </button>
+                  </p>
+                )}
+                <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+                  <input
+                    type="text"
+                    value={drafts[item.id] || ''}
+                    onChange={(e) => setDrafts((current) => ({ ...current, [item.id]: e.target.value }))}
+                    onKeyDown={(e) => e.key === 'Enter' && handlePostComment(item)}
+                    placeholder="Add a comment..."
+                    maxLength={1000}
+                    style={{ flex: 1, minWidth: 0 }}
+                  />
+                  <button
+                    onClick={() => handlePostComment(item)}
+                    className="btn-primary"
+                    style={{ padding: '0.25rem 0.75rem', fontSize: '0.75rem' }}
+                  >
+                    Post
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+      {nextCursor && (
+        <button
+          onClick={handleLoadMore}
+          disabled={loadingMore}
+          className="btn-secondary"
+          style={{ marginTop: '0.75rem', width: '100%' }}
+        >
+          {loadingMore ? 'Loading...' : 'Load more'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default ActivityFeed;
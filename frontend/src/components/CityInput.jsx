@@ -0,0 +1,112 @@
+import React, { useState, useRef } from 'react';
+import { API_BASE } from '../config/api';
+
+// Wait this long after the last keystroke before asking for suggestions
+const SEARCH_DEBOUNCE_MS = 200;
+
+/**
+ * City text input with suggestions from GET /api/cities
+ * onChange(text, cityId) fires on every edit; cityId is set once a suggestion is picked and cleared
+ * when the text is edited again. Text that isn't picked is still saved, and the server resolves it if it can.
+ */
+function CityInput({ value, onChange, placeholder, disabled, required, maxLength = 100, style }) {
+  const [suggestions, setSuggestions] = useState([]);
+  const [highlighted, setHighlighted] = useState(-1);
+  const [open, setOpen] = useState(false);
+  const debounceRef = useRef(null);
+  // Only the newest request's answer is shown
+  const requestRef = useRef(0);
+
+  const fetchSuggestions = (text) => {
+    clearTimeout(debounceRef.current);
+    const q = text.trim();
+    if (!q) {
+      requestRef.current++;
+      setSuggestions([]);
+      return;
+    }
+    debounceRef.current = setTimeout(async () => {
+      const requestId = ++requestRef.current;
+      try {
+        const response = await fetch(`${API_BASE}/api/cities?q=${encodeURIComponent(q)}`);
+        const data = await response.json();
+        if (requestId !== requestRef.current) return;
+        setSuggestions(response.ok ? data.cities || [] : []);
+        setHighlighted(-1);
+      } catch (err) {
+        console.error('Error fetching city suggestions:', err);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+  };
+
+  const handleChange = (e) => {
+    onChange(e.target.value, null);
+    setOpen(true);
+    fetchSuggestions(e.target.value);
+  };
+
+  const pick = (city) => {
+    onChange(city.label, city.id);
+    setSuggestions([]);
+    setOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open || suggestions.length === 0) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted((i) => (i + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted((i) => (i <= 0 ? suggestions.length - 1 : i - 1));
+    } else if (e.key === 'Enter' && highlighted >= 0) {
+      e.preventDefault();
+      pick(suggestions[highlighted]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="city-input">
+      <input
+        type="text"
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        placeholder={placeholder}
+        maxLength={maxLength}
+        disabled={disabled}
+        required={required}
+        autoComplete="off"
+        style={style}
+        role="combobox"
+        aria-expanded={open && suggestions.length > 0}
+        aria-autocomplete="list"
+      />
+      {open && suggestions.length > 0 && (
+        <ul className="city-suggestions" role="listbox">
+          {suggestions.map((city, i) => (
+            <li
+              key={city.id}
+              role="option"
+              aria-selected={i === highlighted}
+              className={`city-suggestion${i === highlighted ? ' highlighted' : ''}`}
+              // mousedown fires before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                pick(city);
+              }}
+            >
+              {city.label}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default CityInput;
@@ -1,14 +1,18 @@
 import React, { useState } from 'react';
 import { API_BASE } from '../config/api';
 import { supabase } from '../supabaseClient';
+import { ACTIVITY_TYPES, activityUsesDistance } from '../config/activityTypes';
+import { ACTIVITY_VISIBILITIES } from '../config/privacy';
 
-const defaultActivity = { type: 'run', title: '', date: '', time: '', distance: 5, distanceUnit: 'km', distanceKm: 5, durationMinutes: 30 };
+// An empty visibility lets the backend apply the user's default
+const defaultActivity = { type: 'run', title: '', date: '', time: '', distance: 5, distanceUnit: 'km', distanceKm: 5, durationMinutes: 30, averageHeartRate: '', visibility: '' };
 
 function LogActivityModal({ user, isOpen, onClose, onLogged }) {
   const [activity, setActivity] = useState(defaultActivity);
   const [error, setError] = useState(null);
   const [warnings, setWarnings] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [dragActive, setDragActive] = useState(false);
 
   if (!isOpen) return null;
 
@@ -47,10 +51,12 @@ function LogActivityModal({ user, isOpen, onClose, onLogged }) {
         user_id: user.id || null, // Include user_id if available (Supabase)
         title: activity.title,
         type: activity.type,
-        distanceKm,
+        distanceKm: activityUsesDistance(activity.type) ? distanceKm : 0,
         durationMinutes: Number(activity.durationMinutes) || 0,
-        date: activity.date || new Date().toISOString().split('T')[0],
+        averageHeartRate: Number(activity.averageHeartRate) || null,
+        date: activity.date || new Date().toLocaleDateString('en-CA'), // Local YYYY-MM-DD
         time: activity.time,
+        ...(activity.visibility ? { visibility: activity.visibility } : {}),
       };
 
       const response = await fetch(`${API_BASE}/api/activities`, {
@@ -105,6 +111,80 @@ function LogActivityModal({ user, isOpen, onClose, onLogged }) {
     }
   };
 
+  // Upload a GPX/TCX export; the backend parses distance, duration, start time and route
+  const uploadFile = async (file) => {
+    if (!file) return;
+    const format = file.name.toLowerCase().endsWith('.tcx') ? 'tcx' : 'gpx';
+    setError(null);
+    setWarnings([]);
+    setLoading(true);
+
+    try {
+      const headers = {
+        'Content-Type': format === 'tcx' ? 'application/vnd.garmin.tcx+xml' : 'application/gpx+xml',
+      };
+      try {
+        const { data: { session } = {} } = await supabase.auth.getSession();
+        if (session?.access_token) {
+          headers.Authorization = `Bearer ${session.access_token}`;
+        }
+      } catch (err) {
+        console.warn('Could not get auth session:', err);
+      }
+
+      const content = await file.text();
+      const params = new URLSearchParams({ format, tzOffset: String(new Date().getTimezoneOffset()) });
+      if (activity.visibility) params.set('visibility', activity.visibility);
+      const response = await fetch(`${API_BASE}/api/activities/upload?${params}`, {
+        method: 'POST',
+        headers,
+        body: content,
+      });
+
+      let payload;
+      try {
+        payload = await response.json();
+      } catch {
+        setError(`Server error (${response.status}): ${response.statusText}`);
+        return;
+      }
+
+      if (!response.ok) {
+        if (payload.error === 'Activity validation failed' && payload.details) {
+          setError(payload.details.join('. '));
+          if (payload.warnings && payload.warnings.length > 0) {
+            setWarnings(payload.warnings);
+          }
+          return;
+        }
+        setError(payload.error || 'Failed to upload activity file');
+        return;
+      }
+
+      if (payload.qc && payload.qc.warnings && payload.qc.warnings.length > 0) {
+        setTimeout(() => {
+          alert(`Activity uploaded successfully!\n\nWarnings:\n${payload.qc.warnings.join('\n')}`);
+        }, 100);
+      }
+
+      onLogged(payload);
+      window.dispatchEvent(new CustomEvent('activityImported'));
+      setActivity(defaultActivity);
+      onClose();
+    } catch (err) {
+      console.error('Error uploading activity file:', err);
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setDragActive(false);
+    uploadFile(event.dataTransfer.files?.[0]);
+  };
+
   const handleCancel = () => {
     setActivity(defaultActivity);
     onClose();
@@ -149,6 +229,45 @@ function LogActivityModal({ user, isOpen, onClose, onLogged }) {
                 </ul>
               </div>
             )}
+            <label>
+              Who can see this
+              <select value={activity.visibility} onChange={(e) => updateField('visibility', e.target.value)}>
+                <option value="">My default</option>
+                {ACTIVITY_VISIBILITIES.map((v) => (
+                  <option key={v.value} value={v.value}>{v.icon} {v.label}</option>
+                ))}
+              </select>
+            </label>
+            <div
+              onDragOver={(e) => { e.preventDefault(); setDragActive(true); }}
+              onDragLeave={() => setDragActive(false)}
+              onDrop={handleDrop}
+              style={{
+                padding: '1rem',
+                marginBottom: '1rem',
+                border: `2px dashed ${dragActive ? '#8b5cf6' : '#cbd5e1'}`,
+                borderRadius: '8px',
+                textAlign: 'center',
+                backgroundColor: dragActive ? 'rgba(139, 92, 246, 0.08)' : 'transparent',
+              }}
+            >
+              <div style={{ marginBottom: '0.5rem' }}>Drop a GPX or TCX file from your watch or app</div>
+              <label style={{ display: 'inline-block', cursor: loading ? 'default' : 'pointer' }}>
+                <span className="btn-secondary" style={{ display: 'inline-block' }}>
+                  {loading ? 'Uploading...' : 'Choose file'}
+                </span>
+                <input
+                  type="file"
+                  accept=".gpx,.tcx"
+                  style={{ display: 'none' }}
+                  disabled={loading}
+                  onChange={(e) => {
+                    uploadFile(e.target.files?.[0]);
+                    e.target.value = '';
+                  }}
+                />
+              </label>
+            </div>
             <label>
               Title
               <input value={activity.title} onChange={(e) => updateField('title', e.target.value)} placeholder="Morning run" />
@@ -166,12 +285,12 @@ function LogActivityModal({ user, isOpen, onClose, onLogged }) {
             <label>
               Type
               <select value={activity.type} onChange={(e) => updateField('type', e.target.value)}>
-                <option value="run">Run</option>
-                <option value="walk">Walk</option>
-                <option value="workout">Workout</option>
+                {ACTIVITY_TYPES.map((t) => (
+                  <option key={t.value} value={t.value}>{t.icon} {t.label}</option>
+                ))}
               </select>
             </label>
-            {activity.type !== 'workout' && (
+            {activityUsesDistance(activity.type) && (
               <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'flex-end' }}>
                 <label style={{ flex: 2, minWidth: 0 }}>
                   Distance
@@ -202,6 +321,16 @@ function LogActivityModal({ user, isOpen, onClose, onLogged }) {
                 onChange={(e) => updateField('durationMinutes', Number(e.target.value))}
               />
             </label>
+            <label>
+              Average heart rate (bpm, optional)
+              <input
+                type="number"
+                min="0"
+                value={activity.averageHeartRate}
+                onChange={(e) => updateField('averageHeartRate', e.target.value)}
+                placeholder="Used for a personal calorie estimate"
+              />
+            </label>
           </div>
           <div className="modal-footer">
             <button type="button" className="btn-secondary" onClick={handleCancel}>
@@ -1,16 +1,44 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { supabase } from '../supabaseClient';
 import { API_BASE } from '../config/api';
+import { ACTIVITY_TYPES, activityUsesDistance, getActivityType } from '../config/activityTypes';
+import { ACTIVITY_VISIBILITIES, getActivityVisibility } from '../config/privacy';
+
+const PAGE_SIZE = 25;
+
+const SORT_OPTIONS = [
+  { value: 'date_desc', label: 'Newest first' },
+  { value: 'date_asc', label: 'Oldest first' },
+  { value: 'distance_desc', label: 'Longest distance' },
+  { value: 'duration_desc', label: 'Longest duration' },
+  { value: 'points_desc', label: 'Most points' },
+];
+
+const SOURCE_OPTIONS = [
+  { value: 'manual', label: 'Manual' },
+  { value: 'strava', label: 'Strava' },
+  { value: 'file', label: 'File upload' },
+];
+
+const DEFAULT_FILTERS = { type: '', source: '', qcStatus: '', from: '', to: '', sort: 'date_desc' };
 
 function LoggedActivities({ user, unit = 'km', refreshTrigger }) {
   const [activities, setActivities] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [editForm, setEditForm] = useState({ type: 'run', distanceKm: 0, durationMinutes: 0, date: '', visibility: 'public' });
+  const [saving, setSaving] = useState(false);
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const sentinelRef = useRef(null);
 
   useEffect(() => {
     if (user) {
       fetchActivities();
     }
-  }, [user, refreshTrigger]);
+  }, [user, refreshTrigger, filters]);
 
   // Listen for activity import events
   useEffect(() => {
@@ -19,29 +47,146 @@ function LoggedActivities({ user, unit = 'km', refreshTrigger }) {
     };
     window.addEventListener('activityImported', handleActivityImported);
     return () => window.removeEventListener('activityImported', handleActivityImported);
-  }, [user]);
+  }, [user, filters]);
+
+  // Infinite scroll: load the next page when the sentinel below the list comes into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor || loadingMore) return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) fetchActivities(nextCursor);
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loadingMore]);
 
-  const fetchActivities = async () => {
-    setLoading(true);
+  // Fetch the first page (replacing the list), or the page after `cursor` (appending to it)
+  const fetchActivities = async (cursor = null) => {
+    if (cursor) {
+      setLoadingMore(true);
+    } else {
+      setLoading(true);
+    }
     setError(null);
     try {
       // Use user ID (UUID) to fetch activities - backend expects user_id
       const userId = user.id || user.username;
-      const response = await fetch(`${API_BASE}/api/activities/${encodeURIComponent(userId)}`);
+      const params = new URLSearchParams({ limit: String(PAGE_SIZE), sort: filters.sort });
+      ['type', 'source', 'qcStatus', 'from', 'to'].forEach((key) => {
+        if (filters[key]) params.set(key, filters[key]);
+      });
+      if (cursor) params.set('cursor', cursor);
+      const response = await fetch(`${API_BASE}/api/activities/${encodeURIComponent(userId)}?${params}`, {
+        headers: await getAuthHeaders(),
+      });
 
       if (!response.ok) {
-        throw new Error('Failed to fetch activities');
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to fetch activities');
       }
 
       const data = await response.json();
-      // Sort by date (newest first)
-      const sorted = data.sort((a, b) => new Date(b.date) - new Date(a.date));
-      setActivities(sorted);
-      setLoading(false);
+      setActivities((prev) => (cursor ? [...prev, ...data.activities] : data.activities));
+      setNextCursor(data.nextCursor);
     } catch (err) {
       console.error('Error fetching logged activities:', err);
       setError(err.message);
+    } finally {
       setLoading(false);
+      setLoadingMore(false);
+    }
+  };
+
+  const updateFilter = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const hasActiveFilters = ['type', 'source', 'qcStatus', 'from', 'to'].some((key) => filters[key]);
+
+  const getAuthHeaders = async () => {
+    const headers = { 'Content-Type': 'application/json' };
+    try {
+      const { data: { session } = {} } = await supabase.auth.getSession();
+      const token = session?.access_token;
+      if (token) headers.Authorization = `Bearer ${token}`;
+    } catch (err) {
+      console.error('Error getting session:', err);
+    }
+    return headers;
+  };
+
+  // Edits and deletes change points and streak, so reuse the import refresh path
+  const notifyActivityChanged = () => {
+    window.dispatchEvent(new Event('activityImported'));
+  };
+
+  const startEditing = (activity) => {
+    setEditingId(activity.id);
+    setEditForm({
+      type: activity.type || 'run',
+      distanceKm: activity.distanceKm || 0,
+      durationMinutes: activity.durationMinutes || 0,
+      date: activity.date ? String(activity.date).slice(0, 10) : '',
+      visibility: activity.visibility || 'public',
+    });
+  };
+
+  const handleSaveEdit = async (activityId) => {
+    setSaving(true);
+    try {
+      const headers = await getAuthHeaders();
+      const res = await fetch(`${API_BASE}/api/activities/${activityId}`, {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify({
+          user_id: user.id || null,
+          username: user.username,
+          type: editForm.type,
+          distanceKm: activityUsesDistance(editForm.type) ? Number(editForm.distanceKm) || 0 : 0,
+          durationMinutes: Number(editForm.durationMinutes) || 0,
+          date: editForm.date,
+          visibility: editForm.visibility,
+        }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setEditingId(null);
+        notifyActivityChanged();
+        if (data.newBadges?.length > 0) {
+          alert(`New badge${data.newBadges.length > 1 ? 's' : ''} earned!\n\n${data.newBadges.map((b) => `${b.icon} ${b.name}`).join('\n')}`);
+        }
+      } else if (data.error === 'Activity validation failed' && data.details) {
+        alert(data.details.join('. '));
+      } else {
+        alert(data.error || 'Failed to update activity');
+      }
+    } catch (err) {
+      console.error('Error updating activity:', err);
+      alert('Error updating activity');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (activity) => {
+    if (!confirm(`Delete this activity? You will lose ${activity.pointsEarned || 0} points.`)) return;
+    try {
+      const headers = await getAuthHeaders();
+      const userId = user.id || user.username;
+      const res = await fetch(`${API_BASE}/api/activities/${activity.id}?userId=${encodeURIComponent(userId)}`, {
+        method: 'DELETE',
+        headers,
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setActivities((prev) => prev.filter((a) => a.id !== activity.id));
+        notifyActivityChanged();
+      } else {
+        alert(data.error || 'Failed to delete activity');
+      }
+    } catch (err) {
+      console.error('Error deleting activity:', err);
+      alert('Error deleting activity');
     }
   };
 
@@ -71,19 +216,69 @@ function LoggedActivities({ user, unit = 'km', refreshTrigger }) {
     });
   };
 
-  const getActivityTypeIcon = (type) => {
-    const icons = {
-      run: '🏃',
-      walk: '🚶',
-      workout: '💪',
-    };
-    return icons[type?.toLowerCase()] || '🏃';
-  };
+  const getActivityTypeIcon = (type) => getActivityType(type).icon;
 
-  if (loading) {
+  const filterBar = (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', alignItems: 'flex-end', marginBottom: '0.75rem' }}>
+      <label style={{ flex: '1 1 120px', minWidth: 0 }} className="small">
+        Type
+        <select value={filters.type} onChange={(e) => updateFilter('type', e.target.value)}>
+          <option value="">All types</option>
+          {ACTIVITY_TYPES.map((t) => (
+            <option key={t.value} value={t.value}>{t.icon} {t.label}</option>
+          ))}
+        </select>
+      </label>
+      <label style={{ flex: '1 1 120px', minWidth: 0 }} className="small">
+        Source
+        <select value={filters.source} onChange={(e) => updateFilter('source', e.target.value)}>
+          <option value="">All sources</option>
+          {SOURCE_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+      <label style={{ flex: '1 1 120px', minWidth: 0 }} className="small">
+        Status
+        <select value={filters.qcStatus} onChange={(e) => updateFilter('qcStatus', e.target.value)}>
+          <option value="">Any status</option>
+          <option value="accepted">Accepted</option>
+          <option value="rejected">Rejected</option>
+        </select>
+      </label>
+      <label style={{ flex: '1 1 120px', minWidth: 0 }} className="small">
+        From
+        <input type="date" value={filters.from} max={filters.to || undefined} onChange={(e) => updateFilter('from', e.target.value)} />
+      </label>
+      <label style={{ flex: '1 1 120px', minWidth: 0 }} className="small">
+        To
+        <input type="date" value={filters.to} min={filters.from || undefined} onChange={(e) => updateFilter('to', e.target.value)} />
+      </label>
+      <label style={{ flex: '1 1 140px', minWidth: 0 }} className="small">
+        Sort
+        <select value={filters.sort} onChange={(e) => updateFilter('sort', e.target.value)}>
+          {SORT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+      {hasActiveFilters && (
+        <button
+          onClick={() => setFilters({ ...DEFAULT_FILTERS, sort: filters.sort })}
+          className="btn-secondary"
+          style={{ padding: '0.25rem 0.75rem', fontSize: '0.75rem' }}
+        >
+          Clear filters
+        </button>
+      )}
+    </div>
+  );
+
+  if (loading && activities.length === 0) {
     return (
       <div className="card">
         <h3>My Activities</h3>
+        {filterBar}
         <p>Loading activities...</p>
       </div>
     );
@@ -93,6 +288,7 @@ function LoggedActivities({ user, unit = 'km', refreshTrigger }) {
     return (
       <div className="card">
         <h3>My Activities</h3>
+        {filterBar}
         <p className="error">{error}</p>
       </div>
     );
@@ -102,7 +298,12 @@ function LoggedActivities({ user, unit = 'km', refreshTrigger }) {
     return (
       <div className="card">
         <h3>My Activities</h3>
-        <p className="small">No activities logged yet. Click "Log Activity" to add your first activity!</p>
+        {filterBar}
+        <p className="small">
+          {hasActiveFilters
+            ? 'No activities match these filters.'
+            : 'No activities logged yet. Click "Log Activity" to add your first activity!'}
+        </p>
       </div>
     );
   }
@@ -110,16 +311,108 @@ function LoggedActivities({ user, unit = 'km', refreshTrigger }) {
   return (
     <div className="card">
       <h3>My Activities</h3>
+      {filterBar}
       <div className="activities-list">
         {activities.map((activity) => (
           <div key={activity.id} className="activity-item">
             <div className="activity-header">
               <span className="activity-icon">{getActivityTypeIcon(activity.type)}</span>
-              <div className="activity-info">
+              <div className="activity-info" style={{ flex: 1 }}>
                 <h4>{activity.title || activity.type || 'Activity'}</h4>
-                <p className="small">{formatDate(activity.date)}</p>
+                <p className="small">
+                  {formatDate(activity.date)}
+                  {activity.source && activity.source !== 'manual' && ` · ${activity.source === 'strava' ? 'Strava' : 'File upload'}`}
+                  {activity.qcStatus === 'rejected' && ' · Rejected'}
+                  {activity.visibility && activity.visibility !== 'public' && (
+                    ` · ${getActivityVisibility(activity.visibility).icon} ${getActivityVisibility(activity.visibility).label}`
+                  )}
+                </p>
               </div>
+              {editingId !== activity.id && (
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                  <button
+                    onClick={() => startEditing(activity)}
+                    className="btn-secondary"
+                    style={{ padding: '0.25rem 0.75rem', fontSize: '0.75rem' }}
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDelete(activity)}
+                    className="btn-secondary"
+                    style={{ padding: '0.25rem 0.75rem', fontSize: '0.75rem' }}
+                  >
+                    Delete
+                  </button>
+                </div>
+              )}
             </div>
+            {editingId === activity.id && (
+              <div style={{ marginTop: '0.75rem' }}>
+                <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'flex-end' }}>
+                  <label style={{ flex: 1, minWidth: 0 }}>
+                    Type
+                    <select value={editForm.type} onChange={(e) => setEditForm({ ...editForm, type: e.target.value })}>
+                      {ACTIVITY_TYPES.map((t) => (
+                        <option key={t.value} value={t.value}>{t.icon} {t.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label style={{ flex: 1, minWidth: 0 }}>
+                    Date
+                    <input type="date" value={editForm.date} onChange={(e) => setEditForm({ ...editForm, date: e.target.value })} />
+                  </label>
+                </div>
+                <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'flex-end' }}>
+                  {activityUsesDistance(editForm.type) && (
+                    <label style={{ flex: 1, minWidth: 0 }}>
+                      Distance (km)
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={editForm.distanceKm}
+                        onChange={(e) => setEditForm({ ...editForm, distanceKm: e.target.value })}
+                      />
+                    </label>
+                  )}
+                  <label style={{ flex: 1, minWidth: 0 }}>
+                    Duration (minutes)
+                    <input
+                      type="number"
+                      min="0"
+                      value={editForm.durationMinutes}
+                      onChange={(e) => setEditForm({ ...editForm, durationMinutes: e.target.value })}
+                    />
+                  </label>
+                </div>
+                <label>
+                  Who can see this
+                  <select value={editForm.visibility} onChange={(e) => setEditForm({ ...editForm, visibility: e.target.value })}>
+                    {ACTIVITY_VISIBILITIES.map((v) => (
+                      <option key={v.value} value={v.value}>{v.icon} {v.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+                  <button
+                    onClick={() => handleSaveEdit(activity.id)}
+                    disabled={saving}
+                    className="btn-primary"
+                    style={{ padding: '0.25rem 0.75rem', fontSize: '0.75rem' }}
+                  >
+                    {saving ? 'Saving...' : 'Save'}
+                  </button>
+                  <button
+                    onClick={() => setEditingId(null)}
+                    className="btn-secondary"
+                    style={{ padding: '0.25rem 0.75rem', fontSize: '0.75rem' }}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
             <div className="activity-stats">
               {activity.distanceKm > 0 && (
                 <div className="stat">
@@ -133,6 +426,12 @@ function LoggedActivities({ user, unit = 'km', refreshTrigger }) {
                   <span className="stat-value">{formatDuration(activity.durationMinutes)}</span>
                 </div>
               )}
+              {activity.calories > 0 && (
+                <div className="stat">
+                  <span className="stat-label">Calories</span>
+                  <span className="stat-value">{activity.calories} kcal</span>
+                </div>
+              )}
               {activity.pointsEarned > 0 && (
                 <div className="stat">
                   <span className="stat-label">Points</span>
@@ -143,6 +442,11 @@ function LoggedActivities({ user, unit = 'km', refreshTrigger }) {
           </div>
         ))}
       </div>
+      {nextCursor && (
+        <div ref={sentinelRef} className="small" style={{ textAlign: 'center', padding: '0.75rem' }}>
+          {loadingMore ? 'Loading more...' : ''}
+        </div>
+      )}
     </div>
   );
 }
@@ -1,8 +1,10 @@
 import React from 'react';
 import { NavLink, Link } from 'react-router-dom';
+import NotificationBell from './NotificationBell';
 
 function Navbar({ user, onLogActivityClick }) {
-  const streak = user?.streak || 3; // Dummy data for now
+  const streak = user?.streak || 0;
+  const streakFreezes = user?.streakFreezes || 0;
 
   return (
     <nav className="navbar">
@@ -17,11 +19,13 @@ function Navbar({ user, onLogActivityClick }) {
         <NavLink to="/leaderboards" className={({ isActive }) => `nav-link${isActive ? ' active' : ''}`}>Leaderboards</NavLink>
         <NavLink to="/friends" className={({ isActive }) => `nav-link${isActive ? ' active' : ''}`}>Friends</NavLink>
         <NavLink to="/teams" className={({ isActive }) => `nav-link${isActive ? ' active' : ''}`}>Teams</NavLink>
+        <NavLink to="/challenges" className={({ isActive }) => `nav-link${isActive ? ' active' : ''}`}>Challenges</NavLink>
         <NavLink to="/profile" className={({ isActive }) => `nav-link${isActive ? ' active' : ''}`}>Profile</NavLink>
       </div>
       <div className="navbar-right">
-        <div className="streak-chip">
-          🔥 {streak}-day streak
+        <NotificationBell />
+        <div className="streak-chip" title={streakFreezes > 0 ? `${streakFreezes} streak freeze${streakFreezes !== 1 ? 's' : ''} ready` : undefined}>
+          🔥 {streak}-day streak{streakFreezes > 0 && ` · 🧊 ${streakFreezes}`}
         </div>
         <button className="btn-primary" onClick={onLogActivityClick}>
           + Log Activity
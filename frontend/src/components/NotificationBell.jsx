@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { supabase } from '../supabaseClient';
+import { API_BASE } from '../config/api';
+import { subscribeToEvents } from '../realtime';
+
+// Poll for new notifications while the app is open
+const UNREAD_POLL_MS = 60 * 1000;
+
+const NOTIFICATION_ICONS = {
+  friend_request: '👋',
+  friend_accepted: '🤝',
+  team_join: '👥',
+  team_leave: '🚪',
+  team_join_request: '🙋',
+  team_request_approved: '✅',
+  team_request_denied: '🚫',
+  team_role_changed: '⭐',
+  team_member_removed: '➖',
+  team_ownership_transferred: '👑',
+  kudos: '👏',
+  comment: '💬',
+  badge: '🏅',
+  challenge_completed: '🚩',
+};
+
+const getAuthHeaders = async () => {
+  const headers = { 'Content-Type': 'application/json' };
+  try {
+    const { data: { session } = {} } = await supabase.auth.getSession();
+    const token = session?.access_token;
+    if (token) headers.Authorization = `Bearer ${token}`;
+  } catch (err) {
+    console.error('Error getting session:', err);
+  }
+  return headers;
+};
+
+const formatTimeAgo = (timestamp) => {
+  const minutes = Math.floor((Date.now() - new Date(timestamp).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+};
+
+function NotificationBell() {
+  const navigate = useNavigate();
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  // Refresh the unread count when the server pushes a notification; polling and re-checks after
+  // actions that usually create notifications cover a dropped event stream
+  useEffect(() => {
+    const fetchUnreadCount = async () => {
+      try {
+        const response = await fetch(`${API_BASE}/api/notifications/unread-count`, { headers: await getAuthHeaders() });
+        if (response.ok) {
+          const data = await response.json();
+          setUnreadCount(data.unreadCount || 0);
+        }
+      } catch (err) {
+        console.error('Error fetching unread notifications:', err);
+      }
+    };
+
+    fetchUnreadCount();
+    const interval = setInterval(fetchUnreadCount, UNREAD_POLL_MS);
+    window.addEventListener('activityImported', fetchUnreadCount);
+    const unsubscribe = subscribeToEvents('notification', fetchUnreadCount);
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener('activityImported', fetchUnreadCount);
+      unsubscribe();
+    };
+  }, []);
+
+  const loadNotifications = async () => {
+    setLoading(true);
+    try {
+      const response = await fetch(`${API_BASE}/api/notifications`, { headers: await getAuthHeaders() });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error || 'Failed to load notifications');
+        return;
+      }
+      setNotifications(data.notifications || []);
+      setUnreadCount(data.unreadCount || 0);
+    } catch (err) {
+      console.error('Error fetching notifications:', err);
+      alert('Error loading notifications');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggle = () => {
+    if (!open) loadNotifications();
+    setOpen(!open);
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/api/notifications/read-all`, {
+        method: 'POST',
+        headers: await getAuthHeaders(),
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        alert(data.error || 'Failed to mark notifications read');
+        return;
+      }
+      setNotifications((current) => current.map((n) => ({ ...n, read: true })));
+      setUnreadCount(0);
+    } catch (err) {
+      console.error('Error marking notifications read:', err);
+      alert('Error marking notifications read');
+    }
+  };
+
+  const handleOpenNotification = async (notification) => {
+    if (!notification.read) {
+      try {
+        const response = await fetch(`${API_BASE}/api/notifications/${notification.id}/read`, {
+          method: 'POST',
+          headers: await getAuthHeaders(),
+        });
+        if (response.ok) {
+          const data = await response.json();
+          setUnreadCount(data.unreadCount || 0);
+          setNotifications((current) => current.map((n) => (n.id === notification.id ? { ...n, read: true } : n)));
+        }
+      } catch (err) {
+        console.error('Error marking notification read:', err);
+      }
+    }
+    if (notification.link) {
+      setOpen(false);
+      navigate(notification.link);
+    }
+  };
+
+  return (
+    <div className="notification-bell">
+      <button
+        className="notification-bell-button"
+        onClick={handleToggle}
+        aria-label={unreadCount > 0 ? `${unreadCount} unread notifications` : 'Notifications'}
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span className="notification-badge">{unreadCount > 99 ? '99+' : unreadCount}</span>
+        )}
+      </button>
+      {open && (
+        <div className="notification-panel">
+          <div className="notification-panel-header">
+            <strong>Notifications</strong>
+            {unreadCount > 0 && (
+              <button
+                onClick={handleMarkAllRead}
+                style={{ background: 'none', border: 'none', padding: 0, color: '#8b5cf6', fontSize: '0.75rem', cursor: 'pointer' }}
+              >
+                Mark all read
+              </button>
+            )}
+          </div>
+          {loading && notifications.length === 0 && <p className="small">Loading...</p>}
+          {!loading && notifications.length === 0 && <p className="small">No notifications yet.</p>}
+          {notifications.map((notification) => (
+            <button
+              key={notification.id}
+              onClick={() => handleOpenNotification(notification)}
+              className={`notification-item${notification.read ? '' : ' unread'}`}
+            >
+              <span>{NOTIFICATION_ICONS[notification.type] || '🔔'}</span>
+              <span style={{ flex: 1 }}>
+                {notification.actor && <strong>{notification.actor.display_name} </strong>}
+                {notification.message}
+                <span className="small" style={{ display: 'block' }}>{formatTimeAgo(notification.created_at)}</span>
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationBell;
@@ -2,6 +2,47 @@ import React, { useState, useEffect } from 'react';
 import { supabase } from '../supabaseClient';
 import { API_BASE } from '../config/api';
 
+// How often to check on a running history import
+const IMPORT_POLL_MS = 2000;
+
+const getAuthHeaders = async () => {
+  const headers = { 'Content-Type': 'application/json' };
+  try {
+    const { data: { session } = {} } = await supabase.auth.getSession();
+    const token = session?.access_token;
+    if (token) headers.Authorization = `Bearer ${token}`;
+  } catch (err) {
+    console.error('Error getting session:', err);
+  }
+  return headers;
+};
+
+const isImportActive = (job) => Boolean(job) && (job.status === 'queued' || job.status === 'running');
+
+// Percent done, or null when the total isn't known (date ranges, or Strava didn't say)
+const getImportPercent = (job) => {
+  if (job.status === 'completed') return 100;
+  if (!job.estimatedTotal) return null;
+  // The estimate only counts runs, rides and swims, so hold short of 100 until the import says it's done
+  return Math.min(99, Math.round((job.activitiesFound / job.estimatedTotal) * 100));
+};
+
+const IMPORT_STATUS_LABELS = {
+  queued: 'Starting import…',
+  running: 'Importing your Strava history…',
+  completed: 'Import complete',
+  failed: 'Import stopped',
+  cancelled: 'Import cancelled',
+};
+
+function ImportProgressBar({ percent }) {
+  return (
+    <div style={{ background: 'rgba(139, 92, 246, 0.15)', borderRadius: '999px', height: '8px', overflow: 'hidden', marginTop: '0.5rem' }}>
+      <div style={{ width: `${percent ?? 100}%`, background: '#8b5cf6', opacity: percent === null ? 0.4 : 1, height: '100%', transition: 'width 0.3s' }} />
+    </div>
+  );
+}
+
 function StravaActivities({ user, unit = 'km' }) {
   const [activities, setActivities] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -11,6 +52,11 @@ function StravaActivities({ user, unit = 'km' }) {
   const [connected, setConnected] = useState(false);
   const [importing, setImporting] = useState({});
   const [importingAll, setImportingAll] = useState(false);
+  // Latest history import (see /api/strava/import-jobs) and the optional range for the next one
+  const [importJob, setImportJob] = useState(null);
+  const [importRange, setImportRange] = useState({ from: '', to: '' });
+  // Bumped to reload the list once an import finishes
+  const [refreshKey, setRefreshKey] = useState(0);
 
   // Check connection status first
   useEffect(() => {
@@ -37,6 +83,7 @@ function StravaActivities({ user, unit = 'km' }) {
       setConnected(status.connected);
       if (status.connected) {
         fetchActivities();
+        loadLatestImport();
       } else {
         setLoading(false);
       }
@@ -50,7 +97,49 @@ function StravaActivities({ user, unit = 'km' }) {
     if (connected && user) {
       fetchActivities();
     }
-  }, [connected, user, page]);
+  }, [connected, user, page, refreshKey]);
+
+  // Poll a running import until it finishes; each poll also moves it along if its worker stopped
+  const activeImportId = isImportActive(importJob) ? importJob.id : null;
+  useEffect(() => {
+    if (!activeImportId) return undefined;
+    let cancelled = false;
+    let timer;
+    const poll = async () => {
+      try {
+        const response = await fetch(`${API_BASE}/api/strava/import-jobs/${activeImportId}`, { headers: await getAuthHeaders() });
+        const data = await response.json();
+        if (cancelled) return;
+        if (response.ok) {
+          setImportJob(data.job);
+          if (!isImportActive(data.job)) {
+            setPage(1);
+            setRefreshKey((key) => key + 1);
+            window.dispatchEvent(new Event('activityImported'));
+            return;
+          }
+        }
+      } catch (err) {
+        console.error('Error checking Strava import:', err);
+      }
+      if (!cancelled) timer = setTimeout(poll, IMPORT_POLL_MS);
+    };
+    timer = setTimeout(poll, IMPORT_POLL_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [activeImportId]);
+
+  const loadLatestImport = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/api/strava/import-jobs`, { headers: await getAuthHeaders() });
+      const data = await response.json();
+      if (response.ok) setImportJob(data.jobs?.[0] || null);
+    } catch (err) {
+      console.error('Error loading Strava imports:', err);
+    }
+  };
 
   const fetchActivities = async () => {
     setLoading(true);
@@ -137,6 +226,8 @@ function StravaActivities({ user, unit = 'km' }) {
       Swim: '🏊',
       Workout: '💪',
       Hike: '🥾',
+      Yoga: '🧘',
+      WeightTraining: '💪',
     };
     return icons[type] || '🏃';
   };
@@ -186,53 +277,98 @@ function StravaActivities({ user, unit = 'km' }) {
   };
 
   const handleImportAll = async () => {
-    if (!confirm(`Import all ${activities.length} Strava activities? This will add them to your activity log and award points.`)) {
+    const rangeText = importRange.from || importRange.to
+      ? ` from ${importRange.from || 'the start'} to ${importRange.to || 'today'}`
+      : '';
+    if (!confirm(`Import your Strava history${rangeText}? This adds the activities to your activity log and awards points. It runs in the background; you can leave this page.`)) {
       return;
     }
 
     setImportingAll(true);
     try {
-      const headers = {};
-      try {
-        const { data: { session } = {} } = await supabase.auth.getSession();
-        const token = session?.access_token;
-        if (token) headers.Authorization = `Bearer ${token}`;
-      } catch (err) {
-        console.error('Error getting session:', err);
-      }
-
-      const response = await fetch(`${API_BASE}/api/activities/import-strava`, {
+      const response = await fetch(`${API_BASE}/api/strava/import-jobs`, {
         method: 'POST',
-        headers: {
-          ...headers,
-          'Content-Type': 'application/json'
-        },
+        headers: await getAuthHeaders(),
         body: JSON.stringify({
-          importAll: true
+          from: importRange.from || null,
+          to: importRange.to || null
         })
       });
 
       const data = await response.json();
-      if (response.ok) {
-        alert(`Imported ${data.imported} activities! You earned points for ${data.imported} new activities.${data.skipped > 0 ? ` ${data.skipped} were already imported.` : ''}`);
-        // Refresh activities list to remove imported ones
-        setPage(1); // Reset to first page
-        await fetchActivities();
-        // Wait a moment for backend to update profile, then trigger refresh
-        setTimeout(() => {
-          window.dispatchEvent(new Event('activityImported'));
-        }, 500);
+      if (data.job) {
+        // 409 returns the import already in progress, which is shown the same way
+        setImportJob(data.job);
       } else {
-        alert(data.error || 'Failed to import activities');
+        alert(data.error || 'Failed to start import');
       }
     } catch (err) {
-      console.error('Error importing all activities:', err);
-      alert('Error importing activities');
+      console.error('Error starting Strava import:', err);
+      alert('Error starting import');
     } finally {
       setImportingAll(false);
     }
   };
 
+  const handleImportAction = async (action) => {
+    try {
+      const response = await fetch(`${API_BASE}/api/strava/import-jobs/${importJob.id}/${action}`, {
+        method: 'POST',
+        headers: await getAuthHeaders()
+      });
+      const data = await response.json();
+      if (data.job) {
+        setImportJob(data.job);
+      } else {
+        alert(data.error || `Failed to ${action} import`);
+      }
+      if (action === 'cancel' && response.ok) {
+        setRefreshKey((key) => key + 1);
+        window.dispatchEvent(new Event('activityImported'));
+      }
+    } catch (err) {
+      console.error(`Error trying to ${action} Strava import:`, err);
+      alert(`Error trying to ${action} import`);
+    }
+  };
+
+  const renderImportStatus = () => {
+    if (!importJob) return null;
+    const percent = getImportPercent(importJob);
+    const active = isImportActive(importJob);
+    return (
+      <div style={{ marginBottom: '1rem' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.5rem' }}>
+          <strong className="small">
+            {IMPORT_STATUS_LABELS[importJob.status] || importJob.status}
+            {(importJob.from || importJob.to) && ` (${importJob.from || 'start'} → ${importJob.to || 'today'})`}
+          </strong>
+          {active && (
+            <button onClick={() => handleImportAction('cancel')} className="btn-secondary" style={{ padding: '0.25rem 0.75rem', fontSize: '0.75rem' }}>
+              Cancel
+            </button>
+          )}
+          {(importJob.status === 'failed' || importJob.status === 'cancelled') && (
+            <button onClick={() => handleImportAction('resume')} className="btn-primary" style={{ padding: '0.25rem 0.75rem', fontSize: '0.75rem' }}>
+              Resume
+            </button>
+          )}
+        </div>
+        <ImportProgressBar percent={percent} />
+        <p className="small" style={{ marginTop: '0.25rem' }}>
+          {importJob.activitiesFound} found{percent !== null && percent < 100 ? ` (${percent}%)` : ''} • {importJob.imported} imported • {importJob.skipped} skipped
+          {importJob.failed > 0 && ` • ${importJob.failed} failed`}
+        </p>
+        {importJob.lastError && (
+          <p className="small error" style={{ marginTop: '0.25rem' }}>
+            {importJob.lastError}
+            {importJob.retryAt && ` — retrying at ${new Date(importJob.retryAt).toLocaleTimeString()}`}
+          </p>
+        )}
+      </div>
+    );
+  };
+
   if (!connected) {
     return (
       <div className="card">
@@ -264,17 +400,35 @@ function StravaActivities({ user, unit = 'km' }) {
     <div className="card">
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
         <h3>Strava Activities</h3>
-        {activities.length > 0 && (
-          <button
-            onClick={handleImportAll}
-            disabled={importingAll}
-            className="btn-primary"
-            style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
-          >
-            {importingAll ? 'Importing...' : 'Add All'}
-          </button>
-        )}
+        <button
+          onClick={handleImportAll}
+          disabled={importingAll || isImportActive(importJob)}
+          className="btn-primary"
+          style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+        >
+          {importingAll || isImportActive(importJob) ? 'Importing...' : 'Import History'}
+        </button>
       </div>
+      {!isImportActive(importJob) && (
+        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap', marginBottom: '1rem' }}>
+          <span className="small">Only import from</span>
+          <input
+            type="date"
+            value={importRange.from}
+            max={importRange.to || undefined}
+            onChange={(e) => setImportRange({ ...importRange, from: e.target.value })}
+          />
+          <span className="small">to</span>
+          <input
+            type="date"
+            value={importRange.to}
+            min={importRange.from || undefined}
+            onChange={(e) => setImportRange({ ...importRange, to: e.target.value })}
+          />
+          <span className="small">(optional)</span>
+        </div>
+      )}
+      {renderImportStatus()}
       {loading && activities.length === 0 ? (
         <p>Loading activities...</p>
       ) : (
@@ -283,7 +437,7 @@ function StravaActivities({ user, unit = 'km' }) {
             {activities.map((activity) => (
               <div key={activity.id} className="activity-item" style={{ position: 'relative' }}>
                 <div className="activity-header">
-                  <span className="activity-icon">{getActivityTypeIcon(activity.type)}</span>
+                  <span className="activity-icon">{getActivityTypeIcon(activity.sport_type || activity.type)}</span>
                   <div className="activity-info" style={{ flex: 1 }}>
                     <h4>{activity.name || activity.type}</h4>
                     <p className="small">{formatDate(activity.start_date_local)}</p>
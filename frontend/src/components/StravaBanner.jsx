@@ -17,7 +17,10 @@ function StravaBanner({ user, onConnectionChange }) {
   const fetchConnectionStatus = async () => {
     try {
       const idParam = user?.id ? `userId=${user.id}` : `username=${user.username}`;
-      const response = await fetch(`${API_BASE}/api/strava/status?${idParam}`);
+      const headers = {};
+      const { data: { session } = {} } = await supabase.auth.getSession();
+      if (session?.access_token) headers.Authorization = `Bearer ${session.access_token}`;
+      const response = await fetch(`${API_BASE}/api/strava/status?${idParam}`, { headers });
       const status = await response.json();
       setConnectionStatus(status);
       setLoading(false);
@@ -30,14 +33,9 @@ function StravaBanner({ user, onConnectionChange }) {
   const handleConnect = async () => {
     setConnecting(true);
     try {
-      let headers = {};
-      try {
-        const { data: { session } = {} } = await supabase.auth.getSession();
-        const token = session?.access_token;
-        if (token) headers.Authorization = `Bearer ${token}`;
-      } catch (err) {
-        // ignore
-      }
+      const headers = {};
+      const { data: { session } = {} } = await supabase.auth.getSession();
+      if (session?.access_token) headers.Authorization = `Bearer ${session.access_token}`;
 
       const idParam = user?.id ? `userId=${user.id}` : `username=${user.username}`;
       const response = await fetch(`${API_BASE}/api/strava/auth?${idParam}`, { headers });
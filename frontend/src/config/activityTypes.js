@@ -0,0 +1,17 @@
+// Activity types supported by the backend (keep in sync with backend/activity-types.js)
+export const ACTIVITY_TYPES = [
+  { value: 'run', label: 'Run', icon: '🏃', usesDistance: true },
+  { value: 'walk', label: 'Walk', icon: '🚶', usesDistance: true },
+  { value: 'hike', label: 'Hike', icon: '🥾', usesDistance: true },
+  { value: 'bike', label: 'Bike', icon: '🚴', usesDistance: true },
+  { value: 'swim', label: 'Swim', icon: '🏊', usesDistance: true },
+  { value: 'yoga', label: 'Yoga', icon: '🧘', usesDistance: false },
+  { value: 'workout', label: 'Workout', icon: '💪', usesDistance: false },
+  { value: 'other', label: 'Other', icon: '⭐', usesDistance: false },
+];
+
+export const getActivityType = (type) =>
+  ACTIVITY_TYPES.find((t) => t.value === type?.toLowerCase()) || ACTIVITY_TYPES[ACTIVITY_TYPES.length - 1];
+
+// Distance input is shown for distance sports, and for 'other' so e.g. skiing can still record it
+export const activityUsesDistance = (type) => getActivityType(type).usesDistance || type === 'other';
@@ -0,0 +1,10 @@
+// Who can see an activity (keep in sync with backend/privacy.js); the owner always can
+export const ACTIVITY_VISIBILITIES = [
+  { value: 'public', label: 'Everyone', icon: '🌍' },
+  { value: 'friends', label: 'Friends', icon: '🤝' },
+  { value: 'team', label: 'Teammates', icon: '👥' },
+  { value: 'private', label: 'Only me', icon: '🔒' },
+];
+
+export const getActivityVisibility = (value) =>
+  ACTIVITY_VISIBILITIES.find((v) => v.value === value) || ACTIVITY_VISIBILITIES[0];
@@ -0,0 +1,454 @@
+import React, { useState, useEffect } from 'react';
+import { supabase } from '../supabaseClient';
+import { API_BASE } from '../config/api';
+import { ACTIVITY_TYPES } from '../config/activityTypes';
+
+const METRICS = [
+  { value: 'distance_km', label: 'Distance (km)', unit: 'km' },
+  { value: 'duration_minutes', label: 'Active minutes', unit: 'min' },
+  { value: 'activity_count', label: 'Activities', unit: 'activities' },
+  { value: 'active_days', label: 'Active days', unit: 'days' },
+  { value: 'points', label: 'Points', unit: 'pts' },
+];
+
+const STATUS_ORDER = ['active', 'upcoming', 'ended'];
+
+const emptyForm = {
+  name: '',
+  description: '',
+  metric: 'distance_km',
+  target: 50,
+  startDate: '',
+  endDate: '',
+  scope: 'individual',
+  activityTypes: [],
+};
+
+const getMetric = (value) => METRICS.find((m) => m.value === value) || METRICS[0];
+
+function ProgressBar({ percent }) {
+  return (
+    <div style={{ background: 'rgba(139, 92, 246, 0.15)', borderRadius: '999px', height: '8px', overflow: 'hidden', marginTop: '0.25rem' }}>
+      <div style={{ width: `${percent}%`, background: '#8b5cf6', height: '100%' }} />
+    </div>
+  );
+}
+
+export default function Challenges({ user }) {
+  const [challenges, setChallenges] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  const [createForm, setCreateForm] = useState(emptyForm);
+  const [selectedChallenge, setSelectedChallenge] = useState(null);
+  const [myTeams, setMyTeams] = useState([]);
+  const [teamChoice, setTeamChoice] = useState({});
+
+  const getAuthHeaders = async () => {
+    const headers = { 'Content-Type': 'application/json' };
+    try {
+      const { data: { session } = {} } = await supabase.auth.getSession();
+      const token = session?.access_token;
+      if (token) headers.Authorization = `Bearer ${token}`;
+    } catch (err) {
+      console.error('Error getting session:', err);
+    }
+    return headers;
+  };
+
+  const loadChallenges = async () => {
+    try {
+      const headers = await getAuthHeaders();
+      const res = await fetch(`${API_BASE}/api/challenges`, { headers });
+      const data = await res.json();
+      if (res.ok) {
+        setChallenges(data.challenges || []);
+      } else {
+        alert(`Failed to load challenges: ${data.error || res.statusText}`);
+      }
+    } catch (err) {
+      console.error('Error loading challenges:', err);
+    }
+  };
+
+  const loadMyTeams = async () => {
+    try {
+      const headers = await getAuthHeaders();
+      const res = await fetch(`${API_BASE}/api/teams`, { headers });
+      if (res.ok) {
+        const data = await res.json();
+        setMyTeams((data.teams || []).filter((team) => team.members?.some((member) => member.user_id === user?.id)));
+      }
+    } catch (err) {
+      console.error('Error loading teams:', err);
+    }
+  };
+
+  useEffect(() => {
+    const loadData = async () => {
+      setLoading(true);
+      await Promise.all([loadChallenges(), loadMyTeams()]);
+      setLoading(false);
+    };
+    if (user) loadData();
+  }, [user]);
+
+  const loadChallengeDetails = async (challengeId) => {
+    try {
+      const headers = await getAuthHeaders();
+      const res = await fetch(`${API_BASE}/api/challenges/${challengeId}`, { headers });
+      if (res.ok) {
+        const data = await res.json();
+        setSelectedChallenge(data.challenge);
+      }
+    } catch (err) {
+      console.error('Error loading challenge details:', err);
+    }
+  };
+
+  const toggleActivityType = (type) => {
+    const current = createForm.activityTypes;
+    setCreateForm({
+      ...createForm,
+      activityTypes: current.includes(type) ? current.filter((t) => t !== type) : [...current, type],
+    });
+  };
+
+  const handleCreateChallenge = async (e) => {
+    e.preventDefault();
+    try {
+      const headers = await getAuthHeaders();
+      const res = await fetch(`${API_BASE}/api/challenges`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          ...createForm,
+          target: Number(createForm.target),
+          activityTypes: createForm.activityTypes.length > 0 ? createForm.activityTypes : null,
+        }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        alert('Challenge created!');
+        setShowCreateForm(false);
+        setCreateForm(emptyForm);
+        await loadChallenges();
+      } else {
+        alert(data.details ? data.details.join('\n') : data.error || 'Failed to create challenge');
+      }
+    } catch (err) {
+      console.error('Error creating challenge:', err);
+      alert('Error creating challenge');
+    }
+  };
+
+  const handleJoin = async (challenge) => {
+    try {
+      const headers = await getAuthHeaders();
+      const body = challenge.scope === 'team' && teamChoice[challenge.id] ? { teamId: teamChoice[challenge.id] } : {};
+      const res = await fetch(`${API_BASE}/api/challenges/${challenge.id}/join`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        await loadChallenges();
+      } else {
+        alert(data.error || 'Failed to join challenge');
+      }
+    } catch (err) {
+      console.error('Error joining challenge:', err);
+      alert('Error joining challenge');
+    }
+  };
+
+  const handleLeave = async (challengeId) => {
+    if (!confirm('Leave this challenge?')) return;
+    try {
+      const headers = await getAuthHeaders();
+      const res = await fetch(`${API_BASE}/api/challenges/${challengeId}/leave`, { method: 'POST', headers });
+      const data = await res.json();
+      if (res.ok) {
+        await loadChallenges();
+      } else {
+        alert(data.error || 'Failed to leave challenge');
+      }
+    } catch (err) {
+      console.error('Error leaving challenge:', err);
+      alert('Error leaving challenge');
+    }
+  };
+
+  const handleDelete = async (challengeId) => {
+    if (!confirm('Delete this challenge? This action cannot be undone.')) return;
+    try {
+      const headers = await getAuthHeaders();
+      const res = await fetch(`${API_BASE}/api/challenges/${challengeId}`, { method: 'DELETE', headers });
+      const data = await res.json();
+      if (res.ok) {
+        setSelectedChallenge(null);
+        await loadChallenges();
+      } else {
+        alert(data.error || 'Failed to delete challenge');
+      }
+    } catch (err) {
+      console.error('Error deleting challenge:', err);
+      alert('Error deleting challenge');
+    }
+  };
+
+  const describeTypes = (types) => {
+    if (!types || types.length === 0) return 'Any activity';
+    return types.map((type) => ACTIVITY_TYPES.find((t) => t.value === type)?.label || type).join(', ');
+  };
+
+  if (loading) {
+    return <div style={{ padding: '2rem', textAlign: 'center' }}>Loading...</div>;
+  }
+
+  const grouped = STATUS_ORDER.map((status) => ({
+    status,
+    items: challenges.filter((c) => c.status === status),
+  })).filter((group) => group.items.length > 0);
+
+  return (
+    <div style={{ maxWidth: 900, margin: '0 auto', padding: '1rem' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+        <h2>Challenges</h2>
+        <button onClick={() => setShowCreateForm(!showCreateForm)} className="btn-primary">
+          {showCreateForm ? 'Cancel' : 'Create Challenge'}
+        </button>
+      </div>
+
+      {/* Create challenge form */}
+      {showCreateForm && (
+        <div className="card" style={{ marginBottom: '1rem' }}>
+          <h3>Create New Challenge</h3>
+          <form onSubmit={handleCreateChallenge}>
+            <label>
+              Name <span style={{ color: 'red' }}>*</span>
+              <input
+                type="text"
+                value={createForm.name}
+                onChange={(e) => setCreateForm({ ...createForm, name: e.target.value })}
+                placeholder="Run 50 km in November"
+                required
+              />
+            </label>
+            <label>
+              Description
+              <textarea
+                value={createForm.description}
+                onChange={(e) => setCreateForm({ ...createForm, description: e.target.value })}
+                style={{ width: '100%', padding: '0.5rem', marginTop: '0.25rem', minHeight: '60px' }}
+              />
+            </label>
+            <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'flex-end' }}>
+              <label style={{ flex: 2, minWidth: 0 }}>
+                Goal
+                <select value={createForm.metric} onChange={(e) => setCreateForm({ ...createForm, metric: e.target.value })}>
+                  {METRICS.map((m) => (
+                    <option key={m.value} value={m.value}>{m.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label style={{ flex: 1, minWidth: 0 }}>
+                Target
+                <input
+                  type="number"
+                  min="1"
+                  step="any"
+                  value={createForm.target}
+                  onChange={(e) => setCreateForm({ ...createForm, target: e.target.value })}
+                  required
+                />
+              </label>
+            </div>
+            <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'flex-end' }}>
+              <label style={{ flex: 1, minWidth: 0 }}>
+                Start date
+                <input
+                  type="date"
+                  value={createForm.startDate}
+                  onChange={(e) => setCreateForm({ ...createForm, startDate: e.target.value })}
+                  required
+                />
+              </label>
+              <label style={{ flex: 1, minWidth: 0 }}>
+                End date
+                <input
+                  type="date"
+                  value={createForm.endDate}
+                  onChange={(e) => setCreateForm({ ...createForm, endDate: e.target.value })}
+                  required
+                />
+              </label>
+              <label style={{ flex: 1, minWidth: 0 }}>
+                Scope
+                <select value={createForm.scope} onChange={(e) => setCreateForm({ ...createForm, scope: e.target.value })}>
+                  <option value="individual">Individual</option>
+                  <option value="team">Team</option>
+                </select>
+              </label>
+            </div>
+            <div style={{ marginBottom: '1rem' }}>
+              <span className="small">Counts activities of type (none selected = any):</span>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', marginTop: '0.25rem' }}>
+                {ACTIVITY_TYPES.map((t) => (
+                  <button
+                    key={t.value}
+                    type="button"
+                    className={createForm.activityTypes.includes(t.value) ? 'btn-primary' : 'btn-secondary'}
+                    style={{ padding: '0.25rem 0.75rem', fontSize: '0.75rem' }}
+                    onClick={() => toggleActivityType(t.value)}
+                  >
+                    {t.icon} {t.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <button type="submit" className="btn-primary">Create Challenge</button>
+          </form>
+        </div>
+      )}
+
+      {grouped.length === 0 && (
+        <div className="card">
+          <p className="small">No challenges yet. Create one above!</p>
+        </div>
+      )}
+
+      {grouped.map(({ status, items }) => (
+        <div key={status} className="card" style={{ marginBottom: '1rem' }}>
+          <h3 style={{ textTransform: 'capitalize' }}>{status} ({items.length})</h3>
+          <ul style={{ listStyle: 'none', padding: 0 }}>
+            {items.map((challenge) => {
+              const metric = getMetric(challenge.metric);
+              const percent = challenge.joined
+                ? Math.min(100, Math.round(((challenge.my_progress || 0) / challenge.target) * 100))
+                : 0;
+              return (
+                <li
+                  key={challenge.id}
+                  style={{ padding: '1rem', borderBottom: '1px solid #eee', cursor: 'pointer' }}
+                  onClick={() => loadChallengeDetails(challenge.id)}
+                >
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
+                    <div style={{ flex: 1 }}>
+                      <strong>{challenge.name}</strong>
+                      {challenge.scope === 'team' && <span className="small" style={{ marginLeft: '0.5rem', color: '#8b5cf6' }}>👥 Team</span>}
+                      <p className="small" style={{ marginTop: '0.25rem' }}>
+                        {challenge.target} {metric.unit} • {describeTypes(challenge.activity_types)} • {challenge.start_date} → {challenge.end_date}
+                      </p>
+                      <p className="small" style={{ marginTop: '0.25rem' }}>
+                        {challenge.participant_count} participant{challenge.participant_count !== 1 ? 's' : ''}
+                      </p>
+                      {challenge.joined && (
+                        <>
+                          <p className="small" style={{ marginTop: '0.25rem' }}>
+                            Your progress: {challenge.my_progress} / {challenge.target} {metric.unit}
+                          </p>
+                          <ProgressBar percent={percent} />
+                        </>
+                      )}
+                    </div>
+                    <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }} onClick={(e) => e.stopPropagation()}>
+                      {challenge.joined ? (
+                        status !== 'ended' && (
+                          <button onClick={() => handleLeave(challenge.id)} className="btn-secondary" style={{ padding: '0.25rem 0.75rem' }}>
+                            Leave
+                          </button>
+                        )
+                      ) : (
+                        status !== 'ended' && (
+                          <>
+                            {challenge.scope === 'team' && myTeams.length > 1 && (
+                              <select
+                                value={teamChoice[challenge.id] || ''}
+                                onChange={(e) => setTeamChoice({ ...teamChoice, [challenge.id]: e.target.value })}
+                              >
+                                <option value="">Pick team</option>
+                                {myTeams.map((team) => (
+                                  <option key={team.id} value={team.id}>{team.name}</option>
+                                ))}
+                              </select>
+                            )}
+                            <button onClick={() => handleJoin(challenge)} className="btn-primary" style={{ padding: '0.25rem 0.75rem' }}>
+                              Join
+                            </button>
+                          </>
+                        )
+                      )}
+                    </div>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      ))}
+
+      {/* Challenge Details Modal */}
+      {selectedChallenge && (
+        <div
+          style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: 'rgba(0,0,0,0.5)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 1000
+          }}
+          onClick={() => setSelectedChallenge(null)}
+        >
+          <div
+            className="card"
+            style={{ maxWidth: 500, width: '90%', maxHeight: '80vh', overflow: 'auto' }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+              <h3>{selectedChallenge.name}</h3>
+              <button onClick={() => setSelectedChallenge(null)} className="btn-secondary">Close</button>
+            </div>
+            {selectedChallenge.description && <p>{selectedChallenge.description}</p>}
+            <p className="small">
+              Goal: {selectedChallenge.target} {getMetric(selectedChallenge.metric).unit} • {describeTypes(selectedChallenge.activity_types)}
+            </p>
+            <p className="small">
+              {selectedChallenge.start_date} → {selectedChallenge.end_date} • Created by {selectedChallenge.creator?.display_name || 'Unknown'}
+            </p>
+            <h4>{selectedChallenge.scope === 'team' ? 'Team standings' : 'Standings'}</h4>
+            {selectedChallenge.standings?.length > 0 ? (
+              <ul style={{ listStyle: 'none', padding: 0 }}>
+                {selectedChallenge.standings.map((entry) => (
+                  <li key={entry.id} style={{ padding: '0.5rem', borderBottom: '1px solid #eee' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                      <span>
+                        <strong>#{entry.rank} {entry.name}</strong>
+                        {entry.completed && <span style={{ marginLeft: '0.5rem' }}>✅</span>}
+                        {entry.members !== undefined && <span className="small" style={{ marginLeft: '0.5rem' }}>• {entry.members} member{entry.members !== 1 ? 's' : ''}</span>}
+                      </span>
+                      <span className="small">{entry.progress} / {selectedChallenge.target}</span>
+                    </div>
+                    <ProgressBar percent={entry.percent} />
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="small">No participants yet.</p>
+            )}
+            {selectedChallenge.created_by === user?.id && (
+              <button onClick={() => handleDelete(selectedChallenge.id)} className="btn-secondary" style={{ marginTop: '1rem' }}>
+                Delete challenge
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
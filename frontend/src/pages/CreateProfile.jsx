@@ -2,11 +2,14 @@ import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { supabase } from '../supabaseClient';
 import { API_BASE } from '../config/api';
+import CityInput from '../components/CityInput';
 
 export default function CreateProfile({ onProfileComplete }) {
   const navigate = useNavigate();
   const [username, setUsername] = useState('');
   const [city, setCity] = useState('');
+  // Set when a suggestion is picked; typed text is resolved by the server instead
+  const [cityId, setCityId] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
@@ -45,7 +48,9 @@ export default function CreateProfile({ onProfileComplete }) {
         },
         body: JSON.stringify({
           display_name: username.trim(),
-          city: city.trim()
+          city: city.trim(),
+          city_id: cityId,
+          time_zone: Intl.DateTimeFormat().resolvedOptions().timeZone
         })
       });
 
@@ -76,6 +81,7 @@ export default function CreateProfile({ onProfileComplete }) {
         lng: profile.lng || null,
         points: profile.points || 0,
         streak: profile.streak || 0,
+        streakFreezes: profile.streak_freezes || 0,
         badges: profile.badges || [],
         password: null,
       };
@@ -120,17 +126,18 @@ export default function CreateProfile({ onProfileComplete }) {
 
           <label style={{ marginBottom: '1rem' }}>
             Location
-            <input
-              type="text"
+            <CityInput
               value={city}
-              onChange={(e) => setCity(e.target.value)}
+              onChange={(text, id) => {
+                setCity(text);
+                setCityId(id);
+              }}
               placeholder="e.g., Philadelphia, New York, Los Angeles"
-              maxLength={100}
               disabled={loading}
               required
             />
             <small style={{ display: 'block', marginTop: '0.25rem', color: '#94a3b8', fontSize: '0.8rem' }}>
-              Your city or location (helps friends find you)
+              Your city or location (helps friends find you). Pick a suggestion to appear on the map and city leaderboard.
             </small>
           </label>
 
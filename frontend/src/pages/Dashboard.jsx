@@ -6,7 +6,74 @@ import { supabase } from '../supabaseClient';
 import StravaBanner from '../components/StravaBanner';
 import StravaActivities from '../components/StravaActivities';
 import LoggedActivities from '../components/LoggedActivities';
+import ActivityFeed from '../components/ActivityFeed';
 import { API_BASE } from '../config/api';
+import { subscribeToEvents } from '../realtime';
+import { decodePolyline } from '../polyline';
+import { ACTIVITY_TYPES } from '../config/activityTypes';
+
+// Presence thresholds, matching backend/presence.js: seen within 5 minutes is active, within 15 online
+const ACTIVE_WITHIN_MS = 5 * 60 * 1000;
+const ONLINE_WITHIN_MS = 15 * 60 * 1000;
+const MAP_POINTS_LIMIT = 500;
+// Long routes are sampled down to this many heat points so they don't drown out short ones
+const ROUTE_HEAT_SAMPLES = 60;
+
+const getPresenceStatus = (lastSeen) => {
+  if (!lastSeen) return 'offline';
+  const elapsed = Date.now() - new Date(lastSeen).getTime();
+  if (elapsed < ACTIVE_WITHIN_MS) return 'active';
+  if (elapsed < ONLINE_WITHIN_MS) return 'online';
+  return 'offline';
+};
+
+const toHeatIntensity = (point) => Math.min(Math.max((point.intensity || 1) / 100, 0.1), 1.0);
+
+// Heat data [lat, lng, intensity] for leaflet.heat: along each route, or at the start when there is none
+function buildHeatData(mapPoints, routes) {
+  const heatData = [];
+  mapPoints.forEach((point) => {
+    const intensity = toHeatIntensity(point);
+    const latLngs = routes.get(point.id);
+    if (!latLngs) {
+      heatData.push([Number(point.lat), Number(point.lng), intensity]);
+      return;
+    }
+    const step = Math.max(1, Math.floor(latLngs.length / ROUTE_HEAT_SAMPLES));
+    for (let i = 0; i < latLngs.length; i += step) {
+      heatData.push([latLngs[i][0], latLngs[i][1], intensity / 2]);
+    }
+  });
+  return heatData;
+}
+
+/**
+ * Query string for GET /activity-map
+ * @param {Object} filters - { type, from, to, bbox } (empty values are left out)
+ */
+function buildMapQueryString(filters) {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+// Whether a live activity belongs on the map under the current filters (mirrors backend/activity-map.js)
+function matchesMapFilters(point, { type, from, to, bbox }) {
+  if (type && point.type !== type) return false;
+  if (from && point.date < from) return false;
+  if (to && point.date > to) return false;
+  if (bbox) {
+    if (point.approximate) return false;
+    const [west, south, east, north] = bbox.split(',').map(Number);
+    if (point.lat < south || point.lat > north) return false;
+    const inLng = west <= east ? point.lng >= west && point.lng <= east : point.lng >= west || point.lng <= east;
+    if (!inLng) return false;
+  }
+  return true;
+}
 
 function Leaderboard({ data }) {
   return (
@@ -46,11 +113,12 @@ function Leaderboard({ data }) {
   );
 }
 
-function ActivityMap({ mapPoints, teamMembers }) {
+function ActivityMap({ mapPoints, teamMembers, filters, onFiltersChange }) {
   const mapRef = useRef(null);
   const mapInstanceRef = useRef(null);
   const markersRef = useRef([]);
   const heatLayerRef = useRef(null);
+  const routeLayerRef = useRef(null);
   const [selectedMember, setSelectedMember] = useState(null);
   const mapContainerRef = useRef(null);
 
@@ -83,10 +151,12 @@ function ActivityMap({ mapPoints, teamMembers }) {
   };
 
   // Calculate center from user locations if available, default to center coordinates
+  // Members whose city isn't known have no location and are left off the map
   const mapCenter = useMemo(() => {
-    if (teamMembers && teamMembers.length > 0) {
-      const avgLat = teamMembers.reduce((sum, m) => sum + m.lat, 0) / teamMembers.length;
-      const avgLng = teamMembers.reduce((sum, m) => sum + m.lng, 0) / teamMembers.length;
+    const located = (teamMembers || []).filter((m) => m.lat != null && m.lng != null);
+    if (located.length > 0) {
+      const avgLat = located.reduce((sum, m) => sum + m.lat, 0) / located.length;
+      const avgLng = located.reduce((sum, m) => sum + m.lng, 0) / located.length;
       return [avgLat, avgLng];
     }
     if (mapPoints && mapPoints.length > 0) {
@@ -97,6 +167,24 @@ function ActivityMap({ mapPoints, teamMembers }) {
     return [39.9526, -75.1652]; // Default center
   }, [teamMembers, mapPoints]);
 
+  // Decoded routes by activity id
+  const routes = useMemo(() => {
+    const decoded = new Map();
+    (mapPoints || []).forEach((point) => {
+      const latLngs = point.route ? decodePolyline(point.route) : [];
+      if (latLngs.length > 1) decoded.set(point.id, latLngs);
+    });
+    return decoded;
+  }, [mapPoints]);
+
+  const updateFilter = (key, value) => onFiltersChange({ ...filters, [key]: value });
+
+  // Limit the map to what's currently in view; the box stays fixed until cleared
+  const toggleAreaFilter = () => {
+    const bounds = mapInstanceRef.current?.getBounds();
+    updateFilter('bbox', filters.bbox || !bounds ? '' : bounds.toBBoxString());
+  };
+
   // Initialize map
   useEffect(() => {
     if (!mapContainerRef.current || mapInstanceRef.current) return;
@@ -132,19 +220,16 @@ function ActivityMap({ mapPoints, teamMembers }) {
 
   // Update heatmap layer
   useEffect(() => {
-    if (!mapInstanceRef.current || !mapPoints || mapPoints.length === 0) return;
+    if (!mapInstanceRef.current) return;
 
     // Remove existing heat layer
     if (heatLayerRef.current) {
       mapInstanceRef.current.removeLayer(heatLayerRef.current);
       heatLayerRef.current = null;
     }
+    if (!mapPoints || mapPoints.length === 0) return;
 
-    // Prepare heatmap data [lat, lng, intensity]
-    const heatData = mapPoints.map(point => {
-      const intensity = Math.min(Math.max((point.intensity || 1) / 100, 0.1), 1.0);
-      return [Number(point.lat), Number(point.lng), intensity];
-    });
+    const heatData = buildHeatData(mapPoints, routes);
 
     // Add heat layer using leaflet.heat
     try {
@@ -171,7 +256,34 @@ function ActivityMap({ mapPoints, teamMembers }) {
     } catch (error) {
       console.warn('Error creating heat layer:', error);
     }
-  }, [mapPoints]);
+  }, [mapPoints, routes]);
+
+  // Draw routes over the heatmap
+  useEffect(() => {
+    if (!mapInstanceRef.current) return;
+
+    if (routeLayerRef.current) {
+      mapInstanceRef.current.removeLayer(routeLayerRef.current);
+      routeLayerRef.current = null;
+    }
+    if (routes.size === 0) return;
+
+    const layer = L.layerGroup();
+    (mapPoints || []).forEach((point) => {
+      const latLngs = routes.get(point.id);
+      if (!latLngs) return;
+      L.polyline(latLngs, { color: '#8b5cf6', weight: 3, opacity: 0.6 })
+        .bindPopup(`
+          <div class="info-window">
+            <h4>${point.username}</h4>
+            <p><strong>${point.type}</strong> on ${point.date}${point.distanceKm ? ` — ${Number(point.distanceKm).toFixed(1)} km` : ''}</p>
+          </div>
+        `)
+        .addTo(layer);
+    });
+    layer.addTo(mapInstanceRef.current);
+    routeLayerRef.current = layer;
+  }, [mapPoints, routes]);
 
   // Update markers
   useEffect(() => {
@@ -185,6 +297,7 @@ function ActivityMap({ mapPoints, teamMembers }) {
 
     // Add new markers
     teamMembers.forEach((member) => {
+      if (member.lat == null || member.lng == null) return;
       const lat = Number(member.lat);
       const lng = Number(member.lng);
 
@@ -219,7 +332,8 @@ function ActivityMap({ mapPoints, teamMembers }) {
             <p><strong>City:</strong> ${member.city}</p>
             <p><strong>Points:</strong> ${member.points} pts</p>
             <p><strong>Streak:</strong> ${member.streak} days 🔥</p>
-            <p><strong>Team:</strong> ${member.teamId}</p>
+            <p><strong>Team:</strong> ${member.teamName || member.teamId}</p>
+            <p><strong>Last active:</strong> ${member.lastActivityDate || 'No activities yet'}</p>
           </div>
         `)
         .on('click', () => {
@@ -234,11 +348,24 @@ function ActivityMap({ mapPoints, teamMembers }) {
     <div className="card map-card">
       <h3>Live Activity Map</h3>
       <p className="small">
-        Heat map showing today's activities. Team members marked with status: 
+        Heat map and routes of recent activities, updated as they are logged; activities without GPS data sit at their owner's city. Team members marked with status: 
         <span style={{ color: '#10b981' }}> 🟢 Active</span>, 
         <span style={{ color: '#3b82f6' }}> 🔵 Online</span>, 
         <span style={{ color: '#6b7280' }}> ⚫ Offline</span>
       </p>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', alignItems: 'center', marginBottom: '0.75rem' }}>
+        <select value={filters.type} onChange={(e) => updateFilter('type', e.target.value)} aria-label="Activity type">
+          <option value="">All types</option>
+          {ACTIVITY_TYPES.map((t) => (
+            <option key={t.value} value={t.value}>{t.icon} {t.label}</option>
+          ))}
+        </select>
+        <input type="date" value={filters.from} max={filters.to || undefined} onChange={(e) => updateFilter('from', e.target.value)} aria-label="From date" />
+        <input type="date" value={filters.to} min={filters.from || undefined} onChange={(e) => updateFilter('to', e.target.value)} aria-label="To date" />
+        <button type="button" onClick={toggleAreaFilter}>
+          {filters.bbox ? 'Show all areas' : 'Only this area'}
+        </button>
+      </div>
       <div 
         ref={mapContainerRef} 
         style={{ 
@@ -255,7 +382,8 @@ function ActivityMap({ mapPoints, teamMembers }) {
           <p style={{ color: '#cbd5e1' }}><strong>City:</strong> {selectedMember.city}</p>
           <p style={{ color: '#cbd5e1' }}><strong>Points:</strong> {selectedMember.points} pts</p>
           <p style={{ color: '#cbd5e1' }}><strong>Streak:</strong> {selectedMember.streak} days 🔥</p>
-          <p style={{ color: '#cbd5e1' }}><strong>Team:</strong> {selectedMember.teamId}</p>
+          <p style={{ color: '#cbd5e1' }}><strong>Team:</strong> {selectedMember.teamName || selectedMember.teamId}</p>
+          <p style={{ color: '#cbd5e1' }}><strong>Last active:</strong> {selectedMember.lastActivityDate || 'No activities yet'}</p>
           <button onClick={() => setSelectedMember(null)} style={{ marginTop: '0.5rem' }}>Close</button>
         </div>
       )}
@@ -263,32 +391,130 @@ function ActivityMap({ mapPoints, teamMembers }) {
   );
 }
 
-function StreaksAndBadges({ user }) {
-  // Define badge milestones
-  const streakBadges = [
-    { days: 3, name: 'Getting Started', icon: '🔥' },
-    { days: 7, name: 'Week Warrior', icon: '💪' },
-    { days: 14, name: 'Two Week Champion', icon: '⭐' },
-    { days: 30, name: 'Monthly Master', icon: '🏆' },
-    { days: 60, name: 'Dedication Deity', icon: '👑' },
-    { days: 100, name: 'Century Streak', icon: '💯' },
-  ];
-
-  const pointBadges = [
-    { points: 100, name: 'First Hundred', icon: '🎯' },
-    { points: 500, name: 'Point Collector', icon: '📊' },
-    { points: 1000, name: 'Grand Master', icon: '🌟' },
-    { points: 2500, name: 'Elite Achiever', icon: '💎' },
-    { points: 5000, name: 'Legendary', icon: '⚡' },
-  ];
-
-  // Calculate earned badges
-  const earnedStreakBadges = streakBadges.filter((badge) => user.streak >= badge.days);
-  const earnedPointBadges = pointBadges.filter((badge) => user.points >= badge.points);
-
-  // Find next milestone
-  const nextStreakBadge = streakBadges.find((badge) => user.streak < badge.days);
-  const nextPointBadge = pointBadges.find((badge) => user.points < badge.points);
+const BADGE_SECTIONS = [
+  { category: 'streak', title: 'Streak Badges' },
+  { category: 'points', title: 'Point Badges' },
+  { category: 'distance', title: 'Distance Badges' },
+  { category: 'first_of_type', title: 'Firsts' },
+  { category: 'challenge', title: 'Challenge Badges' },
+];
+
+function StreakProtection({ refreshTrigger }) {
+  const [info, setInfo] = useState(null);
+  const [restDate, setRestDate] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const getAuthHeaders = async () => {
+    const headers = { 'Content-Type': 'application/json' };
+    const { data: { session } } = await supabase.auth.getSession();
+    if (session?.access_token) headers.Authorization = `Bearer ${session.access_token}`;
+    return headers;
+  };
+
+  // Reload when activities change or after a freeze/rest-day update (reloadKey)
+  useEffect(() => {
+    const fetchStreakInfo = async () => {
+      try {
+        const response = await fetch(`${API_BASE}/api/streaks`, { headers: await getAuthHeaders() });
+        if (response.ok) {
+          const data = await response.json();
+          setInfo(data);
+          setRestDate((current) => current || data.today);
+        }
+      } catch (error) {
+        console.error('Error fetching streak info:', error);
+      }
+    };
+
+    fetchStreakInfo();
+  }, [refreshTrigger, reloadKey]);
+
+  // Reload here and let the app refresh the navbar streak chip
+  const sendStreakRequest = async (path, options) => {
+    try {
+      const response = await fetch(`${API_BASE}${path}`, { ...options, headers: await getAuthHeaders() });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error || 'Request failed');
+        return;
+      }
+      setReloadKey((key) => key + 1);
+      window.dispatchEvent(new CustomEvent('streakUpdated'));
+    } catch (error) {
+      console.error('Error updating streak:', error);
+      alert('Error updating streak');
+    }
+  };
+
+  const handleBuyFreeze = () => {
+    if (!confirm(`Spend ${info.rules.freeze_cost} points on a streak freeze?`)) return;
+    sendStreakRequest('/api/streaks/freezes/purchase', { method: 'POST' });
+  };
+
+  const handlePlanRestDay = () => {
+    sendStreakRequest('/api/streaks/rest-days', { method: 'POST', body: JSON.stringify({ date: restDate }) });
+  };
+
+  const handleCancelRestDay = (date) => {
+    sendStreakRequest(`/api/streaks/rest-days/${date}`, { method: 'DELETE' });
+  };
+
+  if (!info) return null;
+
+  const { rules } = info;
+  const upcomingRestDays = info.days_off.filter((day) => day.kind === 'rest' && day.date >= info.today);
+  const recentFreezes = info.days_off.filter((day) => day.kind === 'freeze');
+
+  return (
+    <section className="badges-section">
+      <h4>Streak Protection</h4>
+      <p className="small">
+        🧊 {info.streak_freezes}/{rules.max_freezes} freezes. A freeze covers a missed day automatically;
+        you earn one every {rules.freeze_earn_interval} streak days.
+      </p>
+      <button
+        className="btn-secondary"
+        style={{ padding: '0.25rem 0.75rem' }}
+        disabled={info.streak_freezes >= rules.max_freezes}
+        onClick={handleBuyFreeze}
+      >
+        Buy freeze ({rules.freeze_cost} pts)
+      </button>
+      {recentFreezes.length > 0 && (
+        <p className="small" style={{ marginTop: '0.5rem' }}>
+          Recently frozen: {recentFreezes.map((day) => day.date).join(', ')}
+        </p>
+      )}
+
+      <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginTop: '0.75rem' }}>
+        <input type="date" value={restDate} min={info.today} onChange={(e) => setRestDate(e.target.value)} />
+        <button className="btn-secondary" style={{ padding: '0.25rem 0.75rem' }} onClick={handlePlanRestDay}>
+          Plan rest day
+        </button>
+      </div>
+      <p className="small">
+        Rest days keep your streak without counting toward it ({rules.rest_days_per_week} per week).
+      </p>
+      {upcomingRestDays.length > 0 && (
+        <ul style={{ listStyle: 'none', padding: 0 }}>
+          {upcomingRestDays.map((day) => (
+            <li key={day.date} className="small" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <span>😴 Rest day {day.date === info.today ? 'today' : day.date}</span>
+              <button className="btn-secondary" style={{ padding: '0.125rem 0.5rem', fontSize: '0.75rem' }} onClick={() => handleCancelRestDay(day.date)}>
+                Cancel
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+function StreaksAndBadges({ user, badges, refreshTrigger }) {
+  // Find next streak milestone
+  const nextStreakBadge = badges.find((badge) => badge.category === 'streak' && !badge.earned);
+  const daysToNext = nextStreakBadge ? nextStreakBadge.progress.target - (user.streak || 0) : 0;
 
   return (
     <div className="card">
@@ -298,48 +524,44 @@ function StreaksAndBadges({ user }) {
       <div className="streak-display">
         <div className="streak-number">{user.streak || 0}</div>
         <div className="streak-label">Day Streak 🔥</div>
-        {nextStreakBadge && (
+        {user.longestStreak > 0 && (
+          <div className="streak-progress">
+            <small>Longest streak: {user.longestStreak} day{user.longestStreak !== 1 ? 's' : ''}</small>
+          </div>
+        )}
+        {nextStreakBadge && daysToNext > 0 && (
           <div className="streak-progress">
             <small>
-              {nextStreakBadge.days - user.streak} more day{nextStreakBadge.days - user.streak !== 1 ? 's' : ''} until {nextStreakBadge.name} {nextStreakBadge.icon}
+              {daysToNext} more day{daysToNext !== 1 ? 's' : ''} until {nextStreakBadge.name} {nextStreakBadge.icon}
             </small>
           </div>
         )}
       </div>
 
-      {/* Streak Badges */}
-      <section className="badges-section">
-        <h4>Streak Badges</h4>
-        <div className="badges-grid">
-          {streakBadges.map((badge) => {
-            const earned = user.streak >= badge.days;
-            return (
-              <div key={badge.days} className={`badge ${earned ? 'earned' : 'locked'}`}>
-                <div className="badge-icon">{badge.icon}</div>
-                <div className="badge-name">{badge.name}</div>
-                <div className="badge-requirement">{badge.days} days</div>
-              </div>
-            );
-          })}
-        </div>
-      </section>
-
-      {/* Point Badges */}
-      <section className="badges-section">
-        <h4>Point Badges</h4>
-        <div className="badges-grid">
-          {pointBadges.map((badge) => {
-            const earned = user.points >= badge.points;
-            return (
-              <div key={badge.points} className={`badge ${earned ? 'earned' : 'locked'}`}>
-                <div className="badge-icon">{badge.icon}</div>
-                <div className="badge-name">{badge.name}</div>
-                <div className="badge-requirement">{badge.points} pts</div>
-              </div>
-            );
-          })}
-        </div>
-      </section>
+      <StreakProtection refreshTrigger={refreshTrigger} />
+
+      {BADGE_SECTIONS.map(({ category, title }) => {
+        const sectionBadges = badges.filter((badge) => badge.category === category);
+        if (sectionBadges.length === 0) return null;
+        return (
+          <section key={category} className="badges-section">
+            <h4>{title}</h4>
+            <div className="badges-grid">
+              {sectionBadges.map((badge) => (
+                <div
+                  key={badge.id}
+                  className={`badge ${badge.earned ? 'earned' : 'locked'}`}
+                  title={badge.awarded_at ? `Earned ${new Date(badge.awarded_at).toLocaleDateString()}` : undefined}
+                >
+                  <div className="badge-icon">{badge.icon}</div>
+                  <div className="badge-name">{badge.name}</div>
+                  <div className="badge-requirement">{badge.requirement}</div>
+                </div>
+              ))}
+            </div>
+          </section>
+        );
+      })}
     </div>
   );
 }
@@ -347,17 +569,19 @@ function StreaksAndBadges({ user }) {
 export default function Dashboard({ user, unit, onConnectionChange, activityRefreshTrigger }) {
   const [leaderboard, setLeaderboard] = useState({ teamLeaderboard: [], cityLeaderboard: [], individualLeaderboard: [] });
   const [mapPoints, setMapPoints] = useState([]);
+  const [mapFilters, setMapFilters] = useState({ type: '', from: '', to: '', bbox: '' });
   const [teamMembers, setTeamMembers] = useState([]);
   const [currentStreak, setCurrentStreak] = useState(user.streak || 0);
+  const [longestStreak, setLongestStreak] = useState(0);
   const [userPoints, setUserPoints] = useState(user.points || 0);
   const [weekDistance, setWeekDistance] = useState(0);
-  const [badgeCount, setBadgeCount] = useState(0);
+  const [badges, setBadges] = useState([]);
 
   // Calculate quick stats from actual data
   const quickStats = {
     weekDistance: weekDistance > 0 ? `${weekDistance.toFixed(1)} ${unit === 'mi' ? 'mi' : 'km'}` : '0 km',
     currentStreak: currentStreak,
-    badges: badgeCount,
+    badges: badges.filter((badge) => badge.earned).length,
   };
 
   // Fetch current user's streak and points from database
@@ -377,6 +601,7 @@ export default function Dashboard({ user, unit, onConnectionChange, activityRefr
           
           if (data.profile) {
             setCurrentStreak(data.profile.streak || 0);
+            setLongestStreak(data.profile.longest_streak || 0);
             setUserPoints(data.profile.points || 0);
           }
         }
@@ -395,18 +620,15 @@ export default function Dashboard({ user, unit, onConnectionChange, activityRefr
     const fetchActivitiesForStats = async () => {
       try {
         const userId = user.id || user.username;
-        const response = await fetch(`${API_BASE}/api/activities/${encodeURIComponent(userId)}`);
+        // Calculate week distance (last 7 days)
+        const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toLocaleDateString('en-CA');
+        const { data: { session } } = await supabase.auth.getSession();
+        const response = await fetch(`${API_BASE}/api/activities/${encodeURIComponent(userId)}?from=${weekAgo}&limit=100`, {
+          headers: session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {}
+        });
         
         if (response.ok) {
-          const activities = await response.json();
-          
-          // Calculate week distance (last 7 days)
-          const now = new Date();
-          const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-          const weekActivities = activities.filter(activity => {
-            const activityDate = new Date(activity.date);
-            return activityDate >= weekAgo;
-          });
+          const { activities: weekActivities } = await response.json();
           
           const totalDistanceKm = weekActivities.reduce((sum, activity) => {
             return sum + (activity.distanceKm || 0);
@@ -424,22 +646,31 @@ export default function Dashboard({ user, unit, onConnectionChange, activityRefr
     fetchActivitiesForStats();
   }, [user, unit, activityRefreshTrigger]);
 
-  // Calculate badge count whenever streak or points change
+  // Fetch badges (awarded by the server) whenever activities change
   useEffect(() => {
-    const streakBadges = [
-      { days: 3 }, { days: 7 }, { days: 14 }, { days: 30 }, { days: 60 }, { days: 100 }
-    ];
-    const pointBadges = [
-      { points: 100 }, { points: 500 }, { points: 1000 }, { points: 2500 }, { points: 5000 }
-    ];
-    
-    const userStreak = currentStreak || user?.streak || 0;
-    const userPointsValue = userPoints || user?.points || 0;
-    
-    const earnedStreakBadges = streakBadges.filter(badge => userStreak >= badge.days).length;
-    const earnedPointBadges = pointBadges.filter(badge => userPointsValue >= badge.points).length;
-    setBadgeCount(earnedStreakBadges + earnedPointBadges);
-  }, [currentStreak, userPoints, user]);
+    if (!user) return;
+
+    const fetchBadges = async () => {
+      try {
+        const { data: { session } } = await supabase.auth.getSession();
+        const token = session?.access_token;
+
+        if (token) {
+          const response = await fetch(`${API_BASE}/api/badges`, {
+            headers: { Authorization: `Bearer ${token}` }
+          });
+          if (response.ok) {
+            const data = await response.json();
+            setBadges(data.badges || []);
+          }
+        }
+      } catch (error) {
+        console.error('Error fetching badges:', error);
+      }
+    };
+
+    fetchBadges();
+  }, [user, activityRefreshTrigger]);
 
   useEffect(() => {
     if (!user) return;
@@ -447,9 +678,11 @@ export default function Dashboard({ user, unit, onConnectionChange, activityRefr
     console.log('[DASHBOARD] User points:', user.points);
     
     fetch(`${API_BASE}/leaderboard`).then((res) => res.json()).then(setLeaderboard);
-    fetch(`${API_BASE}/activity-map`).then((res) => res.json()).then((data) => setMapPoints(data.mapPoints));
-    // Fetch team members for the logged-in user's team
-    fetch(`${API_BASE}/team-members?teamId=${user.teamId}`)
+    // Fetch members of the logged-in user's teams
+    supabase.auth.getSession()
+      .then(({ data: { session } = {} }) => fetch(`${API_BASE}/team-members`, {
+        headers: session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {}
+      }))
       .then((res) => res.json())
       .then((data) => {
         console.log('Team members loaded:', data.members);
@@ -460,6 +693,61 @@ export default function Dashboard({ user, unit, onConnectionChange, activityRefr
       });
   }, [user]);
 
+  // Reload the activity map whenever its filters change
+  const signedInUserId = user?.id;
+  const mapQueryString = buildMapQueryString(mapFilters);
+  useEffect(() => {
+    if (!signedInUserId) return;
+
+    // Signed in, the map also includes friends' and teammates' activities shared with them
+    let cancelled = false;
+    supabase.auth.getSession()
+      .then(({ data: { session } = {} }) => fetch(`${API_BASE}/activity-map${mapQueryString}`, {
+        headers: session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {}
+      }))
+      .then((res) => res.json())
+      .then((data) => {
+        if (!cancelled) setMapPoints(data.mapPoints || []);
+      })
+      .catch((error) => console.error('Error loading activity map:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [signedInUserId, mapQueryString]);
+
+  // Live updates pushed by the server: new activities, leaderboard rank changes and teammates coming online
+  useEffect(() => {
+    if (!signedInUserId) return;
+
+    const unsubscribers = [
+      subscribeToEvents('activity', ({ mapPoint }) => {
+        if (!matchesMapFilters(mapPoint, mapFilters)) return;
+        setMapPoints((points) => [mapPoint, ...(points || []).filter((p) => p.id !== mapPoint.id)].slice(0, MAP_POINTS_LIMIT));
+      }),
+      subscribeToEvents('leaderboard', ({ leaderboard: boards }) => {
+        setLeaderboard(boards);
+      }),
+      subscribeToEvents('presence', ({ userId, status, lastSeen }) => {
+        setTeamMembers((members) => members.map((m) => (m.userId === userId ? { ...m, status, lastSeen } : m)));
+      })
+    ];
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [signedInUserId, mapFilters]);
+
+  // Teammates who stop sending heartbeats fade from active to online to offline without a server push
+  useEffect(() => {
+    const interval = setInterval(() => {
+      setTeamMembers((members) => {
+        const aged = members.map((m) => {
+          const status = getPresenceStatus(m.lastSeen);
+          return status === m.status ? m : { ...m, status };
+        });
+        return aged.some((m, i) => m !== members[i]) ? aged : members;
+      });
+    }, 60 * 1000);
+    return () => clearInterval(interval);
+  }, []);
+
   // Listen for activity import events to trigger a refresh
   useEffect(() => {
     const handleActivityImported = () => {
@@ -502,13 +790,14 @@ export default function Dashboard({ user, unit, onConnectionChange, activityRefr
         {/* Left Column */}
         <div className="dashboard-left">
           {/* Streaks & Badges above the Activity Map */}
-          <StreaksAndBadges user={{ ...user, streak: currentStreak, points: userPoints }} />
-          <ActivityMap mapPoints={mapPoints} teamMembers={teamMembers} />
+          <StreaksAndBadges user={{ ...user, streak: currentStreak, longestStreak }} badges={badges} refreshTrigger={activityRefreshTrigger} />
+          <ActivityMap mapPoints={mapPoints} teamMembers={teamMembers} filters={mapFilters} onFiltersChange={setMapFilters} />
         </div>
 
         {/* Right Column (swapped: StravaActivities above Leaderboard) */}
         <div className="dashboard-right">
           <LoggedActivities user={user} unit={unit} refreshTrigger={activityRefreshTrigger} />
+          <ActivityFeed user={user} unit={unit} refreshTrigger={activityRefreshTrigger} />
           <StravaActivities user={user} unit={unit} />
           <Leaderboard data={leaderboard} />
         </div>
@@ -1,20 +1,46 @@
 import React, { useEffect, useState } from 'react';
 import { API_BASE } from '../config/api';
 
+const WINDOW_TABS = [
+  { id: 'week', label: 'This Week' },
+  { id: 'month', label: 'This Month' },
+  { id: 'season', label: 'Season' },
+  { id: 'all', label: 'All-Time' },
+  { id: 'custom', label: 'Custom' },
+];
+
 export default function Leaderboards({ user }) {
   const [boards, setBoards] = useState({ teamLeaderboard: [], cityLeaderboard: [], individualLeaderboard: [] });
   const [loading, setLoading] = useState(true);
+  const [activeWindow, setActiveWindow] = useState('week');
+  const [customRange, setCustomRange] = useState({ start: '', end: '' });
 
   useEffect(() => {
+    const params = new URLSearchParams({ window: activeWindow });
+    if (activeWindow === 'custom') {
+      // Wait until both ends of the range are picked
+      if (!customRange.start || !customRange.end) return;
+      params.set('start', customRange.start);
+      params.set('end', customRange.end);
+    }
+
     setLoading(true);
-    fetch(`${API_BASE}/leaderboard`)
+    fetch(`${API_BASE}/leaderboard?${params.toString()}`)
       .then((r) => r.json())
       .then((data) => {
-        setBoards(data || {});
+        if (data.error) {
+          console.error('Error loading leaderboards', data.error);
+          return;
+        }
+        setBoards({
+          teamLeaderboard: data.teamLeaderboard || [],
+          cityLeaderboard: data.cityLeaderboard || [],
+          individualLeaderboard: data.individualLeaderboard || [],
+        });
       })
       .catch((err) => console.error('Error loading leaderboards', err))
       .finally(() => setLoading(false));
-  }, []);
+  }, [activeWindow, customRange]);
 
   const topTeam = boards.teamLeaderboard[0];
   const topCity = boards.cityLeaderboard[0];
@@ -25,6 +51,30 @@ export default function Leaderboards({ user }) {
       <section className="hero-section">
         <h2 className="hero-welcome">Leaderboards</h2>
         <p className="small">Check out who's leading among teams, cities and individuals — celebrate top performers and discover rising stars.</p>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', marginTop: '1rem' }}>
+          {WINDOW_TABS.map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveWindow(tab.id)}
+              className={activeWindow === tab.id ? 'btn-primary' : 'btn-secondary'}
+              style={{ padding: '0.25rem 0.75rem', fontSize: '0.875rem' }}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+        {activeWindow === 'custom' && (
+          <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'flex-end', marginTop: '0.75rem', maxWidth: 420 }}>
+            <label style={{ flex: 1, minWidth: 0 }}>
+              From
+              <input type="date" value={customRange.start} onChange={(e) => setCustomRange({ ...customRange, start: e.target.value })} />
+            </label>
+            <label style={{ flex: 1, minWidth: 0 }}>
+              To
+              <input type="date" value={customRange.end} onChange={(e) => setCustomRange({ ...customRange, end: e.target.value })} />
+            </label>
+          </div>
+        )}
       </section>
 
       {/* Top highlights as three equal hero cards */}
@@ -94,7 +144,7 @@ export default function Leaderboards({ user }) {
             <h3>Cities</h3>
             <ol className="leader-list">
               {boards.cityLeaderboard.map((c, idx) => (
-                <li key={c.city || idx} className={`leader-row ${idx === 0 ? 'gold' : idx === 1 ? 'silver' : idx === 2 ? 'bronze' : ''}`}>
+                <li key={c.cityId || c.city || idx} className={`leader-row ${idx === 0 ? 'gold' : idx === 1 ? 'silver' : idx === 2 ? 'bronze' : ''}`}>
                   <div className="rank">#{idx + 1}</div>
                   <div className="info">
                     <div className="name">{c.city}</div>
@@ -1,11 +1,21 @@
 import React, { useState, useEffect } from 'react';
 import { supabase } from '../supabaseClient';
 import { API_BASE } from '../config/api';
+import { ACTIVITY_VISIBILITIES } from '../config/privacy';
+
+const EMPTY_ZONE = { label: '', lat: '', lng: '', radiusMeters: 500 };
 
 export default function Profile({ user, onLogout, onUnitChange, unit, stravaConnected, onConnectionChange }) {
   const [disconnecting, setDisconnecting] = useState(false);
   const [myTeams, setMyTeams] = useState([]);
   const [loadingTeams, setLoadingTeams] = useState(true);
+  const [metrics, setMetrics] = useState({ weight_kg: '', age: '', sex: '', resting_heart_rate: '' });
+  const [savingMetrics, setSavingMetrics] = useState(false);
+  const [timeZone, setTimeZone] = useState('');
+  const [defaultVisibility, setDefaultVisibility] = useState('public');
+  const [privacyZones, setPrivacyZones] = useState([]);
+  const [zoneForm, setZoneForm] = useState(EMPTY_ZONE);
+  const [savingZone, setSavingZone] = useState(false);
 
   const handleDisconnectStrava = async () => {
     if (!confirm('Disconnect your Strava account?')) return;
@@ -102,9 +112,173 @@ export default function Profile({ user, onLogout, onUnitChange, unit, stravaConn
     }
   };
 
+  const getAuthHeaders = async () => {
+    const headers = {};
+    try {
+      const { data: { session } = {} } = await supabase.auth.getSession();
+      const token = session?.access_token;
+      if (token) headers.Authorization = `Bearer ${token}`;
+    } catch (err) {
+      console.error('Error getting session:', err);
+    }
+    return headers;
+  };
+
+  const loadMetrics = async () => {
+    try {
+      const res = await fetch(`${API_BASE}/api/profiles/me`, { headers: await getAuthHeaders() });
+      if (!res.ok) return;
+      const { profile } = await res.json();
+      if (profile) {
+        setMetrics({
+          weight_kg: profile.weight_kg ?? '',
+          age: profile.age ?? '',
+          sex: profile.sex ?? '',
+          resting_heart_rate: profile.resting_heart_rate ?? '',
+        });
+        setTimeZone(profile.time_zone || '');
+        setDefaultVisibility(profile.default_activity_visibility || 'public');
+      }
+    } catch (err) {
+      console.error('Error loading body metrics:', err);
+    }
+  };
+
+  const handleSaveMetrics = async (e) => {
+    e.preventDefault();
+    setSavingMetrics(true);
+    try {
+      const res = await fetch(`${API_BASE}/api/profiles/me/metrics`, {
+        method: 'PUT',
+        headers: { ...(await getAuthHeaders()), 'Content-Type': 'application/json' },
+        body: JSON.stringify(metrics),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        alert('Body metrics saved');
+      } else {
+        alert(data.details ? data.details.join('\n') : data.error || 'Failed to save body metrics');
+      }
+    } catch (err) {
+      console.error('Error saving body metrics:', err);
+      alert('Error saving body metrics');
+    } finally {
+      setSavingMetrics(false);
+    }
+  };
+
+  const handleTimeZoneChange = async (e) => {
+    const value = e.target.value;
+    try {
+      const res = await fetch(`${API_BASE}/api/profiles/me/time-zone`, {
+        method: 'PUT',
+        headers: { ...(await getAuthHeaders()), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ timeZone: value }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setTimeZone(value);
+      } else {
+        alert(data.error || 'Failed to save time zone');
+      }
+    } catch (err) {
+      console.error('Error saving time zone:', err);
+      alert('Error saving time zone');
+    }
+  };
+
+  const handleDefaultVisibilityChange = async (e) => {
+    const value = e.target.value;
+    try {
+      const res = await fetch(`${API_BASE}/api/profiles/me/default-visibility`, {
+        method: 'PUT',
+        headers: { ...(await getAuthHeaders()), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ visibility: value }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setDefaultVisibility(value);
+      } else {
+        alert(data.error || 'Failed to save default visibility');
+      }
+    } catch (err) {
+      console.error('Error saving default visibility:', err);
+      alert('Error saving default visibility');
+    }
+  };
+
+  const loadPrivacyZones = async () => {
+    try {
+      const res = await fetch(`${API_BASE}/api/profiles/me/privacy-zones`, { headers: await getAuthHeaders() });
+      if (!res.ok) return;
+      const data = await res.json();
+      setPrivacyZones(data.zones || []);
+    } catch (err) {
+      console.error('Error loading privacy zones:', err);
+    }
+  };
+
+  const handleUseCurrentLocation = () => {
+    if (!navigator.geolocation) {
+      alert('Location is not available in this browser');
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => setZoneForm((form) => ({ ...form, lat: coords.latitude.toFixed(5), lng: coords.longitude.toFixed(5) })),
+      () => alert('Could not get your location')
+    );
+  };
+
+  const handleAddZone = async (e) => {
+    e.preventDefault();
+    setSavingZone(true);
+    try {
+      const res = await fetch(`${API_BASE}/api/profiles/me/privacy-zones`, {
+        method: 'POST',
+        headers: { ...(await getAuthHeaders()), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...zoneForm, radiusMeters: Number(zoneForm.radiusMeters) }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setPrivacyZones((zones) => [...zones, data.zone]);
+        setZoneForm(EMPTY_ZONE);
+      } else {
+        alert(data.details ? data.details.join('\n') : data.error || 'Failed to add privacy zone');
+      }
+    } catch (err) {
+      console.error('Error adding privacy zone:', err);
+      alert('Error adding privacy zone');
+    } finally {
+      setSavingZone(false);
+    }
+  };
+
+  const handleRemoveZone = async (zoneId) => {
+    try {
+      const res = await fetch(`${API_BASE}/api/profiles/me/privacy-zones/${zoneId}`, {
+        method: 'DELETE',
+        headers: await getAuthHeaders(),
+      });
+      if (res.ok) {
+        setPrivacyZones((zones) => zones.filter((zone) => zone.id !== zoneId));
+      } else {
+        const data = await res.json();
+        alert(data.error || 'Failed to remove privacy zone');
+      }
+    } catch (err) {
+      console.error('Error removing privacy zone:', err);
+      alert('Error removing privacy zone');
+    }
+  };
+
+  const deviceTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const timeZoneOptions = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [deviceTimeZone];
+
   useEffect(() => {
     if (user) {
       loadMyTeams();
+      loadMetrics();
+      loadPrivacyZones();
     }
   }, [user]);
 
@@ -172,6 +346,130 @@ export default function Profile({ user, onLogout, onUnitChange, unit, stravaConn
           </select>
         </label>
         <p className="small">Your preference is saved locally in your browser.</p>
+        <label>
+          Time zone
+          <select value={timeZone} onChange={handleTimeZoneChange}>
+            {!timeZone && <option value="">Not set (UTC)</option>}
+            {[...new Set([timeZone || deviceTimeZone, ...timeZoneOptions])].map((zone) => (
+              <option key={zone} value={zone}>{zone}</option>
+            ))}
+          </select>
+        </label>
+        <p className="small">Streaks roll over at midnight in this time zone.</p>
+      </div>
+
+      <div className="card" style={{ marginTop: '1rem' }}>
+        <h3>Privacy</h3>
+        <label>
+          Who can see new activities
+          <select value={defaultVisibility} onChange={handleDefaultVisibilityChange}>
+            {ACTIVITY_VISIBILITIES.map((v) => (
+              <option key={v.value} value={v.value}>{v.icon} {v.label}</option>
+            ))}
+          </select>
+        </label>
+        <p className="small">
+          Applies to activities you log, upload or import from now on; change a single activity from its Edit button.
+          Activities that are private on Strava stay private here.
+        </p>
+        <h4>Privacy zones</h4>
+        <p className="small">
+          Hide where your routes start and end, like around your home. The parts of a route inside a zone
+          are left off the map for everyone.
+        </p>
+        {privacyZones.length > 0 && (
+          <ul style={{ listStyle: 'none', padding: 0 }}>
+            {privacyZones.map((zone) => (
+              <li key={zone.id} style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginBottom: '0.5rem' }}>
+                <span style={{ flex: 1 }}>
+                  <strong>{zone.label || 'Privacy zone'}</strong>
+                  <span className="small"> · {zone.radius_m} m around {Number(zone.lat).toFixed(4)}, {Number(zone.lng).toFixed(4)}</span>
+                </span>
+                <button type="button" className="btn-secondary" onClick={() => handleRemoveZone(zone.id)}>Remove</button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <form onSubmit={handleAddZone}>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(140px, 1fr))', gap: '0.5rem' }}>
+            <label>
+              Label
+              <input value={zoneForm.label} maxLength={60} placeholder="Home" onChange={(e) => setZoneForm({ ...zoneForm, label: e.target.value })} />
+            </label>
+            <label>
+              Latitude
+              <input type="number" step="any" min="-90" max="90" required value={zoneForm.lat} onChange={(e) => setZoneForm({ ...zoneForm, lat: e.target.value })} />
+            </label>
+            <label>
+              Longitude
+              <input type="number" step="any" min="-180" max="180" required value={zoneForm.lng} onChange={(e) => setZoneForm({ ...zoneForm, lng: e.target.value })} />
+            </label>
+            <label>
+              Radius (m)
+              <input type="number" min="100" max="2000" step="50" required value={zoneForm.radiusMeters} onChange={(e) => setZoneForm({ ...zoneForm, radiusMeters: e.target.value })} />
+            </label>
+          </div>
+          <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+            <button type="button" className="btn-secondary" onClick={handleUseCurrentLocation}>Use my location</button>
+            <button type="submit" className="btn-primary" disabled={savingZone}>
+              {savingZone ? 'Adding...' : 'Add privacy zone'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <div className="card" style={{ marginTop: '1rem' }}>
+        <h3>Body metrics</h3>
+        <p className="small">
+          Optional. Used to personalize calorie estimates, with heart rate when your activity has it.
+          Points always use a standard body weight, so everyone scores the same for the same effort.
+        </p>
+        <form onSubmit={handleSaveMetrics}>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))', gap: '0.5rem' }}>
+            <label>
+              Weight (kg)
+              <input
+                type="number"
+                min="20"
+                max="350"
+                step="0.1"
+                value={metrics.weight_kg}
+                onChange={(e) => setMetrics({ ...metrics, weight_kg: e.target.value })}
+              />
+            </label>
+            <label>
+              Age
+              <input
+                type="number"
+                min="10"
+                max="120"
+                value={metrics.age}
+                onChange={(e) => setMetrics({ ...metrics, age: e.target.value })}
+              />
+            </label>
+            <label>
+              Sex
+              <select value={metrics.sex} onChange={(e) => setMetrics({ ...metrics, sex: e.target.value })}>
+                <option value="">Prefer not to say</option>
+                <option value="female">Female</option>
+                <option value="male">Male</option>
+              </select>
+            </label>
+            <label>
+              Resting heart rate (bpm)
+              <input
+                type="number"
+                min="25"
+                max="120"
+                value={metrics.resting_heart_rate}
+                onChange={(e) => setMetrics({ ...metrics, resting_heart_rate: e.target.value })}
+              />
+            </label>
+          </div>
+          <button type="submit" className="btn-primary" disabled={savingMetrics} style={{ marginTop: '0.5rem' }}>
+            {savingMetrics ? 'Saving...' : 'Save body metrics'}
+          </button>
+        </form>
       </div>
     </div>
   );
@@ -39,6 +39,7 @@ export default function SignupPage({ onAuth }) {
       lng: profile.lng || null,
       points: profile.points || 0,
       streak: profile.streak || 0,
+      streakFreezes: profile.streak_freezes || 0,
       badges: profile.badges || [],
       password: null,
     };
@@ -1,14 +1,40 @@
 import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { supabase } from '../supabaseClient';
 import { API_BASE } from '../config/api';
+import CityInput from '../components/CityInput';
+
+const VISIBILITY_OPTIONS = [
+  { value: 'open', label: '🌍 Open', help: 'Anyone can join' },
+  { value: 'request', label: '✋ Request to join', help: 'Owners and admins approve new members' },
+  { value: 'invite', label: '🔒 Invite only', help: 'Hidden from the team list; joining needs an invite code' }
+];
+const VISIBILITY_LABELS = Object.fromEntries(VISIBILITY_OPTIONS.map((o) => [o.value, o.label]));
+
+// Look up the team behind an invite code; returns { team, invite, already_member } or throws with the API error
+async function fetchInvitePreview(code) {
+  const headers = {};
+  const { data: { session } = {} } = await supabase.auth.getSession();
+  if (session?.access_token) headers.Authorization = `Bearer ${session.access_token}`;
+  const res = await fetch(`${API_BASE}/api/team-invites/${encodeURIComponent(code.trim())}`, { headers });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Invite not found');
+  return data;
+}
 
 export default function Teams({ user }) {
   const [teams, setTeams] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showCreateForm, setShowCreateForm] = useState(false);
-  const [createForm, setCreateForm] = useState({ name: '', description: '', city: '' });
+  const [createForm, setCreateForm] = useState({ name: '', description: '', city: '', cityId: null, visibility: 'open' });
   const [selectedTeam, setSelectedTeam] = useState(null);
   const [myTeams, setMyTeams] = useState([]);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [inviteCode, setInviteCode] = useState(() => searchParams.get('invite') || '');
+  const [invitePreview, setInvitePreview] = useState(null);
+  const [joinRequests, setJoinRequests] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [inviteForm, setInviteForm] = useState({ expiresInDays: '7', maxUses: '' });
 
   const getAuthHeaders = async () => {
     const headers = { 'Content-Type': 'application/json' };
@@ -69,6 +95,16 @@ export default function Teams({ user }) {
     if (user) loadData();
   }, [user]);
 
+  // Invite links look like /teams?invite=CODE
+  useEffect(() => {
+    const code = searchParams.get('invite');
+    if (user && code) {
+      fetchInvitePreview(code)
+        .then(setInvitePreview)
+        .catch((err) => alert(err.message));
+    }
+  }, [user, searchParams]);
+
   const handleCreateTeam = async (e) => {
     e.preventDefault();
     if (!createForm.name.trim()) {
@@ -84,14 +120,16 @@ export default function Teams({ user }) {
         body: JSON.stringify({
           name: createForm.name,
           description: createForm.description || null,
-          city: createForm.city || null
+          city: createForm.city || null,
+          city_id: createForm.cityId,
+          visibility: createForm.visibility
         })
       });
       const data = await res.json();
       if (res.ok) {
         alert('Team created successfully!');
         setShowCreateForm(false);
-        setCreateForm({ name: '', description: '', city: '' });
+        setCreateForm({ name: '', description: '', city: '', cityId: null, visibility: 'open' });
         await loadTeams();
       } else {
         alert(data.error || 'Failed to create team');
@@ -124,6 +162,86 @@ export default function Teams({ user }) {
     }
   };
 
+  const handleRequestJoin = async (team) => {
+    const message = prompt(`Add a message for the admins of ${team.name} (optional)`);
+    if (message === null) return;
+    try {
+      const headers = await getAuthHeaders();
+      const res = await fetch(`${API_BASE}/api/teams/${team.id}/join-request`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ message: message.trim() || null })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        alert('Join request sent! You will be notified when it is reviewed.');
+        await loadTeams();
+      } else {
+        alert(data.error || 'Failed to send join request');
+      }
+    } catch (err) {
+      console.error('Error requesting to join team:', err);
+      alert('Error sending join request');
+    }
+  };
+
+  const handleCancelRequest = async (teamId) => {
+    try {
+      const headers = await getAuthHeaders();
+      const res = await fetch(`${API_BASE}/api/teams/${teamId}/join-request`, {
+        method: 'DELETE',
+        headers
+      });
+      const data = await res.json();
+      if (res.ok) {
+        await loadTeams();
+      } else {
+        alert(data.error || 'Failed to cancel join request');
+      }
+    } catch (err) {
+      console.error('Error cancelling join request:', err);
+      alert('Error cancelling join request');
+    }
+  };
+
+  const lookupInvite = async (code) => {
+    if (!code.trim()) return;
+    try {
+      setInvitePreview(await fetchInvitePreview(code));
+    } catch (err) {
+      console.error('Error looking up invite:', err);
+      setInvitePreview(null);
+      alert(err.message);
+    }
+  };
+
+  const clearInvite = () => {
+    setInvitePreview(null);
+    setInviteCode('');
+    if (searchParams.get('invite')) setSearchParams({});
+  };
+
+  const handleAcceptInvite = async () => {
+    try {
+      const headers = await getAuthHeaders();
+      const res = await fetch(`${API_BASE}/api/team-invites/${encodeURIComponent(inviteCode.trim())}/accept`, {
+        method: 'POST',
+        headers
+      });
+      const data = await res.json();
+      if (res.ok) {
+        alert(`Joined ${data.team?.name || 'team'}!`);
+        clearInvite();
+        await loadTeams();
+      } else {
+        alert(data.error || 'Failed to accept invite');
+      }
+    } catch (err) {
+      console.error('Error accepting invite:', err);
+      alert('Error accepting invite');
+    }
+  };
+
   const handleLeaveTeam = async (teamId) => {
     if (!confirm('Leave this team?')) return;
     try {
@@ -157,7 +275,7 @@ export default function Teams({ user }) {
       if (res.ok) {
         alert('Team deleted');
         await loadTeams();
-        setSelectedTeam(null);
+        closeTeamDetails();
       } else {
         alert(data.error || 'Failed to delete team');
       }
@@ -174,12 +292,210 @@ export default function Teams({ user }) {
       if (res.ok) {
         const data = await res.json();
         setSelectedTeam(data.team);
+        if (isManager(data.team)) {
+          await loadManagerData(teamId);
+        } else {
+          setJoinRequests([]);
+          setInvites([]);
+        }
       }
     } catch (err) {
       console.error('Error loading team details:', err);
     }
   };
 
+  // Pending join requests and invite codes, shown to owners and admins in the team modal
+  const loadManagerData = async (teamId) => {
+    try {
+      const headers = await getAuthHeaders();
+      const [requestsRes, invitesRes] = await Promise.all([
+        fetch(`${API_BASE}/api/teams/${teamId}/join-requests`, { headers }),
+        fetch(`${API_BASE}/api/teams/${teamId}/invites`, { headers })
+      ]);
+      const requestsData = await requestsRes.json();
+      const invitesData = await invitesRes.json();
+      setJoinRequests(requestsRes.ok ? requestsData.requests || [] : []);
+      setInvites(invitesRes.ok ? invitesData.invites || [] : []);
+    } catch (err) {
+      console.error('Error loading team requests and invites:', err);
+    }
+  };
+
+  const closeTeamDetails = () => {
+    setSelectedTeam(null);
+    setJoinRequests([]);
+    setInvites([]);
+  };
+
+  const handleUpdateVisibility = async (visibility) => {
+    try {
+      const headers = await getAuthHeaders();
+      const res = await fetch(`${API_BASE}/api/teams/${selectedTeam.id}`, {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify({ visibility })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        await loadTeamDetails(selectedTeam.id);
+        await loadTeams();
+      } else {
+        alert(data.error || 'Failed to update team');
+      }
+    } catch (err) {
+      console.error('Error updating team visibility:', err);
+      alert('Error updating team');
+    }
+  };
+
+  const handleReviewRequest = async (requestId, action) => {
+    try {
+      const headers = await getAuthHeaders();
+      const res = await fetch(`${API_BASE}/api/teams/${selectedTeam.id}/join-requests/${requestId}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ action })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        await loadTeamDetails(selectedTeam.id);
+        await loadTeams();
+      } else {
+        alert(data.error || 'Failed to review join request');
+      }
+    } catch (err) {
+      console.error('Error reviewing join request:', err);
+      alert('Error reviewing join request');
+    }
+  };
+
+  const handleCreateInvite = async (e) => {
+    e.preventDefault();
+    try {
+      const headers = await getAuthHeaders();
+      const res = await fetch(`${API_BASE}/api/teams/${selectedTeam.id}/invites`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          expiresInDays: inviteForm.expiresInDays || null,
+          maxUses: inviteForm.maxUses || null
+        })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        await loadManagerData(selectedTeam.id);
+      } else {
+        alert(data.error || 'Failed to create invite');
+      }
+    } catch (err) {
+      console.error('Error creating invite:', err);
+      alert('Error creating invite');
+    }
+  };
+
+  const handleRevokeInvite = async (inviteId) => {
+    if (!confirm('Revoke this invite? The code will stop working.')) return;
+    try {
+      const headers = await getAuthHeaders();
+      const res = await fetch(`${API_BASE}/api/teams/${selectedTeam.id}/invites/${inviteId}`, {
+        method: 'DELETE',
+        headers
+      });
+      const data = await res.json();
+      if (res.ok) {
+        await loadManagerData(selectedTeam.id);
+      } else {
+        alert(data.error || 'Failed to revoke invite');
+      }
+    } catch (err) {
+      console.error('Error revoking invite:', err);
+      alert('Error revoking invite');
+    }
+  };
+
+  const handleChangeRole = async (member, role) => {
+    try {
+      const headers = await getAuthHeaders();
+      const res = await fetch(`${API_BASE}/api/teams/${selectedTeam.id}/members/${member.user_id}/role`, {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify({ role })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        await loadTeamDetails(selectedTeam.id);
+        await loadTeams();
+      } else {
+        alert(data.error || 'Failed to change role');
+      }
+    } catch (err) {
+      console.error('Error changing member role:', err);
+      alert('Error changing role');
+    }
+  };
+
+  const handleRemoveMember = async (member) => {
+    const name = member.profile?.display_name || 'this member';
+    if (!confirm(`Remove ${name} from ${selectedTeam.name}?`)) return;
+    try {
+      const headers = await getAuthHeaders();
+      const res = await fetch(`${API_BASE}/api/teams/${selectedTeam.id}/members/${member.user_id}`, {
+        method: 'DELETE',
+        headers
+      });
+      const data = await res.json();
+      if (res.ok) {
+        await loadTeamDetails(selectedTeam.id);
+        await loadTeams();
+      } else {
+        alert(data.error || 'Failed to remove member');
+      }
+    } catch (err) {
+      console.error('Error removing member:', err);
+      alert('Error removing member');
+    }
+  };
+
+  const handleTransferOwnership = async (member) => {
+    const name = member.profile?.display_name || 'this member';
+    if (!confirm(`Make ${name} the owner of ${selectedTeam.name}? You will become an admin.`)) return;
+    try {
+      const headers = await getAuthHeaders();
+      const res = await fetch(`${API_BASE}/api/teams/${selectedTeam.id}/transfer-ownership`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ userId: member.user_id })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        alert(`${name} is now the owner`);
+        await loadTeamDetails(selectedTeam.id);
+        await loadTeams();
+      } else {
+        alert(data.error || 'Failed to transfer ownership');
+      }
+    } catch (err) {
+      console.error('Error transferring ownership:', err);
+      alert('Error transferring ownership');
+    }
+  };
+
+  // Mirrors the server rules: the owner manages everyone else, admins can remove plain members
+  const canRemoveMember = (team, member) => {
+    if (member.user_id === user?.id || member.role === 'owner') return false;
+    return isOwner(team) || (isManager(team) && member.role === 'member');
+  };
+
+  const copyInviteLink = async (code) => {
+    const link = `${window.location.origin}/teams?invite=${code}`;
+    try {
+      await navigator.clipboard.writeText(link);
+      alert('Invite link copied!');
+    } catch {
+      prompt('Copy this invite link:', link);
+    }
+  };
+
   const isMember = (team) => {
     return team.members?.some(member => member.user_id === user?.id);
   };
@@ -188,6 +504,16 @@ export default function Teams({ user }) {
     return team.members?.some(member => member.user_id === user?.id && member.role === 'owner');
   };
 
+  const isManager = (team) => {
+    return team.members?.some(member => member.user_id === user?.id && ['owner', 'admin'].includes(member.role));
+  };
+
+  const renderVisibilityBadge = (team) => (
+    <span className="small" style={{ marginLeft: '0.5rem', color: '#666' }}>
+      {VISIBILITY_LABELS[team.visibility] || VISIBILITY_LABELS.open}
+    </span>
+  );
+
   if (loading) {
     return <div style={{ padding: '2rem', textAlign: 'center' }}>Loading...</div>;
   }
@@ -231,19 +557,78 @@ export default function Teams({ user }) {
             <div style={{ marginBottom: '1rem' }}>
               <label>
                 City
-                <input
-                  type="text"
+                <CityInput
                   value={createForm.city}
-                  onChange={(e) => setCreateForm({ ...createForm, city: e.target.value })}
+                  onChange={(city, cityId) => setCreateForm({ ...createForm, city, cityId })}
                   style={{ width: '100%', padding: '0.5rem', marginTop: '0.25rem' }}
                 />
               </label>
             </div>
+            <div style={{ marginBottom: '1rem' }}>
+              <label>
+                Who can join
+                <select
+                  value={createForm.visibility}
+                  onChange={(e) => setCreateForm({ ...createForm, visibility: e.target.value })}
+                  style={{ width: '100%', padding: '0.5rem', marginTop: '0.25rem' }}
+                >
+                  {VISIBILITY_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label} - {option.help}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
             <button type="submit" className="btn-primary">Create Team</button>
           </form>
         </div>
       )}
 
+      {/* Join with an invite code */}
+      <div className="card" style={{ marginBottom: '1rem' }}>
+        <h3>Have an invite code?</h3>
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            lookupInvite(inviteCode);
+          }}
+          style={{ display: 'flex', gap: '0.5rem' }}
+        >
+          <input
+            type="text"
+            value={inviteCode}
+            onChange={(e) => setInviteCode(e.target.value)}
+            placeholder="e.g. K7MQ2XR9PA"
+            style={{ flex: 1, padding: '0.5rem', textTransform: 'uppercase' }}
+          />
+          <button type="submit" className="btn-secondary">Look up</button>
+        </form>
+        {invitePreview && (
+          <div style={{ marginTop: '1rem', padding: '0.75rem', border: '1px solid #eee', borderRadius: 8 }}>
+            <strong>{invitePreview.team.name}</strong>
+            {renderVisibilityBadge(invitePreview.team)}
+            {invitePreview.team.description && <p className="small" style={{ marginTop: '0.25rem' }}>{invitePreview.team.description}</p>}
+            <p className="small" style={{ marginTop: '0.25rem' }}>
+              {invitePreview.team.member_count} member{invitePreview.team.member_count !== 1 ? 's' : ''}
+              {invitePreview.invite.expires_at && ` • Invite expires ${new Date(invitePreview.invite.expires_at).toLocaleDateString()}`}
+            </p>
+            <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem', alignItems: 'center' }}>
+              {invitePreview.already_member ? (
+                <span className="small" style={{ color: '#8b5cf6' }}>You are already a member</span>
+              ) : invitePreview.invite.usable ? (
+                <button onClick={handleAcceptInvite} className="btn-primary" style={{ padding: '0.25rem 0.75rem' }}>
+                  Join team
+                </button>
+              ) : (
+                <span className="small" style={{ color: '#dc2626' }}>{invitePreview.invite.problem}</span>
+              )}
+              <button onClick={clearInvite} className="btn-secondary" style={{ padding: '0.25rem 0.75rem' }}>
+                Dismiss
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
       {/* My Teams */}
       {myTeams.length > 0 && (
         <div className="card" style={{ marginBottom: '1rem' }}>
@@ -263,6 +648,7 @@ export default function Teams({ user }) {
                   <div>
                     <strong>{team.name}</strong>
                     {isOwner(team) && <span style={{ marginLeft: '0.5rem', color: '#8b5cf6', fontSize: '0.875rem' }}>👑 Owner</span>}
+                    {renderVisibilityBadge(team)}
                     {team.city && <span className="small" style={{ marginLeft: '0.5rem' }}>• {team.city}</span>}
                     {team.description && <p className="small" style={{ marginTop: '0.25rem' }}>{team.description}</p>}
                     <p className="small" style={{ marginTop: '0.25rem' }}>
@@ -323,6 +709,7 @@ export default function Teams({ user }) {
                   <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                     <div>
                       <strong>{team.name}</strong>
+                      {renderVisibilityBadge(team)}
                       {team.city && <span className="small" style={{ marginLeft: '0.5rem' }}>• {team.city}</span>}
                       {team.description && <p className="small" style={{ marginTop: '0.25rem' }}>{team.description}</p>}
                       <p className="small" style={{ marginTop: '0.25rem' }}>
@@ -332,6 +719,31 @@ export default function Teams({ user }) {
                     <div>
                       {member ? (
                         <span className="small" style={{ color: '#8b5cf6' }}>Member</span>
+                      ) : team.visibility === 'request' && team.my_join_request === 'pending' ? (
+                        <span style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                          <span className="small" style={{ color: '#666' }}>Requested</span>
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleCancelRequest(team.id);
+                            }}
+                            className="btn-secondary"
+                            style={{ padding: '0.25rem 0.75rem' }}
+                          >
+                            Cancel
+                          </button>
+                        </span>
+                      ) : team.visibility === 'request' ? (
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleRequestJoin(team);
+                          }}
+                          className="btn-primary"
+                          style={{ padding: '0.25rem 0.75rem' }}
+                        >
+                          Request to join
+                        </button>
                       ) : (
                         <button
                           onClick={(e) => {
@@ -368,7 +780,7 @@ export default function Teams({ user }) {
             justifyContent: 'center',
             zIndex: 1000
           }}
-          onClick={() => setSelectedTeam(null)}
+          onClick={closeTeamDetails}
         >
           <div
             className="card"
@@ -377,7 +789,7 @@ export default function Teams({ user }) {
           >
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
               <h3>{selectedTeam.name}</h3>
-              <button onClick={() => setSelectedTeam(null)} className="btn-secondary">Close</button>
+              <button onClick={closeTeamDetails} className="btn-secondary">Close</button>
             </div>
             {selectedTeam.description && <p>{selectedTeam.description}</p>}
             {selectedTeam.city && <p className="small">📍 {selectedTeam.city}</p>}
@@ -385,13 +797,146 @@ export default function Teams({ user }) {
             <ul style={{ listStyle: 'none', padding: 0 }}>
               {selectedTeam.members?.map((member) => (
                 <li key={member.user_id} style={{ padding: '0.5rem', borderBottom: '1px solid #eee' }}>
-                  <strong>{member.profile?.display_name || member.user_id}</strong>
-                  {member.role === 'owner' && <span style={{ marginLeft: '0.5rem', color: '#8b5cf6' }}>👑</span>}
-                  {member.role === 'admin' && <span style={{ marginLeft: '0.5rem', color: '#666' }}>Admin</span>}
-                  {member.profile?.city && <span className="small" style={{ marginLeft: '0.5rem' }}>• {member.profile.city}</span>}
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.5rem' }}>
+                    <div>
+                      <strong>{member.profile?.display_name || member.user_id}</strong>
+                      {member.role === 'owner' && <span style={{ marginLeft: '0.5rem', color: '#8b5cf6' }}>👑</span>}
+                      {member.role === 'admin' && <span style={{ marginLeft: '0.5rem', color: '#666' }}>Admin</span>}
+                      {member.profile?.city && <span className="small" style={{ marginLeft: '0.5rem' }}>• {member.profile.city}</span>}
+                    </div>
+                    <div style={{ display: 'flex', gap: '0.25rem', flexWrap: 'wrap', justifyContent: 'flex-end' }}>
+                      {isOwner(selectedTeam) && member.role !== 'owner' && (
+                        <>
+                          <button
+                            onClick={() => handleChangeRole(member, member.role === 'admin' ? 'member' : 'admin')}
+                            className="btn-secondary"
+                            style={{ padding: '0.25rem 0.5rem', fontSize: '0.75rem' }}
+                          >
+                            {member.role === 'admin' ? 'Remove admin' : 'Make admin'}
+                          </button>
+                          <button
+                            onClick={() => handleTransferOwnership(member)}
+                            className="btn-secondary"
+                            style={{ padding: '0.25rem 0.5rem', fontSize: '0.75rem' }}
+                          >
+                            Make owner
+                          </button>
+                        </>
+                      )}
+                      {canRemoveMember(selectedTeam, member) && (
+                        <button
+                          onClick={() => handleRemoveMember(member)}
+                          className="btn-secondary"
+                          style={{ padding: '0.25rem 0.5rem', fontSize: '0.75rem', color: '#dc2626' }}
+                        >
+                          Remove
+                        </button>
+                      )}
+                    </div>
+                  </div>
                 </li>
               ))}
             </ul>
+
+            {isManager(selectedTeam) && (
+              <>
+                <h4>Who can join</h4>
+                <select
+                  value={selectedTeam.visibility || 'open'}
+                  onChange={(e) => handleUpdateVisibility(e.target.value)}
+                  style={{ width: '100%', padding: '0.5rem' }}
+                >
+                  {VISIBILITY_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label} - {option.help}</option>
+                  ))}
+                </select>
+
+                <h4>Join Requests ({joinRequests.length})</h4>
+                {joinRequests.length === 0 ? (
+                  <p className="small">No pending requests.</p>
+                ) : (
+                  <ul style={{ listStyle: 'none', padding: 0 }}>
+                    {joinRequests.map((request) => (
+                      <li key={request.id} style={{ padding: '0.5rem', borderBottom: '1px solid #eee' }}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                          <div>
+                            <strong>{request.profile?.display_name || request.user_id}</strong>
+                            {request.profile?.city && <span className="small" style={{ marginLeft: '0.5rem' }}>• {request.profile.city}</span>}
+                            {request.message && <p className="small" style={{ marginTop: '0.25rem' }}>“{request.message}”</p>}
+                          </div>
+                          <div style={{ display: 'flex', gap: '0.5rem' }}>
+                            <button onClick={() => handleReviewRequest(request.id, 'approve')} className="btn-primary" style={{ padding: '0.25rem 0.75rem' }}>
+                              Approve
+                            </button>
+                            <button onClick={() => handleReviewRequest(request.id, 'deny')} className="btn-secondary" style={{ padding: '0.25rem 0.75rem' }}>
+                              Deny
+                            </button>
+                          </div>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                <h4>Invites</h4>
+                <form onSubmit={handleCreateInvite} style={{ display: 'flex', gap: '0.5rem', alignItems: 'flex-end', marginBottom: '0.5rem' }}>
+                  <label className="small">
+                    Expires in (days)
+                    <input
+                      type="number"
+                      min="1"
+                      max="30"
+                      value={inviteForm.expiresInDays}
+                      onChange={(e) => setInviteForm({ ...inviteForm, expiresInDays: e.target.value })}
+                      placeholder="Never"
+                      style={{ width: '100%', padding: '0.5rem', marginTop: '0.25rem' }}
+                    />
+                  </label>
+                  <label className="small">
+                    Max uses
+                    <input
+                      type="number"
+                      min="1"
+                      value={inviteForm.maxUses}
+                      onChange={(e) => setInviteForm({ ...inviteForm, maxUses: e.target.value })}
+                      placeholder="Unlimited"
+                      style={{ width: '100%', padding: '0.5rem', marginTop: '0.25rem' }}
+                    />
+                  </label>
+                  <button type="submit" className="btn-primary" style={{ padding: '0.5rem 0.75rem' }}>Create invite</button>
+                </form>
+                {invites.length === 0 ? (
+                  <p className="small">No invites yet.</p>
+                ) : (
+                  <ul style={{ listStyle: 'none', padding: 0 }}>
+                    {invites.map((invite) => (
+                      <li key={invite.id} style={{ padding: '0.5rem', borderBottom: '1px solid #eee', opacity: invite.usable ? 1 : 0.6 }}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                          <div>
+                            <code>{invite.code}</code>
+                            <p className="small" style={{ marginTop: '0.25rem' }}>
+                              Used {invite.use_count}{invite.max_uses ? ` / ${invite.max_uses}` : ''}
+                              {invite.expires_at && ` • Expires ${new Date(invite.expires_at).toLocaleDateString()}`}
+                              {invite.problem && ` • ${invite.problem}`}
+                            </p>
+                          </div>
+                          {invite.usable && (
+                            <div style={{ display: 'flex', gap: '0.5rem' }}>
+                              <button onClick={() => copyInviteLink(invite.code)} className="btn-secondary" style={{ padding: '0.25rem 0.75rem' }}>
+                                Copy link
+                              </button>
+                              <button onClick={() => handleRevokeInvite(invite.id)} className="btn-secondary" style={{ padding: '0.25rem 0.75rem' }}>
+                                Revoke
+                              </button>
+                            </div>
+                          )}
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </>
+            )}
           </div>
         </div>
       )}
@@ -0,0 +1,36 @@
+/**
+ * Decode a Google encoded polyline, the format /activity-map returns routes in
+ * (same algorithm as decodePolyline in backend/activity-file-parser.js)
+ * @param {string} encoded - Encoded polyline
+ * @returns {Array<[number, number]>} - [lat, lng] pairs, ready for Leaflet; empty when malformed
+ */
+export function decodePolyline(encoded) {
+  const points = [];
+  if (!encoded || typeof encoded !== 'string') return points;
+
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+  const decodeValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (index >= encoded.length) return null;
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    const dLat = decodeValue();
+    const dLng = decodeValue();
+    if (dLat === null || dLng === null) return [];
+    lat += dLat;
+    lng += dLng;
+    points.push([lat / 1e5, lng / 1e5]);
+  }
+  return points;
+}
@@ -0,0 +1,109 @@
+import { supabase } from './supabaseClient';
+import { API_BASE } from './config/api';
+
+/**
+ * Shared connection to the server's event stream (GET /api/events, Server-Sent Events).
+ * EventSource can't send an Authorization header, so the stream is read with fetch.
+ * One connection serves every subscriber; it opens with the first subscription, closes with
+ * the last, and reconnects with backoff when the server or network drops it.
+ */
+
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30 * 1000;
+
+const handlers = new Map(); // event name -> Set of callbacks
+let controller = null;
+let retryTimer = null;
+let retryMs = MIN_RETRY_MS;
+
+const hasSubscribers = () => [...handlers.values()].some((set) => set.size > 0);
+
+function dispatch(block) {
+  let event = 'message';
+  const data = [];
+  block.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+  });
+  if (data.length === 0) return;
+
+  let payload;
+  try {
+    payload = JSON.parse(data.join('\n'));
+  } catch (err) {
+    console.error('[REALTIME] Unreadable event:', err);
+    return;
+  }
+  (handlers.get(event) || []).forEach((handler) => handler(payload));
+}
+
+function scheduleReconnect() {
+  if (retryTimer || !hasSubscribers()) return;
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    connect();
+  }, retryMs);
+  retryMs = Math.min(retryMs * 2, MAX_RETRY_MS);
+}
+
+async function connect() {
+  if (controller || !hasSubscribers()) return;
+  const current = new AbortController();
+  controller = current;
+
+  try {
+    const { data: { session } = {} } = await supabase.auth.getSession();
+    if (!session?.access_token) throw new Error('Not signed in');
+
+    const res = await fetch(`${API_BASE}/api/events`, {
+      headers: { Authorization: `Bearer ${session.access_token}`, Accept: 'text/event-stream' },
+      signal: current.signal
+    });
+    if (!res.ok || !res.body) throw new Error(`Event stream failed: ${res.status}`);
+    retryMs = MIN_RETRY_MS;
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        dispatch(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+      }
+    }
+  } catch (err) {
+    if (current.signal.aborted) return;
+    console.error('[REALTIME] Event stream error:', err.message);
+  } finally {
+    if (controller === current) controller = null;
+  }
+  if (!current.signal.aborted) scheduleReconnect();
+}
+
+function disconnect() {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  if (controller) controller.abort();
+  controller = null;
+}
+
+/**
+ * Listen for a server event
+ * @param {string} event - activity, leaderboard, notification, friend_request or presence (see backend/realtime.js)
+ * @param {Function} handler - Called with the event's JSON payload
+ * @returns {Function} - Unsubscribe; the connection closes when nothing is subscribed
+ */
+export function subscribeToEvents(event, handler) {
+  if (!handlers.has(event)) handlers.set(event, new Set());
+  handlers.get(event).add(handler);
+  connect();
+
+  return () => {
+    handlers.get(event)?.delete(handler);
+    if (!hasSubscribers()) disconnect();
+  };
+}